@@ -0,0 +1,99 @@
+/**
+ * CLI de simulação de regras
+ *
+ * Uso:
+ *   node src/backend/cli/simulate-rules.js --payloads verificacoes.jsonl --candidate rules.candidate.json
+ *     [--current ./config/rules.json] [--output relatorio.json] [--max-flipped 20]
+ */
+
+import { promises as fs } from 'fs';
+import { RuleSimulator, readPayloads } from '../services/simulation.js';
+import { verifyIdentitySchema } from '../routes/identity.js';
+import { DECISION_TYPES } from '../../shared/constants/index.js';
+
+/**
+ * Converte argumentos --chave valor em objeto
+ * @param {Array} argv - Argumentos da linha de comando
+ * @returns {Object} Opções
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Imprime o resumo do relatório
+ * @param {Object} report - Relatório da simulação
+ * @param {number} maxFlipped - Máximo de sessões alteradas a listar
+ */
+function printSummary(report, maxFlipped) {
+  const decisions = Object.values(DECISION_TYPES);
+  const pad = (value, size = 10) => String(value).padEnd(size);
+
+  console.log(`Evaluated: ${report.evaluated} payloads (${report.skipped.length} skipped)`);
+  console.log(`Agreement: ${report.agreement === null ? 'n/a' : `${(report.agreement * 100).toFixed(2)}%`}`);
+  console.log('');
+  console.log('Confusion matrix (rows: current, columns: candidate)');
+  console.log(pad('') + decisions.map(d => pad(d)).join(''));
+  for (const row of decisions) {
+    console.log(pad(row) + decisions.map(column => pad(report.confusionMatrix[row][column])).join(''));
+  }
+
+  console.log('');
+  console.log('Rule hit rates (current -> candidate)');
+  for (const rule of report.ruleHitRates) {
+    const format = (side) => (side ? `${(side.hitRate * 100).toFixed(1)}%` : '-');
+    console.log(`  ${pad(rule.id, 34)} ${pad(format(rule.current), 8)} -> ${format(rule.candidate)}`);
+  }
+
+  console.log('');
+  console.log(`Flipped decisions: ${report.flipped.length}`);
+  for (const flip of report.flipped.slice(0, maxFlipped)) {
+    console.log(`  line ${flip.line} ${flip.sessionId}: ${flip.current.decision} (${flip.current.score.toFixed(1)}) -> ${flip.candidate.decision} (${flip.candidate.score.toFixed(1)})`);
+  }
+
+  for (const skipped of report.skipped) {
+    console.warn(`  skipped line ${skipped.line}: ${skipped.error}`);
+  }
+}
+
+/**
+ * Executa a CLI
+ * @param {Array} argv - Argumentos da linha de comando
+ * @returns {Object} Relatório da simulação
+ */
+async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (!options.payloads || !options.candidate) {
+    throw new Error('Usage: simulate-rules --payloads <file.jsonl> --candidate <rules.json> [--current <rules.json>] [--output <report.json>]');
+  }
+
+  const currentPath = options.current || process.env.RULES_PATH || './config/rules.json';
+  const simulator = await RuleSimulator.fromFiles(currentPath, options.candidate);
+  const report = await simulator.run(readPayloads(options.payloads, { schema: verifyIdentitySchema }));
+
+  printSummary(report, parseInt(options['max-flipped']) || 20);
+
+  if (options.output) {
+    await fs.writeFile(options.output, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${options.output}`);
+  }
+
+  return report;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error('Simulation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { main, parseArgs };
@@ -0,0 +1,146 @@
+/**
+ * CLI de treino de modelo
+ *
+ * Uso:
+ *   node src/backend/cli/train-model.js --payloads verificacoes.jsonl --output ./config/model.json
+ *     [--labels ./logs/labels.jsonl] [--rules ./config/rules.json] [--context payment] [--tenant default]
+ *     [--dataset dataset.csv] [--features a,b,c] [--test-ratio 0.2] [--epochs 500] [--learning-rate 0.1]
+ */
+
+import { promises as fs } from 'fs';
+import { parseArgs } from './simulate-rules.js';
+import { readPayloads } from '../services/simulation.js';
+import { LabelStore } from '../services/labels.js';
+import { parseScoringConfig, resolveScoringProfile } from '../services/scoring-profiles.js';
+import { FEATURE_NAMES } from '../services/features.js';
+import { createModel } from '../services/model.js';
+import {
+  buildDataset,
+  splitDataset,
+  trainLogisticRegression,
+  evaluateModel,
+  datasetToCsv
+} from '../services/training.js';
+import { verifyIdentitySchema } from '../routes/identity.js';
+import { DEFAULT_TENANT_ID } from '../services/tenants.js';
+
+/**
+ * Thresholds de decisão do arquivo de regras (perfil do contexto, se informado)
+ * @param {string} rulesPath - Arquivo de regras
+ * @param {string} context - Perfil de scoring (opcional)
+ * @returns {Object} Thresholds
+ * @throws {Error} Se o perfil não existir
+ */
+async function loadThresholds(rulesPath, context) {
+  const scoring = parseScoringConfig(JSON.parse(await fs.readFile(rulesPath, 'utf8')));
+  const profile = resolveScoringProfile(scoring, context);
+  if (!profile) {
+    throw new Error(`Unknown scoring profile '${context}' in ${rulesPath}`);
+  }
+  return profile.thresholds;
+}
+
+/**
+ * Imprime as métricas de avaliação
+ * @param {string} title - Título
+ * @param {Object} metrics - Resultado de evaluateModel()
+ */
+function printMetrics(title, metrics) {
+  const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+  console.log(`${title}: ${metrics.samples} samples (${metrics.fraud} fraud)`);
+  console.log(`  AUC: ${metrics.auc === null ? 'n/a' : metrics.auc.toFixed(4)}`);
+  for (const [name, result] of Object.entries(metrics.thresholds)) {
+    console.log(`  score < ${name} (${result.threshold}): precision ${percent(result.precision)}, recall ${percent(result.recall)}, flagged ${result.flagged}`);
+  }
+}
+
+/**
+ * Executa a CLI
+ * @param {Array} argv - Argumentos da linha de comando
+ * @returns {Object} Modelo gerado
+ */
+async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (!options.payloads || !options.output) {
+    throw new Error('Usage: train-model --payloads <file.jsonl> --output <model.json> [--labels <labels.jsonl>] [--rules <rules.json>] [--dataset <file.csv>]');
+  }
+
+  const tenant = options.tenant || null;
+  const features = options.features ? options.features.split(',').map(name => name.trim()) : FEATURE_NAMES;
+  const testRatio = options['test-ratio'] === undefined ? 0.2 : parseFloat(options['test-ratio']);
+  if (!(testRatio >= 0 && testRatio < 1)) {
+    throw new Error('--test-ratio must be between 0 and 1');
+  }
+
+  // Rótulos e payloads gravados
+  const labelsPath = options.labels || process.env.LABELS_PATH || './logs/labels.jsonl';
+  const labels = await new LabelStore(labelsPath).latestBySession({ tenant });
+
+  const payloads = [];
+  let skipped = 0;
+  for await (const record of readPayloads(options.payloads, { schema: verifyIdentitySchema })) {
+    if (record.error) {
+      skipped++;
+    } else if (!tenant || (record.tenant || DEFAULT_TENANT_ID) === tenant) {
+      payloads.push(record.payload);
+    }
+  }
+
+  const dataset = buildDataset(payloads, labels);
+  console.log(`Labels: ${labels.size} sessions, payloads: ${payloads.length} (${skipped} invalid, ${dataset.unlabeled} unlabeled)`);
+  console.log(`Dataset: ${dataset.rows.length} samples, ${dataset.missingPayloads} labeled sessions without payloads`);
+
+  if (options.dataset) {
+    await fs.writeFile(options.dataset, datasetToCsv(dataset.rows, features));
+    console.log(`Dataset written to ${options.dataset}`);
+  }
+
+  // Treino e avaliação
+  const { train, test } = splitDataset(dataset.rows, testRatio);
+  const definition = trainLogisticRegression(train, {
+    features,
+    epochs: parseInt(options.epochs) || undefined,
+    learningRate: parseFloat(options['learning-rate']) || undefined
+  });
+
+  const rulesPath = options.rules || process.env.RULES_PATH || './config/rules.json';
+  const thresholds = await loadThresholds(rulesPath, options.context);
+
+  const metrics = { train: evaluateModel(definition, train, thresholds) };
+  printMetrics('Train', metrics.train);
+  if (test.length > 0) {
+    metrics.test = evaluateModel(definition, test, thresholds);
+    printMetrics('Test', metrics.test);
+  }
+
+  const trainedAt = new Date().toISOString();
+  const model = {
+    ...definition,
+    version: options.version || `lr-${trainedAt.replace(/[-:]/g, '').slice(0, 15)}`,
+    metadata: {
+      trainedAt,
+      tenant,
+      context: options.context || null,
+      samples: { train: train.length, test: test.length },
+      metrics
+    }
+  };
+
+  // Garante que o arquivo gerado é carregável pelo ScoringService
+  createModel(model);
+  await fs.writeFile(options.output, JSON.stringify(model, null, 2));
+  console.log(`Model ${model.version} written to ${options.output}`);
+
+  return model;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error('Training failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { main };
@@ -3,6 +3,7 @@
  */
 
 import { ERROR_CODES } from '../../shared/constants/index.js';
+import { redactApiKey } from './sdk.js';
 
 /**
  * Middleware principal de tratamento de erros
@@ -16,7 +17,7 @@ function errorHandler(err, req, res, next) {
   console.error('NextTrust Error:', {
     message: err.message,
     stack: err.stack,
-    url: req.originalUrl,
+    url: redactApiKey(req.originalUrl),
     method: req.method,
     sessionId: req.sdk?.sessionId,
     ip: req.sdk?.ip,
@@ -157,7 +158,7 @@ function asyncHandler(fn) {
  * @param {Function} next - Next function
  */
 function notFoundHandler(req, res, next) {
-  const error = new Error(`Route not found: ${req.method} ${req.originalUrl}`);
+  const error = new Error(`Route not found: ${req.method} ${redactApiKey(req.originalUrl)}`);
   error.statusCode = 404;
   next(error);
 }
@@ -169,7 +170,7 @@ function notFoundHandler(req, res, next) {
  * @param {Function} next - Next function
  */
 function methodNotAllowedHandler(req, res, next) {
-  const error = new Error(`Method not allowed: ${req.method} ${req.originalUrl}`);
+  const error = new Error(`Method not allowed: ${req.method} ${redactApiKey(req.originalUrl)}`);
   error.statusCode = 405;
   next(error);
 }
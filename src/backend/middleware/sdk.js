@@ -5,16 +5,34 @@
 
 import { ERROR_CODES } from '../../shared/constants/index.js';
 
+/**
+ * Parâmetro apiKey da query string (lotes de eventos enviados por sendBeacon)
+ */
+const API_KEY_QUERY_PATTERN = /([?&]apiKey=)[^&#]*/gi;
+
+/**
+ * Oculta a API key da query string de uma URL antes de registrá-la em logs
+ * @param {string} url - URL da requisição (req.originalUrl)
+ * @returns {string} URL com apiKey=[REDACTED]
+ */
+function redactApiKey(url) {
+  return typeof url === 'string' ? url.replace(API_KEY_QUERY_PATTERN, '$1[REDACTED]') : url;
+}
+
 /**
  * Middleware de validação de API key
+ * Com um registro de tenants, a API key identifica o tenant da requisição (req.sdk.tenant)
  * @param {Object} config - Configuração do servidor
+ * @param {Object} tenants - Registro de tenants (opcional; sem ele vale config.apiKey)
  * @returns {Function} Middleware function
  */
-function sdkMiddleware(config) {
+function sdkMiddleware(config, tenants = null) {
   return (req, res, next) => {
     try {
-      // Valida API key
-      const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+      // Valida API key (navigator.sendBeacon não envia cabeçalhos: nos lotes de eventos
+      // a API key também é aceita na query string)
+      const beaconApiKey = req.method === 'POST' && req.path === '/identity/events' ? req.query.apiKey : undefined;
+      const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '') || beaconApiKey;
       
       if (!apiKey) {
         return res.status(401).json({
@@ -24,7 +42,9 @@ function sdkMiddleware(config) {
         });
       }
 
-      if (apiKey !== config.apiKey) {
+      const tenant = tenants ? tenants.resolveApiKey(apiKey) : null;
+
+      if (tenants ? !tenant : apiKey !== config.apiKey) {
         return res.status(401).json({
           error: 'Invalid API key',
           code: ERROR_CODES.API_ERROR,
@@ -35,6 +55,7 @@ function sdkMiddleware(config) {
       // Adiciona informações do SDK ao request
       req.sdk = {
         apiKey: apiKey,
+        tenant: tenant,
         sessionId: req.headers['x-session-id'],
         userAgent: req.headers['user-agent'],
         timestamp: new Date().toISOString(),
@@ -45,6 +66,7 @@ function sdkMiddleware(config) {
       // Log da requisição (em desenvolvimento)
       if (process.env.NODE_ENV === 'development') {
         console.log(`NextTrust API Request: ${req.method} ${req.path}`, {
+          tenant: tenant?.id,
           sessionId: req.sdk.sessionId,
           ip: req.sdk.ip,
           userAgent: req.sdk.userAgent
@@ -64,6 +86,61 @@ function sdkMiddleware(config) {
   };
 }
 
+/**
+ * Middleware de autenticação das rotas administrativas
+ * Exige, além da API key do SDK, uma chave administrativa (X-Admin-Key)
+ * @param {Object} config - Configuração do servidor
+ * @param {Object} config.adminApiKeys - Mapa chave administrativa -> nome do operador
+ * @returns {Function} Middleware function
+ */
+function adminMiddleware(config) {
+  return (req, res, next) => {
+    const adminKeys = config.adminApiKeys || {};
+
+    if (Object.keys(adminKeys).length === 0) {
+      return res.status(403).json({
+        error: 'Admin API is disabled',
+        code: ERROR_CODES.API_ERROR,
+        details: 'Configure NEXT_TRUST_ADMIN_KEYS to enable admin endpoints'
+      });
+    }
+
+    const adminKey = req.headers['x-admin-key'];
+
+    if (!adminKey || !Object.prototype.hasOwnProperty.call(adminKeys, adminKey)) {
+      return res.status(401).json({
+        error: 'Invalid admin key',
+        code: ERROR_CODES.API_ERROR,
+        details: 'Missing or invalid X-Admin-Key header'
+      });
+    }
+
+    req.admin = {
+      actor: adminKeys[adminKey]
+    };
+
+    return next();
+  };
+}
+
+/**
+ * Converte a lista "operador:chave,operador:chave" em mapa chave -> operador
+ * @param {string} value - Valor da variável de ambiente
+ * @returns {Object} Mapa de chaves administrativas
+ */
+function parseAdminKeys(value) {
+  const keys = {};
+
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys[entry.slice(separator + 1).trim()] = entry.slice(0, separator).trim();
+    }
+  }
+
+  return keys;
+}
+
 /**
  * Middleware de validação de dados de entrada
  * @param {Object} schema - Schema de validação
@@ -163,7 +240,7 @@ function requestLogger() {
       const duration = Date.now() - start;
       const logData = {
         method: req.method,
-        url: req.originalUrl,
+        url: redactApiKey(req.originalUrl),
         status: res.statusCode,
         duration: `${duration}ms`,
         sessionId: req.sdk?.sessionId,
@@ -215,8 +292,11 @@ function customCors(options = {}) {
 
 export {
   sdkMiddleware,
+  adminMiddleware,
+  parseAdminKeys,
   validateRequest,
   sessionRateLimit,
   requestLogger,
-  customCors
+  customCors,
+  redactApiKey
 };
@@ -106,6 +106,9 @@ export class Rule {
     this.weight = data.weight;
     this.action = data.action;
     this.enabled = data.enabled !== false;
+    this.priority = data.priority !== undefined ? data.priority : 0;
+    this.terminal = data.terminal || false;
+    this.blocksAllow = data.blocksAllow || false;
     this.description = data.description;
     this.temporary = data.temporary || false;
     this.createdAt = data.createdAt || new Date().toISOString();
@@ -134,6 +137,14 @@ export class Rule {
     if (!['allow', 'review', 'deny'].includes(this.action)) {
       throw new Error('Rule action must be allow, review, or deny');
     }
+    
+    if (typeof this.priority !== 'number') {
+      throw new Error('Rule priority must be a number');
+    }
+    
+    if (this.terminal && this.action === 'review') {
+      throw new Error('Terminal rule action must be allow or deny');
+    }
   }
   
   toJSON() {
@@ -144,6 +155,9 @@ export class Rule {
       weight: this.weight,
       action: this.action,
       enabled: this.enabled,
+      priority: this.priority,
+      terminal: this.terminal,
+      blocksAllow: this.blocksAllow,
       description: this.description,
       temporary: this.temporary,
       createdAt: this.createdAt,
@@ -163,6 +177,9 @@ export class RuleResult {
     this.weight = data.weight;
     this.score = data.score;
     this.action = data.action;
+    this.priority = data.priority;
+    this.terminal = data.terminal;
+    this.blocksAllow = data.blocksAllow;
     this.condition = data.condition;
     this.description = data.description;
     this.error = data.error;
@@ -193,6 +210,9 @@ export class RuleResult {
       weight: this.weight,
       score: this.score,
       action: this.action,
+      priority: this.priority,
+      terminal: this.terminal,
+      blocksAllow: this.blocksAllow,
       condition: this.condition,
       description: this.description,
       error: this.error,
@@ -212,6 +232,8 @@ export class Session {
     this.fingerprint = data.fingerprint;
     this.behavioral = data.behavioral;
     this.verifications = data.verifications || [];
+    // Total de verificações da sessão (verifications guarda apenas as mais recentes)
+    this.verificationCount = data.verificationCount ?? this.verifications.length;
     this.metadata = data.metadata || {};
     
     this.validate();
@@ -223,12 +245,16 @@ export class Session {
     }
   }
   
-  addVerification(result) {
+  addVerification(result, maxVerifications = Infinity) {
     if (!(result instanceof VerificationResult)) {
       throw new Error('Verification must be a VerificationResult instance');
     }
     
     this.verifications.push(result);
+    if (this.verifications.length > maxVerifications) {
+      this.verifications.splice(0, this.verifications.length - maxVerifications);
+    }
+    this.verificationCount++;
     this.lastActivity = new Date().toISOString();
   }
   
@@ -246,6 +272,7 @@ export class Session {
       fingerprint: this.fingerprint,
       behavioral: this.behavioral,
       verifications: this.verifications,
+      verificationCount: this.verificationCount,
       metadata: this.metadata
     };
   }
@@ -319,6 +346,100 @@ export class SystemConfig {
   }
 }
 
+/**
+ * Features que podem ser ligadas ou desligadas por tenant (tenants.json: "features")
+ */
+export const TENANT_FEATURES = {
+  // Modo explain em /verify (padrão: ENABLE_EXPLAIN)
+  EXPLAIN: 'explain',
+  // Bloco behavioral de /verify e lotes de /events (padrão: ligada)
+  BEHAVIORAL: 'behavioral',
+  // Bloco facial de /verify (padrão: ligada)
+  FACIAL: 'facial',
+  // Reconhecimento dos dispositivos do userId (padrão: ligada)
+  DEVICES: 'devices',
+  // Modelo de ML combinado ao score (padrão: ligada)
+  MODEL: 'model'
+};
+
+/**
+ * Modelo de tenant: produto com API keys, regras, thresholds e limites próprios
+ */
+export class Tenant {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name || data.id;
+    this.apiKeys = data.apiKeys || [];
+    this.rulesPath = data.rulesPath;
+    this.challengerRulesPath = data.challengerRulesPath || null;
+    this.modelPath = data.modelPath || null;
+    this.thresholds = data.thresholds || null;
+    this.features = data.features || {};
+    this.rateLimit = data.rateLimit || null;
+    
+    this.validate();
+  }
+  
+  validate() {
+    if (!this.id || !/^[a-z0-9_-]+$/.test(this.id)) {
+      throw new Error('Tenant ID is required and must contain only lowercase letters, numbers, _ or -');
+    }
+    
+    if (!Array.isArray(this.apiKeys) || this.apiKeys.length === 0 ||
+        this.apiKeys.some(key => typeof key !== 'string' || !key)) {
+      throw new Error(`Tenant ${this.id} must have at least one API key`);
+    }
+    
+    if (!this.rulesPath) {
+      throw new Error(`Tenant ${this.id} rulesPath is required`);
+    }
+    
+    if (this.thresholds) {
+      const { allow, review } = this.thresholds;
+      if (typeof allow !== 'number' || typeof review !== 'number' || allow < review || review < 0 || allow > 100) {
+        throw new Error(`Invalid threshold configuration for tenant ${this.id}`);
+      }
+    }
+    
+    if (Object.values(this.features).some(value => typeof value !== 'boolean')) {
+      throw new Error(`Tenant ${this.id} features must be booleans`);
+    }
+    
+    const unknown = Object.keys(this.features).filter(name => !Object.values(TENANT_FEATURES).includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Tenant ${this.id} has unknown features: ${unknown.join(', ')} (expected ${Object.values(TENANT_FEATURES).join(', ')})`);
+    }
+    
+    if (this.rateLimit && !(this.rateLimit.windowMs > 0 && this.rateLimit.maxRequests > 0)) {
+      throw new Error(`Invalid rate limit configuration for tenant ${this.id}`);
+    }
+  }
+  
+  /**
+   * Verifica se uma feature está habilitada para o tenant
+   * @param {string} name - Nome da feature
+   * @param {boolean} fallback - Valor quando o tenant não define a feature
+   * @returns {boolean} Se está habilitada
+   */
+  isFeatureEnabled(name, fallback = false) {
+    return typeof this.features[name] === 'boolean' ? this.features[name] : fallback;
+  }
+  
+  toJSON() {
+    // As API keys nunca são expostas
+    return {
+      id: this.id,
+      name: this.name,
+      rulesPath: this.rulesPath,
+      challengerRulesPath: this.challengerRulesPath,
+      modelPath: this.modelPath,
+      thresholds: this.thresholds,
+      features: this.features,
+      rateLimit: this.rateLimit
+    };
+  }
+}
+
 /**
  * Utilitários para validação de dados
  */
@@ -373,5 +494,6 @@ export default {
   RuleResult,
   Session,
   SystemConfig,
+  Tenant,
   DataValidator
 };
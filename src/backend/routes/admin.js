@@ -0,0 +1,351 @@
+/**
+ * Rotas administrativas do NextTrust SDK
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import { asyncHandler, createError } from '../middleware/error.js';
+import { validateRequest } from '../middleware/sdk.js';
+import { ERROR_CODES } from '../../shared/constants/index.js';
+
+/**
+ * Schema de criação de regra (validação completa é feita pelo modelo Rule)
+ */
+const createRuleSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9_]+$/).required(),
+  name: Joi.string().required(),
+  condition: Joi.string().required(),
+  weight: Joi.number().required(),
+  action: Joi.string().valid('allow', 'review', 'deny').required(),
+  enabled: Joi.boolean().optional(),
+  priority: Joi.number().optional(),
+  terminal: Joi.boolean().optional(),
+  blocksAllow: Joi.boolean().optional(),
+  description: Joi.string().allow('').optional()
+});
+
+/**
+ * Schema de atualização de regra (o ID não pode ser alterado)
+ */
+const updateRuleSchema = createRuleSchema
+  .fork(['name', 'condition', 'weight', 'action'], field => field.optional())
+  .keys({ id: Joi.forbidden() })
+  .min(1);
+
+/**
+ * Schema de alteração das entradas de uma lista
+ */
+const listEntriesSchema = Joi.object({
+  entries: Joi.array().items(Joi.string().trim().min(1)).min(1).required()
+});
+
+/**
+ * Converte erros do serviço de administração em erros HTTP
+ * @param {Error} error - Erro original
+ * @returns {Error} Erro HTTP
+ */
+function toHttpError(error) {
+  if (error.statusCode) {
+    return createError(error.message, ERROR_CODES.API_ERROR, error.statusCode, error.message);
+  }
+  return error;
+}
+
+/**
+ * Cria rotas administrativas
+ * @param {Object} ruleEngine - Instância do rule engine
+ * @param {Object} services - Serviços auxiliares
+ * @param {Object} services.shadowRecorder - Registro champion/challenger
+ * @param {Object} services.ruleAdmin - Serviço de administração de regras
+ * @param {Object} services.tenants - Registro de tenants (habilita GET /tenants)
+ * @returns {Router} Router do Express
+ */
+function adminRoute(ruleEngine, services = {}) {
+  const router = express.Router();
+  const { shadowRecorder, ruleAdmin, tenants } = services;
+
+  /**
+   * Executa uma operação do serviço de administração convertendo seus erros
+   * @param {Function} operation - Operação assíncrona
+   * @returns {*} Resultado da operação
+   */
+  const runAdmin = async (operation) => {
+    try {
+      return await operation();
+    } catch (error) {
+      throw toHttpError(error);
+    }
+  };
+
+  /**
+   * GET /api/admin/rules
+   * Lista regras persistentes
+   */
+  router.get('/rules', asyncHandler(async (req, res) => {
+    const rules = ruleAdmin.list();
+
+    res.json({
+      rules,
+      count: rules.length,
+      version: ruleEngine.version,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * GET /api/admin/rules/audit
+   * Trilha de auditoria das alterações de regras
+   */
+  router.get('/rules/audit', asyncHandler(async (req, res) => {
+    const entries = await ruleAdmin.getAuditTrail({
+      resourceId: req.query.ruleId,
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.json({
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * GET /api/admin/rules/:id
+   * Obtém uma regra
+   */
+  router.get('/rules/:id', asyncHandler(async (req, res) => {
+    const rule = ruleAdmin.get(req.params.id);
+
+    if (!rule) {
+      throw createError(
+        'Rule not found',
+        ERROR_CODES.API_ERROR,
+        404,
+        `Rule ${req.params.id} does not exist`
+      );
+    }
+
+    res.json({ rule, version: ruleEngine.version });
+  }));
+
+  /**
+   * POST /api/admin/rules
+   * Cria uma regra
+   */
+  router.post('/rules',
+    validateRequest(createRuleSchema),
+    asyncHandler(async (req, res) => {
+      const rule = await runAdmin(() => ruleAdmin.create(req.validatedData, req.admin.actor));
+      res.status(201).json({ rule, version: ruleEngine.version });
+    })
+  );
+
+  /**
+   * PUT /api/admin/rules/:id
+   * Atualiza uma regra
+   */
+  router.put('/rules/:id',
+    validateRequest(updateRuleSchema),
+    asyncHandler(async (req, res) => {
+      const rule = await runAdmin(() => ruleAdmin.update(req.params.id, req.validatedData, req.admin.actor));
+      res.json({ rule, version: ruleEngine.version });
+    })
+  );
+
+  /**
+   * POST /api/admin/rules/:id/enable
+   * POST /api/admin/rules/:id/disable
+   * Habilita ou desabilita uma regra
+   */
+  router.post('/rules/:id/:state(enable|disable)', asyncHandler(async (req, res) => {
+    const enabled = req.params.state === 'enable';
+    const rule = await runAdmin(() => ruleAdmin.setEnabled(req.params.id, enabled, req.admin.actor));
+    res.json({ rule, version: ruleEngine.version });
+  }));
+
+  /**
+   * DELETE /api/admin/rules/:id
+   * Remove uma regra
+   */
+  router.delete('/rules/:id', asyncHandler(async (req, res) => {
+    const rule = await runAdmin(() => ruleAdmin.remove(req.params.id, req.admin.actor));
+    res.json({ deleted: rule, version: ruleEngine.version });
+  }));
+
+  /**
+   * GET /api/admin/lists
+   * Lista as listas nomeadas
+   */
+  router.get('/lists', asyncHandler(async (req, res) => {
+    const lists = ruleAdmin.listLists();
+
+    res.json({
+      lists,
+      count: lists.length,
+      version: ruleEngine.version,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * GET /api/admin/lists/audit
+   * Trilha de auditoria das alterações de listas
+   */
+  router.get('/lists/audit', asyncHandler(async (req, res) => {
+    const entries = await ruleAdmin.getAuditTrail({
+      resource: 'list',
+      resourceId: req.query.list,
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.json({
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * GET /api/admin/lists/:name
+   * Obtém uma lista com suas entradas
+   */
+  router.get('/lists/:name', asyncHandler(async (req, res) => {
+    const list = ruleAdmin.getList(req.params.name);
+
+    if (!list) {
+      throw createError(
+        'List not found',
+        ERROR_CODES.API_ERROR,
+        404,
+        `List ${req.params.name} does not exist`
+      );
+    }
+
+    res.json({ list, version: ruleEngine.version });
+  }));
+
+  /**
+   * POST /api/admin/lists/:name/entries
+   * Adiciona entradas a uma lista
+   */
+  router.post('/lists/:name/entries',
+    validateRequest(listEntriesSchema),
+    asyncHandler(async (req, res) => {
+      const list = await runAdmin(() => ruleAdmin.updateList(
+        req.params.name,
+        { add: req.validatedData.entries },
+        req.admin.actor
+      ));
+      res.json({ list, version: ruleEngine.version });
+    })
+  );
+
+  /**
+   * DELETE /api/admin/lists/:name/entries
+   * Remove entradas de uma lista
+   */
+  router.delete('/lists/:name/entries',
+    validateRequest(listEntriesSchema),
+    asyncHandler(async (req, res) => {
+      const list = await runAdmin(() => ruleAdmin.updateList(
+        req.params.name,
+        { remove: req.validatedData.entries },
+        req.admin.actor
+      ));
+      res.json({ list, version: ruleEngine.version });
+    })
+  );
+
+  /**
+   * GET /api/admin/tenants
+   * Lista os tenants e a versão do conjunto de regras de cada um
+   */
+  router.get('/tenants', asyncHandler(async (req, res) => {
+    if (!tenants) {
+      throw createError('Endpoint not found', ERROR_CODES.API_ERROR, 404, 'Tenant listing is not enabled');
+    }
+
+    const list = tenants.list().map(tenant => ({
+      ...tenant.toJSON(),
+      rulesetVersion: tenants.getServices(tenant.id)?.ruleEngine.version ?? null
+    }));
+
+    res.json({
+      tenants: list,
+      count: list.length,
+      default: tenants.getDefault().id,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * GET /api/admin/challenger
+   * Obtém o challenger atual e a comparação com o champion
+   */
+  router.get('/challenger', asyncHandler(async (req, res) => {
+    res.json({
+      champion: {
+        version: ruleEngine.version,
+        rulesPath: ruleEngine.rulesPath,
+        ruleCount: ruleEngine.rules.length
+      },
+      challenger: ruleEngine.getChallengerInfo(),
+      comparison: shadowRecorder
+        ? shadowRecorder.getSummary({ limit: parseInt(req.query.limit) || undefined })
+        : null,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * POST /api/admin/challenger/promote
+   * Promove o challenger a conjunto ativo
+   */
+  router.post('/challenger/promote', asyncHandler(async (req, res) => {
+    const comparison = shadowRecorder ? shadowRecorder.getSummary() : null;
+    const result = await runAdmin(() => ruleAdmin.promoteChallenger(req.admin.actor));
+
+    // Nova linha de base: não há mais challenger para comparar
+    if (shadowRecorder) {
+      await shadowRecorder.reset();
+    }
+
+    console.log(`Admin: challenger promoted by ${req.admin.actor}`);
+
+    res.json({
+      message: 'Challenger promoted',
+      version: result.version,
+      promoted: result.challenger,
+      comparison: comparison && {
+        total: comparison.total,
+        agreement: comparison.agreement
+      },
+      promotedBy: req.admin.actor,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  /**
+   * DELETE /api/admin/challenger
+   * Encerra o teste do challenger
+   */
+  router.delete('/challenger', asyncHandler(async (req, res) => {
+    const challenger = await runAdmin(() => ruleAdmin.clearChallenger(req.admin.actor));
+
+    if (shadowRecorder) {
+      await shadowRecorder.reset();
+    }
+
+    res.json({
+      message: 'Challenger removed',
+      removed: challenger,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  return router;
+}
+
+export {
+  adminRoute
+};
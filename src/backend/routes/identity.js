@@ -5,8 +5,32 @@
 import express from 'express';
 import Joi from 'joi';
 import { asyncHandler, createError } from '../middleware/error.js';
-import { validateRequest } from '../middleware/sdk.js';
+import { validateRequest, adminMiddleware } from '../middleware/sdk.js';
 import { ERROR_CODES } from '../../shared/constants/index.js';
+import { RuleResult, TENANT_FEATURES } from '../models/index.js';
+import { LABEL_VALUES } from '../services/labels.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, localizeReasons } from '../services/reasons.js';
+import { computeDeviceId } from '../services/devices.js';
+import { analyzeConsistency } from '../services/consistency.js';
+import { analyzeKeystrokes } from '../services/keystroke.js';
+import { analyzeMouseDynamics } from '../services/mouse.js';
+import { analyzeMobileSignals } from '../services/mobile.js';
+import { findRawValues } from '../services/privacy.js';
+import { mergeStreamedBehavior, MAX_BATCH_EVENTS } from '../services/event-stream.js';
+
+/**
+ * Rejeita eventos com valores crus (campos sensíveis, cartões e CPFs)
+ * @param {Array} events - behavioral.sampleEvents
+ * @param {Object} helpers - Helpers do Joi
+ * @returns {Array|Object} Eventos ou erro de validação
+ */
+function rejectRawValues(events, helpers) {
+  const [found] = findRawValues(events);
+  if (!found) {
+    return events;
+  }
+  return helpers.message(`{{#label}} contains a raw value at [${found.index}].${found.field} (${found.reason})`);
+}
 
 /**
  * Schema de validação para verificação de identidade
@@ -14,12 +38,15 @@ import { ERROR_CODES } from '../../shared/constants/index.js';
 const verifyIdentitySchema = Joi.object({
   sessionId: Joi.string().required(),
   timestamp: Joi.number().required(),
+  context: Joi.string().pattern(/^[a-z0-9_-]+$/).max(64).optional(),
+  userId: Joi.string().max(256).optional(),
   fingerprint: Joi.object({
     userAgent: Joi.string().required(),
     language: Joi.string().required(),
     platform: Joi.string().required(),
     screenResolution: Joi.string().required(),
     timezone: Joi.string().required(),
+    timezoneOffset: Joi.number().optional(),
     canvasFingerprint: Joi.string().required(),
     webglFingerprint: Joi.string().required(),
     audioFingerprint: Joi.string().required(),
@@ -38,24 +65,206 @@ const verifyIdentitySchema = Joi.object({
     totalEvents: Joi.number().required(),
     eventCounts: Joi.object().required(),
     metrics: Joi.object().required(),
-    sampleEvents: Joi.array().required()
+    sampleEvents: Joi.array().required().custom(rejectRawValues, 'raw value guard')
   }).optional(),
   facial: Joi.object({
     imageData: Joi.string().optional(),
     timestamp: Joi.number().optional(),
     metadata: Joi.object().optional(),
     error: Joi.string().optional()
+  }).optional(),
+  botSignals: Joi.object({
+    webdriver: Joi.boolean().optional(),
+    headlessUserAgent: Joi.boolean().optional(),
+    chromeObjectMissing: Joi.boolean().optional(),
+    chromeRuntimeMissing: Joi.boolean().optional(),
+    permissionsInconsistent: Joi.boolean().allow(null).optional(),
+    pluginCount: Joi.number().integer().min(0).optional(),
+    mimeTypeCount: Joi.number().integer().min(0).optional(),
+    automationArtifacts: Joi.array().items(Joi.string().max(128)).max(50).optional(),
+    // Enviado por versões anteriores do SDK (o teste do console também dispara com o DevTools aberto); ignorado
+    cdpRuntime: Joi.boolean().optional(),
+    detected: Joi.array().items(Joi.string().max(64)).max(50).optional(),
+    timestamp: Joi.number().optional()
   }).optional()
 });
 
 /**
- * Cria rotas de verificação de identidade
+ * Schema de validação para lotes de eventos comportamentais (apenas tipos, contagens e intervalos)
+ */
+const eventBatchSchema = Joi.object({
+  sessionId: Joi.string().required(),
+  timestamp: Joi.number().required(),
+  batch: Joi.object({
+    sequence: Joi.number().integer().min(0).required(),
+    sessionStart: Joi.number().required(),
+    start: Joi.number().required(),
+    end: Joi.number().required(),
+    eventCounts: Joi.object().pattern(Joi.string().max(64), Joi.number().integer().min(0)).required(),
+    types: Joi.array().items(Joi.string().max(64)).max(50).required(),
+    events: Joi.array()
+      .items(Joi.array().ordered(Joi.number().integer().min(0), Joi.number().min(0)).length(2))
+      .max(MAX_BATCH_EVENTS)
+      .required(),
+    dropped: Joi.number().integer().min(0).optional()
+  }).required()
+});
+
+/**
+ * Corpo enviado por navigator.sendBeacon (text/plain) convertido de JSON
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next function
+ * @returns {void}
+ */
+function parseBeaconBody(req, res, next) {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  try {
+    req.body = JSON.parse(req.body);
+    return next();
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid request data',
+      code: ERROR_CODES.API_ERROR,
+      details: 'Request body is not valid JSON'
+    });
+  }
+}
+
+/**
+ * Schema de validação para feedback (rótulo de fraude de uma sessão)
+ */
+const feedbackSchema = Joi.object({
+  sessionId: Joi.string().required(),
+  label: Joi.string().valid(...Object.values(LABEL_VALUES)).required(),
+  source: Joi.string().pattern(/^[a-z0-9_-]+$/).max(64).required(),
+  timestamp: Joi.date().iso().max('now').optional(),
+  reason: Joi.string().max(500).optional()
+});
+
+/**
+ * Verifica se a requisição pediu o modo explain (header X-Explain ou ?explain=true)
+ * @param {Object} req - Request object
+ * @returns {boolean} Se o trace das regras deve ser retornado
+ */
+function isExplainRequested(req) {
+  const flag = String(req.get('X-Explain') || req.query.explain || '').toLowerCase();
+  return flag === 'true' || flag === '1';
+}
+
+/**
+ * Idioma das mensagens das razões, negociado pelo header Accept-Language
+ * (ex.: pt, pt-BR;q=0.9 -> pt-BR; es-MX -> es); sem correspondência, inglês
+ * @param {Object} req - Request object
+ * @returns {string} Idioma
+ */
+function getReasonLocale(req) {
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+/**
+ * Dados calculados no servidor que o log de verificações grava junto com o payload,
+ * para que simulação e treino usem os mesmos valores de sessão e dispositivo da verificação
+ * @param {Object} verificationData - Dados de verificação
+ * @param {Object} session - Sessão da verificação (os lotes de eventos em session.behavioral)
+ * @returns {Object} { session, device, user, stream } (apenas os presentes)
+ */
+function getDerivedData(verificationData, session) {
+  const derived = {};
+  for (const field of ['session', 'device', 'user']) {
+    if (verificationData[field]) {
+      derived[field] = verificationData[field];
+    }
+  }
+  // Eventos da sessão já acumulados: o comportamento é completado da mesma forma ao ler o log
+  if (session && session.behavioral) {
+    derived.stream = session.behavioral;
+  }
+  return derived;
+}
+
+/**
+ * Avalia o challenger (shadow) e registra a comparação com o champion
+ * Nunca propaga erros: o challenger não pode afetar a resposta
  * @param {Object} ruleEngine - Instância do rule engine
  * @param {Object} scoringService - Instância do scoring service
+ * @param {Object} shadowRecorder - Registro champion/challenger
+ * @param {Object} verificationData - Dados de verificação
+ * @param {Object} champion - Resultado do champion ({ decision, score, version })
+ */
+async function evaluateShadow(ruleEngine, scoringService, shadowRecorder, verificationData, champion) {
+  try {
+    const challengerInfo = ruleEngine.getChallengerInfo();
+    const challengerScoring = ruleEngine.challenger && ruleEngine.challenger.scoring;
+    const challengerResults = await ruleEngine.evaluateChallengerRules(verificationData);
+    if (!challengerResults) {
+      return;
+    }
+
+    // Thresholds e pesos do perfil definido no próprio challenger
+    const profile = scoringService.getProfile(verificationData.context, challengerScoring);
+    const challengerScore = await scoringService.calculateScore(verificationData, challengerResults, { profile });
+
+    await shadowRecorder.record({
+      sessionId: verificationData.sessionId,
+      champion,
+      challenger: {
+        decision: scoringService.getDecision(challengerScore.score, challengerResults, profile),
+        score: challengerScore.score,
+        version: challengerInfo.version,
+        hash: challengerInfo.hash
+      }
+    });
+  } catch (error) {
+    console.error('Challenger evaluation error:', error);
+  }
+}
+
+/**
+ * Cria rotas de verificação de identidade
+ * @param {Object} ruleEngine - Instância do rule engine (padrão sem registro de tenants)
+ * @param {Object} scoringService - Instância do scoring service (padrão sem registro de tenants)
+ * @param {Object} services - Serviços auxiliares
+ * @param {Object} services.shadowRecorder - Registro champion/challenger
+ * @param {boolean} services.enableExplain - Permite o modo explain
+ * @param {Object} services.tenants - Registro de tenants com os serviços de cada tenant
+ * @param {Object} services.labelStore - Armazenamento dos rótulos de feedback
+ * @param {Function} services.requireAdmin - Autenticação administrativa exigida em /feedback
+ * @param {Object} services.verificationLog - Log dos payloads de verificação (opcional)
+ * @param {Object} services.sessionService - Sessões de verificação (padrão sem registro de tenants)
+ * @param {Object} services.deviceRegistry - Dispositivos conhecidos por usuário (padrão sem registro de tenants)
  * @returns {Router} Router do Express
  */
-function verifyIdentityRoute(ruleEngine, scoringService) {
+function verifyIdentityRoute(ruleEngine, scoringService, services = {}) {
   const router = express.Router();
+  const { enableExplain = false, tenants, labelStore, verificationLog } = services;
+  // Sem chaves administrativas configuradas, /feedback fica desabilitado
+  const requireAdmin = services.requireAdmin || adminMiddleware({});
+
+  /**
+   * Serviços do tenant identificado pela API key (req.sdk.tenant)
+   * @param {Object} req - Request object
+   * @returns {Object} { tenant, ruleEngine, scoringService, shadowRecorder, sessionService, deviceRegistry }
+   */
+  const resolveServices = (req) => {
+    const tenant = req.sdk?.tenant || null;
+    const tenantServices = tenant && tenants ? tenants.getServices(tenant.id) : null;
+
+    if (tenantServices) {
+      return { tenant, ...tenantServices };
+    }
+    return {
+      tenant,
+      ruleEngine,
+      scoringService,
+      shadowRecorder: services.shadowRecorder,
+      sessionService: services.sessionService,
+      deviceRegistry: services.deviceRegistry
+    };
+  };
 
   /**
    * POST /api/identity/verify
@@ -65,7 +274,21 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
     validateRequest(verifyIdentitySchema),
     asyncHandler(async (req, res) => {
       try {
-        const { sessionId, timestamp, fingerprint, behavioral, facial } = req.validatedData;
+        const { sessionId, timestamp, context, userId, fingerprint, botSignals } = req.validatedData;
+        const {
+          tenant,
+          ruleEngine,
+          scoringService,
+          shadowRecorder,
+          sessionService,
+          deviceRegistry
+        } = resolveServices(req);
+
+        // Features do tenant: blocos desligados são ignorados
+        const isEnabled = (name, fallback = true) => (tenant ? tenant.isFeatureEnabled(name, fallback) : fallback);
+        const behavioralEnabled = isEnabled(TENANT_FEATURES.BEHAVIORAL);
+        const behavioral = behavioralEnabled ? req.validatedData.behavioral : undefined;
+        const facial = isEnabled(TENANT_FEATURES.FACIAL) ? req.validatedData.facial : undefined;
 
         // Valida timestamp (não pode ser muito antigo)
         const now = Date.now();
@@ -79,13 +302,24 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
           );
         }
 
+        // Perfil de scoring do contexto (login, signup, payment...)
+        let profile;
+        try {
+          profile = scoringService.getProfile(context);
+        } catch (error) {
+          throw createError('Invalid scoring context', ERROR_CODES.API_ERROR, 400, error.message);
+        }
+
         // Processa dados de entrada
         const verificationData = {
           sessionId,
           timestamp,
+          context: context || null,
+          userId: userId || null,
           fingerprint,
           behavioral,
           facial,
+          botSignals: botSignals || null,
           requestInfo: {
             ip: req.sdk.ip,
             userAgent: req.sdk.userAgent,
@@ -94,50 +328,131 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
           }
         };
 
-        // Aplica regras do rule engine
-        const ruleResults = await ruleEngine.evaluateRules(verificationData);
+        // Sessão da verificação (SESSION_EXPIRED se inativa além do timeout); o histórico fica disponível como `session`
+        const session = sessionService ? await sessionService.open(sessionId) : null;
+        if (session) {
+          verificationData.session = sessionService.summarize(session, verificationData);
+          // Eventos da sessão inteira recebidos em lotes (POST /events), no lugar da amostra da verificação
+          if (behavioralEnabled) {
+            verificationData.behavioral = mergeStreamedBehavior(behavioral, session.behavioral);
+          }
+        }
+
+        // Atributos contraditórios do fingerprint, usados pelas regras e pelo score de fingerprint
+        verificationData.consistency = analyzeConsistency(fingerprint, verificationData.requestInfo);
+
+        // Ritmo de digitação comparado com o esperado de pessoas (métricas já completadas com os lotes da sessão)
+        const metrics = verificationData.behavioral?.metrics;
+        const keystrokeDynamics = metrics?.keystrokeDynamics;
+        verificationData.keystroke = analyzeKeystrokes(keystrokeDynamics);
+
+        // Trajetórias do cursor comparadas com o esperado de pessoas
+        verificationData.mouse = analyzeMouseDynamics(metrics?.mouseDynamics);
+
+        // Toques e sensores de movimento comparados com um aparelho na mão de uma pessoa
+        verificationData.mobile = analyzeMobileSignals(metrics);
+
+        // Dispositivo da verificação: com userId, reconhecido entre os dispositivos já vistos do usuário
+        // (e a digitação comparada com o perfil do usuário no dispositivo)
+        if (userId && deviceRegistry) {
+          Object.assign(verificationData, await deviceRegistry.recognize(userId, fingerprint, { keystrokeDynamics }));
+        } else {
+          verificationData.device = { id: computeDeviceId(fingerprint) };
+        }
+
+        // Registra a verificação nos contadores de velocidade antes de avaliar as regras
+        // (apenas se alguma regra habilitada usa count() ou countDistinct())
+        if (ruleEngine.usesVelocity()) {
+          await ruleEngine.velocity.record(verificationData);
+        }
+
+        // Aplica regras do rule engine (versão lida junto com o snapshot das regras)
+        const rulesetVersion = ruleEngine.version;
+        const explainEnabled = isEnabled(TENANT_FEATURES.EXPLAIN, enableExplain);
+        const explain = explainEnabled && isExplainRequested(req);
+        const ruleResults = await ruleEngine.evaluateRules(verificationData, null, { explain });
 
         // Calcula score de confiança
-        const scoreResult = await scoringService.calculateScore(verificationData, ruleResults);
+        const scoreResult = await scoringService.calculateScore(verificationData, ruleResults, { profile });
 
-        // Determina decisão baseada no score
-        const decision = scoringService.getDecision(scoreResult.score);
+        // Determina decisão baseada no score, nos thresholds do perfil e nas ações das regras disparadas
+        const { decision, forcedBy } = scoringService.resolveDecision(scoreResult.score, ruleResults, profile);
 
-        // Prepara resposta
+        // Persiste a verificação na sessão antes de responder, para a próxima verificação já enxergá-la
+        const recordedSession = session
+          ? await sessionService.record(session, verificationData, {
+            score: scoreResult.score,
+            decision,
+            reasons: scoreResult.reasons,
+            ruleResults,
+            processingTime: Date.now() - now,
+            rulesetVersion
+          })
+          : null;
+
+        // Prepara resposta (mensagens das razões no idioma do cliente)
+        const locale = getReasonLocale(req);
         const response = {
           score: scoreResult.score,
           decision: decision,
-          reasons: scoreResult.reasons,
+          forcedBy: forcedBy,
+          reasons: localizeReasons(scoreResult.reasons, locale),
+          // Pontos de cada componente e regra disparada sobre o score neutro (null com regra terminal)
+          contributions: scoreResult.contributions,
           sessionId: sessionId,
+          userId: userId || null,
+          device: verificationData.device,
+          tenant: tenant?.id || null,
+          context: profile.name,
+          rulesetVersion: rulesetVersion,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - now,
-          ruleResults: ruleResults.map(rule => ({
-            id: rule.id,
-            name: rule.name,
-            passed: rule.passed,
-            weight: rule.weight,
-            score: rule.score
-          })),
+          ruleResults: explain
+            ? ruleResults.map(rule => ({ ...new RuleResult(rule).toJSON(), trace: rule.trace }))
+            : ruleResults.map(rule => ({
+              id: rule.id,
+              name: rule.name,
+              passed: rule.passed,
+              weight: rule.weight,
+              score: rule.score,
+              action: rule.action,
+              terminal: rule.terminal
+            })),
           metadata: {
             fingerprint: {
               collected: !!fingerprint,
-              age: now - fingerprint.timestamp
+              age: now - fingerprint.timestamp,
+              inconsistencies: verificationData.consistency.inconsistencies
             },
             behavioral: {
-              collected: !!behavioral,
-              eventCount: behavioral?.totalEvents || 0,
-              duration: behavioral?.duration || 0
+              collected: !!verificationData.behavioral,
+              eventCount: verificationData.behavioral?.totalEvents || 0,
+              duration: verificationData.behavioral?.duration || 0,
+              streamedBatches: verificationData.behavioral?.stream?.batchCount || 0,
+              keystrokeAnomalies: verificationData.keystroke.anomalies,
+              mouseAnomalies: verificationData.mouse.anomalies,
+              mobileAnomalies: verificationData.mobile.anomalies
             },
             facial: {
               collected: !!facial && !facial.error,
               error: facial?.error || null
-            }
+            },
+            botSignals: {
+              collected: !!botSignals,
+              detected: botSignals?.detected || []
+            },
+            session: recordedSession ? {
+              verificationCount: recordedSession.verificationCount,
+              fingerprintChanged: verificationData.session.fingerprintChanged,
+              scoreTrend: verificationData.session.scoreTrend
+            } : null
           }
         };
 
         // Log da verificação (em desenvolvimento)
         if (process.env.NODE_ENV === 'development') {
           console.log('Identity Verification Result:', {
+            tenant: tenant?.id,
             sessionId,
             score: scoreResult.score,
             decision,
@@ -145,7 +460,27 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
           });
         }
 
-        res.json(response);
+        res.set('Content-Language', locale).json(response);
+
+        // Payload gravado para simulação e treino, sem impactar a resposta
+        // (sem os blocos desligados para o tenant, como na verificação)
+        if (verificationLog) {
+          try {
+            const payload = { ...req.validatedData, behavioral, facial };
+            await verificationLog.append(payload, verificationData.requestInfo, tenant?.id || null, getDerivedData(verificationData, session));
+          } catch (error) {
+            console.error('Verification log error:', error);
+          }
+        }
+
+        // Challenger avaliado após a resposta para não impactar a latência
+        if (shadowRecorder && ruleEngine.hasChallenger()) {
+          await evaluateShadow(ruleEngine, scoringService, shadowRecorder, verificationData, {
+            decision,
+            score: scoreResult.score,
+            version: rulesetVersion
+          });
+        }
 
       } catch (error) {
         console.error('Identity verification error:', error);
@@ -164,11 +499,76 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
     })
   );
 
+  /**
+   * POST /api/identity/events
+   * Acumula na sessão um lote de eventos comportamentais enviado durante a sessão
+   */
+  router.post('/events',
+    express.text({ type: 'text/plain', limit: '1mb' }),
+    parseBeaconBody,
+    validateRequest(eventBatchSchema),
+    asyncHandler(async (req, res) => {
+      const { tenant, sessionService } = resolveServices(req);
+      if (tenant && !tenant.isFeatureEnabled(TENANT_FEATURES.BEHAVIORAL, true)) {
+        throw createError(
+          'Behavioral tracking is disabled for this tenant',
+          ERROR_CODES.API_ERROR,
+          403,
+          'Disable eventBatchInterval in the SDK for this API key'
+        );
+      }
+      if (!sessionService) {
+        throw createError(
+          'Event batches not available',
+          ERROR_CODES.API_ERROR,
+          503,
+          'No session store is configured'
+        );
+      }
+
+      const { sessionId, batch } = req.validatedData;
+      const session = await sessionService.open(sessionId);
+      const result = await sessionService.recordEvents(session, batch);
+
+      res.status(result.accepted ? 202 : 200).json({ sessionId, ...result });
+    })
+  );
+
+  /**
+   * POST /api/identity/feedback
+   * Registra o desfecho conhecido de uma sessão (fraude ou legítima)
+   * Exige a chave administrativa: a API key do SDK é pública no navegador
+   */
+  router.post('/feedback',
+    requireAdmin,
+    validateRequest(feedbackSchema),
+    asyncHandler(async (req, res) => {
+      if (!labelStore) {
+        throw createError(
+          'Feedback not available',
+          ERROR_CODES.API_ERROR,
+          503,
+          'No label store is configured'
+        );
+      }
+
+      const { tenant } = resolveServices(req);
+      const label = await labelStore.append({
+        ...req.validatedData,
+        tenant: tenant?.id || null,
+        actor: req.admin.actor
+      });
+
+      res.status(201).json({ label });
+    })
+  );
+
   /**
    * GET /api/identity/status
    * Obtém status do serviço de verificação
    */
   router.get('/status', asyncHandler(async (req, res) => {
+    const { tenant, ruleEngine, scoringService } = resolveServices(req);
     const status = {
       service: 'NextTrust Identity Verification',
       status: 'operational',
@@ -178,6 +578,9 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
         ruleEngine: ruleEngine ? 'ready' : 'not_ready',
         scoringService: scoringService ? 'ready' : 'not_ready'
       },
+      tenant: tenant?.id || null,
+      rulesetVersion: ruleEngine ? ruleEngine.version : null,
+      model: scoringService?.model ? scoringService.model.getInfo() : null,
       limits: {
         maxRequestAge: '5 minutes',
         maxFingerprintAge: '5 minutes',
@@ -202,6 +605,7 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
       );
     }
 
+    const { ruleEngine } = resolveServices(req);
     const rules = ruleEngine ? ruleEngine.getActiveRules() : [];
     
     res.json({
@@ -261,16 +665,19 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
     };
 
     // Processa dados de teste
+    const { ruleEngine, scoringService } = resolveServices(req);
     const ruleResults = await ruleEngine.evaluateRules(testData);
     const scoreResult = await scoringService.calculateScore(testData, ruleResults);
-    const decision = scoringService.getDecision(scoreResult.score);
+    const { decision, forcedBy } = scoringService.resolveDecision(scoreResult.score, ruleResults);
 
     res.json({
       message: 'Test verification completed',
       result: {
         score: scoreResult.score,
         decision: decision,
-        reasons: scoreResult.reasons,
+        forcedBy: forcedBy,
+        reasons: localizeReasons(scoreResult.reasons, getReasonLocale(req)),
+        contributions: scoreResult.contributions,
         ruleResults: ruleResults
       },
       timestamp: new Date().toISOString()
@@ -281,5 +688,7 @@ function verifyIdentityRoute(ruleEngine, scoringService) {
 }
 
 export {
-  verifyIdentityRoute
+  verifyIdentityRoute,
+  verifyIdentitySchema,
+  feedbackSchema
 };
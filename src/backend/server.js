@@ -9,29 +9,71 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import compression from 'compression';
 import morgan from 'morgan';
+import path from 'path';
 
 import { verifyIdentityRoute } from './routes/identity.js';
-import { sdkMiddleware } from './middleware/sdk.js';
+import { adminRoute } from './routes/admin.js';
+import { sdkMiddleware, adminMiddleware, parseAdminKeys, redactApiKey } from './middleware/sdk.js';
 import { errorHandler } from './middleware/error.js';
-import { RuleEngine } from './services/rule-engine.js';
+import { RuleEngine, RULE_ENGINE_EVENTS } from './services/rule-engine.js';
 import { ScoringService } from './services/scoring.js';
+import { ShadowRecorder } from './services/shadow-recorder.js';
+import { AuditLog } from './services/audit-log.js';
+import { LabelStore } from './services/labels.js';
+import { VerificationLog } from './services/verification-log.js';
+import { RuleAdminService } from './services/rule-admin.js';
+import { VelocityTracker, parseVelocityKeys } from './services/velocity.js';
+import { TenantRegistry, DEFAULT_TENANT_ID } from './services/tenants.js';
+import { loadModel } from './services/model.js';
+import { SessionService, InMemorySessionStore, FileSessionStore } from './services/sessions.js';
+import { DeviceRegistry, InMemoryDeviceStore, FileDeviceStore } from './services/devices.js';
+import { FingerprintMatcher } from './services/fingerprint-match.js';
+import { TENANT_FEATURES } from './models/index.js';
 
 class NextTrustServer {
   constructor(config = {}) {
     this.config = {
       port: process.env.PORT || 3000,
       apiKey: process.env.NEXT_TRUST_API_KEY || 'default-api-key',
+      adminApiKeys: parseAdminKeys(process.env.NEXT_TRUST_ADMIN_KEYS),
       rulesPath: process.env.RULES_PATH || './config/rules.json',
+      tenantsPath: process.env.TENANTS_PATH || null,
+      modelPath: process.env.MODEL_PATH || null,
+      watchRules: process.env.NODE_ENV !== 'test' && process.env.WATCH_RULES !== 'false',
+      challengerRulesPath: process.env.CHALLENGER_RULES_PATH || null,
+      auditLogPath: process.env.AUDIT_LOG_PATH || './logs/audit.jsonl',
+      labelsPath: process.env.LABELS_PATH || './logs/labels.jsonl',
+      shadowLogPath: process.env.SHADOW_LOG_PATH || null,
+      verificationLogPath: process.env.VERIFICATION_LOG_PATH || null,
+      sessionsPath: process.env.SESSIONS_PATH || null,
+      sessionTimeout: (parseInt(process.env.SESSION_TIMEOUT) || 30) * 60 * 1000, // minutos
+      devicesPath: process.env.DEVICES_PATH || null,
+      deviceMatchThreshold: process.env.DEVICE_MATCH_THRESHOLD ? parseFloat(process.env.DEVICE_MATCH_THRESHOLD) : undefined,
+      velocityKeys: parseVelocityKeys(process.env.VELOCITY_KEYS),
+      enableExplain: process.env.ENABLE_EXPLAIN
+        ? process.env.ENABLE_EXPLAIN === 'true'
+        : process.env.NODE_ENV !== 'production',
       enableCors: process.env.ENABLE_CORS !== 'false',
       enableRateLimit: process.env.ENABLE_RATE_LIMIT !== 'false',
       rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 15, // minutos
       rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100, // requests por window
+      eventsRateLimitMax: parseInt(process.env.EVENTS_RATE_LIMIT_MAX) || 300, // lotes de eventos por window
       ...config
     };
 
     this.app = express();
+    this.tenants = null;
+    this.models = new Map();
     this.ruleEngine = null;
     this.scoringService = null;
+    this.shadowRecorder = null;
+    this.auditLog = null;
+    this.labelStore = null;
+    this.verificationLog = null;
+    this.sessionService = null;
+    this.deviceRegistry = null;
+    this.velocityTracker = null;
+    this.ruleAdmin = null;
     this.isInitialized = false;
   }
 
@@ -66,14 +108,134 @@ class NextTrustServer {
    * @private
    */
   async _initializeServices() {
+    // Tenants: sem arquivo de tenants, um único tenant com a API key e as regras da configuração
+    this.tenants = this.config.tenantsPath
+      ? await TenantRegistry.load(this.config.tenantsPath)
+      : TenantRegistry.fromDefinitions([{
+        id: DEFAULT_TENANT_ID,
+        apiKeys: [this.config.apiKey],
+        rulesPath: this.config.rulesPath,
+        challengerRulesPath: this.config.challengerRulesPath,
+        modelPath: this.config.modelPath
+      }]);
+
+    // Trilha de auditoria compartilhada (cada entrada registra o tenant)
+    this.auditLog = new AuditLog(this.config.auditLogPath);
+
+    // Rótulos de feedback e payloads gravados para treino (cada registro informa o tenant)
+    this.labelStore = new LabelStore(this.config.labelsPath);
+    this.verificationLog = this.config.verificationLogPath
+      ? new VerificationLog(this.config.verificationLogPath)
+      : null;
+
+    for (const tenant of this.tenants.list()) {
+      this.tenants.setServices(tenant.id, await this._createTenantServices(tenant));
+    }
+
+    // Serviços do tenant padrão
+    const defaults = this.tenants.getServices(this.tenants.getDefault().id);
+    this.velocityTracker = defaults.velocityTracker;
+    this.ruleEngine = defaults.ruleEngine;
+    this.shadowRecorder = defaults.shadowRecorder;
+    this.ruleAdmin = defaults.ruleAdmin;
+    this.scoringService = defaults.scoringService;
+    this.sessionService = defaults.sessionService;
+    this.deviceRegistry = defaults.deviceRegistry;
+
+    console.log(`Services initialized (${this.tenants.list().length} tenant(s))`);
+  }
+
+  /**
+   * Cria os serviços isolados de um tenant
+   * @private
+   * @param {Tenant} tenant - Tenant
+   * @returns {Object} { velocityTracker, ruleEngine, shadowRecorder, ruleAdmin, scoringService, sessionService, deviceRegistry }
+   */
+  async _createTenantServices(tenant) {
+    // Contadores de velocidade (count/countDistinct nas condições), em memória por padrão
+    const velocityTracker = new VelocityTracker({ keys: this.config.velocityKeys });
+
     // Inicializa Rule Engine
-    this.ruleEngine = new RuleEngine(this.config.rulesPath);
-    await this.ruleEngine.loadRules();
+    const ruleEngine = new RuleEngine(tenant.rulesPath, { velocity: velocityTracker });
+    await ruleEngine.loadRules();
+
+    // Hot-reload das regras: falhas mantêm o conjunto anterior
+    ruleEngine.on(RULE_ENGINE_EVENTS.RELOAD_FAILED, (event) => {
+      console.error(`Rule Engine reload failed (tenant ${tenant.id}):`, event);
+    });
 
-    // Inicializa Scoring Service
-    this.scoringService = new ScoringService(this.ruleEngine);
+    if (this.config.watchRules) {
+      ruleEngine.watchRules();
+    }
 
-    console.log('Services initialized');
+    // Challenger avaliado em paralelo (shadow), sem afetar a decisão
+    if (tenant.challengerRulesPath) {
+      await ruleEngine.loadChallenger(tenant.challengerRulesPath);
+    }
+
+    // Comparação champion/challenger: com SHADOW_LOG_PATH, persistida e recarregada ao iniciar
+    const shadowRecorder = new ShadowRecorder({
+      filePath: this.config.shadowLogPath,
+      tenantId: tenant.id,
+      challengerHash: ruleEngine.getChallengerInfo()?.hash
+    });
+    await shadowRecorder.load();
+
+    // Inicializa Scoring Service com os thresholds e o modelo de ML do tenant
+    const scoringService = new ScoringService(ruleEngine, {
+      model: tenant.isFeatureEnabled(TENANT_FEATURES.MODEL, true)
+        ? await this._loadModel(tenant.modelPath || this.config.modelPath)
+        : null
+    });
+    if (tenant.thresholds) {
+      scoringService.updateThresholds(tenant.thresholds);
+    }
+
+    return {
+      velocityTracker,
+      ruleEngine,
+      shadowRecorder,
+      // Administração persistente de regras com trilha de auditoria
+      ruleAdmin: new RuleAdminService(ruleEngine, this.auditLog, { tenantId: tenant.id }),
+      scoringService,
+      // Sessões de verificação: em arquivos por tenant com SESSIONS_PATH, em memória caso contrário
+      sessionService: new SessionService({
+        store: this.config.sessionsPath
+          ? new FileSessionStore(path.join(this.config.sessionsPath, tenant.id))
+          : new InMemorySessionStore(),
+        sessionTimeout: this.config.sessionTimeout
+      }),
+      // Dispositivos conhecidos por usuário: em arquivos por tenant com DEVICES_PATH, em memória caso contrário
+      deviceRegistry: tenant.isFeatureEnabled(TENANT_FEATURES.DEVICES, true)
+        ? new DeviceRegistry({
+          store: this.config.devicesPath
+            ? new FileDeviceStore(path.join(this.config.devicesPath, tenant.id))
+            : new InMemoryDeviceStore(),
+          // Liga fingerprints parecidos (ex.: navegador atualizado) ao dispositivo já conhecido
+          matcher: new FingerprintMatcher({ threshold: this.config.deviceMatchThreshold })
+        })
+        : null
+    };
+  }
+
+  /**
+   * Carrega um modelo de ML, compartilhando a instância entre tenants do mesmo arquivo
+   * @private
+   * @param {string} modelPath - Caminho do modelo (opcional)
+   * @returns {Object|null} Modelo
+   */
+  async _loadModel(modelPath) {
+    if (!modelPath) {
+      return null;
+    }
+
+    if (!this.models.has(modelPath)) {
+      const model = await loadModel(modelPath);
+      console.log(`Loaded ${model.type} model${model.version ? ` ${model.version}` : ''} from ${modelPath}`);
+      this.models.set(modelPath, model);
+    }
+
+    return this.models.get(modelPath);
   }
 
   /**
@@ -92,39 +254,85 @@ class NextTrustServer {
       this.app.use(cors({
         origin: process.env.CORS_ORIGIN || '*',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Session-ID']
+        allowedHeaders: ['Content-Type', 'Content-Encoding', 'Authorization', 'X-API-Key', 'X-Session-ID', 'X-Explain']
       }));
     }
 
     // Compressão
     this.app.use(compression());
 
-    // Logging
+    // Logging (formato combined, com a API key da query string ocultada)
     if (process.env.NODE_ENV !== 'test') {
-      this.app.use(morgan('combined'));
+      morgan.token('redacted-url', req => redactApiKey(req.originalUrl || req.url));
+      this.app.use(morgan(morgan.combined.replace(':url', ':redacted-url')));
     }
 
-    // Rate limiting
+    // Rate limiting por IP antes da autenticação: conta só as requisições recusadas com 401
+    // (API key ausente ou inválida), para não limitar tenants com rateLimit acima do global
     if (this.config.enableRateLimit) {
-      const limiter = rateLimit({
+      this.app.use('/api', this._createLimiter({
         windowMs: this.config.rateLimitWindow * 60 * 1000,
-        max: this.config.rateLimitMax,
-        message: {
-          error: 'Too many requests',
-          code: 'RATE_LIMIT_EXCEEDED'
-        },
-        standardHeaders: true,
-        legacyHeaders: false
-      });
-      this.app.use('/api', limiter);
+        maxRequests: this.config.rateLimitMax,
+        skipSuccessfulRequests: true,
+        requestWasSuccessful: (req, res) => res.statusCode !== 401
+      }));
     }
 
     // Parsing de JSON
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-    // Middleware do SDK
-    this.app.use('/api', sdkMiddleware(this.config));
+    // Middleware do SDK (identifica o tenant pela API key)
+    this.app.use('/api', sdkMiddleware(this.config, this.tenants));
+
+    // Rate limiting por tenant; os lotes de eventos, enviados ao longo de toda a sessão,
+    // têm um limite próprio e não consomem o das verificações
+    if (this.config.enableRateLimit) {
+      this.app.use('/api/identity/events', this._createLimiter({
+        windowMs: this.config.rateLimitWindow * 60 * 1000,
+        maxRequests: this.config.eventsRateLimitMax,
+        keyGenerator: req => `${req.sdk.tenant.id}:${req.ip}`
+      }));
+      this.app.use('/api', this._createTenantRateLimiter());
+    }
+  }
+
+  /**
+   * Cria o rate limiting por tenant: cada tenant tem seu próprio limite por IP,
+   * com a configuração global como padrão
+   * @private
+   * @returns {Function} Middleware function
+   */
+  _createTenantRateLimiter() {
+    const limiters = new Map(this.tenants.list().map(tenant => [tenant.id, this._createLimiter({
+      windowMs: tenant.rateLimit?.windowMs || this.config.rateLimitWindow * 60 * 1000,
+      maxRequests: tenant.rateLimit?.maxRequests || this.config.rateLimitMax,
+      keyGenerator: req => `${req.sdk.tenant.id}:${req.ip}`
+    })]));
+
+    return (req, res, next) => (req.path === '/identity/events'
+      ? next()
+      : limiters.get(req.sdk.tenant.id)(req, res, next));
+  }
+
+  /**
+   * Cria um rate limiter por IP
+   * @private
+   * @param {Object} options - { windowMs, maxRequests } e demais opções do express-rate-limit
+   * @returns {Function} Middleware function
+   */
+  _createLimiter({ windowMs, maxRequests, ...options }) {
+    return rateLimit({
+      ...options,
+      windowMs,
+      max: maxRequests,
+      message: {
+        error: 'Too many requests',
+        code: 'RATE_LIMIT_EXCEEDED'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
   }
 
   /**
@@ -145,8 +353,33 @@ class NextTrustServer {
       });
     });
 
-    // Rotas da API
-    this.app.use('/api/identity', verifyIdentityRoute(this.ruleEngine, this.scoringService));
+    const requireAdmin = adminMiddleware(this.config);
+
+    // Rotas da API (serviços resolvidos pelo tenant da API key)
+    this.app.use('/api/identity', verifyIdentityRoute(this.ruleEngine, this.scoringService, {
+      shadowRecorder: this.shadowRecorder,
+      enableExplain: this.config.enableExplain,
+      tenants: this.tenants,
+      labelStore: this.labelStore,
+      requireAdmin,
+      verificationLog: this.verificationLog,
+      sessionService: this.sessionService,
+      deviceRegistry: this.deviceRegistry
+    }));
+
+    // Administração: /api/admin atua no tenant padrão e /api/admin/tenants/:id em cada tenant
+    for (const tenant of this.tenants.list()) {
+      const { ruleEngine, shadowRecorder, ruleAdmin } = this.tenants.getServices(tenant.id);
+      this.app.use(`/api/admin/tenants/${tenant.id}`, requireAdmin, adminRoute(ruleEngine, {
+        shadowRecorder,
+        ruleAdmin
+      }));
+    }
+    this.app.use('/api/admin', requireAdmin, adminRoute(this.ruleEngine, {
+      shadowRecorder: this.shadowRecorder,
+      ruleAdmin: this.ruleAdmin,
+      tenants: this.tenants
+    }));
 
     // Rota raiz
     this.app.get('/', (req, res) => {
@@ -156,7 +389,9 @@ class NextTrustServer {
         description: 'API para verificação de identidade e análise de confiança',
         endpoints: {
           health: '/health',
-          verify: '/api/identity/verify'
+          verify: '/api/identity/verify',
+          events: '/api/identity/events',
+          feedback: '/api/identity/feedback'
         }
       });
     });
@@ -205,6 +440,10 @@ class NextTrustServer {
    * Para o servidor
    */
   async stop() {
+    for (const tenant of this.tenants ? this.tenants.list() : []) {
+      this.tenants.getServices(tenant.id)?.ruleEngine.unwatchRules();
+    }
+
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
@@ -0,0 +1,79 @@
+/**
+ * Base das análises comportamentais para NextTrust SDK
+ * Digitação, mouse e toques/sensores normalizam os resumos enviados pelo SDK e
+ * executam uma tabela de verificações com o mesmo formato de resultado
+ */
+
+/**
+ * Penalidade no score comportamental por severidade da anomalia
+ */
+const ANOMALY_PENALTY = {
+  low: 5,
+  medium: 15,
+  high: 25
+};
+
+/**
+ * Número finito do resumo do SDK (valores ausentes ou inválidos contam como 0)
+ * @param {*} value - Valor recebido
+ * @returns {number} Número
+ */
+const toNumber = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+/**
+ * Distribuição do resumo do SDK
+ * @param {Object} value - { mean, stdDev, max }
+ * @returns {Object} { mean, stdDev, max } numéricos
+ */
+const toDistribution = value => ({
+  mean: toNumber(value && value.mean),
+  stdDev: toNumber(value && value.stdDev),
+  max: toNumber(value && value.max)
+});
+
+/**
+ * Executa as verificações sobre os dados normalizados
+ * @param {Object} checks - { id: dados => { severity, detail } | null }
+ * @param {*} input - Dados normalizados ou null sem dados suficientes (nada é avaliado e humanLike fica true)
+ * @returns {Object} { analyzed, humanLike, count, ids, anomalies: [{ id, severity, detail }], penalty }
+ */
+function runAnomalyChecks(checks, input) {
+  const anomalies = [];
+
+  if (input) {
+    for (const [id, check] of Object.entries(checks)) {
+      const result = check(input);
+      if (result) {
+        anomalies.push({ id, ...result });
+      }
+    }
+  }
+
+  return {
+    analyzed: !!input,
+    humanLike: anomalies.length === 0,
+    count: anomalies.length,
+    ids: anomalies.map(anomaly => anomaly.id),
+    anomalies,
+    penalty: anomalies.reduce((sum, anomaly) => sum + ANOMALY_PENALTY[anomaly.severity], 0)
+  };
+}
+
+/**
+ * Cria o acesso à análise de uma verificação: usa a já calculada na rota (data[key])
+ * ou calcula a partir dos dados (simulação, treino e testes não passam pela rota)
+ * @param {string} key - Campo dos dados de verificação com a análise
+ * @param {Function} analyze - Calcula a análise a partir dos dados de verificação
+ * @returns {Function} (data) => análise
+ */
+function cachedAnalysis(key, analyze) {
+  return data => data[key] || analyze(data);
+}
+
+export {
+  runAnomalyChecks,
+  cachedAnalysis,
+  toNumber,
+  toDistribution,
+  ANOMALY_PENALTY
+};
@@ -0,0 +1,98 @@
+/**
+ * Log de auditoria append-only para NextTrust SDK
+ * Cada alteração administrativa é gravada como uma linha JSON
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+/**
+ * Calcula as diferenças campo a campo entre duas versões de um objeto
+ * @param {Object|null} before - Versão anterior
+ * @param {Object|null} after - Nova versão
+ * @returns {Array} Lista de { field, before, after }
+ */
+function diffObjects(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Classe do Log de Auditoria
+ */
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Acrescenta uma entrada ao log
+   * @param {Object} entry - Entrada ({ actor, action, resource, resourceId, before, after, ... })
+   * @returns {Object} Entrada gravada
+   */
+  async append(entry) {
+    const record = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...entry,
+      diff: diffObjects(entry.before, entry.after)
+    };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, { flag: 'a' });
+
+    return record;
+  }
+
+  /**
+   * Lista entradas do log, das mais recentes para as mais antigas
+   * @param {Object} filters - Filtros
+   * @param {string} filters.resource - Apenas entradas deste tipo de recurso
+   * @param {string} filters.resourceId - Apenas entradas deste recurso
+   * @param {string} filters.tenant - Apenas entradas deste tenant
+   * @param {number} filters.limit - Máximo de entradas
+   * @returns {Array} Entradas
+   */
+  async list(filters = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(entry => !filters.resource || entry.resource === filters.resource)
+      .filter(entry => !filters.resourceId || entry.resourceId === filters.resourceId)
+      // Entradas anteriores ao suporte a tenants pertencem ao tenant padrão
+      .filter(entry => !filters.tenant || (entry.tenant || DEFAULT_TENANT_ID) === filters.tenant)
+      .reverse();
+
+    return entries.slice(0, filters.limit || 100);
+  }
+}
+
+export { AuditLog, diffObjects };
@@ -0,0 +1,298 @@
+/**
+ * Consistência do fingerprint para NextTrust SDK
+ * Cruza atributos que um navegador real informa de forma coerente (sistema do
+ * user agent, platform, renderer WebGL, timezone, fontes, hardware) para detectar
+ * fingerprints adulterados
+ */
+
+/**
+ * Penalidade no score de fingerprint por severidade da inconsistência
+ */
+const INCONSISTENCY_PENALTY = {
+  low: 5,
+  medium: 15,
+  high: 25
+};
+
+/**
+ * Sistemas de platform compatíveis com o sistema declarado no user agent
+ * (Android e Chrome OS informam platform "Linux ...")
+ */
+const COMPATIBLE_PLATFORMS = {
+  windows: ['windows'],
+  mac: ['mac'],
+  ios: ['ios'],
+  android: ['android', 'linux'],
+  chromeos: ['chromeos', 'linux'],
+  linux: ['linux']
+};
+
+/**
+ * Renderers WebGL que indicam o sistema (o renderer mascarado "WebKit WebGL" não indica nenhum)
+ */
+const RENDERER_SYSTEMS = [
+  { pattern: /direct3d|d3d1[01]/i, systems: ['windows'] },
+  { pattern: /\bapple\b/i, systems: ['mac', 'ios'] },
+  { pattern: /adreno|mali/i, systems: ['android', 'linux', 'chromeos'] }
+];
+
+/**
+ * Renderers por software (headless, VMs e automação)
+ */
+const SOFTWARE_RENDERER_PATTERN = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+
+/**
+ * Fontes que só existem no Windows (ou com o Office); as "core" vêm em toda instalação
+ */
+const WINDOWS_FONTS = [
+  'segoe ui', 'microsoft sans serif', 'lucida console', 'consolas', 'calibri', 'cambria',
+  'candara', 'constantia', 'corbel', 'franklin gothic medium', 'palatino linotype'
+];
+const WINDOWS_CORE_FONTS = WINDOWS_FONTS.slice(0, 4);
+
+/**
+ * Sistemas móveis, para a plausibilidade do hardware
+ */
+const MOBILE_SYSTEMS = ['ios', 'android'];
+
+/**
+ * Sistema declarado no user agent
+ * @param {string} userAgent - User agent
+ * @returns {string|null} windows, mac, ios, android, chromeos, linux ou null
+ */
+function detectUserAgentSystem(userAgent) {
+  const value = String(userAgent || '').toLowerCase();
+
+  if (/iphone|ipad|ipod/.test(value)) return 'ios';
+  if (/android/.test(value)) return 'android';
+  if (/\bcros\b/.test(value)) return 'chromeos';
+  if (/windows/.test(value)) return 'windows';
+  if (/macintosh|mac os x/.test(value)) return 'mac';
+  if (/linux|x11/.test(value)) return 'linux';
+  return null;
+}
+
+/**
+ * Sistema indicado por navigator.platform
+ * @param {string} platform - Platform
+ * @returns {string|null} Sistema ou null se não reconhecido
+ */
+function detectPlatformSystem(platform) {
+  const value = String(platform || '').toLowerCase();
+
+  if (/^win/.test(value)) return 'windows';
+  if (/^mac/.test(value)) return 'mac';
+  if (/iphone|ipad|ipod/.test(value)) return 'ios';
+  if (/android/.test(value)) return 'android';
+  if (/cros/.test(value)) return 'chromeos';
+  if (/linux/.test(value)) return 'linux';
+  return null;
+}
+
+/**
+ * Renderer do webglFingerprint (JSON do coletor ou texto)
+ * @param {string} webglFingerprint - Fingerprint WebGL
+ * @returns {string|null} Renderer
+ */
+function extractRenderer(webglFingerprint) {
+  if (!webglFingerprint || typeof webglFingerprint !== 'string') {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(webglFingerprint);
+    return parsed && typeof parsed === 'object' ? parsed.unmaskedRenderer || parsed.renderer || null : null;
+  } catch (error) {
+    return webglFingerprint;
+  }
+}
+
+/**
+ * Offset de um timezone IANA em um instante, no formato de Date.getTimezoneOffset()
+ * (minutos, positivo a oeste de UTC)
+ * @param {string} timeZone - Timezone IANA
+ * @param {number} time - Instante (ms)
+ * @returns {number|null} Offset ou null se o timezone for inválido
+ */
+function timezoneOffsetAt(timeZone, time) {
+  // Hora local no timezone em formato ISO ("sv-SE": AAAA-MM-DD hh:mm:ss), lida como UTC
+  const instant = Math.floor(time / 60000) * 60000;
+  let local;
+  try {
+    local = Date.parse(`${new Date(instant).toLocaleString('sv-SE', { timeZone }).replace(' ', 'T')}Z`);
+  } catch (error) {
+    return null;
+  }
+
+  const offset = Math.round((instant - local) / 60000);
+  return Number.isFinite(offset) ? offset : null;
+}
+
+/**
+ * Verificações de consistência: cada uma recebe o contexto
+ * ({ fingerprint, requestInfo, system }) e retorna { severity, fields, detail } ou null
+ */
+const CONSISTENCY_CHECKS = {
+  // platform diferente do sistema do user agent (user agent trocado)
+  platform_os_mismatch: ({ fingerprint, system }) => {
+    const platformSystem = detectPlatformSystem(fingerprint.platform);
+    if (!system || !platformSystem || COMPATIBLE_PLATFORMS[system].includes(platformSystem)) {
+      return null;
+    }
+    return {
+      severity: 'high',
+      fields: ['userAgent', 'platform'],
+      detail: `User agent claims ${system} but platform is ${fingerprint.platform}`
+    };
+  },
+
+  // Renderer WebGL de outro sistema
+  webgl_os_mismatch: ({ fingerprint, system }) => {
+    const renderer = extractRenderer(fingerprint.webglFingerprint);
+    const indicated = renderer ? RENDERER_SYSTEMS.find(entry => entry.pattern.test(renderer)) : null;
+    if (!system || !indicated || indicated.systems.includes(system)) {
+      return null;
+    }
+    return {
+      severity: 'high',
+      fields: ['userAgent', 'webglFingerprint'],
+      detail: `User agent claims ${system} but WebGL renderer is ${renderer}`
+    };
+  },
+
+  // Renderização por software, típica de navegadores headless e VMs
+  webgl_software_renderer: ({ fingerprint }) => {
+    const renderer = extractRenderer(fingerprint.webglFingerprint);
+    if (!renderer || !SOFTWARE_RENDERER_PATTERN.test(renderer)) {
+      return null;
+    }
+    return {
+      severity: 'medium',
+      fields: ['webglFingerprint'],
+      detail: `WebGL uses a software renderer (${renderer})`
+    };
+  },
+
+  // timezoneOffset diferente do offset do timezone no momento da coleta
+  timezone_offset_mismatch: ({ fingerprint }) => {
+    const offset = Number(fingerprint.timezoneOffset);
+    if (!fingerprint.timezone || fingerprint.timezoneOffset === undefined || fingerprint.timezoneOffset === null ||
+      !Number.isFinite(offset)) {
+      return null;
+    }
+
+    const expected = timezoneOffsetAt(fingerprint.timezone, fingerprint.timestamp || Date.now());
+    if (expected === null || expected === offset) {
+      return null;
+    }
+    return {
+      severity: 'medium',
+      fields: ['timezone', 'timezoneOffset'],
+      detail: `Timezone ${fingerprint.timezone} has offset ${expected} but timezoneOffset is ${offset}`
+    };
+  },
+
+  // Fontes de outro sistema (sem as fontes do Windows no Windows, ou com elas fora dele)
+  fonts_platform_mismatch: ({ fingerprint, system }) => {
+    const fonts = Array.isArray(fingerprint.fonts) ? fingerprint.fonts.map(font => String(font).toLowerCase()) : [];
+    if (!system || fonts.length < 5) {
+      return null;
+    }
+
+    const windowsFonts = fonts.filter(font => WINDOWS_FONTS.includes(font));
+    const missingCore = system === 'windows' && !windowsFonts.some(font => WINDOWS_CORE_FONTS.includes(font));
+    const foreign = system !== 'windows' && windowsFonts.includes('segoe ui') && windowsFonts.length >= 3;
+    if (!missingCore && !foreign) {
+      return null;
+    }
+    return {
+      severity: 'medium',
+      fields: ['userAgent', 'fonts'],
+      detail: missingCore
+        ? 'User agent claims windows but no Windows system fonts were detected'
+        : `User agent claims ${system} but Windows-only fonts were detected (${windowsFonts.join(', ')})`
+    };
+  },
+
+  // Quantidade de núcleos impossível ou improvável para o sistema
+  hardware_concurrency_implausible: ({ fingerprint, system }) => {
+    const value = fingerprint.hardwareConcurrency;
+    if (value === undefined || value === null || value === 'unknown') {
+      return null;
+    }
+
+    const cores = Number(value);
+    if (!Number.isInteger(cores) || cores < 1 || cores > 256) {
+      return { severity: 'high', fields: ['hardwareConcurrency'], detail: `Invalid hardwareConcurrency ${value}` };
+    }
+    if (MOBILE_SYSTEMS.includes(system) && cores > 16) {
+      return {
+        severity: 'medium',
+        fields: ['userAgent', 'hardwareConcurrency'],
+        detail: `User agent claims ${system} but reports ${cores} CPU cores`
+      };
+    }
+    return null;
+  },
+
+  // User agent do JavaScript diferente do header da requisição
+  user_agent_header_mismatch: ({ fingerprint, requestInfo }) => {
+    const header = requestInfo && requestInfo.userAgent;
+    if (!header || !fingerprint.userAgent || header.trim() === String(fingerprint.userAgent).trim()) {
+      return null;
+    }
+    return {
+      severity: 'high',
+      fields: ['userAgent'],
+      detail: 'fingerprint.userAgent differs from the User-Agent request header'
+    };
+  }
+};
+
+/**
+ * Executa as verificações de consistência do fingerprint
+ * @param {Object} fingerprint - Fingerprint coletado
+ * @param {Object} requestInfo - Dados da requisição ({ userAgent, ... })
+ * @returns {Object} { consistent, count, ids, inconsistencies: [{ id, severity, fields, detail }], penalty }
+ */
+function analyzeConsistency(fingerprint, requestInfo = {}) {
+  const inconsistencies = [];
+
+  if (fingerprint) {
+    const context = { fingerprint, requestInfo: requestInfo || {}, system: detectUserAgentSystem(fingerprint.userAgent) };
+    for (const [id, check] of Object.entries(CONSISTENCY_CHECKS)) {
+      const result = check(context);
+      if (result) {
+        inconsistencies.push({ id, ...result });
+      }
+    }
+  }
+
+  return {
+    consistent: inconsistencies.length === 0,
+    count: inconsistencies.length,
+    ids: inconsistencies.map(inconsistency => inconsistency.id),
+    inconsistencies,
+    penalty: inconsistencies.reduce((sum, inconsistency) => sum + INCONSISTENCY_PENALTY[inconsistency.severity], 0)
+  };
+}
+
+/**
+ * Consistência já calculada na verificação ou calculada a partir dos dados
+ * (simulação, treino e testes não passam pela rota)
+ * @param {Object} data - Dados de verificação
+ * @returns {Object} Resultado de analyzeConsistency()
+ */
+function getConsistency(data) {
+  return data.consistency || analyzeConsistency(data.fingerprint, data.requestInfo);
+}
+
+export {
+  analyzeConsistency,
+  getConsistency,
+  detectUserAgentSystem,
+  detectPlatformSystem,
+  timezoneOffsetAt,
+  CONSISTENCY_CHECKS,
+  INCONSISTENCY_PENALTY
+};
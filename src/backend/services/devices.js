@@ -0,0 +1,356 @@
+/**
+ * Registro de dispositivos para NextTrust SDK
+ * Calcula um ID estável do dispositivo a partir do fingerprint e lembra os
+ * dispositivos já vistos para cada usuário (userId informado em /verify)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { FingerprintMatcher, fingerprintSimilarity, ATTRIBUTE_WEIGHTS } from './fingerprint-match.js';
+import { analyzeKeystrokes, compareTypingProfile, updateTypingProfile, TYPING_STATUS } from './keystroke.js';
+
+/**
+ * Componentes do fingerprint que formam o ID do dispositivo.
+ * Ficam de fora os que mudam sem trocar de aparelho (user agent, idioma, timezone)
+ */
+const DEVICE_ID_FIELDS = [
+  'canvasFingerprint', 'webglFingerprint', 'audioFingerprint', 'fonts', 'screenResolution', 'platform'
+];
+
+/**
+ * Como o dispositivo foi reconhecido: mesmo ID ou fingerprint parecido (FingerprintMatcher)
+ */
+const DEVICE_MATCH = {
+  EXACT: 'exact',
+  FUZZY: 'fuzzy'
+};
+
+/**
+ * Máximo de IDs alternativos guardados por dispositivo (IDs ligados por match aproximado)
+ */
+const MAX_DEVICE_ALIASES = 10;
+
+/**
+ * Situação do dispositivo para o usuário
+ */
+const DEVICE_STATUS = {
+  NEW: 'new',
+  RECENT: 'recent',
+  KNOWN: 'known'
+};
+
+/**
+ * Calcula o ID do dispositivo: hash da forma canônica dos componentes estáveis do fingerprint
+ * (fontes sem duplicatas e ordenadas, textos sem espaços nas pontas)
+ * @param {Object} fingerprint - Fingerprint coletado
+ * @returns {string|null} ID (dev_ + 32 hex) ou null sem nenhum componente
+ */
+function computeDeviceId(fingerprint) {
+  if (!fingerprint) {
+    return null;
+  }
+
+  const components = DEVICE_ID_FIELDS.map((field) => {
+    const value = fingerprint[field];
+    if (Array.isArray(value)) {
+      return [...new Set(value.map(item => String(item).trim()))].sort();
+    }
+    return value === undefined || value === null ? null : String(value).trim();
+  });
+
+  if (components.every(component => component === null || component.length === 0)) {
+    return null;
+  }
+
+  return `dev_${crypto.createHash('sha256').update(JSON.stringify(components)).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Atributos do fingerprint guardados por dispositivo para o match aproximado
+ * @param {Object} fingerprint - Fingerprint coletado
+ * @returns {Object} Atributos comparados pelo FingerprintMatcher
+ */
+function snapshotFingerprint(fingerprint) {
+  const snapshot = {};
+  for (const name of Object.keys(ATTRIBUTE_WEIGHTS)) {
+    if (fingerprint[name] !== undefined) {
+      snapshot[name] = fingerprint[name];
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Armazenamento de dispositivos em memória (padrão).
+ * Outros adaptadores devem expor os mesmos métodos assíncronos
+ */
+class InMemoryDeviceStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.maxUsers - Máximo de usuários; os inativos há mais tempo são descartados
+   */
+  constructor(options = {}) {
+    this.maxUsers = options.maxUsers || 100000;
+    this.users = new Map();
+  }
+
+  /**
+   * Obtém os dispositivos de um usuário
+   * @param {string} userId - ID externo do usuário
+   * @returns {Object|null} { userId, devices: [{ id, aliases, fingerprint, firstSeen, lastSeen, verificationCount }] }
+   */
+  async get(userId) {
+    const data = this.users.get(userId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Grava os dispositivos de um usuário
+   * @param {Object} record - { userId, devices }
+   */
+  async save(record) {
+    // Reinsere para manter o Map ordenado pela última atividade
+    this.users.delete(record.userId);
+    this.users.set(record.userId, JSON.stringify(record));
+
+    if (this.users.size > this.maxUsers) {
+      this.users.delete(this.users.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Armazenamento de dispositivos em arquivos: um JSON por usuário em um diretório
+ */
+class FileDeviceStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async get(userId) {
+    try {
+      return JSON.parse(await fs.readFile(this._pathOf(userId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Grava de forma atômica (arquivo temporário + rename)
+   * @param {Object} record - { userId, devices }
+   */
+  async save(record) {
+    const filePath = this._pathOf(record.userId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Caminho do arquivo de um usuário (o ID vem do cliente: usa o hash como nome)
+   * @private
+   * @param {string} userId - ID do usuário
+   * @returns {string} Caminho
+   */
+  _pathOf(userId) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(String(userId)).digest('hex')}.json`);
+  }
+}
+
+/**
+ * Classe do Registro de Dispositivos
+ */
+class DeviceRegistry {
+  /**
+   * @param {Object} options - Opções
+   * @param {Object} options.store - Armazenamento (padrão: em memória)
+   * @param {number} options.recentWindowMs - Até quanto tempo depois da última verificação o dispositivo é "recent" (padrão: 24 horas)
+   * @param {number} options.maxDevicesPerUser - Máximo de dispositivos por usuário; os vistos há mais tempo são descartados (padrão: 50)
+   * @param {FingerprintMatcher|null} options.matcher - Match aproximado quando o ID não é conhecido (null desativa)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryDeviceStore();
+    this.recentWindowMs = options.recentWindowMs || 24 * 60 * 60 * 1000;
+    this.maxDevicesPerUser = options.maxDevicesPerUser || 50;
+    this.matcher = options.matcher === undefined ? new FingerprintMatcher() : options.matcher;
+    this.queues = new Map();
+  }
+
+  /**
+   * Reconhece o dispositivo de uma verificação e a registra para o usuário
+   * @param {string} userId - ID externo do usuário
+   * @param {Object} fingerprint - Fingerprint coletado
+   * @param {Object} behavior - Comportamento da verificação ({ keystrokeDynamics })
+   * @returns {Object} { device, user }, expostos como `device` e `user` às regras
+   */
+  async recognize(userId, fingerprint, behavior = {}) {
+    return this._serialize(userId, () => this._recognize(userId, fingerprint, behavior));
+  }
+
+  /**
+   * Dispositivos conhecidos de um usuário, do visto mais recentemente ao mais antigo
+   * @param {string} userId - ID externo do usuário
+   * @returns {Array} [{ id, aliases, fingerprint, firstSeen, lastSeen, verificationCount, typingProfile }]
+   */
+  async listDevices(userId) {
+    const record = await this.store.get(userId);
+    return record ? [...record.devices].sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen)) : [];
+  }
+
+  /**
+   * Procura o dispositivo pelo ID (ou IDs ligados a ele) e, sem sucesso,
+   * pelo fingerprint mais parecido
+   * @private
+   * @param {Array} devices - Dispositivos do usuário
+   * @param {string|null} deviceId - ID calculado do fingerprint
+   * @param {Object} fingerprint - Fingerprint coletado
+   * @returns {Object} { known, match: { type, confidence, changedAttributes } | null }
+   */
+  _findDevice(devices, deviceId, fingerprint) {
+    if (!deviceId) {
+      return { known: null, match: null };
+    }
+
+    const exact = devices.find(device => device.id === deviceId || (device.aliases || []).includes(deviceId));
+    if (exact) {
+      // Mesmo ID, mas atributos fora do ID (ex.: user agent) podem ter mudado
+      const { changedAttributes } = fingerprintSimilarity(fingerprint, exact.fingerprint || fingerprint);
+      return { known: exact, match: { type: DEVICE_MATCH.EXACT, confidence: 1, changedAttributes } };
+    }
+
+    const fuzzy = this.matcher ? this.matcher.match(fingerprint, devices) : null;
+    if (fuzzy) {
+      return {
+        known: fuzzy.candidate,
+        match: { type: DEVICE_MATCH.FUZZY, confidence: fuzzy.confidence, changedAttributes: fuzzy.changedAttributes }
+      };
+    }
+
+    return { known: null, match: null };
+  }
+
+  /**
+   * Executa as operações de um mesmo usuário em sequência, para verificações
+   * simultâneas não perderem contagens
+   * @private
+   * @param {string} userId - ID externo do usuário
+   * @param {Function} run - Operação
+   * @returns {Promise} Resultado da operação
+   */
+  _serialize(userId, run) {
+    const pending = (this.queues.get(userId) || Promise.resolve()).then(run, run);
+    const queue = pending.catch(() => {});
+
+    this.queues.set(userId, queue);
+    queue.then(() => {
+      if (this.queues.get(userId) === queue) {
+        this.queues.delete(userId);
+      }
+    });
+
+    return pending;
+  }
+
+  /**
+   * @private
+   * @param {string} userId - ID externo do usuário
+   * @param {Object} fingerprint - Fingerprint coletado
+   * @param {Object} behavior - Comportamento da verificação ({ keystrokeDynamics })
+   * @returns {Object} { device, user }
+   */
+  async _recognize(userId, fingerprint, behavior = {}) {
+    const now = new Date();
+    const deviceId = computeDeviceId(fingerprint);
+    const record = (await this.store.get(userId)) || { userId, devices: [] };
+    const { known, match } = this._findDevice(record.devices, deviceId, fingerprint);
+
+    let status = DEVICE_STATUS.NEW;
+    if (known) {
+      status = now - Date.parse(known.lastSeen) <= this.recentWindowMs ? DEVICE_STATUS.RECENT : DEVICE_STATUS.KNOWN;
+    }
+
+    const device = {
+      // Com match aproximado, o ID do dispositivo já conhecido
+      id: known ? known.id : deviceId,
+      status,
+      isNew: status === DEVICE_STATUS.NEW,
+      isRecent: status === DEVICE_STATUS.RECENT,
+      firstSeen: known ? known.firstSeen : now.toISOString(),
+      // Verificação anterior deste dispositivo (null se for novo)
+      lastSeen: known ? known.lastSeen : null,
+      ageDays: known ? (now - Date.parse(known.firstSeen)) / (24 * 60 * 60 * 1000) : 0,
+      // Inclui a verificação atual
+      verificationCount: known ? known.verificationCount + 1 : 1,
+      match: match ? match.type : null,
+      matchConfidence: match ? match.confidence : null,
+      // Atributos do fingerprint diferentes da última verificação do dispositivo
+      changedAttributes: match ? match.changedAttributes : [],
+      // Digitação comparada com o perfil do usuário neste dispositivo
+      typing: compareTypingProfile(known ? known.typingProfile : null, behavior.keystrokeDynamics)
+    };
+
+    // Digitação de outra pessoa ou de script não entra no perfil
+    const typingProfile = device.typing.status !== TYPING_STATUS.MISMATCH &&
+      analyzeKeystrokes(behavior.keystrokeDynamics).humanLike
+      ? updateTypingProfile(known ? known.typingProfile : null, behavior.keystrokeDynamics, now)
+      : (known && known.typingProfile) || null;
+
+    // Sem componentes do fingerprint não há como reconhecer o dispositivo: nada é gravado
+    if (deviceId) {
+      if (known) {
+        known.lastSeen = now.toISOString();
+        known.verificationCount = device.verificationCount;
+        known.fingerprint = snapshotFingerprint(fingerprint);
+        known.typingProfile = typingProfile;
+
+        // O novo ID passa a ser reconhecido de forma exata
+        if (known.id !== deviceId && !(known.aliases || []).includes(deviceId)) {
+          known.aliases = [deviceId, ...(known.aliases || [])].slice(0, MAX_DEVICE_ALIASES);
+        }
+      } else {
+        record.devices.push({
+          id: deviceId,
+          aliases: [],
+          fingerprint: snapshotFingerprint(fingerprint),
+          firstSeen: device.firstSeen,
+          lastSeen: device.firstSeen,
+          verificationCount: 1,
+          typingProfile
+        });
+      }
+
+      if (record.devices.length > this.maxDevicesPerUser) {
+        record.devices.sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen));
+        record.devices.length = this.maxDevicesPerUser;
+      }
+
+      await this.store.save(record);
+    }
+
+    return {
+      device,
+      user: {
+        id: userId,
+        // Dispositivos distintos conhecidos, incluindo o atual
+        deviceCount: record.devices.length,
+        verificationCount: record.devices.reduce((sum, entry) => sum + entry.verificationCount, 0)
+      }
+    };
+  }
+}
+
+export {
+  DeviceRegistry,
+  InMemoryDeviceStore,
+  FileDeviceStore,
+  computeDeviceId,
+  DEVICE_ID_FIELDS,
+  DEVICE_STATUS,
+  DEVICE_MATCH
+};
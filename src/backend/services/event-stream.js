@@ -0,0 +1,132 @@
+/**
+ * Lotes de eventos comportamentais para NextTrust SDK
+ * Acumula na sessão os lotes enviados pelo SDK a /api/identity/events e
+ * completa os dados comportamentais da verificação com a sessão inteira
+ */
+
+/**
+ * Quantidade máxima de eventos por lote (a mesma do EventBatcher do SDK)
+ */
+const MAX_BATCH_EVENTS = 5000;
+
+/**
+ * Estado inicial dos eventos acumulados de uma sessão
+ * @returns {Object} Estado
+ */
+function createStreamState() {
+  return {
+    batchCount: 0,
+    lastSequence: -1,
+    sessionStart: null,
+    lastEventAt: null,
+    totalEvents: 0,
+    droppedEvents: 0,
+    eventCounts: {},
+    // Intervalos entre eventos do mesmo tipo: { tipo: { count, sum, last } }
+    intervals: {}
+  };
+}
+
+/**
+ * Acumula um lote no estado da sessão
+ * @param {Object} state - Estado (session.behavioral) ou null
+ * @param {Object} batch - Lote ({ sequence, sessionStart, start, end, eventCounts, types, events, dropped })
+ * @returns {Object} { accepted, state } (lotes com sequência já recebida são ignorados)
+ */
+function accumulateBatch(state, batch) {
+  const current = state || createStreamState();
+  if (batch.sequence <= current.lastSequence) {
+    return { accepted: false, state: current };
+  }
+
+  const next = {
+    ...current,
+    eventCounts: { ...current.eventCounts },
+    intervals: { ...current.intervals },
+    batchCount: current.batchCount + 1,
+    lastSequence: batch.sequence,
+    sessionStart: current.sessionStart === null ? batch.sessionStart : Math.min(current.sessionStart, batch.sessionStart),
+    droppedEvents: current.droppedEvents + (batch.dropped || 0)
+  };
+
+  for (const [type, count] of Object.entries(batch.eventCounts)) {
+    next.eventCounts[type] = (next.eventCounts[type] || 0) + count;
+    next.totalEvents += count;
+  }
+
+  // Eventos codificados como [índice em types, ms desde o evento anterior]
+  let time = batch.start;
+  for (const [index, delta] of batch.events) {
+    time += delta;
+    const type = batch.types[index];
+    if (type === undefined) {
+      continue;
+    }
+
+    const interval = { ...(next.intervals[type] || { count: 0, sum: 0, last: null }) };
+    if (interval.last !== null && time >= interval.last) {
+      interval.count++;
+      interval.sum += time - interval.last;
+    }
+    interval.last = time;
+    next.intervals[type] = interval;
+  }
+
+  next.lastEventAt = Math.max(next.lastEventAt || 0, time, batch.end);
+  return { accepted: true, state: next };
+}
+
+/**
+ * Completa os dados comportamentais da verificação com os eventos da sessão inteira.
+ * Contagens, duração, frequências e intervalos médios passam a vir dos lotes; as
+ * dinâmicas (digitação, mouse, toque e sensores) já cobrem a sessão no SDK
+ * @param {Object} behavioral - Dados comportamentais da verificação (ou null)
+ * @param {Object} state - Eventos acumulados da sessão (session.behavioral)
+ * @returns {Object|null} Dados comportamentais (inalterados sem lotes)
+ */
+function mergeStreamedBehavior(behavioral, state) {
+  if (!state || state.batchCount === 0) {
+    return behavioral;
+  }
+
+  const base = behavioral || { totalEvents: 0, duration: 0, eventCounts: {}, metrics: {}, sampleEvents: [] };
+  const duration = Math.max(base.duration || 0, state.lastEventAt - state.sessionStart);
+  const seconds = duration / 1000;
+  const count = type => state.eventCounts[type] || 0;
+  const frequency = type => (seconds > 0 ? count(type) / seconds : 0);
+  const averageInterval = type => {
+    const interval = state.intervals[type];
+    return interval && interval.count > 0 ? interval.sum / interval.count : 0;
+  };
+
+  return {
+    ...base,
+    startTime: base.startTime || state.sessionStart,
+    duration,
+    totalEvents: Math.max(base.totalEvents || 0, state.totalEvents),
+    eventCounts: { ...state.eventCounts },
+    metrics: {
+      ...base.metrics,
+      clickFrequency: frequency('click'),
+      scrollFrequency: frequency('scroll'),
+      keystrokeFrequency: frequency('keydown'),
+      averageClickInterval: averageInterval('click'),
+      averageScrollInterval: averageInterval('scroll'),
+      formInteractionCount: count('submit'),
+      focusBlurCount: count('focus') + count('blur')
+    },
+    // Origem dos dados: lotes recebidos na sessão
+    stream: {
+      batchCount: state.batchCount,
+      totalEvents: state.totalEvents,
+      droppedEvents: state.droppedEvents
+    }
+  };
+}
+
+export {
+  accumulateBatch,
+  mergeStreamedBehavior,
+  createStreamState,
+  MAX_BATCH_EVENTS
+};
@@ -0,0 +1,730 @@
+/**
+ * Linguagem de expressões das condições de regras do NextTrust SDK
+ * Parser e interpretador seguros (sem eval / new Function)
+ *
+ * Gramática suportada:
+ *   - literais: números, strings ('...' ou "..."), true, false, null, undefined, arrays [a, b]
+ *   - acesso a membros null-safe em qualquer profundidade: a.b.c, a['b'], a[0]
+ *   - booleanos: &&, ||, !
+ *   - comparação: ==, !=, ===, !==, <, <=, >, >=
+ *   - pertinência: valor in array | string | objeto
+ *   - aritmética: +, -, *, /, %
+ *   - métodos de string/array: includes, startsWith, endsWith, indexOf,
+ *     toLowerCase, toUpperCase, trim, join e a propriedade length
+ *   - funções registradas pelo rule engine: nome(args)
+ */
+
+/**
+ * Erro de sintaxe em uma expressão, com linha e coluna (base 1)
+ */
+class ExpressionSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'ExpressionSyntaxError';
+    this.code = 'RULE_ENGINE_ERROR';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Erro durante a avaliação de uma expressão
+ */
+class ExpressionEvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionEvaluationError';
+    this.code = 'RULE_ENGINE_ERROR';
+  }
+}
+
+// Operadores reconhecidos pelo lexer, do mais longo para o mais curto
+const OPERATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '!', '+', '-', '*', '/', '%', '.', ',', '(', ')', '[', ']'
+];
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: null
+};
+
+// Métodos permitidos por tipo de valor
+const STRING_METHODS = ['includes', 'startsWith', 'endsWith', 'indexOf', 'toLowerCase', 'toUpperCase', 'trim'];
+const ARRAY_METHODS = ['includes', 'indexOf', 'join'];
+
+// Propriedades nunca acessíveis a partir de uma expressão
+const FORBIDDEN_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+/**
+ * Encontra o operador que começa na posição informada
+ * @param {string} source - Código da expressão
+ * @param {number} index - Posição atual
+ * @returns {string|undefined} Operador encontrado
+ */
+function matchOperator(source, index) {
+  return OPERATORS.find(op => source.startsWith(op, index));
+}
+
+/**
+ * Quebra a expressão em tokens com posição de linha/coluna
+ * @param {string} source - Código da expressão
+ * @returns {Array} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[index] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    // Espaços em branco
+    if (/\s/.test(char)) {
+      advance(1);
+      continue;
+    }
+
+    const start = { line, column };
+
+    // Números
+    if (/[0-9]/.test(char)) {
+      const match = /^[0-9]+(\.[0-9]+)?/.exec(source.slice(index));
+      tokens.push({ type: 'number', value: Number(match[0]), ...start });
+      advance(match[0].length);
+      continue;
+    }
+
+    // Identificadores e palavras-chave
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(index));
+      const word = match[0];
+      if (word === 'in') {
+        tokens.push({ type: 'operator', value: 'in', ...start });
+      } else if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], ...start });
+      } else {
+        tokens.push({ type: 'identifier', value: word, ...start });
+      }
+      advance(word.length);
+      continue;
+    }
+
+    // Strings
+    if (char === '\'' || char === '"') {
+      let value = '';
+      advance(1);
+      while (index < source.length && source[index] !== char) {
+        if (source[index] === '\n') {
+          throw new ExpressionSyntaxError('Unterminated string literal', start.line, start.column);
+        }
+        if (source[index] === '\\') {
+          advance(1);
+          const escapes = { n: '\n', t: '\t', r: '\r' };
+          value += escapes[source[index]] || source[index];
+        } else {
+          value += source[index];
+        }
+        advance(1);
+      }
+      if (index >= source.length) {
+        throw new ExpressionSyntaxError('Unterminated string literal', start.line, start.column);
+      }
+      advance(1);
+      tokens.push({ type: 'string', value, ...start });
+      continue;
+    }
+
+    // Operadores e pontuação
+    const operator = matchOperator(source, index);
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, ...start });
+      advance(operator.length);
+      continue;
+    }
+
+    throw new ExpressionSyntaxError(`Unexpected character '${char}'`, line, column);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column });
+  return tokens;
+}
+
+/**
+ * Parser descendente recursivo que gera a AST da expressão
+ */
+class ExpressionParser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  /**
+   * Analisa a expressão completa
+   * @returns {Object} Nó raiz da AST
+   */
+  parse() {
+    if (this._peek().type === 'eof') {
+      throw this._error('Empty expression', this._peek());
+    }
+
+    const node = this._parseOr();
+    const token = this._peek();
+    if (token.type !== 'eof') {
+      throw this._error(`Unexpected token '${token.value}'`, token);
+    }
+    return node;
+  }
+
+  _peek() {
+    return this.tokens[this.position];
+  }
+
+  _next() {
+    return this.tokens[this.position++];
+  }
+
+  _isOperator(...values) {
+    const token = this._peek();
+    return token.type === 'operator' && values.includes(token.value);
+  }
+
+  _expect(value) {
+    const token = this._peek();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw this._error(`Expected '${value}' but found ${this._describe(token)}`, token);
+    }
+    return this._next();
+  }
+
+  _describe(token) {
+    return token.type === 'eof' ? 'end of expression' : `'${token.value}'`;
+  }
+
+  _error(message, token) {
+    return new ExpressionSyntaxError(message, token.line, token.column);
+  }
+
+  _binary(parseOperand, operators) {
+    let left = parseOperand();
+    while (this._isOperator(...operators)) {
+      const token = this._next();
+      const right = parseOperand();
+      left = {
+        type: token.value === '&&' || token.value === '||' ? 'Logical' : 'Binary',
+        operator: token.value,
+        left,
+        right,
+        line: token.line,
+        column: token.column
+      };
+    }
+    return left;
+  }
+
+  _parseOr() {
+    return this._binary(() => this._parseAnd(), ['||']);
+  }
+
+  _parseAnd() {
+    return this._binary(() => this._parseEquality(), ['&&']);
+  }
+
+  _parseEquality() {
+    return this._binary(() => this._parseRelational(), ['===', '!==', '==', '!=']);
+  }
+
+  _parseRelational() {
+    return this._binary(() => this._parseAdditive(), ['<', '<=', '>', '>=', 'in']);
+  }
+
+  _parseAdditive() {
+    return this._binary(() => this._parseMultiplicative(), ['+', '-']);
+  }
+
+  _parseMultiplicative() {
+    return this._binary(() => this._parseUnary(), ['*', '/', '%']);
+  }
+
+  _parseUnary() {
+    if (this._isOperator('!', '-')) {
+      const token = this._next();
+      return {
+        type: 'Unary',
+        operator: token.value,
+        argument: this._parseUnary(),
+        line: token.line,
+        column: token.column
+      };
+    }
+    return this._parsePostfix();
+  }
+
+  _parsePostfix() {
+    let node = this._parsePrimary();
+
+    for (;;) {
+      if (this._isOperator('.')) {
+        this._next();
+        const token = this._next();
+        if (token.type !== 'identifier' && token.type !== 'literal') {
+          throw this._error(`Expected property name but found ${this._describe(token)}`, token);
+        }
+        const name = token.type === 'identifier' ? token.value : String(token.value);
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: name }, line: token.line, column: token.column };
+      } else if (this._isOperator('[')) {
+        const token = this._next();
+        const property = this._parseOr();
+        this._expect(']');
+        node = { type: 'Member', object: node, property, computed: true, line: token.line, column: token.column };
+      } else if (this._isOperator('(')) {
+        const token = this._next();
+        if (node.type !== 'Identifier' && node.type !== 'Member') {
+          throw this._error('Only functions and methods can be called', token);
+        }
+        const args = this._parseList(')');
+        node = { type: 'Call', callee: node, arguments: args, line: token.line, column: token.column };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  _parseList(closing) {
+    const items = [];
+    if (!this._isOperator(closing)) {
+      items.push(this._parseOr());
+      while (this._isOperator(',')) {
+        this._next();
+        items.push(this._parseOr());
+      }
+    }
+    this._expect(closing);
+    return items;
+  }
+
+  _parsePrimary() {
+    const token = this._next();
+
+    switch (token.type) {
+    case 'number':
+    case 'string':
+    case 'literal':
+      return { type: 'Literal', value: token.value, line: token.line, column: token.column };
+    case 'identifier':
+      return { type: 'Identifier', name: token.value, line: token.line, column: token.column };
+    case 'operator':
+      if (token.value === '(') {
+        const node = this._parseOr();
+        this._expect(')');
+        return node;
+      }
+      if (token.value === '[') {
+        return { type: 'Array', elements: this._parseList(']'), line: token.line, column: token.column };
+      }
+      throw this._error(`Unexpected token '${token.value}'`, token);
+    default:
+      throw this._error(`Unexpected ${this._describe(token)}`, token);
+    }
+  }
+}
+
+/**
+ * Normaliza undefined para null
+ * @param {*} value - Valor
+ * @returns {*} Valor normalizado
+ */
+function normalize(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Lê uma propriedade de forma null-safe, restrita a dados próprios
+ * @param {*} object - Objeto de origem
+ * @param {*} property - Nome ou índice da propriedade
+ * @returns {*} Valor ou null
+ */
+function readProperty(object, property) {
+  if (object === null || object === undefined) {
+    return null;
+  }
+
+  const key = String(property);
+  if (FORBIDDEN_PROPERTIES.includes(key)) {
+    throw new ExpressionEvaluationError(`Access to property '${key}' is not allowed`);
+  }
+
+  if ((typeof object === 'string' || Array.isArray(object)) && key === 'length') {
+    return object.length;
+  }
+
+  if (typeof object !== 'object' && typeof object !== 'string') {
+    return null;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(object, key)) {
+    return null;
+  }
+
+  const value = object[key];
+  return typeof value === 'function' ? null : normalize(value);
+}
+
+/**
+ * Chama um método permitido sobre uma string ou array
+ * @param {*} target - Valor alvo
+ * @param {string} method - Nome do método
+ * @param {Array} args - Argumentos
+ * @returns {*} Resultado
+ */
+function callMethod(target, method, args) {
+  if (target === null || target === undefined) {
+    return null;
+  }
+
+  if (typeof target === 'string' && STRING_METHODS.includes(method)) {
+    return String.prototype[method].apply(target, args.map(arg => (arg === null ? '' : arg)));
+  }
+
+  if (Array.isArray(target) && ARRAY_METHODS.includes(method)) {
+    return Array.prototype[method].apply(target, args);
+  }
+
+  throw new ExpressionEvaluationError(`Method '${method}' is not allowed on ${Array.isArray(target) ? 'array' : typeof target}`);
+}
+
+/**
+ * Aplica um operador binário
+ * @param {string} operator - Operador
+ * @param {*} left - Operando esquerdo
+ * @param {*} right - Operando direito
+ * @returns {*} Resultado
+ */
+function applyBinary(operator, left, right) {
+  switch (operator) {
+  case '==':
+  case '===':
+    return left === right;
+  case '!=':
+  case '!==':
+    return left !== right;
+  case '<':
+  case '<=':
+  case '>':
+  case '>=':
+    // Comparações com null são sempre falsas (null-safe)
+    if (left === null || right === null) {
+      return false;
+    }
+    if (operator === '<') return left < right;
+    if (operator === '<=') return left <= right;
+    if (operator === '>') return left > right;
+    return left >= right;
+  case 'in':
+    if (Array.isArray(right)) {
+      return right.includes(left);
+    }
+    if (typeof right === 'string') {
+      return left !== null && right.includes(String(left));
+    }
+    if (right !== null && typeof right === 'object') {
+      return left !== null && Object.prototype.hasOwnProperty.call(right, String(left));
+    }
+    return false;
+  case '+':
+    return left + right;
+  case '-':
+    return left - right;
+  case '*':
+    return left * right;
+  case '/':
+    return left / right;
+  case '%':
+    return left % right;
+  default:
+    throw new ExpressionEvaluationError(`Unknown operator '${operator}'`);
+  }
+}
+
+/**
+ * Precedência dos operadores binários (maior = mais forte)
+ */
+const PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '===': 3, '!==': 3, '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4, in: 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+/**
+ * Reconstrói o texto de um nó da AST (forma canônica, usada no trace)
+ * @param {Object} node - Nó da AST
+ * @returns {string} Expressão
+ */
+function formatNode(node) {
+  const operand = (child, minPrecedence) => {
+    const text = formatNode(child);
+    const isBinary = child.type === 'Binary' || child.type === 'Logical';
+    return isBinary && PRECEDENCE[child.operator] < minPrecedence ? `(${text})` : text;
+  };
+
+  switch (node.type) {
+  case 'Literal':
+    return typeof node.value === 'string'
+      ? `'${node.value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`
+      : String(node.value);
+  case 'Identifier':
+    return node.name;
+  case 'Array':
+    return `[${node.elements.map(formatNode).join(', ')}]`;
+  case 'Member': {
+    const object = operand(node.object, Infinity);
+    if (!node.computed && /^[A-Za-z_$][\w$]*$/.test(node.property.value)) {
+      return `${object}.${node.property.value}`;
+    }
+    return `${object}[${formatNode(node.property)}]`;
+  }
+  case 'Unary':
+    return `${node.operator}${operand(node.argument, Infinity)}`;
+  case 'Logical':
+  case 'Binary': {
+    const precedence = PRECEDENCE[node.operator];
+    return `${operand(node.left, precedence)} ${node.operator} ${operand(node.right, precedence + 1)}`;
+  }
+  case 'Call':
+    return `${formatNode(node.callee)}(${node.arguments.map(formatNode).join(', ')})`;
+  default:
+    return '';
+  }
+}
+
+/**
+ * Resume um valor para o trace, evitando copiar objetos grandes
+ * @param {*} value - Valor
+ * @returns {*} Valor resumido
+ */
+function summarizeValue(value) {
+  if (typeof value === 'string' && value.length > 200) {
+    return `${value.slice(0, 200)}…`;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 10 ? `[Array(${value.length})]` : value.map(summarizeValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    return `[Object with ${Object.keys(value).length} keys]`;
+  }
+  return value;
+}
+
+/**
+ * Registra o valor de um nó no trace: campos (identificadores e membros)
+ * e resultados de subexpressões, na ordem de avaliação
+ * @param {Object} node - Nó da AST
+ * @param {*} value - Valor avaliado
+ * @param {Object} trace - Acumulador ({ fields, expressions })
+ */
+function recordTrace(node, value, trace) {
+  switch (node.type) {
+  case 'Identifier':
+  case 'Member': {
+    const field = formatNode(node);
+    if (!trace.fields.has(field)) {
+      trace.fields.set(field, summarizeValue(value));
+    }
+    break;
+  }
+  case 'Unary':
+  case 'Logical':
+  case 'Binary':
+  case 'Call':
+    trace.expressions.push({ expression: formatNode(node), value: summarizeValue(value) });
+    break;
+  default:
+    break;
+  }
+}
+
+/**
+ * Avalia um nó da AST, registrando-o no trace quando solicitado
+ * @param {Object} node - Nó da AST
+ * @param {Object} env - Ambiente ({ scope, functions, trace })
+ * @returns {*} Valor do nó
+ */
+function evaluateNode(node, env) {
+  const value = evaluateNodeValue(node, env);
+  if (env.trace) {
+    recordTrace(node, value, env.trace);
+  }
+  return value;
+}
+
+/**
+ * Avalia um nó da AST
+ * @param {Object} node - Nó da AST
+ * @param {Object} env - Ambiente ({ scope, functions, trace })
+ * @returns {*} Valor do nó
+ */
+function evaluateNodeValue(node, env) {
+  switch (node.type) {
+  case 'Literal':
+    return node.value;
+
+  case 'Identifier':
+    return Object.prototype.hasOwnProperty.call(env.scope, node.name)
+      ? normalize(env.scope[node.name])
+      : null;
+
+  case 'Array':
+    return node.elements.map(element => evaluateNode(element, env));
+
+  case 'Member': {
+    // Apenas o caminho completo (a.b.c) entra no trace, não seus prefixos
+    const objectEnv = env.trace ? { ...env, trace: null } : env;
+    return readProperty(evaluateNode(node.object, objectEnv), evaluateNode(node.property, env));
+  }
+
+  case 'Unary': {
+    const value = evaluateNode(node.argument, env);
+    return node.operator === '!' ? !value : -value;
+  }
+
+  case 'Logical': {
+    const left = evaluateNode(node.left, env);
+    if (node.operator === '&&') {
+      return left ? evaluateNode(node.right, env) : left;
+    }
+    return left ? left : evaluateNode(node.right, env);
+  }
+
+  case 'Binary':
+    return applyBinary(node.operator, evaluateNode(node.left, env), evaluateNode(node.right, env));
+
+  case 'Call': {
+    const args = node.arguments.map(arg => evaluateNode(arg, env));
+
+    if (node.callee.type === 'Identifier') {
+      const fn = env.functions[node.callee.name];
+      if (typeof fn !== 'function' || !Object.prototype.hasOwnProperty.call(env.functions, node.callee.name)) {
+        throw new ExpressionEvaluationError(`Unknown function '${node.callee.name}'`);
+      }
+      return normalize(fn(...args));
+    }
+
+    const target = evaluateNode(node.callee.object, env);
+    return normalize(callMethod(target, String(evaluateNode(node.callee.property, env)), args));
+  }
+
+  default:
+    throw new ExpressionEvaluationError(`Unknown node type '${node.type}'`);
+  }
+}
+
+/**
+ * Coleta identificadores raiz e funções referenciadas pela AST
+ * @param {Object} node - Nó da AST
+ * @param {Object} references - Acumulador
+ * @returns {Object} Referências encontradas
+ */
+function collectReferences(node, references = { identifiers: new Set(), functions: new Set() }) {
+  switch (node.type) {
+  case 'Identifier':
+    references.identifiers.add(node.name);
+    break;
+  case 'Array':
+    node.elements.forEach(element => collectReferences(element, references));
+    break;
+  case 'Member':
+    collectReferences(node.object, references);
+    if (node.computed) collectReferences(node.property, references);
+    break;
+  case 'Unary':
+    collectReferences(node.argument, references);
+    break;
+  case 'Logical':
+  case 'Binary':
+    collectReferences(node.left, references);
+    collectReferences(node.right, references);
+    break;
+  case 'Call':
+    if (node.callee.type === 'Identifier') {
+      references.functions.add(node.callee.name);
+    } else {
+      collectReferences(node.callee, references);
+    }
+    node.arguments.forEach(arg => collectReferences(arg, references));
+    break;
+  default:
+    break;
+  }
+  return references;
+}
+
+/**
+ * Compila uma expressão em um objeto avaliável
+ * @param {string} source - Código da expressão
+ * @returns {Object} Expressão compilada ({ source, ast, references, evaluate, explain })
+ * @throws {ExpressionSyntaxError} Se a expressão for inválida
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string') {
+    throw new ExpressionSyntaxError('Expression must be a string', 1, 1);
+  }
+
+  const ast = new ExpressionParser(source).parse();
+  const references = collectReferences(ast);
+
+  return {
+    source,
+    ast,
+    references: {
+      identifiers: [...references.identifiers],
+      functions: [...references.functions]
+    },
+    evaluate(scope = {}, functions = {}) {
+      return evaluateNode(ast, { scope, functions });
+    },
+    /**
+     * Avalia registrando os valores dos campos referenciados e de cada subexpressão.
+     * Em caso de erro, o trace parcial é anexado ao erro (error.trace)
+     * @param {Object} scope - Variáveis disponíveis
+     * @param {Object} functions - Funções disponíveis
+     * @returns {Object} { value, trace: { fields, expressions } }
+     */
+    explain(scope = {}, functions = {}) {
+      const trace = { fields: new Map(), expressions: [] };
+      const toJSON = () => ({ fields: Object.fromEntries(trace.fields), expressions: trace.expressions });
+
+      try {
+        const value = evaluateNode(ast, { scope, functions, trace });
+        return { value, trace: toJSON() };
+      } catch (error) {
+        error.trace = toJSON();
+        throw error;
+      }
+    }
+  };
+}
+
+export {
+  compileExpression,
+  formatNode,
+  ExpressionSyntaxError,
+  ExpressionEvaluationError
+};
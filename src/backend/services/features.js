@@ -0,0 +1,167 @@
+/**
+ * Extração de features para NextTrust SDK
+ * Converte os dados de verificação no vetor numérico usado pelos modelos.
+ * Compartilhada entre o scoring em produção e a exportação de dados de treino,
+ * para que ambos vejam exatamente as mesmas features
+ */
+
+import { SUSPICIOUS_USER_AGENT_PATTERNS } from '../../shared/constants/index.js';
+import { getConsistency } from './consistency.js';
+import { getKeystrokeAnalysis } from './keystroke.js';
+import { getMouseAnalysis } from './mouse.js';
+import { getMobileAnalysis } from './mobile.js';
+
+/**
+ * Campos considerados na completude do fingerprint
+ */
+const FINGERPRINT_FIELDS = [
+  'userAgent', 'language', 'platform', 'screenResolution',
+  'timezone', 'canvasFingerprint', 'webglFingerprint', 'audioFingerprint'
+];
+
+/**
+ * Converte um valor em número finito (0 quando ausente ou inválido)
+ * @param {*} value - Valor
+ * @returns {number} Número
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Converte um booleano em 0/1
+ * @param {*} value - Valor
+ * @returns {number} 0 ou 1
+ */
+function flag(value) {
+  return value ? 1 : 0;
+}
+
+/**
+ * Diferença em segundos entre dois instantes (0 se algum estiver ausente)
+ * @param {*} later - Instante posterior (ms ou ISO)
+ * @param {*} earlier - Instante anterior (ms ou ISO)
+ * @returns {number} Segundos
+ */
+function secondsBetween(later, earlier) {
+  const end = typeof later === 'string' ? Date.parse(later) : Number(later);
+  const start = typeof earlier === 'string' ? Date.parse(earlier) : Number(earlier);
+  return Number.isFinite(end) && Number.isFinite(start) && later && earlier ? (end - start) / 1000 : 0;
+}
+
+/**
+ * Features e seus extratores. A ordem é a padrão do treino e das colunas do CSV;
+ * cada modelo guarda os nomes das suas features, então novas features podem entrar em qualquer posição
+ */
+const FEATURE_EXTRACTORS = {
+  // Fingerprint
+  has_fingerprint: data => flag(data.fingerprint),
+  fingerprint_completeness: ({ fingerprint = {} }) =>
+    FINGERPRINT_FIELDS.filter(field => fingerprint[field] && fingerprint[field] !== 'unknown').length / FINGERPRINT_FIELDS.length,
+  canvas_length: ({ fingerprint = {} }) => (fingerprint.canvasFingerprint || '').length,
+  webgl_supported: ({ fingerprint = {} }) =>
+    flag(fingerprint.webglFingerprint && fingerprint.webglFingerprint !== 'webgl_not_supported'),
+  audio_supported: ({ fingerprint = {} }) =>
+    flag(fingerprint.audioFingerprint && fingerprint.audioFingerprint !== 'audio_error'),
+  font_count: ({ fingerprint = {} }) => (Array.isArray(fingerprint.fonts) ? fingerprint.fonts.length : 0),
+  plugin_count: ({ fingerprint = {} }) => (Array.isArray(fingerprint.plugins) ? fingerprint.plugins.length : 0),
+  hardware_concurrency: ({ fingerprint = {} }) => toNumber(fingerprint.hardwareConcurrency),
+  device_memory: ({ fingerprint = {} }) => toNumber(fingerprint.deviceMemory),
+  suspicious_user_agent: ({ fingerprint = {} }) => {
+    const userAgent = String(fingerprint.userAgent || '').toLowerCase();
+    return flag(SUSPICIOUS_USER_AGENT_PATTERNS.some(pattern => userAgent.includes(pattern)));
+  },
+
+  // Comportamento
+  has_behavioral: data => flag(data.behavioral),
+  session_duration: ({ behavioral = {} }) => toNumber(behavioral.duration) / 1000,
+  total_events: ({ behavioral = {} }) => toNumber(behavioral.totalEvents),
+  events_per_second: ({ behavioral = {} }) => {
+    const seconds = toNumber(behavioral.duration) / 1000;
+    return seconds > 0 ? toNumber(behavioral.totalEvents) / seconds : 0;
+  },
+  click_frequency: ({ behavioral = {} }) => toNumber(behavioral.metrics?.clickFrequency),
+  scroll_frequency: ({ behavioral = {} }) => toNumber(behavioral.metrics?.scrollFrequency),
+  keystroke_frequency: ({ behavioral = {} }) => toNumber(behavioral.metrics?.keystrokeFrequency),
+  mouse_distance: ({ behavioral = {} }) => toNumber(behavioral.metrics?.mouseMovementDistance),
+  keystroke_dwell_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.keystrokeDynamics?.dwellMean),
+  keystroke_flight_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.keystrokeDynamics?.flightMean),
+  keystroke_correction_rate: ({ behavioral = {} }) => toNumber(behavioral.metrics?.keystrokeDynamics?.correctionRate),
+  keystroke_anomaly_count: data => getKeystrokeAnalysis(data).count,
+  mouse_speed_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.mouseDynamics?.speed?.mean),
+  mouse_speed_variation: ({ behavioral = {} }) => {
+    const speed = behavioral.metrics?.mouseDynamics?.speed;
+    return speed && speed.mean > 0 ? toNumber(speed.stdDev / speed.mean) : 0;
+  },
+  mouse_straightness: ({ behavioral = {} }) => toNumber(behavioral.metrics?.mouseDynamics?.straightness?.mean),
+  mouse_curvature: ({ behavioral = {} }) => toNumber(behavioral.metrics?.mouseDynamics?.curvature?.mean),
+  mouse_pause_count: ({ behavioral = {} }) => toNumber(behavioral.metrics?.mouseDynamics?.pauseCount),
+  mouse_anomaly_count: data => getMouseAnalysis(data).count,
+  touch_count: ({ behavioral = {} }) => toNumber(behavioral.metrics?.touchDynamics?.touchCount),
+  touch_tap_duration_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.touchDynamics?.tapDuration?.mean),
+  touch_swipe_velocity_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.touchDynamics?.swipeVelocity?.mean),
+  motion_jitter_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.sensorDynamics?.motionJitter?.mean),
+  orientation_jitter_mean: ({ behavioral = {} }) => toNumber(behavioral.metrics?.sensorDynamics?.orientationJitter?.mean),
+  mobile_anomaly_count: data => getMobileAnalysis(data).count,
+
+  // Facial
+  has_facial: data => flag(data.facial && !data.facial.error),
+  facial_error: data => flag(data.facial && data.facial.error),
+
+  // Requisição (instantes do servidor, para que payloads gravados gerem as mesmas features)
+  data_age: ({ requestInfo = {}, timestamp }) => secondsBetween(requestInfo.receivedAt, timestamp),
+  fingerprint_age: ({ requestInfo = {}, fingerprint = {} }) => secondsBetween(requestInfo.receivedAt, fingerprint.timestamp),
+  user_agent_mismatch: ({ requestInfo = {}, fingerprint = {} }) =>
+    flag(requestInfo.userAgent && fingerprint.userAgent && requestInfo.userAgent !== fingerprint.userAgent),
+  has_forwarded_for: ({ requestInfo = {} }) => flag(requestInfo.forwardedFor),
+
+  // Sessão (verificações anteriores do mesmo sessionId)
+  session_verification_count: ({ session = {} }) => toNumber(session.verificationCount),
+  session_fingerprint_changed: ({ session = {} }) => flag(session.fingerprintChanged),
+
+  // Dispositivos do usuário (userId)
+  device_is_new: ({ device = {} }) => flag(device.isNew),
+  user_device_count: ({ user = {} }) => toNumber(user.deviceCount),
+  typing_profile_mismatch: ({ device = {} }) => flag(device.typing?.status === 'mismatch'),
+
+  // Atributos contraditórios do fingerprint
+  fingerprint_inconsistency_count: data => getConsistency(data).count,
+
+  // Sinais de automação do navegador
+  bot_signal_count: ({ botSignals }) => toNumber(botSignals && Array.isArray(botSignals.detected) ? botSignals.detected.length : 0)
+};
+
+/**
+ * Nomes das features, na ordem do vetor
+ */
+const FEATURE_NAMES = Object.keys(FEATURE_EXTRACTORS);
+
+/**
+ * Extrai as features de uma verificação
+ * @param {Object} data - Dados de verificação ({ fingerprint, behavioral, facial, requestInfo, session, device, user, consistency, keystroke, mouse, mobile, botSignals, timestamp })
+ * @returns {Object} Mapa nome -> valor numérico
+ */
+function extractFeatures(data = {}) {
+  const features = {};
+  for (const [name, extractor] of Object.entries(FEATURE_EXTRACTORS)) {
+    features[name] = toNumber(extractor(data));
+  }
+  return features;
+}
+
+/**
+ * Monta o vetor de features na ordem esperada por um modelo
+ * @param {Object} features - Mapa nome -> valor (extractFeatures)
+ * @param {Array} names - Ordem das features (padrão: FEATURE_NAMES)
+ * @returns {Array} Vetor numérico
+ */
+function toFeatureVector(features, names = FEATURE_NAMES) {
+  return names.map(name => toNumber(features[name]));
+}
+
+export {
+  FEATURE_NAMES,
+  extractFeatures,
+  toFeatureVector
+};
@@ -0,0 +1,157 @@
+/**
+ * Comparação aproximada de fingerprints para NextTrust SDK
+ * Mede a similaridade entre dois fingerprints com pesos por atributo, tolerando
+ * mudanças pequenas (versão do navegador, resolução, lista de fontes)
+ */
+
+/**
+ * Peso de cada atributo na similaridade (soma 1). Atributos ausentes nos dois
+ * fingerprints são ignorados e os pesos restantes renormalizados
+ */
+const ATTRIBUTE_WEIGHTS = {
+  canvasFingerprint: 0.15,
+  webglFingerprint: 0.15,
+  audioFingerprint: 0.1,
+  fonts: 0.15,
+  platform: 0.1,
+  userAgent: 0.1,
+  screenResolution: 0.08,
+  timezone: 0.07,
+  language: 0.05,
+  hardwareConcurrency: 0.03,
+  deviceMemory: 0.02
+};
+
+/**
+ * Similaridade mínima para considerar dois fingerprints o mesmo dispositivo
+ */
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Similaridade de user agents que diferem apenas nos números de versão
+ */
+const USER_AGENT_VERSION_SIMILARITY = 0.9;
+
+const isMissing = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const normalize = value => String(value).trim().toLowerCase();
+
+/**
+ * Comparadores por atributo: recebem dois valores presentes e retornam de 0 a 1
+ */
+const COMPARATORS = {
+  // Atualizações do navegador mudam apenas as versões
+  userAgent: (a, b) => {
+    if (normalize(a) === normalize(b)) {
+      return 1;
+    }
+    const withoutVersions = value => normalize(value).replace(/\d+(\.\d+)*/g, '#');
+    return withoutVersions(a) === withoutVersions(b) ? USER_AGENT_VERSION_SIMILARITY : 0;
+  },
+
+  // Proporção entre as áreas (rotação da tela conta como a mesma resolução)
+  screenResolution: (a, b) => {
+    const parse = value => String(value).split('x').map(Number).sort((x, y) => x - y);
+    const [aMin, aMax] = parse(a);
+    const [bMin, bMax] = parse(b);
+    if (![aMin, aMax, bMin, bMax].every(Number.isFinite) || aMin * aMax === 0 || bMin * bMax === 0) {
+      return normalize(a) === normalize(b) ? 1 : 0;
+    }
+    return Math.min(aMin * aMax, bMin * bMax) / Math.max(aMin * aMax, bMin * bMax);
+  },
+
+  // Índice de Jaccard entre as listas de fontes
+  fonts: (a, b) => {
+    const setA = new Set([].concat(a).map(normalize));
+    const setB = new Set([].concat(b).map(normalize));
+    const intersection = [...setA].filter(font => setB.has(font)).length;
+    return intersection / (setA.size + setB.size - intersection);
+  }
+};
+
+const compareExact = (a, b) => (normalize(a) === normalize(b) ? 1 : 0);
+
+/**
+ * Similaridade ponderada entre dois fingerprints
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @param {Object} weights - Peso por atributo (padrão: ATTRIBUTE_WEIGHTS)
+ * @returns {Object} { score (0 a 1), attributes: { nome: similaridade }, changedAttributes }
+ */
+function fingerprintSimilarity(a, b, weights = ATTRIBUTE_WEIGHTS) {
+  const attributes = {};
+  let total = 0;
+  let weighted = 0;
+
+  for (const [name, weight] of Object.entries(weights)) {
+    const valueA = a ? a[name] : undefined;
+    const valueB = b ? b[name] : undefined;
+    if (isMissing(valueA) && isMissing(valueB)) {
+      continue;
+    }
+
+    const similarity = isMissing(valueA) || isMissing(valueB)
+      ? 0
+      : (COMPARATORS[name] || compareExact)(valueA, valueB);
+
+    attributes[name] = similarity;
+    total += weight;
+    weighted += weight * similarity;
+  }
+
+  return {
+    score: total > 0 ? weighted / total : 0,
+    attributes,
+    changedAttributes: Object.keys(attributes).filter(name => attributes[name] < 1)
+  };
+}
+
+/**
+ * Classe do Serviço de Comparação de Fingerprints
+ */
+class FingerprintMatcher {
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.threshold - Similaridade mínima de um match (padrão: 0.8)
+   * @param {Object} options.weights - Peso por atributo (padrão: ATTRIBUTE_WEIGHTS)
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold === undefined ? DEFAULT_MATCH_THRESHOLD : options.threshold;
+    this.weights = options.weights || ATTRIBUTE_WEIGHTS;
+
+    if (!(this.threshold > 0 && this.threshold <= 1)) {
+      throw new Error(`Fingerprint match threshold must be between 0 and 1, got ${options.threshold}`);
+    }
+  }
+
+  /**
+   * Encontra o candidato mais parecido com o fingerprint, se passar do threshold
+   * @param {Object} fingerprint - Fingerprint atual
+   * @param {Array} candidates - Candidatos ({ fingerprint, ... })
+   * @returns {Object|null} { candidate, confidence, changedAttributes } ou null sem match
+   */
+  match(fingerprint, candidates) {
+    let best = null;
+
+    for (const candidate of candidates) {
+      if (!candidate.fingerprint) {
+        continue;
+      }
+
+      const similarity = fingerprintSimilarity(fingerprint, candidate.fingerprint, this.weights);
+      if (!best || similarity.score > best.confidence) {
+        best = { candidate, confidence: similarity.score, changedAttributes: similarity.changedAttributes };
+      }
+    }
+
+    return best && best.confidence >= this.threshold ? best : null;
+  }
+}
+
+export {
+  FingerprintMatcher,
+  fingerprintSimilarity,
+  ATTRIBUTE_WEIGHTS,
+  DEFAULT_MATCH_THRESHOLD
+};
@@ -0,0 +1,188 @@
+/**
+ * Dinâmica de digitação para NextTrust SDK
+ * Compara o ritmo de digitação (dwell e flight times) com o esperado de pessoas e,
+ * em dispositivos conhecidos, com o perfil de digitação do usuário
+ */
+
+import { runAnomalyChecks, cachedAnalysis, toNumber } from './anomalies.js';
+
+/**
+ * Amostras mínimas de dwell para analisar a digitação
+ */
+const MIN_KEYSTROKE_SAMPLES = 10;
+
+/**
+ * Verificações do ritmo de digitação: cada uma recebe a dinâmica
+ * ({ dwellMean, dwellStdDev, flightMean, flightStdDev, ... }) e retorna { severity, detail } ou null.
+ * Pessoas seguram as teclas por 50 a 200 ms, com variação de dezenas de ms;
+ * scripts digitam em intervalos fixos ou instantâneos
+ */
+const KEYSTROKE_CHECKS = {
+  dwell_too_short: ({ dwellMean }) => (dwellMean < 20
+    ? { severity: 'high', detail: `Average key hold time is ${Math.round(dwellMean)} ms` }
+    : null),
+
+  dwell_too_uniform: ({ dwellStdDev }) => (dwellStdDev < 5
+    ? { severity: 'high', detail: `Key hold time varies by only ${dwellStdDev.toFixed(1)} ms` }
+    : null),
+
+  flight_too_uniform: ({ flightSamples, flightStdDev }) => (flightSamples >= MIN_KEYSTROKE_SAMPLES && flightStdDev < 10
+    ? { severity: 'medium', detail: `Time between keys varies by only ${flightStdDev.toFixed(1)} ms` }
+    : null),
+
+  flight_too_fast: ({ flightSamples, flightMean }) => (flightSamples >= MIN_KEYSTROKE_SAMPLES && flightMean < 15
+    ? { severity: 'medium', detail: `Average time between keys is ${Math.round(flightMean)} ms` }
+    : null)
+};
+
+/**
+ * Perfil de digitação: verificações mínimas antes de comparar e
+ * distância máxima (em desvios padrão) para considerar o mesmo usuário
+ */
+const MIN_PROFILE_SAMPLES = 2;
+const TYPING_MATCH_THRESHOLD = 2.5;
+
+/**
+ * Desvios mínimos usados na comparação, para perfis com pouca variação não
+ * tratarem diferenças de poucos ms como outra pessoa
+ */
+const MIN_PROFILE_STD_DEV = {
+  dwellMean: 15,
+  flightMean: 30,
+  correctionRate: 0.05
+};
+
+/**
+ * Desvio inicial do perfil: a variação dentro da primeira digitação
+ */
+const INITIAL_SPREAD_FIELDS = {
+  dwellMean: 'dwellStdDev',
+  flightMean: 'flightStdDev'
+};
+
+/**
+ * Peso de uma nova verificação no perfil depois das primeiras
+ * (média móvel exponencial: o perfil acompanha mudanças lentas do ritmo)
+ */
+const PROFILE_UPDATE_RATE = 0.2;
+
+/**
+ * Status da comparação com o perfil de digitação
+ */
+const TYPING_STATUS = {
+  NO_DATA: 'no_data',
+  ENROLLING: 'enrolling',
+  MATCH: 'match',
+  MISMATCH: 'mismatch'
+};
+
+/**
+ * Normaliza a dinâmica enviada pelo SDK (metrics.keystrokeDynamics)
+ * @param {Object} dynamics - Dinâmica de digitação
+ * @returns {Object|null} Dinâmica com desvios padrão, ou null se não houver amostras suficientes
+ */
+function normalizeKeystrokeDynamics(dynamics) {
+  if (!dynamics || typeof dynamics !== 'object' || toNumber(dynamics.dwellSamples) < MIN_KEYSTROKE_SAMPLES) {
+    return null;
+  }
+
+  return {
+    keyCount: toNumber(dynamics.keyCount),
+    dwellSamples: toNumber(dynamics.dwellSamples),
+    dwellMean: toNumber(dynamics.dwellMean),
+    dwellStdDev: Math.sqrt(Math.max(0, toNumber(dynamics.dwellVariance))),
+    flightSamples: toNumber(dynamics.flightSamples),
+    flightMean: toNumber(dynamics.flightMean),
+    flightStdDev: Math.sqrt(Math.max(0, toNumber(dynamics.flightVariance))),
+    correctionRate: toNumber(dynamics.correctionRate)
+  };
+}
+
+/**
+ * Compara a digitação com o esperado de pessoas
+ * @param {Object} dynamics - behavioral.metrics.keystrokeDynamics
+ * @returns {Object} { analyzed, humanLike, count, ids, anomalies: [{ id, severity, detail }], penalty }
+ */
+function analyzeKeystrokes(dynamics) {
+  // Sem amostras suficientes nada é avaliado (humanLike fica true)
+  return runAnomalyChecks(KEYSTROKE_CHECKS, normalizeKeystrokeDynamics(dynamics));
+}
+
+/**
+ * Análise da digitação da verificação (data.keystroke ou analyzeKeystrokes())
+ * @type {Function}
+ */
+const getKeystrokeAnalysis = cachedAnalysis('keystroke', data => analyzeKeystrokes(data.behavioral?.metrics?.keystrokeDynamics));
+
+/**
+ * Compara a digitação com o perfil do usuário no dispositivo
+ * @param {Object|null} profile - Perfil (updateTypingProfile)
+ * @param {Object} dynamics - behavioral.metrics.keystrokeDynamics
+ * @returns {Object} { status, distance, profileSamples }
+ */
+function compareTypingProfile(profile, dynamics) {
+  const normalized = normalizeKeystrokeDynamics(dynamics);
+  const profileSamples = profile ? profile.samples : 0;
+
+  if (!normalized) {
+    return { status: TYPING_STATUS.NO_DATA, distance: null, profileSamples };
+  }
+  if (profileSamples < MIN_PROFILE_SAMPLES) {
+    return { status: TYPING_STATUS.ENROLLING, distance: null, profileSamples };
+  }
+
+  // Média das distâncias em desvios padrão do perfil
+  const fields = Object.keys(MIN_PROFILE_STD_DEV);
+  const distance = fields.reduce((sum, field) => {
+    const spread = Math.max(profile.spread[field], MIN_PROFILE_STD_DEV[field]);
+    return sum + Math.abs(normalized[field] - profile.mean[field]) / spread;
+  }, 0) / fields.length;
+
+  return {
+    status: distance <= TYPING_MATCH_THRESHOLD ? TYPING_STATUS.MATCH : TYPING_STATUS.MISMATCH,
+    distance,
+    profileSamples
+  };
+}
+
+/**
+ * Incorpora uma verificação ao perfil de digitação
+ * @param {Object|null} profile - Perfil atual
+ * @param {Object} dynamics - behavioral.metrics.keystrokeDynamics
+ * @param {Date} now - Instante da verificação
+ * @returns {Object|null} { samples, mean, spread, updatedAt } (o perfil atual sem amostras suficientes)
+ */
+function updateTypingProfile(profile, dynamics, now = new Date()) {
+  const normalized = normalizeKeystrokeDynamics(dynamics);
+  if (!normalized) {
+    return profile || null;
+  }
+
+  const fields = Object.keys(MIN_PROFILE_STD_DEV);
+  const samples = profile ? profile.samples + 1 : 1;
+  // Média simples nas primeiras verificações, depois média móvel
+  const rate = Math.max(1 / samples, PROFILE_UPDATE_RATE);
+  const mean = {};
+  const spread = {};
+
+  for (const field of fields) {
+    const previous = profile ? profile.mean[field] : normalized[field];
+    mean[field] = previous + rate * (normalized[field] - previous);
+    // Desvio entre verificações; na primeira, a variação dentro da própria digitação
+    spread[field] = profile
+      ? Math.sqrt((1 - rate) * Math.pow(profile.spread[field], 2) + rate * Math.pow(normalized[field] - previous, 2))
+      : normalized[INITIAL_SPREAD_FIELDS[field]] || 0;
+  }
+
+  return { samples, mean, spread, updatedAt: now.toISOString() };
+}
+
+export {
+  analyzeKeystrokes,
+  getKeystrokeAnalysis,
+  compareTypingProfile,
+  updateTypingProfile,
+  KEYSTROKE_CHECKS,
+  TYPING_STATUS,
+  MIN_KEYSTROKE_SAMPLES
+};
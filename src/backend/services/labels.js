@@ -0,0 +1,102 @@
+/**
+ * Rótulos de fraude para NextTrust SDK
+ * Guarda o desfecho conhecido de cada sessão (chargeback, revisão manual...)
+ * em um arquivo append-only, uma linha JSON por rótulo
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+/**
+ * Valores de rótulo aceitos
+ */
+const LABEL_VALUES = {
+  FRAUD: 'fraud',
+  LEGIT: 'legit'
+};
+
+/**
+ * Classe do Armazenamento de Rótulos
+ */
+class LabelStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Registra um rótulo
+   * @param {Object} entry - Rótulo
+   * @param {string} entry.sessionId - ID da sessão verificada
+   * @param {string} entry.label - 'fraud' ou 'legit'
+   * @param {string} entry.source - Origem (ex.: chargeback, manual_review)
+   * @param {string} entry.timestamp - Quando o desfecho foi conhecido (padrão: agora)
+   * @param {string} entry.tenant - Tenant da sessão
+   * @returns {Object} Rótulo gravado
+   */
+  async append(entry) {
+    if (!Object.values(LABEL_VALUES).includes(entry.label)) {
+      throw new Error(`Invalid label '${entry.label}' (expected ${Object.values(LABEL_VALUES).join(' or ')})`);
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      ...entry,
+      timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : new Date().toISOString(),
+      recordedAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, { flag: 'a' });
+
+    return record;
+  }
+
+  /**
+   * Lista os rótulos, na ordem de gravação
+   * @param {Object} filters - Filtros
+   * @param {string} filters.sessionId - Apenas rótulos desta sessão
+   * @param {string} filters.tenant - Apenas rótulos deste tenant
+   * @returns {Array} Rótulos
+   */
+  async list(filters = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(entry => !filters.sessionId || entry.sessionId === filters.sessionId)
+      .filter(entry => !filters.tenant || (entry.tenant || DEFAULT_TENANT_ID) === filters.tenant);
+  }
+
+  /**
+   * Rótulo vigente de cada sessão: o de desfecho mais recente
+   * (um chargeback posterior substitui uma revisão manual anterior, por exemplo)
+   * @param {Object} filters - Filtros de list()
+   * @returns {Map} sessionId -> rótulo
+   */
+  async latestBySession(filters = {}) {
+    const latest = new Map();
+
+    for (const entry of await this.list(filters)) {
+      const current = latest.get(entry.sessionId);
+      if (!current || entry.timestamp >= current.timestamp) {
+        latest.set(entry.sessionId, entry);
+      }
+    }
+
+    return latest;
+  }
+}
+
+export { LabelStore, LABEL_VALUES };
@@ -0,0 +1,371 @@
+/**
+ * Listas nomeadas (blocklists/allowlists) para NextTrust SDK
+ * Carregadas a partir de arquivos referenciados em rules.json e consultadas
+ * nas condições das regras via inList('nome', valor)
+ */
+
+import { promises as fs } from 'fs';
+import net from 'net';
+import path from 'path';
+
+/**
+ * Tipos de lista e a forma de comparação de cada um
+ */
+const LIST_TYPES = {
+  IP: 'ip', // Endereços IPv4/IPv6 e faixas CIDR
+  SUBSTRING: 'substring', // Trecho contido no valor (sem diferenciar maiúsculas)
+  DOMAIN: 'domain', // Domínio (ou subdomínio) de e-mails e hosts
+  EXACT: 'exact' // Valor idêntico (ex.: hashes de fingerprint)
+};
+
+/**
+ * Converte endereços IPv4 mapeados em IPv6 (::ffff:1.2.3.4) para IPv4
+ * @param {string} address - Endereço IP
+ * @returns {string} Endereço normalizado
+ */
+function normalizeIp(address) {
+  const value = String(address).trim();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(value);
+  return mapped ? mapped[1] : value;
+}
+
+/**
+ * Faz o parse do conteúdo de um arquivo de lista: uma entrada por linha,
+ * linhas vazias e comentários (#) são ignorados
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Array} Entradas
+ */
+function parseListFile(content) {
+  return content
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Monta o conteúdo de um arquivo de lista a partir do conteúdo anterior: comentários,
+ * linhas vazias e as linhas das entradas mantidas ficam como estavam, entradas
+ * removidas saem e as novas vão para o final
+ * @param {Array} entries - Entradas
+ * @param {string} previous - Conteúdo anterior do arquivo
+ * @returns {string} Conteúdo do arquivo
+ */
+function formatListFile(entries, previous = '') {
+  const remaining = new Set(entries.map(entry => String(entry).trim()).filter(Boolean));
+  const lines = [];
+
+  for (const line of previous.replace(/\n$/, '').split('\n')) {
+    const entry = line.replace(/#.*$/, '').trim();
+    if (previous && (!entry || remaining.delete(entry))) {
+      lines.push(line);
+    }
+  }
+
+  return [...lines, ...remaining].map(line => `${line}\n`).join('');
+}
+
+/**
+ * Classe de uma lista nomeada
+ */
+class NamedList {
+  /**
+   * @param {Object} definition - Definição da lista
+   * @param {string} definition.name - Nome da lista
+   * @param {string} definition.type - Tipo (ip, substring, domain, exact)
+   * @param {Array} definition.entries - Entradas
+   * @param {string} definition.file - Arquivo de origem, se houver
+   * @param {string} definition.source - Conteúdo original, usado para detectar alterações
+   * @throws {Error} Se o tipo ou alguma entrada for inválido
+   */
+  constructor({ name, type = LIST_TYPES.EXACT, entries = [], file = null, source = null }) {
+    if (!Object.values(LIST_TYPES).includes(type)) {
+      throw new Error(`Invalid type '${type}' for list ${name}`);
+    }
+
+    this.name = name;
+    this.type = type;
+    this.file = file;
+    this.entries = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+    if (source !== null) {
+      this.source = source;
+    } else {
+      this.source = file ? formatListFile(this.entries) : JSON.stringify(this.entries);
+    }
+    this._index();
+  }
+
+  /**
+   * Verifica se um valor pertence à lista
+   * @param {*} value - Valor consultado
+   * @returns {boolean} Se há correspondência
+   */
+  contains(value) {
+    if (value === null || value === undefined || value === '') {
+      return false;
+    }
+
+    switch (this.type) {
+    case LIST_TYPES.IP: {
+      const address = normalizeIp(value);
+      const family = net.isIP(address);
+      return family !== 0 && this.blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    case LIST_TYPES.SUBSTRING: {
+      const text = String(value).toLowerCase();
+      return this.patterns.some(pattern => text.includes(pattern));
+    }
+
+    case LIST_TYPES.DOMAIN: {
+      const text = String(value).toLowerCase();
+      const domain = text.slice(text.lastIndexOf('@') + 1);
+      const labels = domain.split('.');
+      return labels.some((_label, i) => this.values.has(labels.slice(i).join('.')));
+    }
+
+    default:
+      return this.values.has(String(value));
+    }
+  }
+
+  /**
+   * Cria uma nova lista com entradas adicionadas e/ou removidas
+   * @param {Object} changes - Alterações
+   * @param {Array} changes.add - Entradas a adicionar
+   * @param {Array} changes.remove - Entradas a remover
+   * @returns {NamedList} Nova lista
+   */
+  withChanges({ add = [], remove = [] }) {
+    const removed = new Set(remove.map(entry => String(entry).trim()));
+    const entries = [...this.entries, ...add].filter(entry => !removed.has(String(entry).trim()));
+    // Listas em arquivo mantêm os comentários do arquivo atual
+    const source = this.file ? formatListFile(entries, this.source) : null;
+
+    return new NamedList({ name: this.name, type: this.type, entries, file: this.file, source });
+  }
+
+  /**
+   * Conteúdo do arquivo da lista
+   * @returns {string} Uma entrada por linha, com os comentários do arquivo de origem
+   */
+  format() {
+    return formatListFile(this.entries, this.file ? this.source : '');
+  }
+
+  /**
+   * Resumo da lista
+   * @returns {Object} { name, type, file, size }
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      type: this.type,
+      file: this.file,
+      size: this.entries.length
+    };
+  }
+
+  /**
+   * Prepara as estruturas de busca do tipo da lista
+   * @private
+   */
+  _index() {
+    if (this.type === LIST_TYPES.IP) {
+      this.blockList = new net.BlockList();
+
+      for (const entry of this.entries) {
+        const [address, prefix] = normalizeIp(entry).split('/');
+        const family = net.isIP(address);
+        const maxPrefix = family === 4 ? 32 : 128;
+
+        if (family === 0 || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+          throw new Error(`Invalid IP or CIDR '${entry}' in list ${this.name}`);
+        }
+
+        const type = family === 4 ? 'ipv4' : 'ipv6';
+        if (prefix === undefined) {
+          this.blockList.addAddress(address, type);
+        } else {
+          this.blockList.addSubnet(address, Number(prefix), type);
+        }
+      }
+      return;
+    }
+
+    if (this.type === LIST_TYPES.SUBSTRING) {
+      this.patterns = this.entries.map(entry => entry.toLowerCase());
+      return;
+    }
+
+    this.values = new Set(this.type === LIST_TYPES.DOMAIN
+      ? this.entries.map(entry => entry.toLowerCase().replace(/^@/, ''))
+      : this.entries);
+  }
+}
+
+/**
+ * Conjunto imutável de listas nomeadas
+ */
+class ListRegistry {
+  constructor(lists = []) {
+    this.lists = new Map(lists.map(list => [list.name, list]));
+  }
+
+  /**
+   * Cria o conjunto a partir das definições de rules.json, lendo os arquivos referenciados
+   * @param {Object} definitions - { nome: { type, file } | { type, entries } }
+   * @param {string} baseDir - Diretório base para caminhos relativos
+   * @returns {ListRegistry} Conjunto carregado
+   * @throws {Error} Se algum arquivo não puder ser lido ou alguma entrada for inválida
+   */
+  static async load(definitions = {}, baseDir = '.') {
+    const lists = [];
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      if (!definition.file) {
+        lists.push(new NamedList({ name, type: definition.type, entries: definition.entries || [] }));
+        continue;
+      }
+
+      const file = path.resolve(baseDir, definition.file);
+      let source;
+      try {
+        source = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to load list ${name} from ${file}: ${error.message}`);
+      }
+
+      lists.push(new NamedList({ name, type: definition.type, entries: parseListFile(source), file, source }));
+    }
+
+    return new ListRegistry(lists);
+  }
+
+  /**
+   * Cria o conjunto a partir de definições com entradas inline (sem arquivos)
+   * @param {Object} definitions - { nome: { type, entries } }
+   * @returns {ListRegistry} Conjunto
+   * @throws {Error} Se alguma lista referenciar um arquivo
+   */
+  static fromDefinitions(definitions = {}) {
+    return new ListRegistry(Object.entries(definitions).map(([name, definition]) => {
+      if (definition.file) {
+        throw new Error(`List ${name} references a file; load it with loadRules() or loadRulesFromSource()`);
+      }
+      return new NamedList({ name, type: definition.type, entries: definition.entries || [] });
+    }));
+  }
+
+  /**
+   * Verifica se a lista existe
+   * @param {string} name - Nome da lista
+   * @returns {boolean} Se existe
+   */
+  has(name) {
+    return this.lists.has(name);
+  }
+
+  /**
+   * Obtém uma lista
+   * @param {string} name - Nome da lista
+   * @returns {NamedList|null} Lista
+   */
+  get(name) {
+    return this.lists.get(name) || null;
+  }
+
+  /**
+   * Verifica se um valor pertence a uma lista
+   * @param {string} name - Nome da lista
+   * @param {*} value - Valor consultado
+   * @returns {boolean} Se há correspondência
+   * @throws {Error} Se a lista não existir
+   */
+  contains(name, value) {
+    const list = this.lists.get(name);
+    if (!list) {
+      throw new Error(`Unknown list '${name}'`);
+    }
+    return list.contains(value);
+  }
+
+  /**
+   * Cria um novo conjunto substituindo uma lista
+   * @param {NamedList} list - Lista atualizada
+   * @returns {ListRegistry} Novo conjunto
+   */
+  with(list) {
+    return new ListRegistry([...this.lists.values()].map(current => (current.name === list.name ? list : current)));
+  }
+
+  /**
+   * Arquivos de origem das listas
+   * @returns {Array} Caminhos absolutos
+   */
+  getFiles() {
+    return [...this.lists.values()].map(list => list.file).filter(Boolean);
+  }
+
+  /**
+   * Indica se o conteúdo de todas as listas é igual ao de outro conjunto
+   * @param {ListRegistry} other - Outro conjunto
+   * @returns {boolean} Se são equivalentes
+   */
+  equals(other) {
+    if (!other || other.lists.size !== this.lists.size) {
+      return false;
+    }
+
+    return [...this.lists.values()].every(list => {
+      const otherList = other.lists.get(list.name);
+      return otherList && otherList.type === list.type && otherList.source === list.source;
+    });
+  }
+
+  /**
+   * Resumo de todas as listas
+   * @returns {Array} Resumos
+   */
+  getInfo() {
+    return [...this.lists.values()].map(list => list.getInfo());
+  }
+}
+
+/**
+ * Nomes de lista usados em chamadas inList() de uma condição compilada
+ * @param {Object} node - Nó da AST
+ * @param {Array} names - Acumulador
+ * @returns {Array} Nomes (apenas argumentos literais)
+ */
+function collectListReferences(node, names = []) {
+  if (!node || typeof node !== 'object') {
+    return names;
+  }
+
+  if (node.type === 'Call' && node.callee.type === 'Identifier' && node.callee.name === 'inList') {
+    const [listName] = node.arguments;
+    if (!listName || listName.type !== 'Literal' || typeof listName.value !== 'string') {
+      throw new Error('inList() expects a list name string literal as first argument');
+    }
+    names.push(listName.value);
+  }
+
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(child => collectListReferences(child, names));
+    } else if (value && typeof value === 'object') {
+      collectListReferences(value, names);
+    }
+  }
+
+  return names;
+}
+
+export {
+  NamedList,
+  ListRegistry,
+  LIST_TYPES,
+  parseListFile,
+  formatListFile,
+  collectListReferences
+};
@@ -0,0 +1,140 @@
+/**
+ * Sinais de toque e sensores para NextTrust SDK
+ * Compara os toques (pressão, raio, duração) e os sensores de movimento
+ * (acelerômetro e orientação) com o esperado de um aparelho na mão de uma pessoa
+ */
+
+import { runAnomalyChecks, cachedAnalysis, toNumber, toDistribution } from './anomalies.js';
+
+/**
+ * Toques mínimos para analisar pressão, raio e duração
+ */
+const MIN_TOUCHES = 5;
+
+/**
+ * Leituras mínimas de um sensor para analisar o tremor
+ */
+const MIN_SENSOR_SAMPLES = 20;
+
+/**
+ * Tremor abaixo do qual o sensor está perfeitamente parado (emuladores e
+ * navegadores sem sensor real repetem a mesma leitura)
+ */
+const STILL_SENSOR_JITTER = 0.001;
+
+/**
+ * Verificações dos toques e sensores: cada uma recebe { touch, sensors } normalizados
+ * (touch ou sensors null quando não há dados suficientes) e retorna { severity, detail } ou null.
+ * Dedos variam pressão, raio e duração; um aparelho na mão sempre treme um pouco
+ */
+const MOBILE_CHECKS = {
+  synthetic_touches: ({ touch }) => (
+    touch && touch.untrustedCount > 0
+      ? { severity: 'high', detail: `${touch.untrustedCount} touches were dispatched by script` }
+      : null),
+
+  // Navegadores sem pressão real informam force 0 (iPhones sem 3D Touch) ou nenhum raio:
+  // pressão e raio só contam quando há amostras e a pressão não é sempre 0
+  constant_touch_contact: ({ touch }) => (
+    touch && touch.touchCount >= MIN_TOUCHES
+      && touch.forceSamples >= MIN_TOUCHES && touch.radiusSamples >= MIN_TOUCHES && touch.force.max > 0
+      && touch.force.stdDev === 0 && touch.radius.stdDev === 0
+      ? { severity: 'medium', detail: `Every touch has the same pressure (${touch.force.mean}) and radius (${touch.radius.mean})` }
+      : null),
+
+  uniform_tap_duration: ({ touch }) => (
+    touch && touch.tapCount >= MIN_TOUCHES && touch.tapDuration.stdDev < 5
+      ? { severity: 'medium', detail: `Tap duration varies by only ${touch.tapDuration.stdDev.toFixed(1)}ms` }
+      : null),
+
+  motion_sensor_still: ({ sensors }) => (
+    sensors && sensors.motionSamples >= MIN_SENSOR_SAMPLES && sensors.motionJitter.max < STILL_SENSOR_JITTER
+      ? { severity: 'high', detail: `Accelerometer did not change across ${sensors.motionSamples} readings` }
+      : null),
+
+  orientation_sensor_still: ({ sensors }) => (
+    sensors && sensors.orientationSamples >= MIN_SENSOR_SAMPLES && sensors.orientationJitter.max < STILL_SENSOR_JITTER
+      ? { severity: 'high', detail: `Device orientation did not change across ${sensors.orientationSamples} readings` }
+      : null),
+
+  no_gravity: ({ sensors }) => (
+    sensors && sensors.motionSamples >= MIN_SENSOR_SAMPLES && sensors.gravity.mean < 1
+      ? { severity: 'medium', detail: `Accelerometer reports no gravity (${sensors.gravity.mean.toFixed(2)} m/s²)` }
+      : null)
+};
+
+/**
+ * Normaliza a dinâmica de toque enviada pelo SDK
+ * @param {Object} dynamics - metrics.touchDynamics
+ * @returns {Object|null} Dinâmica ou null se não houver toques
+ */
+function normalizeTouchDynamics(dynamics) {
+  if (!dynamics || typeof dynamics !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    touchCount: toNumber(dynamics.touchCount),
+    tapCount: toNumber(dynamics.tapCount),
+    swipeCount: toNumber(dynamics.swipeCount),
+    untrustedCount: toNumber(dynamics.untrustedCount),
+    tapDuration: toDistribution(dynamics.tapDuration),
+    swipeVelocity: toDistribution(dynamics.swipeVelocity),
+    force: toDistribution(dynamics.force),
+    radius: toDistribution(dynamics.radius),
+    forceSamples: toNumber(dynamics.forceSamples),
+    radiusSamples: toNumber(dynamics.radiusSamples)
+  };
+
+  return normalized.touchCount > 0 || normalized.untrustedCount > 0 ? normalized : null;
+}
+
+/**
+ * Normaliza a dinâmica dos sensores enviada pelo SDK
+ * @param {Object} dynamics - metrics.sensorDynamics
+ * @returns {Object|null} Dinâmica ou null se nenhum sensor tiver leituras suficientes
+ */
+function normalizeSensorDynamics(dynamics) {
+  if (!dynamics || typeof dynamics !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    motionSamples: toNumber(dynamics.motionSamples),
+    motionJitter: toDistribution(dynamics.motionJitter),
+    gravity: toDistribution(dynamics.gravity),
+    orientationSamples: toNumber(dynamics.orientationSamples),
+    orientationJitter: toDistribution(dynamics.orientationJitter),
+    orientationChanges: toNumber(dynamics.orientationChanges)
+  };
+
+  return normalized.motionSamples >= MIN_SENSOR_SAMPLES || normalized.orientationSamples >= MIN_SENSOR_SAMPLES
+    ? normalized
+    : null;
+}
+
+/**
+ * Compara toques e sensores com o esperado de um aparelho na mão de uma pessoa
+ * @param {Object} metrics - behavioral.metrics ({ touchDynamics, sensorDynamics })
+ * @returns {Object} { analyzed, humanLike, count, ids, anomalies: [{ id, severity, detail }], penalty }
+ */
+function analyzeMobileSignals(metrics) {
+  const touch = normalizeTouchDynamics(metrics && metrics.touchDynamics);
+  const sensors = normalizeSensorDynamics(metrics && metrics.sensorDynamics);
+
+  // Sem toques nem leituras de sensores (desktop ou sinais desabilitados) nada é avaliado
+  return runAnomalyChecks(MOBILE_CHECKS, touch || sensors ? { touch, sensors } : null);
+}
+
+/**
+ * Análise dos toques e sensores da verificação (data.mobile ou analyzeMobileSignals())
+ * @type {Function}
+ */
+const getMobileAnalysis = cachedAnalysis('mobile', data => analyzeMobileSignals(data.behavioral?.metrics));
+
+export {
+  analyzeMobileSignals,
+  getMobileAnalysis,
+  MOBILE_CHECKS,
+  MIN_SENSOR_SAMPLES
+};
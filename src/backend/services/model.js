@@ -0,0 +1,240 @@
+/**
+ * Modelos de scoring para NextTrust SDK
+ * Carrega modelos exportados em JSON (regressão logística ou árvores com
+ * gradient boosting) e calcula a probabilidade de fraude em processo
+ */
+
+import { promises as fs } from 'fs';
+import { FEATURE_NAMES, extractFeatures, toFeatureVector } from './features.js';
+
+/**
+ * Tipos de modelo suportados
+ */
+const MODEL_TYPES = {
+  LOGISTIC_REGRESSION: 'logistic_regression',
+  GRADIENT_BOOSTED_TREES: 'gradient_boosted_trees'
+};
+
+/**
+ * Função logística
+ * @param {number} value - Logit
+ * @returns {number} Probabilidade entre 0 e 1
+ */
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+/**
+ * Verifica se um valor é um array de números finitos com o tamanho esperado
+ * @param {*} value - Valor
+ * @param {number} length - Tamanho esperado
+ * @returns {boolean} Se é válido
+ */
+function isNumberArray(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+/**
+ * Base dos modelos: valida as features e extrai o vetor dos dados de verificação
+ */
+class ScoringModel {
+  /**
+   * @param {Object} definition - Definição exportada
+   * @param {Array} definition.features - Nomes das features, na ordem usada pelo modelo
+   * @param {string} definition.version - Versão do modelo
+   * @throws {Error} Se alguma feature for desconhecida
+   */
+  constructor(definition) {
+    if (!Array.isArray(definition.features) || definition.features.length === 0) {
+      throw new Error('Model must declare its features');
+    }
+
+    const unknown = definition.features.filter(name => !FEATURE_NAMES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown model features: ${unknown.join(', ')}`);
+    }
+
+    this.type = definition.type;
+    this.version = definition.version || null;
+    this.features = definition.features;
+    this.metadata = definition.metadata || {};
+  }
+
+  /**
+   * Probabilidade de fraude de uma verificação
+   * @param {Object} data - Dados de verificação
+   * @returns {number} Probabilidade entre 0 e 1
+   */
+  predict(data) {
+    return this.predictVector(toFeatureVector(extractFeatures(data), this.features));
+  }
+
+  /**
+   * Probabilidade de fraude (entre 0 e 1) de um vetor de features; implementada por cada tipo de modelo
+   * @param {Array} _vector - Vetor na ordem de this.features
+   */
+  predictVector(_vector) {
+    throw new Error('predictVector() must be implemented by the model');
+  }
+
+  /**
+   * Resumo do modelo
+   * @returns {Object} { type, version, features }
+   */
+  getInfo() {
+    return {
+      type: this.type,
+      version: this.version,
+      features: this.features.length,
+      metadata: this.metadata
+    };
+  }
+}
+
+/**
+ * Regressão logística: p = sigmoid(intercept + Σ coef_i * (x_i - mean_i) / std_i)
+ */
+class LogisticRegressionModel extends ScoringModel {
+  /**
+   * @param {Object} definition - { features, intercept, coefficients, scaling: { mean, std } }
+   * @throws {Error} Se os coeficientes ou a normalização forem inválidos
+   */
+  constructor(definition) {
+    super(definition);
+
+    const size = this.features.length;
+    if (!Number.isFinite(definition.intercept) || !isNumberArray(definition.coefficients, size)) {
+      throw new Error(`Logistic regression requires a numeric intercept and ${size} coefficients`);
+    }
+
+    const scaling = definition.scaling || null;
+    if (scaling && (!isNumberArray(scaling.mean, size) || !isNumberArray(scaling.std, size))) {
+      throw new Error(`Logistic regression scaling requires ${size} mean and std values`);
+    }
+
+    this.intercept = definition.intercept;
+    this.coefficients = definition.coefficients;
+    this.scaling = scaling;
+  }
+
+  predictVector(vector) {
+    let logit = this.intercept;
+
+    for (let i = 0; i < vector.length; i++) {
+      const value = this.scaling
+        ? (vector[i] - this.scaling.mean[i]) / (this.scaling.std[i] || 1)
+        : vector[i];
+      logit += this.coefficients[i] * value;
+    }
+
+    return sigmoid(logit);
+  }
+}
+
+/**
+ * Árvores com gradient boosting: p = sigmoid(baseScore + Σ folha de cada árvore)
+ * Nós internos: { feature, threshold, left, right } (valor < threshold segue left);
+ * folhas: { value }
+ */
+class GradientBoostedTreesModel extends ScoringModel {
+  /**
+   * @param {Object} definition - { features, baseScore, trees }
+   * @throws {Error} Se alguma árvore for inválida
+   */
+  constructor(definition) {
+    super(definition);
+
+    if (!Array.isArray(definition.trees) || definition.trees.length === 0) {
+      throw new Error('Gradient boosted trees model requires at least one tree');
+    }
+
+    this.baseScore = Number.isFinite(definition.baseScore) ? definition.baseScore : 0;
+    this.trees = definition.trees.map((tree, index) => this._compileNode(tree, `tree ${index}`));
+  }
+
+  predictVector(vector) {
+    let logit = this.baseScore;
+
+    for (const tree of this.trees) {
+      let node = tree;
+      while (node.leaf === undefined) {
+        node = vector[node.index] < node.threshold ? node.left : node.right;
+      }
+      logit += node.leaf;
+    }
+
+    return sigmoid(logit);
+  }
+
+  /**
+   * Valida um nó e resolve o nome da feature para a posição no vetor
+   * @private
+   * @param {Object} node - Nó exportado
+   * @param {string} path - Caminho do nó, para mensagens de erro
+   * @returns {Object} Nó compilado
+   */
+  _compileNode(node, path) {
+    if (!node || typeof node !== 'object') {
+      throw new Error(`Invalid node at ${path}`);
+    }
+
+    if (node.value !== undefined) {
+      if (!Number.isFinite(node.value)) {
+        throw new Error(`Leaf at ${path} must have a numeric value`);
+      }
+      return { leaf: node.value };
+    }
+
+    const index = this.features.indexOf(node.feature);
+    if (index === -1 || !Number.isFinite(node.threshold)) {
+      throw new Error(`Split at ${path} must reference a model feature and a numeric threshold`);
+    }
+
+    return {
+      index,
+      threshold: node.threshold,
+      left: this._compileNode(node.left, `${path}.left`),
+      right: this._compileNode(node.right, `${path}.right`)
+    };
+  }
+}
+
+/**
+ * Cria um modelo a partir da definição exportada
+ * @param {Object} definition - Definição ({ type, ... })
+ * @returns {ScoringModel} Modelo
+ * @throws {Error} Se o tipo ou a definição forem inválidos
+ */
+function createModel(definition) {
+  switch (definition && definition.type) {
+  case MODEL_TYPES.LOGISTIC_REGRESSION:
+    return new LogisticRegressionModel(definition);
+  case MODEL_TYPES.GRADIENT_BOOSTED_TREES:
+    return new GradientBoostedTreesModel(definition);
+  default:
+    throw new Error(`Unsupported model type '${definition && definition.type}' (expected ${Object.values(MODEL_TYPES).join(' or ')})`);
+  }
+}
+
+/**
+ * Carrega um modelo de um arquivo JSON
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {ScoringModel} Modelo
+ * @throws {Error} Se o arquivo não puder ser lido ou o modelo for inválido
+ */
+async function loadModel(filePath) {
+  try {
+    return createModel(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Failed to load model from ${filePath}: ${error.message}`);
+  }
+}
+
+export {
+  MODEL_TYPES,
+  ScoringModel,
+  LogisticRegressionModel,
+  GradientBoostedTreesModel,
+  createModel,
+  loadModel
+};
@@ -0,0 +1,95 @@
+/**
+ * Dinâmica do mouse para NextTrust SDK
+ * Compara as trajetórias do cursor (velocidade, retidão, curvatura e aproximação
+ * dos cliques) com o esperado de pessoas, para separar movimentos de script
+ */
+
+import { runAnomalyChecks, cachedAnalysis, toNumber, toDistribution } from './anomalies.js';
+
+/**
+ * Posições mínimas do cursor para analisar as trajetórias
+ */
+const MIN_MOUSE_POINTS = 20;
+
+/**
+ * Cliques mínimos para analisar a aproximação
+ */
+const MIN_MOUSE_CLICKS = 3;
+
+/**
+ * Verificações das trajetórias: cada uma recebe a dinâmica (metrics.mouseDynamics)
+ * e retorna { severity, detail } ou null. A mão descreve curvas, acelera e freia;
+ * scripts movem o cursor em linha reta, com velocidade constante, ou clicam sem movê-lo
+ */
+const MOUSE_CHECKS = {
+  linear_trajectories: ({ pointCount, straightness, curvature }) => (
+    pointCount >= MIN_MOUSE_POINTS && straightness.mean >= 0.99 && curvature.mean < 0.02
+      ? { severity: 'high', detail: `Cursor paths are straight lines (straightness ${straightness.mean.toFixed(3)})` }
+      : null),
+
+  constant_speed: ({ pointCount, speed }) => (
+    pointCount >= MIN_MOUSE_POINTS && speed.mean > 0 && speed.stdDev / speed.mean < 0.1
+      ? { severity: 'high', detail: `Cursor speed varies by only ${Math.round(speed.stdDev / speed.mean * 100)}%` }
+      : null),
+
+  clicks_without_approach: ({ clickCount, clicksWithoutApproach }) => (
+    clickCount >= MIN_MOUSE_CLICKS && clicksWithoutApproach / clickCount >= 0.5
+      ? { severity: 'medium', detail: `${clicksWithoutApproach} of ${clickCount} clicks happened away from the cursor` }
+      : null),
+
+  no_click_deceleration: ({ approachCount, approachDeceleration }) => (
+    approachCount >= MIN_MOUSE_CLICKS && approachDeceleration >= 0.9
+      ? { severity: 'low', detail: 'Cursor does not slow down before clicking' }
+      : null)
+};
+
+/**
+ * Normaliza a dinâmica enviada pelo SDK
+ * @param {Object} dynamics - metrics.mouseDynamics
+ * @returns {Object|null} Dinâmica ou null se não houver movimentos nem cliques suficientes
+ */
+function normalizeMouseDynamics(dynamics) {
+  if (!dynamics || typeof dynamics !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    pointCount: toNumber(dynamics.pointCount),
+    segmentCount: toNumber(dynamics.segmentCount),
+    totalDistance: toNumber(dynamics.totalDistance),
+    speed: toDistribution(dynamics.speed),
+    acceleration: toDistribution(dynamics.acceleration),
+    curvature: toDistribution(dynamics.curvature),
+    straightness: toDistribution(dynamics.straightness),
+    pauseCount: toNumber(dynamics.pauseCount),
+    clickCount: toNumber(dynamics.clickCount),
+    clicksWithoutApproach: toNumber(dynamics.clicksWithoutApproach),
+    approachCount: toNumber(dynamics.approachCount),
+    approachDeceleration: toNumber(dynamics.approachDeceleration)
+  };
+
+  return normalized.pointCount >= MIN_MOUSE_POINTS || normalized.clickCount >= MIN_MOUSE_CLICKS ? normalized : null;
+}
+
+/**
+ * Compara as trajetórias do cursor com o esperado de pessoas
+ * @param {Object} dynamics - behavioral.metrics.mouseDynamics
+ * @returns {Object} { analyzed, humanLike, count, ids, anomalies: [{ id, severity, detail }], penalty }
+ */
+function analyzeMouseDynamics(dynamics) {
+  // Sem movimentos nem cliques suficientes nada é avaliado (humanLike fica true)
+  return runAnomalyChecks(MOUSE_CHECKS, normalizeMouseDynamics(dynamics));
+}
+
+/**
+ * Análise do mouse da verificação (data.mouse ou analyzeMouseDynamics())
+ * @type {Function}
+ */
+const getMouseAnalysis = cachedAnalysis('mouse', data => analyzeMouseDynamics(data.behavioral?.metrics?.mouseDynamics));
+
+export {
+  analyzeMouseDynamics,
+  getMouseAnalysis,
+  MOUSE_CHECKS,
+  MIN_MOUSE_POINTS
+};
@@ -0,0 +1,140 @@
+/**
+ * Guarda de privacidade para NextTrust SDK
+ * Procura nos eventos comportamentais valores que o SDK não deveria ter enviado:
+ * valores e teclas de campos sensíveis, números de cartão e CPFs. Payloads com
+ * esses valores são rejeitados antes de chegar ao log de verificações e ao audit log
+ */
+
+/**
+ * Sequências de 13 a 19 dígitos, com espaços ou hífens entre eles
+ */
+const CARD_NUMBER_PATTERN = /\d(?:[ -]?\d){12,18}/g;
+
+/**
+ * CPF com ou sem pontuação
+ */
+const CPF_PATTERN = /\d{3}\.?\d{3}\.?\d{3}-?\d{2}/g;
+
+/**
+ * Dígito verificador de Luhn (cartões)
+ * @param {string} digits - Dígitos
+ * @returns {boolean} Se o número é válido
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Dígitos verificadores do CPF
+ * @param {string} digits - 11 dígitos
+ * @returns {boolean} Se o CPF é válido
+ */
+function isValidCpf(digits) {
+  if (/^(\d)\1{10}$/.test(digits)) {
+    return false;
+  }
+
+  const checkDigit = length => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[i]) * (length + 1 - i);
+    }
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+}
+
+/**
+ * Identifica números de cartão ou CPFs válidos em um texto
+ * @param {string} text - Texto
+ * @returns {string|null} card_number, cpf ou null
+ */
+function detectPii(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const cards = text.match(CARD_NUMBER_PATTERN) || [];
+  if (cards.some(match => passesLuhn(match.replace(/\D/g, '')))) {
+    return 'card_number';
+  }
+
+  const cpfs = text.match(CPF_PATTERN) || [];
+  if (cpfs.some(match => isValidCpf(match.replace(/\D/g, '')))) {
+    return 'cpf';
+  }
+
+  return null;
+}
+
+/**
+ * Campo que o SDK marca como sensível (masked) ou campo de senha
+ * @param {Object} target - event.target descrito pelo SDK
+ * @returns {boolean} Se o campo é sensível
+ */
+function isSensitiveTarget(target) {
+  return !!target && (target.masked === true || String(target.type).toLowerCase() === 'password');
+}
+
+/**
+ * Procura valores crus nos eventos comportamentais
+ * @param {Array} events - behavioral.sampleEvents
+ * @returns {Array} [{ index, field, reason }] (reason: sensitive_field, card_number ou cpf)
+ */
+function findRawValues(events) {
+  const found = [];
+
+  (Array.isArray(events) ? events : []).forEach((event, index) => {
+    if (!event || typeof event !== 'object') {
+      return;
+    }
+
+    const target = event.target && typeof event.target === 'object' ? event.target : null;
+    const data = event.data && typeof event.data === 'object' ? event.data : {};
+
+    if (isSensitiveTarget(target)) {
+      if (target.value !== null && target.value !== undefined && target.value !== '') {
+        found.push({ index, field: 'target.value', reason: 'sensitive_field' });
+      }
+      for (const field of ['key', 'code']) {
+        if (data[field] !== null && data[field] !== undefined) {
+          found.push({ index, field: `data.${field}`, reason: 'sensitive_field' });
+        }
+      }
+      return;
+    }
+
+    const fields = { 'target.value': target ? target.value : null };
+    for (const [field, value] of Object.entries(data)) {
+      fields[`data.${field}`] = value;
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      const reason = detectPii(value);
+      if (reason) {
+        found.push({ index, field, reason });
+      }
+    }
+  });
+
+  return found;
+}
+
+export {
+  findRawValues,
+  detectPii,
+  isSensitiveTarget
+};
@@ -0,0 +1,317 @@
+/**
+ * Códigos de razão para NextTrust SDK
+ * Catálogo de códigos estáveis que explicam o score, com severidade,
+ * componente do score e mensagens localizadas (pt-BR, en, es)
+ */
+
+/**
+ * Idiomas das mensagens; o primeiro é o padrão
+ */
+const SUPPORTED_LOCALES = ['en', 'pt-BR', 'es'];
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES[0];
+
+/**
+ * Severidades, da menor para a maior
+ */
+const REASON_SEVERITY = {
+  INFO: 'info',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+/**
+ * Catálogo de razões. Códigos parametrizados recebem um sufixo (ex.: RULE_DENY_TRIGGERED:<ruleId>);
+ * {rule} nas mensagens é substituído pelo nome da regra
+ */
+const REASON_CATALOG = {
+  // Resumo do score final
+  SCORE_HIGH: {
+    severity: REASON_SEVERITY.INFO,
+    component: null,
+    messages: {
+      en: 'High confidence score based on comprehensive data analysis',
+      'pt-BR': 'Score de confiança alto, com base na análise completa dos dados',
+      es: 'Puntuación de confianza alta según el análisis completo de los datos'
+    }
+  },
+  SCORE_MODERATE: {
+    severity: REASON_SEVERITY.LOW,
+    component: null,
+    messages: {
+      en: 'Moderate confidence score with some risk factors',
+      'pt-BR': 'Score de confiança moderado, com alguns fatores de risco',
+      es: 'Puntuación de confianza moderada con algunos factores de riesgo'
+    }
+  },
+  SCORE_LOW: {
+    severity: REASON_SEVERITY.MEDIUM,
+    component: null,
+    messages: {
+      en: 'Low confidence score with multiple risk factors',
+      'pt-BR': 'Score de confiança baixo, com vários fatores de risco',
+      es: 'Puntuación de confianza baja con varios factores de riesgo'
+    }
+  },
+  SCORE_VERY_LOW: {
+    severity: REASON_SEVERITY.HIGH,
+    component: null,
+    messages: {
+      en: 'Very low confidence score with significant risk factors',
+      'pt-BR': 'Score de confiança muito baixo, com fatores de risco significativos',
+      es: 'Puntuación de confianza muy baja con factores de riesgo significativos'
+    }
+  },
+
+  // Regras
+  RULES_FAILED: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'rule',
+    messages: {
+      en: 'Multiple security rules failed',
+      'pt-BR': 'Várias regras de segurança falharam',
+      es: 'Varias reglas de seguridad fallaron'
+    }
+  },
+  RULE_DENY_TRIGGERED: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'rule',
+    messages: {
+      en: 'Deny rule triggered: {rule}',
+      'pt-BR': 'Regra de bloqueio disparada: {rule}',
+      es: 'Regla de denegación activada: {rule}'
+    }
+  },
+  RULE_REVIEW_TRIGGERED: {
+    severity: REASON_SEVERITY.MEDIUM,
+    component: 'rule',
+    messages: {
+      en: 'Review rule triggered: {rule}',
+      'pt-BR': 'Regra de revisão disparada: {rule}',
+      es: 'Regla de revisión activada: {rule}'
+    }
+  },
+  RULE_TERMINAL: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'rule',
+    messages: {
+      en: 'Decision forced by terminal rule: {rule}',
+      'pt-BR': 'Decisão definida pela regra terminal: {rule}',
+      es: 'Decisión forzada por la regla terminal: {rule}'
+    }
+  },
+
+  // Comportamento
+  BEHAVIOR_MISSING: {
+    severity: REASON_SEVERITY.MEDIUM,
+    component: 'behavioral',
+    messages: {
+      en: 'No behavioral data was collected',
+      'pt-BR': 'Nenhum dado comportamental foi coletado',
+      es: 'No se recopilaron datos de comportamiento'
+    }
+  },
+  BEHAVIOR_BOT_LIKE: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'behavioral',
+    messages: {
+      en: 'Insufficient or bot-like behavioral data',
+      'pt-BR': 'Dados comportamentais insuficientes ou típicos de bot',
+      es: 'Datos de comportamiento insuficientes o propios de un bot'
+    }
+  },
+  BEHAVIOR_KEYSTROKE_ANOMALY: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'behavioral',
+    messages: {
+      en: 'Typing rhythm is not consistent with a human',
+      'pt-BR': 'O ritmo de digitação não é compatível com uma pessoa',
+      es: 'El ritmo de escritura no es compatible con una persona'
+    }
+  },
+  BEHAVIOR_TYPING_MISMATCH: {
+    severity: REASON_SEVERITY.MEDIUM,
+    component: 'behavioral',
+    messages: {
+      en: 'Typing rhythm differs from the user profile on this device',
+      'pt-BR': 'O ritmo de digitação difere do perfil do usuário neste dispositivo',
+      es: 'El ritmo de escritura difiere del perfil del usuario en este dispositivo'
+    }
+  },
+  BEHAVIOR_MOUSE_ANOMALY: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'behavioral',
+    messages: {
+      en: 'Mouse movements look scripted',
+      'pt-BR': 'Os movimentos do mouse parecem automatizados',
+      es: 'Los movimientos del ratón parecen automatizados'
+    }
+  },
+  BEHAVIOR_MOBILE_ANOMALY: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'behavioral',
+    messages: {
+      en: 'Touches or motion sensors look emulated',
+      'pt-BR': 'Os toques ou os sensores de movimento parecem emulados',
+      es: 'Los toques o los sensores de movimiento parecen emulados'
+    }
+  },
+
+  // Fingerprint
+  FP_MISSING: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'fingerprint',
+    messages: {
+      en: 'No device fingerprint was collected',
+      'pt-BR': 'Nenhum fingerprint do dispositivo foi coletado',
+      es: 'No se recopiló la huella del dispositivo'
+    }
+  },
+  FP_INCOMPLETE: {
+    severity: REASON_SEVERITY.MEDIUM,
+    component: 'fingerprint',
+    messages: {
+      en: 'Incomplete or suspicious device fingerprint',
+      'pt-BR': 'Fingerprint do dispositivo incompleto ou suspeito',
+      es: 'Huella del dispositivo incompleta o sospechosa'
+    }
+  },
+  FP_INCONSISTENT: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'fingerprint',
+    messages: {
+      en: 'Device fingerprint attributes contradict each other',
+      'pt-BR': 'Atributos do fingerprint do dispositivo se contradizem',
+      es: 'Los atributos de la huella del dispositivo se contradicen'
+    }
+  },
+  FP_SUSPICIOUS_UA: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'fingerprint',
+    messages: {
+      en: 'User agent matches a known bot or automation tool',
+      'pt-BR': 'User agent corresponde a um bot ou ferramenta de automação conhecida',
+      es: 'El user agent coincide con un bot o herramienta de automatización conocida'
+    }
+  },
+
+  // Facial
+  FACIAL_VERIFIED: {
+    severity: REASON_SEVERITY.INFO,
+    component: 'facial',
+    messages: {
+      en: 'Facial verification completed successfully',
+      'pt-BR': 'Verificação facial concluída com sucesso',
+      es: 'Verificación facial completada correctamente'
+    }
+  },
+  FACIAL_ERROR: {
+    severity: REASON_SEVERITY.LOW,
+    component: 'facial',
+    messages: {
+      en: 'Facial capture failed',
+      'pt-BR': 'A captura facial falhou',
+      es: 'La captura facial falló'
+    }
+  },
+
+  // Qualidade dos dados
+  DATA_STALE: {
+    severity: REASON_SEVERITY.MEDIUM,
+    component: 'dataQuality',
+    messages: {
+      en: 'Poor data quality or stale information',
+      'pt-BR': 'Dados de baixa qualidade ou desatualizados',
+      es: 'Datos de baja calidad o desactualizados'
+    }
+  },
+
+  // Sessão
+  SESSION_FINGERPRINT_CHANGED: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'dataQuality',
+    messages: {
+      en: 'Device fingerprint changed during the session',
+      'pt-BR': 'O fingerprint do dispositivo mudou durante a sessão',
+      es: 'La huella del dispositivo cambió durante la sesión'
+    }
+  },
+
+  // Modelo de ML
+  MODEL_HIGH_RISK: {
+    severity: REASON_SEVERITY.HIGH,
+    component: 'model',
+    messages: {
+      en: 'Fraud model indicates elevated risk',
+      'pt-BR': 'O modelo de fraude indica risco elevado',
+      es: 'El modelo de fraude indica un riesgo elevado'
+    }
+  }
+};
+
+/**
+ * Cria uma razão a partir do catálogo
+ * @param {string} code - Código do catálogo
+ * @param {Object} options - Opções
+ * @param {number} options.contribution - Pontos que o componente somou (ou tirou) do score
+ * @param {Object} options.rule - Regra do código parametrizado ({ id, name })
+ * @param {string} options.severity - Severidade, se diferente da do catálogo
+ * @returns {Object} { code, severity, component, contribution, params }
+ * @throws {Error} Se o código não existir no catálogo
+ */
+function createReason(code, options = {}) {
+  const entry = REASON_CATALOG[code];
+  if (!entry) {
+    throw new Error(`Unknown reason code: ${code}`);
+  }
+
+  const reason = {
+    code: options.rule ? `${code}:${options.rule.id}` : code,
+    severity: options.severity || entry.severity,
+    component: entry.component,
+    contribution: options.contribution === undefined ? null : options.contribution
+  };
+
+  if (options.rule) {
+    reason.params = { rule: options.rule.name || options.rule.id };
+  }
+
+  return reason;
+}
+
+/**
+ * Mensagem de uma razão no idioma pedido
+ * @param {Object} reason - Razão (createReason)
+ * @param {string} locale - Idioma (padrão: en)
+ * @returns {string} Mensagem
+ */
+function getReasonMessage(reason, locale = DEFAULT_LOCALE) {
+  const entry = REASON_CATALOG[reason.code.split(':')[0]];
+  if (!entry) {
+    return reason.code;
+  }
+
+  const template = entry.messages[locale] || entry.messages[DEFAULT_LOCALE];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (reason.params && reason.params[name] !== undefined ? reason.params[name] : match));
+}
+
+/**
+ * Acrescenta a mensagem localizada a cada razão
+ * @param {Array} reasons - Razões
+ * @param {string} locale - Idioma
+ * @returns {Array} Razões com message
+ */
+function localizeReasons(reasons, locale = DEFAULT_LOCALE) {
+  return (reasons || []).map(reason => ({ ...reason, message: getReasonMessage(reason, locale) }));
+}
+
+export {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  REASON_SEVERITY,
+  REASON_CATALOG,
+  createReason,
+  getReasonMessage,
+  localizeReasons
+};
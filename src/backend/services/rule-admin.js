@@ -0,0 +1,371 @@
+/**
+ * Administração persistente de regras para NextTrust SDK
+ * CRUD sobre o conjunto ativo do Rule Engine e suas listas nomeadas, com trilha de auditoria
+ */
+
+import { Rule } from '../models/index.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+/**
+ * Classe do Serviço de Administração de Regras
+ */
+class RuleAdminService {
+  /**
+   * @param {Object} ruleEngine - Rule engine administrado
+   * @param {Object} auditLog - Log de auditoria
+   * @param {Object} options - Opções
+   * @param {string} options.tenantId - Tenant dono do rule engine (registrado na auditoria)
+   */
+  constructor(ruleEngine, auditLog, options = {}) {
+    this.ruleEngine = ruleEngine;
+    this.auditLog = auditLog;
+    this.tenantId = options.tenantId || DEFAULT_TENANT_ID;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Lista regras persistentes
+   * @returns {Array} Regras
+   */
+  list() {
+    return this._persistentRules();
+  }
+
+  /**
+   * Obtém uma regra pelo ID
+   * @param {string} ruleId - ID da regra
+   * @returns {Object|null} Regra
+   */
+  get(ruleId) {
+    return this._persistentRules().find(rule => rule.id === ruleId) || null;
+  }
+
+  /**
+   * Cria uma regra
+   * @param {Object} data - Dados da regra
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Regra criada
+   */
+  async create(data, actor) {
+    return this._mutate(actor, 'create', data.id, (rules) => {
+      if (this.ruleEngine.rules.some(rule => rule.id === data.id)) {
+        throw this._error(`Rule with ID ${data.id} already exists`, 409);
+      }
+
+      const now = new Date().toISOString();
+      const rule = this._toRule({ ...data, createdAt: now, updatedAt: now });
+      return { rules: [...rules, rule], before: null, after: rule };
+    });
+  }
+
+  /**
+   * Atualiza uma regra (o ID não pode ser alterado)
+   * @param {string} ruleId - ID da regra
+   * @param {Object} changes - Campos alterados
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Regra atualizada
+   */
+  async update(ruleId, changes, actor) {
+    return this._mutate(actor, 'update', ruleId, (rules) => {
+      const before = this._find(rules, ruleId);
+      const after = this._toRule({
+        ...before,
+        ...changes,
+        id: ruleId,
+        createdAt: before.createdAt,
+        updatedAt: new Date().toISOString()
+      });
+      return { rules: rules.map(rule => (rule.id === ruleId ? after : rule)), before, after };
+    });
+  }
+
+  /**
+   * Habilita ou desabilita uma regra
+   * @param {string} ruleId - ID da regra
+   * @param {boolean} enabled - Novo estado
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Regra atualizada
+   */
+  async setEnabled(ruleId, enabled, actor) {
+    return this._mutate(actor, enabled ? 'enable' : 'disable', ruleId, (rules) => {
+      const before = this._find(rules, ruleId);
+      const after = { ...before, enabled, updatedAt: new Date().toISOString() };
+      return { rules: rules.map(rule => (rule.id === ruleId ? after : rule)), before, after };
+    });
+  }
+
+  /**
+   * Remove uma regra
+   * @param {string} ruleId - ID da regra
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Regra removida
+   */
+  async remove(ruleId, actor) {
+    return this._mutate(actor, 'delete', ruleId, (rules) => {
+      const before = this._find(rules, ruleId);
+      return { rules: rules.filter(rule => rule.id !== ruleId), before, after: null };
+    });
+  }
+
+  /**
+   * Lista a trilha de auditoria do tenant
+   * @param {Object} filters - Filtros ({ resource, resourceId, limit }); padrão: regras
+   * @returns {Array} Entradas de auditoria
+   */
+  async getAuditTrail(filters = {}) {
+    return this.auditLog.list({ resource: 'rule', ...filters, tenant: this.tenantId });
+  }
+
+  /**
+   * Lista as listas nomeadas
+   * @returns {Array} Resumos ({ name, type, file, size })
+   */
+  listLists() {
+    return this.ruleEngine.getLists();
+  }
+
+  /**
+   * Obtém uma lista nomeada com suas entradas
+   * @param {string} name - Nome da lista
+   * @returns {Object|null} Lista ({ name, type, file, size, entries })
+   */
+  getList(name) {
+    const list = this.ruleEngine.getList(name);
+    return list ? { ...list.getInfo(), entries: list.entries } : null;
+  }
+
+  /**
+   * Adiciona ou remove entradas de uma lista
+   * @param {string} name - Nome da lista
+   * @param {Object} changes - { add, remove }
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Resumo da lista atualizada
+   */
+  async updateList(name, changes, actor) {
+    return this._serialize(async () => {
+      const before = this.ruleEngine.getList(name);
+      if (!before) {
+        throw this._error(`List ${name} not found`, 404);
+      }
+
+      // Entradas inválidas (ex.: CIDR malformado) não chegam a ser gravadas
+      try {
+        before.withChanges(changes);
+      } catch (error) {
+        throw this._error(error.message, 400);
+      }
+
+      const result = await this.ruleEngine.updateList(name, changes);
+
+      try {
+        await this.auditLog.append({
+          tenant: this.tenantId,
+          actor,
+          action: 'update-entries',
+          resource: 'list',
+          resourceId: name,
+          rulesetVersion: result.version,
+          before: { size: before.entries.length },
+          after: { size: result.list.entries.length },
+          added: changes.add || [],
+          removed: changes.remove || []
+        });
+      } catch (error) {
+        await this.ruleEngine.restoreList(before);
+        throw error;
+      }
+
+      return result.list.getInfo();
+    });
+  }
+
+  /**
+   * Promove o challenger a conjunto ativo
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Versão ativa e challenger promovido ({ version, challenger })
+   */
+  async promoteChallenger(actor) {
+    return this._mutateRuleset(actor, 'promote', async () => {
+      const previousVersion = this.ruleEngine.version;
+      const result = await this.ruleEngine.promoteChallenger();
+
+      return {
+        result,
+        rulesetVersion: result.version,
+        before: { version: previousVersion },
+        after: { version: result.version, promotedFrom: result.challenger.rulesPath }
+      };
+    });
+  }
+
+  /**
+   * Descarta o challenger, encerrando o teste
+   * @param {string} actor - Operador responsável
+   * @returns {Object} Challenger descartado
+   */
+  async clearChallenger(actor) {
+    return this._mutateRuleset(actor, 'clear-challenger', async () => {
+      const challenger = this.ruleEngine.getChallengerInfo();
+      this.ruleEngine.clearChallenger();
+
+      return {
+        result: challenger,
+        rulesetVersion: this.ruleEngine.version,
+        before: { challenger: challenger.rulesPath, version: challenger.version },
+        after: null
+      };
+    });
+  }
+
+  /**
+   * Executa uma alteração serializada: aplica, persiste e audita.
+   * Se a auditoria falhar, as regras anteriores são regravadas: nenhuma
+   * alteração fica ativa sem a entrada correspondente na trilha
+   * @private
+   * @param {string} actor - Operador responsável
+   * @param {string} action - Ação auditada
+   * @param {string} ruleId - ID da regra
+   * @param {Function} change - Recebe as regras atuais e retorna { rules, before, after }
+   * @returns {Object} Regra resultante (ou removida)
+   */
+  async _mutate(actor, action, ruleId, change) {
+    return this._serialize(async () => {
+      const previous = this._persistentRules();
+      const { rules, before, after } = change(previous);
+
+      try {
+        this.ruleEngine.validateRules(rules);
+      } catch (error) {
+        throw this._error(error.message, 400);
+      }
+
+      const version = await this.ruleEngine.saveRules(rules);
+
+      try {
+        await this.auditLog.append({
+          tenant: this.tenantId,
+          actor,
+          action,
+          resource: 'rule',
+          resourceId: ruleId,
+          rulesetVersion: version,
+          before,
+          after
+        });
+      } catch (error) {
+        await this.ruleEngine.saveRules(previous);
+        throw error;
+      }
+
+      return after || before;
+    });
+  }
+
+  /**
+   * Executa uma alteração serializada do conjunto ativo ou do challenger e a audita.
+   * Se a auditoria falhar, o conjunto e o challenger anteriores são restaurados
+   * @private
+   * @param {string} actor - Operador responsável
+   * @param {string} action - Ação auditada
+   * @param {Function} change - Aplica a alteração e retorna { result, rulesetVersion, before, after }
+   * @returns {*} Resultado da alteração
+   */
+  async _mutateRuleset(actor, action, change) {
+    return this._serialize(async () => {
+      if (!this.ruleEngine.hasChallenger()) {
+        throw this._error('No challenger ruleset loaded', 409);
+      }
+
+      const previous = this.ruleEngine.getState();
+      const { result, rulesetVersion, before, after } = await change();
+
+      try {
+        await this.auditLog.append({
+          tenant: this.tenantId,
+          actor,
+          action,
+          resource: 'ruleset',
+          resourceId: this.ruleEngine.rulesPath,
+          rulesetVersion,
+          before,
+          after
+        });
+      } catch (error) {
+        await this.ruleEngine.restoreState(previous);
+        throw error;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Executa uma operação após as alterações pendentes, evitando
+   * perda de atualizações concorrentes
+   * @private
+   * @param {Function} run - Operação assíncrona
+   * @returns {*} Resultado da operação
+   */
+  _serialize(run) {
+    const pending = this.queue.then(run, run);
+    this.queue = pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Regras persistentes do conjunto ativo (sem regras temporárias)
+   * @private
+   * @returns {Array} Regras
+   */
+  _persistentRules() {
+    return this.ruleEngine.rules.filter(rule => !rule.temporary);
+  }
+
+  /**
+   * Busca regra ou lança erro 404
+   * @private
+   * @param {Array} rules - Regras
+   * @param {string} ruleId - ID da regra
+   * @returns {Object} Regra
+   */
+  _find(rules, ruleId) {
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) {
+      throw this._error(`Rule ${ruleId} not found`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Valida os dados com o modelo Rule e retorna a representação persistida
+   * @private
+   * @param {Object} data - Dados da regra
+   * @returns {Object} Regra validada
+   */
+  _toRule(data) {
+    let rule;
+    try {
+      rule = new Rule(data).toJSON();
+    } catch (error) {
+      throw this._error(error.message, 400);
+    }
+
+    delete rule.temporary;
+    return rule;
+  }
+
+  /**
+   * Cria erro com status HTTP
+   * @private
+   * @param {string} message - Mensagem
+   * @param {number} statusCode - Status HTTP
+   * @returns {Error} Erro
+   */
+  _error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export { RuleAdminService };
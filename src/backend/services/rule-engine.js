@@ -3,44 +3,194 @@
  * Avalia regras baseadas em dados de fingerprint e comportamento
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, watch } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { performance } from 'perf_hooks';
+import { compileExpression } from './expression.js';
+import { FileRuleStorage } from './rule-storage.js';
+import { VELOCITY_FUNCTIONS, hashFingerprint } from './velocity.js';
+import { parseScoringConfig } from './scoring-profiles.js';
+import { ListRegistry, NamedList, LIST_TYPES, collectListReferences } from './lists.js';
+import { getConsistency } from './consistency.js';
+import { getKeystrokeAnalysis } from './keystroke.js';
+import { getMouseAnalysis } from './mouse.js';
+import { getMobileAnalysis } from './mobile.js';
+import { SUSPICIOUS_USER_AGENT_PATTERNS } from '../../shared/constants/index.js';
+
+/**
+ * Eventos emitidos pelo Rule Engine
+ */
+const RULE_ENGINE_EVENTS = {
+  RELOADED: 'reloaded',
+  RELOAD_FAILED: 'reload-failed',
+  CHALLENGER_LOADED: 'challenger-loaded',
+  CHALLENGER_PROMOTED: 'challenger-promoted'
+};
+
+/**
+ * Ordena regras por prioridade (maior primeiro), preservando a ordem do arquivo em empates
+ * @param {Array} rules - Regras
+ * @returns {Array} Nova lista ordenada
+ */
+function sortByPriority(rules) {
+  return [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
 
 /**
  * Classe do Rule Engine
  */
-class RuleEngine {
-  constructor(rulesPath) {
+class RuleEngine extends EventEmitter {
+  /**
+   * @param {string} rulesPath - Caminho do arquivo de regras
+   * @param {Object} options - Opções
+   * @param {Object} options.storage - Adaptador de armazenamento (padrão: arquivo em rulesPath)
+   * @param {Object} options.velocity - Velocity tracker que habilita count() e countDistinct()
+   */
+  constructor(rulesPath, options = {}) {
+    super();
     this.rulesPath = rulesPath;
+    this.storage = options.storage || new FileRuleStorage(rulesPath);
     this.rules = [];
     this.thresholds = {
       allow: 80,
       review: 50,
       deny: 0
     };
+    this.scoring = parseScoringConfig();
     this.lastLoaded = null;
+    this.version = 0;
+    this.config = {};
+    this.source = null;
+    this.challenger = null;
+    this.lists = new ListRegistry();
+    this.functions = {
+      inList: (name, value) => this.lists.contains(name, value)
+    };
+    this.velocity = options.velocity || null;
+    this.compiledConditions = new Map();
+    this.watcher = null;
+    this.listWatchers = [];
+    this.watchDebounceMs = 250;
+    this.reloadTimer = null;
   }
 
   /**
    * Carrega regras do arquivo JSON
    */
   async loadRules() {
+    let rulesData;
+    
     try {
-      const rulesData = await fs.readFile(this.rulesPath, 'utf8');
-      const config = JSON.parse(rulesData);
-      
-      this.rules = config.rules || [];
-      this.thresholds = config.thresholds || this.thresholds;
-      this.lastLoaded = new Date().toISOString();
-      
-      console.log(`Rule Engine: Loaded ${this.rules.length} rules from ${this.rulesPath}`);
-      
-      // Valida regras carregadas
-      this._validateRules();
-      
+      rulesData = await this.storage.read();
     } catch (error) {
       console.warn(`Rule Engine: Failed to load rules from ${this.rulesPath}, using defaults`);
       this._loadDefaultRules();
+      return;
+    }
+    
+    // Valida e compila regras antes de ativá-las; erros de sintaxe são reportados aqui
+    await this.loadRulesFromSource(rulesData);
+    
+    console.log(`Rule Engine: Loaded ${this.rules.length} rules from ${this.rulesPath}`);
+  }
+
+  /**
+   * Carrega regras a partir do conteúdo de um arquivo de regras.
+   * Arquivos de listas são resolvidos relativamente ao diretório de rulesPath
+   * @param {string} rulesData - Conteúdo JSON
+   * @throws {Error} Se o conteúdo, alguma lista ou alguma regra for inválido
+   */
+  async loadRulesFromSource(rulesData) {
+    this._applyRuleset(await this._loadRuleset(rulesData));
+  }
+
+  /**
+   * Carrega regras a partir de um objeto de configuração (mesmo formato de rules.json).
+   * Apenas listas com entradas inline são suportadas
+   * @param {Object} config - Configuração com rules e thresholds
+   * @throws {Error} Se alguma regra for inválida
+   */
+  loadRulesFromObject(config) {
+    this._applyRuleset(this._compileRuleset(config, null, ListRegistry.fromDefinitions(config.lists)));
+  }
+
+  /**
+   * Faz o parse, carrega as listas e compila o conteúdo de um arquivo de regras
+   * @private
+   * @param {string} rulesData - Conteúdo do arquivo
+   * @param {string} rulesPath - Caminho do arquivo (base para os arquivos de listas)
+   * @returns {Object} Conjunto de regras pronto para ativação
+   * @throws {Error} Se o conteúdo, alguma lista ou alguma regra for inválido
+   */
+  async _loadRuleset(rulesData, rulesPath = this.rulesPath) {
+    const config = this._parseRulesFile(rulesData);
+    const lists = await ListRegistry.load(config.lists, path.dirname(rulesPath));
+    
+    return this._compileRuleset(config, rulesData, lists);
+  }
+
+  /**
+   * Faz o parse do conteúdo do arquivo de regras
+   * @private
+   * @param {string} rulesData - Conteúdo do arquivo
+   * @returns {Object} Configuração
+   * @throws {Error} Se o JSON for inválido
+   */
+  _parseRulesFile(rulesData) {
+    try {
+      return JSON.parse(rulesData);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${this.rulesPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Valida e compila uma configuração de regras sem alterar o conjunto ativo
+   * @private
+   * @param {Object} config - Configuração com rules e thresholds
+   * @param {string} source - Conteúdo original do arquivo, se houver
+   * @param {ListRegistry} lists - Listas nomeadas do conjunto
+   * @returns {Object} Conjunto de regras pronto para ativação
+   * @throws {Error} Se alguma regra ou perfil de scoring for inválido
+   */
+  _compileRuleset(config, source = null, lists = this.lists) {
+    const rules = config.rules || [];
+    const compiledConditions = new Map();
+    
+    this._validateRules(rules, compiledConditions, lists);
+    
+    return {
+      config,
+      rules,
+      thresholds: config.thresholds || this.thresholds,
+      scoring: parseScoringConfig(config),
+      compiledConditions,
+      lists,
+      source
+    };
+  }
+
+  /**
+   * Ativa um conjunto de regras de forma atômica e incrementa a versão
+   * @private
+   * @param {Object} ruleset - Conjunto de regras compilado
+   */
+  _applyRuleset(ruleset) {
+    this.config = ruleset.config || {};
+    this.rules = ruleset.rules;
+    this.thresholds = ruleset.thresholds;
+    this.scoring = ruleset.scoring || parseScoringConfig({ thresholds: ruleset.thresholds });
+    this.compiledConditions = ruleset.compiledConditions;
+    this.lists = ruleset.lists || new ListRegistry();
+    this.source = ruleset.source || null;
+    this.lastLoaded = new Date().toISOString();
+    this.version++;
+    
+    // Os arquivos de listas podem ter mudado junto com o conjunto
+    if (this.watcher) {
+      this._watchListFiles();
     }
   }
 
@@ -49,7 +199,7 @@ class RuleEngine {
    * @private
    */
   _loadDefaultRules() {
-    this.rules = [
+    const rules = [
       {
         id: 'fingerprint_completeness',
         name: 'Fingerprint Completeness',
@@ -80,12 +230,92 @@ class RuleEngine {
       {
         id: 'suspicious_user_agent',
         name: 'Suspicious User Agent',
-        condition: 'fingerprint.userAgent.includes("bot") || fingerprint.userAgent.includes("crawler")',
+        condition: 'inList(\'suspicious_user_agents\', fingerprint.userAgent)',
         weight: -30,
         action: 'deny',
         enabled: true,
         description: 'Detecta user agents suspeitos'
       },
+      {
+        id: 'webdriver_detected',
+        name: 'WebDriver Detected',
+        condition: 'botSignals.webdriver === true',
+        weight: -50,
+        action: 'deny',
+        enabled: true,
+        blocksAllow: true,
+        priority: 90,
+        description: 'Detecta navegador controlado por WebDriver (navigator.webdriver)'
+      },
+      {
+        id: 'automation_artifacts',
+        name: 'Automation Artifacts',
+        condition: 'botSignals.automationArtifacts && botSignals.automationArtifacts.length > 0',
+        weight: -50,
+        action: 'deny',
+        enabled: true,
+        blocksAllow: true,
+        priority: 90,
+        description: 'Detecta propriedades deixadas por Selenium, Puppeteer, Playwright e PhantomJS'
+      },
+      {
+        id: 'headless_browser',
+        name: 'Headless Browser',
+        condition: 'botSignals.headlessUserAgent === true || botSignals.chromeObjectMissing === true',
+        weight: -40,
+        action: 'deny',
+        enabled: true,
+        blocksAllow: true,
+        description: 'Detecta navegador headless pelo user agent ou pela ausência do objeto chrome'
+      },
+      {
+        id: 'bot_environment_anomalies',
+        name: 'Bot Environment Anomalies',
+        condition: 'botSignals.permissionsInconsistent === true || botSignals.chromeRuntimeMissing === true || botSignals.detected.includes(\'no_plugins\')',
+        weight: -15,
+        action: 'review',
+        enabled: true,
+        description: 'Detecta permissões inconsistentes, chrome.runtime ausente ou navegador desktop sem plugins'
+      },
+      {
+        id: 'keystroke_not_human',
+        name: 'Keystroke Not Human',
+        condition: 'keystroke.analyzed && !keystroke.humanLike',
+        weight: -30,
+        action: 'review',
+        enabled: true,
+        blocksAllow: true,
+        description: 'Detecta ritmo de digitação instantâneo ou uniforme demais para uma pessoa'
+      },
+      {
+        id: 'typing_profile_mismatch',
+        name: 'Typing Profile Mismatch',
+        condition: 'device.typing && device.typing.status === \'mismatch\'',
+        weight: -20,
+        action: 'review',
+        enabled: true,
+        description: 'Detecta digitação diferente do perfil do usuário em um dispositivo conhecido'
+      },
+      {
+        id: 'mouse_not_human',
+        name: 'Mouse Not Human',
+        condition: 'mouse.analyzed && !mouse.humanLike',
+        weight: -30,
+        action: 'review',
+        enabled: true,
+        blocksAllow: true,
+        description: 'Detecta trajetórias do cursor em linha reta, com velocidade constante ou cliques sem aproximação'
+      },
+      {
+        id: 'mobile_not_human',
+        name: 'Mobile Signals Not Human',
+        condition: 'mobile.analyzed && !mobile.humanLike',
+        weight: -30,
+        action: 'review',
+        enabled: true,
+        blocksAllow: true,
+        description: 'Detecta toques sintéticos ou uniformes e sensores de movimento perfeitamente parados'
+      },
       {
         id: 'missing_fingerprint',
         name: 'Missing Fingerprint',
@@ -93,12 +323,14 @@ class RuleEngine {
         weight: -50,
         action: 'deny',
         enabled: true,
+        priority: 100,
+        terminal: true,
         description: 'Detecta ausência de fingerprint'
       },
       {
         id: 'facial_verification',
         name: 'Facial Verification',
-        condition: 'facial && facial.imageData && !facial.error',
+        condition: 'facial.present && !facial.error',
         weight: 25,
         action: 'allow',
         enabled: true,
@@ -124,11 +356,22 @@ class RuleEngine {
       }
     ];
     
-    this.thresholds = {
-      allow: 80,
-      review: 50,
-      deny: 0
-    };
+    this._applyRuleset({
+      rules,
+      thresholds: {
+        allow: 80,
+        review: 50,
+        deny: 0
+      },
+      compiledConditions: new Map(),
+      lists: new ListRegistry([
+        new NamedList({
+          name: 'suspicious_user_agents',
+          type: LIST_TYPES.SUBSTRING,
+          entries: SUSPICIOUS_USER_AGENT_PATTERNS
+        })
+      ])
+    });
     
     console.log('Rule Engine: Using default rules');
   }
@@ -136,9 +379,15 @@ class RuleEngine {
   /**
    * Valida regras carregadas
    * @private
+   * @param {Array} rules - Regras a validar
+   * @param {Map} compiledConditions - Cache onde as condições compiladas são guardadas
+   * @param {ListRegistry} lists - Listas disponíveis para inList()
+   * @throws {Error} Se alguma regra for inválida
    */
-  _validateRules() {
-    for (const rule of this.rules) {
+  _validateRules(rules = this.rules, compiledConditions = this.compiledConditions, lists = this.lists) {
+    const conditionErrors = [];
+    
+    for (const rule of rules) {
       if (!rule.id || !rule.name || !rule.condition || !rule.weight || !rule.action) {
         throw new Error(`Invalid rule: ${JSON.stringify(rule)}`);
       }
@@ -150,25 +399,134 @@ class RuleEngine {
       if (typeof rule.weight !== 'number') {
         throw new Error(`Invalid rule weight: ${rule.weight}`);
       }
+      
+      if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+        throw new Error(`Invalid rule priority: ${rule.priority}`);
+      }
+      
+      // Regras terminais forçam a decisão, que só pode ser allow ou deny
+      if (rule.terminal !== undefined && typeof rule.terminal !== 'boolean') {
+        throw new Error(`Invalid rule terminal flag: ${rule.terminal}`);
+      }
+      
+      if (rule.terminal && rule.action === 'review') {
+        throw new Error(`Terminal rule ${rule.id} must have action allow or deny`);
+      }
+      
+      // Regras deny ou review que impedem que o score sozinho resulte em allow
+      if (rule.blocksAllow !== undefined && typeof rule.blocksAllow !== 'boolean') {
+        throw new Error(`Invalid rule blocksAllow flag: ${rule.blocksAllow}`);
+      }
+      
+      try {
+        const compiled = this._compileCondition(rule.condition, compiledConditions);
+        
+        for (const listName of collectListReferences(compiled.ast)) {
+          if (!lists.has(listName)) {
+            throw new Error(`Unknown list '${listName}'`);
+          }
+        }
+      } catch (error) {
+        conditionErrors.push(`${rule.id}: ${error.message}`);
+      }
+    }
+    
+    if (conditionErrors.length > 0) {
+      throw new Error(`Invalid rule condition(s):\n  ${conditionErrors.join('\n  ')}`);
+    }
+  }
+
+  /**
+   * Compila (com cache) a condição de uma regra
+   * @private
+   * @param {string} condition - Condição da regra
+   * @param {Map} compiledConditions - Cache de condições compiladas
+   * @returns {Object} Expressão compilada
+   * @throws {ExpressionSyntaxError} Se a condição não puder ser analisada
+   */
+  _compileCondition(condition, compiledConditions = this.compiledConditions) {
+    let compiled = compiledConditions.get(condition);
+    
+    if (!compiled) {
+      compiled = compileExpression(condition);
+      
+      for (const name of compiled.references.functions) {
+        const isVelocity = this.velocity && VELOCITY_FUNCTIONS.includes(name);
+        if (!isVelocity && !Object.prototype.hasOwnProperty.call(this.functions, name)) {
+          throw new Error(`Unknown function '${name}' in condition`);
+        }
+      }
+      
+      // Chamadas de velocidade são validadas aqui e carregadas antes de cada avaliação
+      compiled.velocityCalls = this.velocity ? this.velocity.extractCalls(compiled) : [];
+      
+      compiledConditions.set(condition, compiled);
+    }
+    
+    return compiled;
+  }
+
+  /**
+   * Indica se alguma regra habilitada (do conjunto ativo ou do challenger) usa count() ou countDistinct()
+   * @returns {boolean} Se as verificações precisam ser registradas nos contadores de velocidade
+   */
+  usesVelocity() {
+    if (!this.velocity) {
+      return false;
+    }
+
+    const rulesets = [{ rules: this.rules, compiledConditions: this.compiledConditions }];
+    if (this.challenger) {
+      rulesets.push(this.challenger);
     }
+
+    return rulesets.some(({ rules, compiledConditions }) => rules.some(rule => {
+      if (!rule.enabled) {
+        return false;
+      }
+      try {
+        return this._compileCondition(rule.condition, compiledConditions).velocityCalls.length > 0;
+      } catch (error) {
+        return false;
+      }
+    }));
   }
 
   /**
-   * Avalia todas as regras contra os dados fornecidos
+   * Avalia todas as regras contra os dados fornecidos, em ordem de prioridade.
+   * A avaliação é interrompida na primeira regra terminal disparada
    * @param {Object} data - Dados de verificação
+   * @param {Object} ruleset - Conjunto a avaliar ({ rules, compiledConditions }); padrão: conjunto ativo
+   * @param {Object} options - Opções
+   * @param {boolean} options.explain - Inclui o trace da avaliação de cada condição
    * @returns {Array} Resultados das regras
    */
-  async evaluateRules(data) {
+  async evaluateRules(data, ruleset = null, options = {}) {
     const results = [];
     
-    for (const rule of this.rules) {
+    // Mantém o conjunto atual mesmo que um reload ocorra durante a avaliação
+    const { rules, compiledConditions, lists } = ruleset || {
+      rules: this.rules,
+      compiledConditions: this.compiledConditions,
+      lists: this.lists
+    };
+    
+    const functions = await this._createFunctions(data, rules, compiledConditions, lists);
+    // Contexto montado uma vez por verificação (hash do fingerprint e análises comportamentais)
+    const context = this._createSafeContext(data);
+    
+    for (const rule of sortByPriority(rules)) {
       if (!rule.enabled) {
         continue;
       }
       
       try {
-        const result = await this._evaluateRule(rule, data);
+        const result = await this._evaluateRule(rule, context, compiledConditions, functions, options.explain);
         results.push(result);
+        
+        if (result.passed && result.terminal) {
+          break;
+        }
       } catch (error) {
         console.error(`Rule Engine: Error evaluating rule ${rule.id}:`, error);
         results.push({
@@ -177,7 +535,11 @@ class RuleEngine {
           passed: false,
           weight: 0,
           score: 0,
-          error: error.message
+          action: rule.action,
+          condition: rule.condition,
+          error: error.message,
+          executionTime: error.executionTime,
+          ...(options.explain && { trace: error.trace || null })
         });
       }
     }
@@ -188,14 +550,25 @@ class RuleEngine {
   /**
    * Avalia uma regra específica
    * @private
+   * @param {Object} rule - Regra
+   * @param {Object} context - Contexto de avaliação (_createSafeContext)
+   * @param {Map} compiledConditions - Cache de condições compiladas
+   * @param {Object} functions - Funções disponíveis nas condições
+   * @param {boolean} explain - Inclui o trace da avaliação da condição
+   * @returns {Object} Resultado da regra
    */
-  async _evaluateRule(rule, data) {
+  async _evaluateRule(rule, context, compiledConditions = this.compiledConditions, functions = this.functions, explain = false) {
+    const startTime = performance.now();
+    
     try {
-      // Cria contexto seguro para avaliação
-      const context = this._createSafeContext(data);
-      
       // Avalia condição da regra
-      const passed = this._evaluateCondition(rule.condition, context);
+      let passed;
+      let trace;
+      if (explain) {
+        ({ passed, trace } = this._explainCondition(rule.condition, context, compiledConditions, functions));
+      } else {
+        passed = this._evaluateCondition(rule.condition, context, compiledConditions, functions);
+      }
       
       // Calcula score baseado no peso
       const score = passed ? rule.weight : 0;
@@ -207,13 +580,71 @@ class RuleEngine {
         weight: rule.weight,
         score: score,
         action: rule.action,
+        priority: rule.priority || 0,
+        terminal: rule.terminal === true,
+        blocksAllow: rule.blocksAllow === true,
         condition: rule.condition,
-        description: rule.description
+        description: rule.description,
+        executionTime: this._elapsed(startTime),
+        ...(explain && { trace })
       };
       
     } catch (error) {
-      throw new Error(`Failed to evaluate rule ${rule.id}: ${error.message}`);
+      const ruleError = new Error(`Failed to evaluate rule ${rule.id}: ${error.message}`);
+      ruleError.executionTime = this._elapsed(startTime);
+      ruleError.trace = error.trace;
+      throw ruleError;
+    }
+  }
+
+  /**
+   * Tempo decorrido em milissegundos (precisão de microssegundos)
+   * @private
+   * @param {number} startTime - Início (performance.now())
+   * @returns {number} Milissegundos
+   */
+  _elapsed(startTime) {
+    return Math.round((performance.now() - startTime) * 1000) / 1000;
+  }
+
+  /**
+   * Monta as funções das condições para uma verificação: inList() ligado às
+   * listas do conjunto avaliado e as contagens de velocidade usadas pelas regras habilitadas
+   * @private
+   * @param {Object} data - Dados de verificação
+   * @param {Array} rules - Regras avaliadas
+   * @param {Map} compiledConditions - Cache de condições compiladas
+   * @param {ListRegistry} lists - Listas do conjunto avaliado
+   * @returns {Object} Funções disponíveis nas condições
+   */
+  async _createFunctions(data, rules, compiledConditions, lists = this.lists) {
+    const functions = {
+      ...this.functions,
+      inList: (name, value) => lists.contains(name, value)
+    };
+    
+    if (!this.velocity) {
+      return functions;
+    }
+    
+    const calls = [];
+    for (const rule of rules) {
+      if (!rule.enabled) {
+        continue;
+      }
+      
+      try {
+        calls.push(...this._compileCondition(rule.condition, compiledConditions).velocityCalls);
+      } catch (error) {
+        // Condição inválida: o erro é reportado na avaliação da própria regra
+      }
+    }
+    
+    if (calls.length === 0) {
+      return functions;
     }
+    
+    return { ...functions, ...(await this.velocity.snapshot(data, calls)) };
   }
 
   /**
@@ -223,9 +654,28 @@ class RuleEngine {
   _createSafeContext(data) {
     return {
       fingerprint: data.fingerprint || {},
+      fingerprintHash: hashFingerprint(data.fingerprint),
       behavioral: data.behavioral || {},
-      facial: data.facial || {},
+      // present: há captura (imageData na verificação, resumo do log na simulação)
+      facial: data.facial ? { present: !!data.facial.imageData, ...data.facial } : {},
+      requestInfo: data.requestInfo || {},
       sessionId: data.sessionId,
+      // Histórico da sessão (SessionService.summarize), vazio sem store de sessões
+      session: data.session || {},
+      // Dispositivo (DeviceRegistry.recognize) e usuário; sem userId, apenas device.id
+      device: data.device || {},
+      user: data.user || {},
+      // Inconsistências do fingerprint (analyzeConsistency)
+      consistency: getConsistency(data),
+      // Anomalias do ritmo de digitação (analyzeKeystrokes); a comparação com o perfil fica em device.typing
+      keystroke: getKeystrokeAnalysis(data),
+      // Anomalias das trajetórias do cursor (analyzeMouseDynamics)
+      mouse: getMouseAnalysis(data),
+      // Anomalias dos toques e sensores de movimento (analyzeMobileSignals)
+      mobile: getMobileAnalysis(data),
+      // Sinais de automação coletados no navegador (BotSignalsCollector)
+      botSignals: data.botSignals || {},
+      context: data.context || null,
       timestamp: data.timestamp
     };
   }
@@ -233,35 +683,30 @@ class RuleEngine {
   /**
    * Avalia condição de uma regra de forma segura
    * @private
+   * @param {string} condition - Condição da regra
+   * @param {Object} context - Contexto de avaliação
+   * @param {Map} compiledConditions - Cache de condições compiladas
+   * @param {Object} functions - Funções disponíveis nas condições
+   * @returns {boolean} Resultado da condição
    */
-  _evaluateCondition(condition, context) {
-    try {
-      // Substitui variáveis no contexto
-      let safeCondition = condition;
-      
-      // Adiciona verificações de existência
-      safeCondition = safeCondition.replace(/(\w+\.\w+)/g, (match) => {
-        const parts = match.split('.');
-        let check = parts[0];
-        for (let i = 1; i < parts.length; i++) {
-          check += ` && ${check}.${parts[i]}`;
-        }
-        return `(${check} ? ${match} : null)`;
-      });
-      
-      // Cria função de avaliação segura
-      const func = new Function('context', `
-        const { fingerprint, behavioral, facial, sessionId, timestamp } = context;
-        return ${safeCondition};
-      `);
-      
-      const result = func(context);
-      return Boolean(result);
-      
-    } catch (error) {
-      console.error('Rule Engine: Error evaluating condition:', condition, error);
-      return false;
-    }
+  _evaluateCondition(condition, context, compiledConditions = this.compiledConditions, functions = this.functions) {
+    const compiled = this._compileCondition(condition, compiledConditions);
+    return Boolean(compiled.evaluate(context, functions));
+  }
+
+  /**
+   * Avalia condição de uma regra registrando o trace da avaliação
+   * @private
+   * @param {string} condition - Condição da regra
+   * @param {Object} context - Contexto de avaliação
+   * @param {Map} compiledConditions - Cache de condições compiladas
+   * @param {Object} functions - Funções disponíveis nas condições
+   * @returns {Object} { passed, trace: { fields, expressions } }
+   */
+  _explainCondition(condition, context, compiledConditions = this.compiledConditions, functions = this.functions) {
+    const compiled = this._compileCondition(condition, compiledConditions);
+    const { value, trace } = compiled.explain(context, functions);
+    return { passed: Boolean(value), trace };
   }
 
   /**
@@ -289,17 +734,413 @@ class RuleEngine {
     return {
       rules: this.rules,
       thresholds: this.thresholds,
+      profiles: Object.keys(this.scoring.profiles),
       lastLoaded: this.lastLoaded,
+      version: this.version,
       rulesPath: this.rulesPath
     };
   }
 
   /**
-   * Recarrega regras do arquivo
+   * Recarrega regras e listas dos arquivos
+   * O novo conjunto só é ativado se o arquivo inteiro for válido; caso
+   * contrário o conjunto anterior é mantido e RELOAD_FAILED é emitido
+   * @returns {boolean} Se o novo conjunto foi ativado
    */
   async reloadRules() {
-    await this.loadRules();
-    console.log('Rule Engine: Rules reloaded');
+    try {
+      const rulesData = await this.storage.read();
+      const ruleset = await this._loadRuleset(rulesData);
+      
+      // Regras e listas idênticas ao conjunto ativo (ex.: escritas pelo próprio engine)
+      if (rulesData === this.source && ruleset.lists.equals(this.lists)) {
+        return true;
+      }
+      
+      this._applyRuleset(ruleset);
+      console.log(`Rule Engine: Rules reloaded (version ${this.version})`);
+      
+      this.emit(RULE_ENGINE_EVENTS.RELOADED, {
+        rulesPath: this.rulesPath,
+        version: this.version,
+        ruleCount: this.rules.length,
+        timestamp: this.lastLoaded
+      });
+      
+      return true;
+      
+    } catch (error) {
+      console.error(`Rule Engine: Failed to reload rules from ${this.rulesPath}, keeping version ${this.version}:`, error.message);
+      
+      this.emit(RULE_ENGINE_EVENTS.RELOAD_FAILED, {
+        rulesPath: this.rulesPath,
+        error: error.message,
+        activeVersion: this.version,
+        timestamp: new Date().toISOString()
+      });
+      
+      return false;
+    }
+  }
+
+  /**
+   * Valida e compila uma lista de regras sem ativá-la
+   * @param {Array} rules - Regras
+   * @throws {Error} Se alguma regra for inválida
+   */
+  validateRules(rules) {
+    this._validateRules(rules, new Map());
+  }
+
+  /**
+   * Valida, persiste e ativa uma nova lista de regras
+   * Demais chaves do arquivo (ex.: thresholds) são preservadas. Regras
+   * temporárias continuam ativas mas não são persistidas
+   * @param {Array} rules - Regras persistentes
+   * @returns {number} Nova versão do conjunto
+   * @throws {Error} Se alguma regra for inválida
+   */
+  async saveRules(rules) {
+    const config = { ...this.config, thresholds: this.thresholds, rules };
+    const source = `${JSON.stringify(config, null, 2)}\n`;
+    const ruleset = this._compileRuleset(config, source);
+    
+    await this.storage.write(source);
+    
+    this._applyRuleset({
+      ...ruleset,
+      rules: [...rules, ...this.rules.filter(rule => rule.temporary)]
+    });
+    
+    console.log(`Rule Engine: Saved ${rules.length} rules (version ${this.version})`);
+    
+    return this.version;
+  }
+
+  /**
+   * Carrega um conjunto "challenger", avaliado em paralelo ao conjunto ativo
+   * (champion) sem influenciar a decisão
+   * @param {string} rulesPath - Arquivo de regras do challenger
+   * @returns {Object} Informações do challenger carregado
+   * @throws {Error} Se o arquivo ou alguma regra for inválido
+   */
+  async loadChallenger(rulesPath) {
+    const rulesData = await fs.readFile(rulesPath, 'utf8');
+    const ruleset = await this._loadRuleset(rulesData, rulesPath);
+    
+    this.challenger = {
+      ...ruleset,
+      rulesPath,
+      version: this.challenger ? this.challenger.version + 1 : 1,
+      // Identifica o conteúdo do challenger entre reinícios (a versão recomeça em 1)
+      hash: crypto.createHash('sha256').update(rulesData).digest('hex'),
+      loadedAt: new Date().toISOString()
+    };
+    
+    console.log(`Rule Engine: Loaded challenger with ${ruleset.rules.length} rules from ${rulesPath}`);
+    this.emit(RULE_ENGINE_EVENTS.CHALLENGER_LOADED, this.getChallengerInfo());
+    
+    return this.getChallengerInfo();
+  }
+
+  /**
+   * Indica se há um challenger carregado
+   * @returns {boolean} Se há challenger
+   */
+  hasChallenger() {
+    return this.challenger !== null;
+  }
+
+  /**
+   * Avalia as regras do challenger
+   * @param {Object} data - Dados de verificação
+   * @returns {Array|null} Resultados das regras ou null se não há challenger
+   */
+  async evaluateChallengerRules(data) {
+    const challenger = this.challenger;
+    return challenger ? this.evaluateRules(data, challenger) : null;
+  }
+
+  /**
+   * Promove o challenger a conjunto ativo, persistindo-o em rulesPath.
+   * Arquivos de listas relativos ao challenger são reescritos relativos a rulesPath
+   * @returns {Object} Versão ativa e challenger promovido
+   * @throws {Error} Se não há challenger
+   */
+  async promoteChallenger() {
+    const challenger = this.challenger;
+    if (!challenger) {
+      throw new Error('No challenger ruleset loaded');
+    }
+    
+    const ruleset = this._rebaseListFiles(challenger);
+    await this.storage.write(ruleset.source);
+    
+    const promoted = this.getChallengerInfo();
+    this._applyRuleset(ruleset);
+    this.challenger = null;
+    
+    console.log(`Rule Engine: Promoted challenger from ${promoted.rulesPath} (version ${this.version})`);
+    this.emit(RULE_ENGINE_EVENTS.CHALLENGER_PROMOTED, { version: this.version, challenger: promoted });
+    
+    return { version: this.version, challenger: promoted };
+  }
+
+  /**
+   * Reescreve os arquivos de listas do challenger relativos ao diretório de rulesPath,
+   * para que o conteúdo gravado em rulesPath aponte para os mesmos arquivos
+   * @private
+   * @param {Object} challenger - Challenger carregado
+   * @returns {Object} Conjunto de regras com config e source ajustados (o próprio challenger se nada mudar)
+   */
+  _rebaseListFiles(challenger) {
+    const fromDir = path.resolve(path.dirname(challenger.rulesPath));
+    const toDir = path.resolve(path.dirname(this.rulesPath));
+    const definitions = challenger.config.lists || {};
+    const relative = Object.keys(definitions).filter(name =>
+      definitions[name].file && !path.isAbsolute(definitions[name].file));
+
+    if (fromDir === toDir || relative.length === 0) {
+      return challenger;
+    }
+
+    const lists = { ...definitions };
+    for (const name of relative) {
+      lists[name] = {
+        ...definitions[name],
+        file: path.relative(toDir, path.resolve(fromDir, definitions[name].file)).split(path.sep).join('/')
+      };
+    }
+
+    const config = { ...challenger.config, lists };
+    return { ...challenger, config, source: `${JSON.stringify(config, null, 2)}\n` };
+  }
+
+  /**
+   * Descarta o challenger atual
+   */
+  clearChallenger() {
+    this.challenger = null;
+  }
+
+  /**
+   * Obtém o conjunto ativo e o challenger, para restauração com restoreState()
+   * @returns {Object} Estado ({ ruleset, challenger })
+   */
+  getState() {
+    return {
+      ruleset: {
+        config: this.config,
+        rules: this.rules,
+        thresholds: this.thresholds,
+        scoring: this.scoring,
+        compiledConditions: this.compiledConditions,
+        lists: this.lists,
+        source: this.source
+      },
+      challenger: this.challenger
+    };
+  }
+
+  /**
+   * Restaura um estado obtido com getState(): se o conjunto ativo mudou,
+   * o anterior é regravado em rulesPath e reativado
+   * @param {Object} state - Estado ({ ruleset, challenger })
+   */
+  async restoreState(state) {
+    if (state.ruleset.config !== this.config) {
+      await this.storage.write(state.ruleset.source || `${JSON.stringify(state.ruleset.config, null, 2)}\n`);
+      this._applyRuleset(state.ruleset);
+      console.log(`Rule Engine: Restored previous ruleset (version ${this.version})`);
+    }
+    
+    this.challenger = state.challenger;
+  }
+
+  /**
+   * Obtém informações do challenger
+   * @returns {Object|null} Informações do challenger
+   */
+  getChallengerInfo() {
+    if (!this.challenger) {
+      return null;
+    }
+    
+    return {
+      rulesPath: this.challenger.rulesPath,
+      version: this.challenger.version,
+      hash: this.challenger.hash,
+      ruleCount: this.challenger.rules.length,
+      thresholds: this.challenger.thresholds,
+      profiles: Object.keys(this.challenger.scoring.profiles),
+      loadedAt: this.challenger.loadedAt
+    };
+  }
+
+  /**
+   * Observa o arquivo de regras e recarrega a cada alteração
+   * @param {Object} options - Opções
+   * @param {number} options.debounceMs - Espera após a última alteração antes de recarregar
+   */
+  watchRules(options = {}) {
+    if (this.watcher) {
+      return;
+    }
+    
+    this.watchDebounceMs = options.debounceMs ?? 250;
+    const fileName = path.basename(this.rulesPath);
+    
+    // Observa o diretório: editores costumam substituir o arquivo (rename), o que
+    // interromperia um watcher no próprio arquivo
+    this.watcher = watch(path.dirname(this.rulesPath), (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) {
+        return;
+      }
+      
+      this._scheduleReload();
+    });
+    
+    this._watchListFiles();
+    
+    console.log(`Rule Engine: Watching ${this.rulesPath} for changes`);
+  }
+
+  /**
+   * Para de observar o arquivo de regras e os arquivos de listas
+   */
+  unwatchRules() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+    
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    
+    this._closeListWatchers();
+  }
+
+  /**
+   * Agenda um reload após o intervalo de debounce
+   * @private
+   */
+  _scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.reloadRules(), this.watchDebounceMs);
+  }
+
+  /**
+   * Observa os arquivos das listas do conjunto ativo
+   * @private
+   */
+  _watchListFiles() {
+    this._closeListWatchers();
+    
+    const filesByDir = new Map();
+    for (const file of this.lists.getFiles()) {
+      const dir = path.dirname(file);
+      if (!filesByDir.has(dir)) {
+        filesByDir.set(dir, new Set());
+      }
+      filesByDir.get(dir).add(path.basename(file));
+    }
+    
+    for (const [dir, fileNames] of filesByDir) {
+      this.listWatchers.push(watch(dir, (eventType, changedFile) => {
+        if (changedFile && !fileNames.has(changedFile)) {
+          return;
+        }
+        
+        this._scheduleReload();
+      }));
+    }
+  }
+
+  /**
+   * Fecha os watchers dos arquivos de listas
+   * @private
+   */
+  _closeListWatchers() {
+    for (const listWatcher of this.listWatchers) {
+      listWatcher.close();
+    }
+    this.listWatchers = [];
+  }
+
+  /**
+   * Obtém informações das listas nomeadas
+   * @returns {Array} Resumos ({ name, type, file, size })
+   */
+  getLists() {
+    return this.lists.getInfo();
+  }
+
+  /**
+   * Obtém uma lista nomeada
+   * @param {string} name - Nome da lista
+   * @returns {NamedList|null} Lista
+   */
+  getList(name) {
+    return this.lists.get(name);
+  }
+
+  /**
+   * Adiciona e/ou remove entradas de uma lista, persistindo-a e ativando-a.
+   * Listas em arquivo são regravadas com uma entrada por linha, mantendo os comentários;
+   * listas inline são gravadas em rulesPath
+   * @param {string} name - Nome da lista
+   * @param {Object} changes - { add, remove }
+   * @returns {Object} Lista atualizada e nova versão ({ list, version })
+   * @throws {Error} Se a lista não existir ou alguma entrada for inválida
+   */
+  async updateList(name, changes) {
+    const current = this.lists.get(name);
+    if (!current) {
+      throw new Error(`Unknown list '${name}'`);
+    }
+    
+    return this._saveList(name, current.withChanges(changes));
+  }
+
+  /**
+   * Regrava e reativa uma versão anterior de uma lista (ex.: obtida com getList())
+   * @param {NamedList} list - Lista a restaurar
+   * @returns {Object} Lista restaurada e nova versão ({ list, version })
+   */
+  async restoreList(list) {
+    return this._saveList(list.name, list);
+  }
+
+  /**
+   * Persiste e ativa uma lista
+   * @private
+   * @param {string} name - Nome da lista
+   * @param {NamedList} list - Nova versão da lista
+   * @returns {Object} Lista e nova versão ({ list, version })
+   */
+  async _saveList(name, list) {
+    if (list.file) {
+      await new FileRuleStorage(list.file).write(list.format());
+    } else {
+      const definitions = this.config.lists || {};
+      const config = {
+        ...this.config,
+        lists: { ...definitions, [name]: { ...definitions[name], entries: list.entries } }
+      };
+      const source = `${JSON.stringify(config, null, 2)}\n`;
+      
+      await this.storage.write(source);
+      this.config = config;
+      this.source = source;
+    }
+    
+    this.lists = this.lists.with(list);
+    this.lastLoaded = new Date().toISOString();
+    this.version++;
+    
+    console.log(`Rule Engine: Updated list ${name} (${list.entries.length} entries, version ${this.version})`);
+    
+    return { list, version: this.version };
   }
 
   /**
@@ -312,16 +1153,20 @@ class RuleEngine {
       throw new Error('Invalid rule structure');
     }
     
+    // Garante que a regra e sua condição são válidas antes de ativá-la
+    this._validateRules([rule]);
+    
     // Verifica se ID já existe
     if (this.rules.find(r => r.id === rule.id)) {
       throw new Error(`Rule with ID ${rule.id} already exists`);
     }
     
-    this.rules.push({
+    this.rules = [...this.rules, {
       ...rule,
       enabled: rule.enabled !== false,
       temporary: true
-    });
+    }];
+    this.version++;
     
     console.log(`Rule Engine: Added temporary rule ${rule.id}`);
   }
@@ -333,7 +1178,8 @@ class RuleEngine {
   removeTemporaryRule(ruleId) {
     const index = this.rules.findIndex(r => r.id === ruleId && r.temporary);
     if (index !== -1) {
-      this.rules.splice(index, 1);
+      this.rules = this.rules.filter((_rule, i) => i !== index);
+      this.version++;
       console.log(`Rule Engine: Removed temporary rule ${ruleId}`);
     }
   }
@@ -357,11 +1203,12 @@ class RuleEngine {
         negative: activeRules.filter(r => r.weight < 0).length,
         neutral: activeRules.filter(r => r.weight === 0).length
       },
-      lastLoaded: this.lastLoaded
+      lastLoaded: this.lastLoaded,
+      version: this.version
     };
     
     return stats;
   }
 }
 
-export { RuleEngine };
+export { RuleEngine, RULE_ENGINE_EVENTS };
@@ -0,0 +1,43 @@
+/**
+ * Armazenamento do arquivo de regras para NextTrust SDK
+ * Adaptadores expõem read() e write(content) com o conteúdo JSON do conjunto de regras
+ */
+
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Adaptador de armazenamento em arquivo local
+ */
+class FileRuleStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Lê o conteúdo do arquivo de regras
+   * @returns {string} Conteúdo JSON
+   */
+  async read() {
+    return fs.readFile(this.filePath, 'utf8');
+  }
+
+  /**
+   * Grava o conteúdo de forma atômica (arquivo temporário + rename),
+   * para que leitores e o watcher nunca vejam um arquivo parcial
+   * @param {string} content - Conteúdo JSON
+   */
+  async write(content) {
+    // Nome único: gravações concorrentes no mesmo arquivo (ex.: tenants com o mesmo rulesPath) não compartilham o temporário
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+export { FileRuleStorage };
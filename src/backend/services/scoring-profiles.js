@@ -0,0 +1,150 @@
+/**
+ * Perfis de scoring para NextTrust SDK
+ * Thresholds e pesos dos componentes do score definidos em rules.json,
+ * com perfis por caso de uso (ex.: login, signup, payment)
+ */
+
+import { DEFAULT_THRESHOLDS } from '../../shared/constants/index.js';
+
+/**
+ * Perfil usado quando a verificação não informa um contexto
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Thresholds padrão de decisão
+ */
+const DEFAULT_SCORING_THRESHOLDS = {
+  allow: DEFAULT_THRESHOLDS.ALLOW,
+  review: DEFAULT_THRESHOLDS.REVIEW,
+  deny: DEFAULT_THRESHOLDS.DENY
+};
+
+/**
+ * Pesos padrão dos componentes do score
+ */
+const DEFAULT_SCORING_WEIGHTS = {
+  rule: 0.4, // 40% - Regras são mais importantes
+  behavioral: 0.25, // 25% - Comportamento é importante
+  fingerprint: 0.2, // 20% - Fingerprint é importante
+  facial: 0.1, // 10% - Facial é bonus
+  dataQuality: 0.05, // 5% - Qualidade dos dados
+  model: 0.25 // Modelo de ML, quando carregado (sem modelo o componente é ignorado)
+};
+
+/**
+ * Valida thresholds (parciais) de um perfil
+ * @param {Object} thresholds - Thresholds
+ * @param {string} where - Origem, para a mensagem de erro
+ * @throws {Error} Se algum valor for inválido
+ */
+function validateThresholds(thresholds, where) {
+  for (const [key, value] of Object.entries(thresholds)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SCORING_THRESHOLDS, key)) {
+      throw new Error(`Unknown threshold '${key}' in ${where}`);
+    }
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      throw new Error(`Threshold '${key}' in ${where} must be a number between 0 and 100`);
+    }
+  }
+}
+
+/**
+ * Valida pesos (parciais) de um perfil
+ * @param {Object} weights - Pesos
+ * @param {string} where - Origem, para a mensagem de erro
+ * @throws {Error} Se algum peso for inválido
+ */
+function validateWeights(weights, where) {
+  for (const [key, value] of Object.entries(weights)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SCORING_WEIGHTS, key)) {
+      throw new Error(`Unknown score component '${key}' in ${where} weights (available: ${Object.keys(DEFAULT_SCORING_WEIGHTS).join(', ')})`);
+    }
+    if (typeof value !== 'number' || value < 0) {
+      throw new Error(`Weight '${key}' in ${where} must be a non-negative number`);
+    }
+  }
+}
+
+/**
+ * Valida um perfil completo (após a combinação com o padrão)
+ * @param {Object} profile - { thresholds, weights }
+ * @param {string} where - Origem, para a mensagem de erro
+ * @throws {Error} Se os thresholds estiverem fora de ordem ou todos os pesos forem zero
+ */
+function validateResolvedProfile(profile, where) {
+  if (profile.thresholds.allow < profile.thresholds.review || profile.thresholds.review < profile.thresholds.deny) {
+    throw new Error(`Invalid thresholds in ${where}: expected allow >= review >= deny`);
+  }
+  if (!Object.values(profile.weights).some(weight => weight > 0)) {
+    throw new Error(`Weights in ${where} must have at least one positive value`);
+  }
+}
+
+/**
+ * Extrai e valida a configuração de scoring de um arquivo de regras
+ * @param {Object} config - Configuração ({ thresholds, weights, profiles })
+ * @returns {Object} { thresholds, weights, profiles: { nome: { thresholds, weights } } }
+ * @throws {Error} Se algum threshold, peso ou perfil for inválido
+ */
+function parseScoringConfig(config = {}) {
+  const thresholds = config.thresholds || {};
+  const weights = config.weights || {};
+  validateThresholds(thresholds, 'thresholds');
+  validateWeights(weights, 'scoring');
+
+  const scoring = {
+    thresholds: { ...DEFAULT_SCORING_THRESHOLDS, ...thresholds },
+    weights: { ...DEFAULT_SCORING_WEIGHTS, ...weights },
+    profiles: {}
+  };
+  validateResolvedProfile(scoring, 'thresholds');
+
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    const where = `profile ${name}`;
+    if (!/^[a-z0-9_-]+$/.test(name) || name === DEFAULT_PROFILE) {
+      throw new Error(`Invalid profile name '${name}'`);
+    }
+
+    validateThresholds(profile.thresholds || {}, where);
+    validateWeights(profile.weights || {}, where);
+
+    // Apenas os valores definidos no perfil; o restante vem do padrão no momento do uso
+    scoring.profiles[name] = {
+      thresholds: { ...profile.thresholds },
+      weights: { ...profile.weights }
+    };
+    validateResolvedProfile(resolveScoringProfile(scoring, name), where);
+  }
+
+  return scoring;
+}
+
+/**
+ * Combina um perfil com os valores padrão
+ * @param {Object} scoring - Configuração de scoring (parseScoringConfig)
+ * @param {string} name - Nome do perfil (padrão: 'default')
+ * @param {Object} thresholdOverrides - Thresholds que substituem os padrão do arquivo
+ * @returns {Object|null} { name, thresholds, weights } ou null se o perfil não existir
+ */
+function resolveScoringProfile(scoring, name = DEFAULT_PROFILE, thresholdOverrides = {}) {
+  if (name !== DEFAULT_PROFILE && !Object.prototype.hasOwnProperty.call(scoring.profiles, name)) {
+    return null;
+  }
+
+  const profile = name === DEFAULT_PROFILE ? {} : scoring.profiles[name];
+
+  return {
+    name,
+    thresholds: { ...scoring.thresholds, ...thresholdOverrides, ...profile.thresholds },
+    weights: { ...scoring.weights, ...profile.weights }
+  };
+}
+
+export {
+  DEFAULT_PROFILE,
+  DEFAULT_SCORING_THRESHOLDS,
+  DEFAULT_SCORING_WEIGHTS,
+  parseScoringConfig,
+  resolveScoringProfile
+};
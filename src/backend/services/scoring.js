@@ -3,33 +3,125 @@
  * Calcula score de confiança baseado em regras e dados comportamentais
  */
 
-import { DECISION_TYPES, DEFAULT_THRESHOLDS } from '../../shared/constants/index.js';
+import { DECISION_TYPES, SUSPICIOUS_USER_AGENT_PATTERNS } from '../../shared/constants/index.js';
+import { DEFAULT_PROFILE, parseScoringConfig, resolveScoringProfile } from './scoring-profiles.js';
+import { REASON_SEVERITY, createReason } from './reasons.js';
+import { getConsistency } from './consistency.js';
+import { getKeystrokeAnalysis, TYPING_STATUS } from './keystroke.js';
+import { getMouseAnalysis } from './mouse.js';
+import { getMobileAnalysis } from './mobile.js';
+
+/**
+ * Configuração de scoring usada quando o rule engine não fornece uma
+ */
+const DEFAULT_SCORING = parseScoringConfig();
+
+/**
+ * Score neutro: contribuições são medidas a partir dele
+ */
+const NEUTRAL_SCORE = 50;
+
+/**
+ * Severidade da razão de uma regra terminal, pela ação forçada
+ */
+const TERMINAL_SEVERITY = {
+  [DECISION_TYPES.ALLOW]: REASON_SEVERITY.INFO,
+  [DECISION_TYPES.REVIEW]: REASON_SEVERITY.MEDIUM,
+  [DECISION_TYPES.DENY]: REASON_SEVERITY.HIGH
+};
+
+/**
+ * Penalidade no score comportamental quando a digitação não corresponde ao perfil do usuário
+ */
+const TYPING_MISMATCH_PENALTY = 20;
 
 /**
  * Classe do Serviço de Scoring
  */
 class ScoringService {
-  constructor(ruleEngine) {
+  /**
+   * @param {Object} ruleEngine - Rule engine (fornece os perfis de scoring)
+   * @param {Object} options - Opções
+   * @param {Object} options.model - Modelo de ML (ScoringModel) combinado ao score
+   */
+  constructor(ruleEngine, options = {}) {
     this.ruleEngine = ruleEngine;
-    this.thresholds = DEFAULT_THRESHOLDS;
+    this.model = options.model || null;
+    // Thresholds do tenant/operador: substituem os de rules.json, mas não os de um perfil
+    this.thresholdOverrides = {};
+  }
+
+  /**
+   * Thresholds efetivos do perfil padrão
+   * @returns {Object} { allow, review, deny }
+   */
+  get thresholds() {
+    return this.getThresholds();
+  }
+
+  /**
+   * Obtém o perfil de scoring de um contexto (ex.: login, signup, payment)
+   * @param {string} context - Contexto da verificação (padrão: perfil padrão)
+   * @param {Object} scoring - Configuração de scoring (padrão: a do conjunto ativo do rule engine)
+   * @returns {Object} { name, thresholds, weights }
+   * @throws {Error} Se o contexto não tiver perfil (statusCode 400)
+   */
+  getProfile(context = null, scoring = null) {
+    const config = scoring || (this.ruleEngine && this.ruleEngine.scoring) || DEFAULT_SCORING;
+    const profile = resolveScoringProfile(config, context || DEFAULT_PROFILE, this.thresholdOverrides);
+
+    if (!profile) {
+      const error = new Error(`Unknown scoring context '${context}' (available: ${Object.keys(config.profiles).join(', ') || 'none'})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return profile;
   }
 
   /**
    * Calcula score de confiança baseado em dados e resultados de regras
    * @param {Object} data - Dados de verificação
    * @param {Array} ruleResults - Resultados das regras
+   * @param {Object} options - Opções
+   * @param {Object} options.profile - Perfil de scoring (padrão: o do contexto de data.context)
    * @returns {Object} Resultado do scoring
+   * @throws {Error} Se o contexto não tiver perfil
    */
-  async calculateScore(data, ruleResults) {
+  async calculateScore(data, ruleResults, options = {}) {
+    const profile = options.profile || this.getProfile(data.context);
+    
     try {
+      // Regra terminal disparada: a decisão já está definida
+      const terminalRule = this._findTerminalRule(ruleResults);
+      if (terminalRule) {
+        return {
+          score: terminalRule.action === DECISION_TYPES.ALLOW ? 100 : 0,
+          reasons: [createReason('RULE_TERMINAL', {
+            rule: terminalRule,
+            severity: TERMINAL_SEVERITY[terminalRule.action]
+          })],
+          breakdown: null,
+          contributions: null,
+          profile: profile.name,
+          forcedBy: this._describeRule(terminalRule)
+        };
+      }
+      
       // Score base das regras
       const ruleScore = this._calculateRuleScore(ruleResults);
       
       // Score comportamental
-      const behavioralScore = this._calculateBehavioralScore(data.behavioral);
+      const behavioralScore = this._calculateBehavioralScore(
+        data.behavioral,
+        getKeystrokeAnalysis(data),
+        data.device?.typing,
+        getMouseAnalysis(data),
+        getMobileAnalysis(data)
+      );
       
       // Score de fingerprint
-      const fingerprintScore = this._calculateFingerprintScore(data.fingerprint);
+      const fingerprintScore = this._calculateFingerprintScore(data.fingerprint, getConsistency(data));
       
       // Score facial (se disponível)
       const facialScore = this._calculateFacialScore(data.facial);
@@ -37,24 +129,31 @@ class ScoringService {
       // Score de qualidade dos dados
       const dataQualityScore = this._calculateDataQualityScore(data);
       
-      // Combina scores com pesos
-      const finalScore = this._combineScores({
+      // Score do modelo de ML (null se não houver modelo)
+      const modelScore = this._calculateModelScore(data);
+      
+      // Combina scores com os pesos do perfil
+      const componentScores = {
         rule: ruleScore,
         behavioral: behavioralScore,
         fingerprint: fingerprintScore,
         facial: facialScore,
-        dataQuality: dataQualityScore
-      });
+        dataQuality: dataQualityScore,
+        model: modelScore
+      };
+      const finalScore = this._combineScores(componentScores, profile.weights);
       
-      // Gera razões para o score
+      // Gera razões para o score, com a contribuição de cada componente e regra
+      const contributions = this._calculateContributions(componentScores, profile.weights, ruleResults);
       const reasons = this._generateReasons({
         ruleScore,
         behavioralScore,
         fingerprintScore,
         facialScore,
         dataQualityScore,
+        modelScore,
         finalScore
-      });
+      }, contributions, data, ruleResults);
       
       return {
         score: Math.max(0, Math.min(100, finalScore)), // Limita entre 0 e 100
@@ -64,8 +163,11 @@ class ScoringService {
           behavioral: behavioralScore,
           fingerprint: fingerprintScore,
           facial: facialScore,
-          dataQuality: dataQualityScore
-        }
+          dataQuality: dataQualityScore,
+          model: modelScore
+        },
+        contributions,
+        profile: profile.name
       };
       
     } catch (error) {
@@ -107,8 +209,14 @@ class ScoringService {
   /**
    * Calcula score comportamental
    * @private
+   * @param {Object} behavioral - Dados comportamentais
+   * @param {Object} keystroke - Anomalias da digitação (analyzeKeystrokes)
+   * @param {Object} typing - Comparação com o perfil de digitação do usuário (device.typing)
+   * @param {Object} mouse - Anomalias das trajetórias do cursor (analyzeMouseDynamics)
+   * @param {Object} mobile - Anomalias dos toques e sensores (analyzeMobileSignals)
+   * @returns {number} Score de 0 a 100
    */
-  _calculateBehavioralScore(behavioral) {
+  _calculateBehavioralScore(behavioral, keystroke = null, typing = null, mouse = null, mobile = null) {
     if (!behavioral) {
       return 30; // Score baixo se não há dados comportamentais
     }
@@ -166,14 +274,35 @@ class ScoringService {
       score -= 10; // Pouco movimento
     }
     
+    // Ritmo de digitação fora do esperado de pessoas ou diferente do perfil do usuário
+    if (keystroke) {
+      score -= keystroke.penalty;
+    }
+    if (typing && typing.status === TYPING_STATUS.MISMATCH) {
+      score -= TYPING_MISMATCH_PENALTY;
+    }
+    
+    // Trajetórias do cursor de script (retas, velocidade constante, cliques sem aproximação)
+    if (mouse) {
+      score -= mouse.penalty;
+    }
+    
+    // Toques sintéticos ou uniformes e sensores perfeitamente parados
+    if (mobile) {
+      score -= mobile.penalty;
+    }
+    
     return Math.max(0, Math.min(100, score));
   }
 
   /**
    * Calcula score de fingerprint
    * @private
+   * @param {Object} fingerprint - Fingerprint coletado
+   * @param {Object} consistency - Inconsistências do fingerprint (analyzeConsistency)
+   * @returns {number} Score de 0 a 100
    */
-  _calculateFingerprintScore(fingerprint) {
+  _calculateFingerprintScore(fingerprint, consistency = null) {
     if (!fingerprint) {
       return 0; // Score zero se não há fingerprint
     }
@@ -214,19 +343,35 @@ class ScoringService {
     }
     
     // Penaliza user agents suspeitos
-    if (fingerprint.userAgent) {
-      const suspiciousPatterns = ['bot', 'crawler', 'spider', 'scraper'];
-      for (const pattern of suspiciousPatterns) {
-        if (fingerprint.userAgent.toLowerCase().includes(pattern)) {
-          score -= 30;
-          break;
-        }
-      }
+    if (fingerprint.userAgent && this._isSuspiciousUserAgent(fingerprint.userAgent)) {
+      score -= 30;
+    }
+    
+    // Penaliza atributos contraditórios (user agent falsificado, renderer de outro sistema...)
+    if (consistency) {
+      score -= consistency.penalty;
     }
     
     return Math.max(0, Math.min(100, score));
   }
 
+  /**
+   * Verifica o user agent na lista suspicious_user_agents do Rule Engine,
+   * ou nos padrões embutidos se a lista não estiver configurada
+   * @private
+   * @param {string} userAgent - User agent
+   * @returns {boolean} Se é suspeito
+   */
+  _isSuspiciousUserAgent(userAgent) {
+    const lists = this.ruleEngine && this.ruleEngine.lists;
+    if (lists && lists.has('suspicious_user_agents')) {
+      return lists.contains('suspicious_user_agents', userAgent);
+    }
+    
+    const value = userAgent.toLowerCase();
+    return SUSPICIOUS_USER_AGENT_PATTERNS.some(pattern => value.includes(pattern));
+  }
+
   /**
    * Calcula score facial
    * @private
@@ -240,7 +385,8 @@ class ScoringService {
       return 40; // Score ligeiramente baixo se há erro
     }
     
-    if (facial.imageData) {
+    // present: captura lida do log de verificações, sem a imagem
+    if (facial.imageData || facial.present) {
       return 80; // Score alto se há captura facial bem-sucedida
     }
     
@@ -254,8 +400,10 @@ class ScoringService {
   _calculateDataQualityScore(data) {
     let score = 50;
     
-    // Verifica idade dos dados
-    const now = Date.now();
+    // Verifica idade dos dados em relação ao recebimento no servidor
+    // (payloads gravados e reprocessados na simulação mantêm a mesma idade)
+    const receivedAt = Date.parse(data.requestInfo?.receivedAt);
+    const now = Number.isNaN(receivedAt) ? Date.now() : receivedAt;
     const dataAge = now - data.timestamp;
     
     if (dataAge < 60000) { // Menos de 1 minuto
@@ -269,6 +417,11 @@ class ScoringService {
     if (data.behavioral) score += 10;
     if (data.facial && !data.facial.error) score += 10;
     
+    // Fingerprint diferente da verificação anterior na mesma sessão
+    if (data.session && data.session.fingerprintChanged) {
+      score -= 20;
+    }
+    
     // Verifica consistência dos dados
     if (data.fingerprint && data.behavioral) {
       if (data.fingerprint.timestamp && data.behavioral.startTime) {
@@ -283,18 +436,27 @@ class ScoringService {
   }
 
   /**
-   * Combina scores com pesos
+   * Calcula score do modelo de ML: 100 menos a probabilidade de fraude em pontos
    * @private
+   * @param {Object} data - Dados de verificação
+   * @returns {number|null} Score ou null se não há modelo
    */
-  _combineScores(scores) {
-    const weights = {
-      rule: 0.4,        // 40% - Regras são mais importantes
-      behavioral: 0.25, // 25% - Comportamento é importante
-      fingerprint: 0.2, // 20% - Fingerprint é importante
-      facial: 0.1,      // 10% - Facial é bonus
-      dataQuality: 0.05 // 5% - Qualidade dos dados
-    };
+  _calculateModelScore(data) {
+    if (!this.model) {
+      return null;
+    }
     
+    return (1 - this.model.predict(data)) * 100;
+  }
+
+  /**
+   * Combina scores com pesos
+   * @private
+   * @param {Object} scores - Score de cada componente
+   * @param {Object} weights - Peso de cada componente (padrão: perfil padrão)
+   * @returns {number} Score combinado
+   */
+  _combineScores(scores, weights = this.getProfile().weights) {
     let weightedScore = 0;
     let totalWeight = 0;
     
@@ -309,76 +471,253 @@ class ScoringService {
   }
 
   /**
-   * Gera razões para o score
+   * Pontos que cada componente e cada regra disparada somaram (ou tiraram) do score,
+   * a partir do score neutro. Exato após a normalização dos pesos:
+   * score final = baseline + soma das contribuições dos componentes, e a soma das
+   * contribuições das regras disparadas é a contribuição do componente de regras
    * @private
+   * @param {Object} scores - Score de cada componente
+   * @param {Object} weights - Peso de cada componente
+   * @param {Array} ruleResults - Resultados das regras
+   * @returns {Object} { baseline, components: { componente: { score, weight, contribution } | null }, rules }
    */
-  _generateReasons(scores) {
+  _calculateContributions(scores, weights, ruleResults = []) {
+    const active = Object.entries(scores).filter(([, score]) => score !== null && score !== undefined);
+    const totalWeight = active.reduce((sum, [type]) => sum + weights[type], 0);
+
+    // Componentes sem dados (ex.: modelo não carregado) ficam fora da normalização
+    const components = {};
+    for (const [type, score] of Object.entries(scores)) {
+      if (score === null || score === undefined) {
+        components[type] = null;
+        continue;
+      }
+
+      const weight = totalWeight > 0 ? weights[type] / totalWeight : 0;
+      components[type] = { score, weight, contribution: (score - NEUTRAL_SCORE) * weight };
+    }
+
+    // O score das regras é 50 + 50 * Σ score / Σ |peso| (limitado a 0-100): cada regra
+    // disparada responde pela sua parcela, reescalada se o limite foi aplicado
+    const valid = (ruleResults || []).filter(result => !result.error);
+    const ruleWeight = valid.reduce((sum, result) => sum + Math.abs(result.weight), 0);
+    const fired = valid.filter(result => result.passed);
+    const unclamped = ruleWeight > 0
+      ? NEUTRAL_SCORE * fired.reduce((sum, result) => sum + result.score, 0) / ruleWeight
+      : 0;
+    const ruleComponent = components.rule;
+    let scale = 0;
+    if (ruleComponent) {
+      scale = unclamped !== 0 ? ruleComponent.contribution / unclamped : ruleComponent.weight;
+    }
+
+    const rules = fired.map(result => ({
+      id: result.id,
+      name: result.name,
+      action: result.action,
+      contribution: ruleWeight > 0 ? NEUTRAL_SCORE * (result.score / ruleWeight) * scale : 0
+    }));
+
+    return { baseline: NEUTRAL_SCORE, components, rules };
+  }
+
+  /**
+   * Gera as razões do score (códigos do catálogo de reasons.js)
+   * @private
+   * @param {Object} scores - Scores dos componentes e score final
+   * @param {Object} contributions - Contribuições (_calculateContributions)
+   * @param {Object} data - Dados de verificação
+   * @param {Array} ruleResults - Resultados das regras
+   * @returns {Array} Razões { code, severity, component, contribution }
+   */
+  _generateReasons(scores, contributions, data = {}, ruleResults = []) {
     const reasons = [];
+    const component = (name) => ({ contribution: contributions.components[name] ? contributions.components[name].contribution : null });
+    const ruleContribution = (id) => contributions.rules.find(rule => rule.id === id).contribution;
     
     // Razões baseadas no score final
     if (scores.finalScore >= 80) {
-      reasons.push('High confidence score based on comprehensive data analysis');
+      reasons.push(createReason('SCORE_HIGH'));
     } else if (scores.finalScore >= 60) {
-      reasons.push('Moderate confidence score with some risk factors');
+      reasons.push(createReason('SCORE_MODERATE'));
     } else if (scores.finalScore >= 40) {
-      reasons.push('Low confidence score with multiple risk factors');
+      reasons.push(createReason('SCORE_LOW'));
     } else {
-      reasons.push('Very low confidence score with significant risk factors');
+      reasons.push(createReason('SCORE_VERY_LOW'));
     }
     
     // Razões específicas por componente
     if (scores.ruleScore < 40) {
-      reasons.push('Multiple security rules failed');
+      reasons.push(createReason('RULES_FAILED', component('rule')));
+    }
+    
+    // Regras deny/review disparadas, na ordem de prioridade
+    for (const result of ruleResults || []) {
+      if (!result.passed || result.error) {
+        continue;
+      }
+      if (result.action === DECISION_TYPES.DENY || result.action === DECISION_TYPES.REVIEW) {
+        const code = result.action === DECISION_TYPES.DENY ? 'RULE_DENY_TRIGGERED' : 'RULE_REVIEW_TRIGGERED';
+        reasons.push(createReason(code, { rule: result, contribution: ruleContribution(result.id) }));
+      }
     }
     
-    if (scores.behavioralScore < 40) {
-      reasons.push('Insufficient or suspicious behavioral data');
+    if (!data.behavioral) {
+      reasons.push(createReason('BEHAVIOR_MISSING', component('behavioral')));
+    } else {
+      if (scores.behavioralScore < 40) {
+        reasons.push(createReason('BEHAVIOR_BOT_LIKE', component('behavioral')));
+      }
+      if (!getKeystrokeAnalysis(data).humanLike) {
+        reasons.push(createReason('BEHAVIOR_KEYSTROKE_ANOMALY', component('behavioral')));
+      }
+      if (data.device?.typing?.status === TYPING_STATUS.MISMATCH) {
+        reasons.push(createReason('BEHAVIOR_TYPING_MISMATCH', component('behavioral')));
+      }
+      if (!getMouseAnalysis(data).humanLike) {
+        reasons.push(createReason('BEHAVIOR_MOUSE_ANOMALY', component('behavioral')));
+      }
+      if (!getMobileAnalysis(data).humanLike) {
+        reasons.push(createReason('BEHAVIOR_MOBILE_ANOMALY', component('behavioral')));
+      }
     }
     
-    if (scores.fingerprintScore < 40) {
-      reasons.push('Incomplete or suspicious device fingerprint');
+    if (!data.fingerprint) {
+      reasons.push(createReason('FP_MISSING', component('fingerprint')));
+    } else {
+      if (data.fingerprint.userAgent && this._isSuspiciousUserAgent(data.fingerprint.userAgent)) {
+        reasons.push(createReason('FP_SUSPICIOUS_UA', component('fingerprint')));
+      }
+      if (!getConsistency(data).consistent) {
+        reasons.push(createReason('FP_INCONSISTENT', component('fingerprint')));
+      }
+      if (scores.fingerprintScore < 40) {
+        reasons.push(createReason('FP_INCOMPLETE', component('fingerprint')));
+      }
     }
     
     if (scores.facialScore >= 80) {
-      reasons.push('Facial verification completed successfully');
+      reasons.push(createReason('FACIAL_VERIFIED', component('facial')));
+    } else if (data.facial && data.facial.error) {
+      reasons.push(createReason('FACIAL_ERROR', component('facial')));
+    }
+    
+    if (data.session && data.session.fingerprintChanged) {
+      reasons.push(createReason('SESSION_FINGERPRINT_CHANGED', component('dataQuality')));
     }
     
     if (scores.dataQualityScore < 40) {
-      reasons.push('Poor data quality or stale information');
+      reasons.push(createReason('DATA_STALE', component('dataQuality')));
+    }
+    
+    if (scores.modelScore !== null && scores.modelScore !== undefined && scores.modelScore < 40) {
+      reasons.push(createReason('MODEL_HIGH_RISK', component('model')));
     }
     
     return reasons;
   }
 
   /**
-   * Determina decisão baseada no score
+   * Determina decisão baseada no score e nas ações das regras disparadas
    * @param {number} score - Score de confiança
+   * @param {Array} ruleResults - Resultados das regras
+   * @param {Object} profile - Perfil de scoring (padrão: perfil padrão)
    * @returns {string} Decisão: allow, review, deny
    */
-  getDecision(score) {
-    if (score >= this.thresholds.allow) {
-      return DECISION_TYPES.ALLOW;
-    } else if (score >= this.thresholds.review) {
-      return DECISION_TYPES.REVIEW;
+  getDecision(score, ruleResults = [], profile = null) {
+    return this.resolveDecision(score, ruleResults, profile).decision;
+  }
+
+  /**
+   * Determina a decisão e a regra que a forçou, se houver.
+   * Uma regra terminal disparada define a decisão; uma regra deny ou review
+   * disparada com blocksAllow impede que o score sozinho resulte em allow
+   * @param {number} score - Score de confiança
+   * @param {Array} ruleResults - Resultados das regras
+   * @param {Object} profile - Perfil de scoring com os thresholds (padrão: perfil padrão)
+   * @returns {Object} { decision, forcedBy }
+   */
+  resolveDecision(score, ruleResults = [], profile = null) {
+    const terminalRule = this._findTerminalRule(ruleResults);
+    if (terminalRule) {
+      return { decision: terminalRule.action, forcedBy: this._describeRule(terminalRule) };
+    }
+    
+    const thresholds = (profile || this.getProfile()).thresholds;
+    
+    let decision;
+    if (score >= thresholds.allow) {
+      decision = DECISION_TYPES.ALLOW;
+    } else if (score >= thresholds.review) {
+      decision = DECISION_TYPES.REVIEW;
     } else {
-      return DECISION_TYPES.DENY;
+      decision = DECISION_TYPES.DENY;
+    }
+    
+    if (decision === DECISION_TYPES.ALLOW) {
+      // Resultados já vêm em ordem de prioridade
+      const blockingRule = (ruleResults || []).find(result =>
+        result.passed && !result.error && result.blocksAllow &&
+        (result.action === DECISION_TYPES.DENY || result.action === DECISION_TYPES.REVIEW)
+      );
+      
+      if (blockingRule) {
+        return { decision: DECISION_TYPES.REVIEW, forcedBy: this._describeRule(blockingRule) };
+      }
     }
+    
+    return { decision, forcedBy: null };
+  }
+
+  /**
+   * Localiza a regra terminal disparada
+   * @private
+   * @param {Array} ruleResults - Resultados das regras
+   * @returns {Object|null} Resultado da regra terminal
+   */
+  _findTerminalRule(ruleResults) {
+    return (ruleResults || []).find(result => result.passed && result.terminal && !result.error) || null;
+  }
+
+  /**
+   * Resumo de uma regra para a resposta
+   * @private
+   * @param {Object} result - Resultado da regra
+   * @returns {Object} { id, name, action, terminal }
+   */
+  _describeRule(result) {
+    return {
+      id: result.id,
+      name: result.name,
+      action: result.action,
+      terminal: result.terminal === true
+    };
   }
 
   /**
-   * Atualiza thresholds
+   * Atualiza thresholds. Substituem os de rules.json; perfis que definem
+   * seus próprios thresholds continuam com eles
    * @param {Object} newThresholds - Novos thresholds
    */
   updateThresholds(newThresholds) {
-    this.thresholds = { ...this.thresholds, ...newThresholds };
+    this.thresholdOverrides = { ...this.thresholdOverrides, ...newThresholds };
   }
 
   /**
    * Obtém thresholds atuais
+   * @param {string} context - Contexto (padrão: perfil padrão)
    * @returns {Object} Thresholds atuais
    */
-  getThresholds() {
-    return { ...this.thresholds };
+  getThresholds(context = null) {
+    return { ...this.getProfile(context).thresholds };
+  }
+
+  /**
+   * Substitui o modelo de ML (null desativa o componente)
+   * @param {Object} model - Modelo (ScoringModel)
+   */
+  setModel(model) {
+    this.model = model || null;
   }
 
   /**
@@ -388,6 +727,8 @@ class ScoringService {
   getStats() {
     return {
       thresholds: this.thresholds,
+      profiles: Object.keys(((this.ruleEngine && this.ruleEngine.scoring) || DEFAULT_SCORING).profiles),
+      model: this.model ? this.model.getInfo() : null,
       ruleEngine: this.ruleEngine ? 'connected' : 'disconnected'
     };
   }
@@ -0,0 +1,386 @@
+/**
+ * Sessões de verificação para NextTrust SDK
+ * Guarda as verificações de cada sessionId (modelo Session), aplica o timeout
+ * de inatividade e expõe o histórico da sessão às regras e ao scoring
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Session, VerificationResult } from '../models/index.js';
+import { hashFingerprint } from './velocity.js';
+import { accumulateBatch } from './event-stream.js';
+import { DEFAULT_CONFIG, ERROR_CODES } from '../../shared/constants/index.js';
+
+/**
+ * Campos do fingerprint comparados entre verificações da mesma sessão
+ */
+const TRACKED_FINGERPRINT_FIELDS = [
+  'userAgent', 'language', 'platform', 'screenResolution', 'timezone',
+  'canvasFingerprint', 'webglFingerprint', 'audioFingerprint',
+  'hardwareConcurrency', 'deviceMemory'
+];
+
+/**
+ * Armazenamento de sessões em memória (padrão).
+ * Outros adaptadores devem expor os mesmos métodos assíncronos
+ */
+class InMemorySessionStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.maxSessions - Máximo de sessões; as inativas há mais tempo são descartadas
+   */
+  constructor(options = {}) {
+    this.maxSessions = options.maxSessions || 10000;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Obtém uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Object|null} Dados da sessão (Session.toJSON)
+   */
+  async get(sessionId) {
+    const data = this.sessions.get(sessionId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Grava uma sessão
+   * @param {Object} session - Sessão (Session)
+   */
+  async save(session) {
+    // Reinsere para manter o Map ordenado pela última atividade
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, JSON.stringify(session));
+
+    if (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove sessões inativas desde antes de um instante
+   * @param {number} before - Instante (ms)
+   * @returns {number} Quantidade removida
+   */
+  async purge(before) {
+    let removed = 0;
+    for (const [sessionId, data] of this.sessions) {
+      if (Date.parse(JSON.parse(data).lastActivity) < before) {
+        this.sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Armazenamento de sessões em arquivos: um JSON por sessão em um diretório
+ */
+class FileSessionStore {
+  constructor(directory) {
+    this.directory = directory;
+    // Última gravação pendente de cada arquivo: gravações da mesma sessão são feitas em ordem
+    this.writes = new Map();
+  }
+
+  async get(sessionId) {
+    try {
+      return JSON.parse(await fs.readFile(this._pathOf(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Grava de forma atômica (arquivo temporário + rename), uma gravação por sessão de cada vez
+   * @param {Object} session - Sessão (Session)
+   */
+  async save(session) {
+    const filePath = this._pathOf(session.id);
+    const data = JSON.stringify(session);
+    const previous = this.writes.get(filePath) || Promise.resolve();
+
+    const write = previous.catch(() => {}).then(async () => {
+      // Nome único: outras gravações (deste ou de outro processo) não compartilham o temporário
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.mkdir(this.directory, { recursive: true });
+      try {
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+    });
+
+    this.writes.set(filePath, write);
+    try {
+      await write;
+    } finally {
+      if (this.writes.get(filePath) === write) {
+        this.writes.delete(filePath);
+      }
+    }
+  }
+
+  async purge(before) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let removed = 0;
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (Date.parse(data.lastActivity) < before) {
+          await fs.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        // Arquivo removido ou reescrito em paralelo: ignora
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Caminho do arquivo de uma sessão (o ID vem do cliente: usa o hash como nome)
+   * @private
+   * @param {string} sessionId - ID da sessão
+   * @returns {string} Caminho
+   */
+  _pathOf(sessionId) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(String(sessionId)).digest('hex')}.json`);
+  }
+}
+
+/**
+ * Classe do Serviço de Sessões
+ */
+class SessionService {
+  /**
+   * @param {Object} options - Opções
+   * @param {Object} options.store - Armazenamento (padrão: em memória)
+   * @param {number} options.sessionTimeout - Inatividade máxima em ms (padrão: 30 minutos)
+   * @param {number} options.retentionMs - Por quanto tempo sessões inativas são guardadas (padrão: 24 horas)
+   * @param {number} options.maxVerifications - Verificações mais recentes guardadas por sessão (padrão: 50)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new InMemorySessionStore();
+    this.sessionTimeout = options.sessionTimeout || DEFAULT_CONFIG.sessionTimeout;
+    this.retentionMs = Math.max(options.retentionMs || 24 * 60 * 60 * 1000, this.sessionTimeout);
+    this.maxVerifications = options.maxVerifications || 50;
+    this.lastPurge = Date.now();
+    // Última atualização pendente de cada sessão: verificações e lotes de eventos da mesma sessão são gravados em ordem
+    this.locks = new Map();
+  }
+
+  /**
+   * Abre a sessão de uma verificação, criando-a se não existir
+   * @param {string} sessionId - ID da sessão
+   * @returns {Session} Sessão
+   * @throws {Error} Com code SESSION_EXPIRED (statusCode 401) se a sessão estiver inativa há mais que o timeout
+   */
+  async open(sessionId) {
+    await this._purgeIfDue();
+
+    const data = await this.store.get(sessionId);
+    if (!data) {
+      return new Session({ id: sessionId });
+    }
+
+    const session = new Session(data);
+    if (session.isExpired(this.sessionTimeout)) {
+      const error = new Error(`Session ${sessionId} was inactive for more than ${Math.round(this.sessionTimeout / 1000)} seconds; start a new session`);
+      error.code = ERROR_CODES.SESSION_EXPIRED;
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return session;
+  }
+
+  /**
+   * Resumo das verificações anteriores da sessão, exposto como `session` às regras e ao scoring.
+   * Scores e fingerprints vêm das maxVerifications verificações mais recentes
+   * @param {Session} session - Sessão (antes de registrar a verificação atual)
+   * @param {Object} data - Dados da verificação atual
+   * @returns {Object} Resumo
+   */
+  summarize(session, data) {
+    const previous = session.verifications;
+    const scores = previous.map(verification => verification.score);
+    const last = previous[previous.length - 1] || null;
+    const currentHash = hashFingerprint(data.fingerprint);
+    const hashes = new Set(previous.map(verification => verification.metadata?.fingerprintHash).filter(Boolean));
+    const lastHash = last?.metadata?.fingerprintHash || null;
+
+    const fingerprintChanges = session.fingerprint && data.fingerprint
+      ? TRACKED_FINGERPRINT_FIELDS.filter(field =>
+        JSON.stringify(session.fingerprint[field]) !== JSON.stringify(data.fingerprint[field]))
+      : [];
+
+    if (currentHash) {
+      hashes.add(currentHash);
+    }
+
+    return {
+      isNew: session.verificationCount === 0,
+      verificationCount: session.verificationCount,
+      ageSeconds: (Date.now() - Date.parse(session.createdAt)) / 1000,
+      scores,
+      previousScore: last ? last.score : null,
+      previousDecision: last ? last.decision : null,
+      averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      // Variação do score ao longo da sessão (última verificação - primeira)
+      scoreTrend: scores.length > 1 ? scores[scores.length - 1] - scores[0] : 0,
+      fingerprintChanged: Boolean(lastHash && currentHash && lastHash !== currentHash),
+      fingerprintChanges,
+      distinctFingerprints: hashes.size
+    };
+  }
+
+  /**
+   * Registra o resultado de uma verificação na sessão e a persiste.
+   * A sessão é relida do armazenamento: lotes de eventos recebidos durante a verificação são mantidos
+   * @param {Session} session - Sessão (open)
+   * @param {Object} data - Dados de verificação
+   * @param {Object} result - { score, decision, reasons, ruleResults, processingTime, rulesetVersion }
+   * @returns {Session} Sessão atualizada
+   */
+  async record(session, data, result) {
+    return this._update(session, current => this._addVerification(current, data, result));
+  }
+
+  /**
+   * @private
+   * @param {Session} session - Sessão atual (relida)
+   * @param {Object} data - Dados de verificação
+   * @param {Object} result - Resultado da verificação
+   * @returns {boolean} Se a sessão deve ser gravada
+   */
+  _addVerification(session, data, result) {
+    session.addVerification(new VerificationResult({
+      score: result.score,
+      decision: result.decision,
+      reasons: (result.reasons || []).map(reason => reason.code),
+      sessionId: session.id,
+      processingTime: result.processingTime,
+      // Apenas as regras disparadas, para manter a sessão compacta
+      ruleResults: (result.ruleResults || [])
+        .filter(rule => rule.passed && !rule.error)
+        .map(rule => ({ id: rule.id, action: rule.action })),
+      metadata: {
+        context: data.context || null,
+        rulesetVersion: result.rulesetVersion || null,
+        fingerprintHash: hashFingerprint(data.fingerprint)
+      }
+    }), this.maxVerifications);
+
+    if (data.fingerprint) {
+      session.fingerprint = data.fingerprint;
+    }
+    return true;
+  }
+
+  /**
+   * Acumula na sessão um lote de eventos do SDK e a persiste.
+   * A sessão é relida do armazenamento: verificações e lotes gravados em paralelo são mantidos
+   * @param {Session} session - Sessão (open)
+   * @param {Object} batch - Lote de eventos (POST /api/identity/events)
+   * @returns {Object} { accepted, batchCount, totalEvents } (accepted false para lotes repetidos)
+   */
+  async recordEvents(session, batch) {
+    let outcome;
+    await this._update(session, current => {
+      const { accepted, state } = accumulateBatch(current.behavioral, batch);
+      outcome = { accepted, batchCount: state.batchCount, totalEvents: state.totalEvents };
+
+      if (accepted) {
+        current.behavioral = state;
+        current.lastActivity = new Date().toISOString();
+      }
+      return accepted;
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Obtém uma sessão sem aplicar o timeout
+   * @param {string} sessionId - ID da sessão
+   * @returns {Session|null} Sessão
+   */
+  async get(sessionId) {
+    const data = await this.store.get(sessionId);
+    return data ? new Session(data) : null;
+  }
+
+  /**
+   * Relê a sessão, aplica uma alteração e a grava, uma atualização por sessão de cada vez
+   * (no processo; vários processos no mesmo armazenamento ainda podem se sobrepor)
+   * @private
+   * @param {Session} session - Sessão (open), usada se ainda não tiver sido gravada
+   * @param {Function} change - Recebe a sessão relida e retorna se ela deve ser gravada
+   * @returns {Session} Sessão atualizada
+   */
+  async _update(session, change) {
+    const previous = this.locks.get(session.id) || Promise.resolve();
+
+    const update = previous.catch(() => {}).then(async () => {
+      const data = await this.store.get(session.id);
+      const current = data ? new Session(data) : session;
+      if (change(current)) {
+        await this.store.save(current);
+      }
+      return current;
+    });
+
+    this.locks.set(session.id, update);
+    try {
+      return await update;
+    } finally {
+      if (this.locks.get(session.id) === update) {
+        this.locks.delete(session.id);
+      }
+    }
+  }
+
+  /**
+   * Descarta sessões fora do período de retenção, no máximo uma vez por timeout
+   * @private
+   */
+  async _purgeIfDue() {
+    const now = Date.now();
+    if (now - this.lastPurge < this.sessionTimeout) {
+      return;
+    }
+
+    this.lastPurge = now;
+    try {
+      await this.store.purge(now - this.retentionMs);
+    } catch (error) {
+      console.error('Session purge error:', error);
+    }
+  }
+}
+
+export {
+  SessionService,
+  InMemorySessionStore,
+  FileSessionStore,
+  TRACKED_FINGERPRINT_FIELDS
+};
@@ -0,0 +1,219 @@
+/**
+ * Registro de avaliações champion/challenger para NextTrust SDK
+ * Guarda as decisões dos dois conjuntos de regras para comparar a concordância ao longo do tempo.
+ * Com filePath, cada avaliação é acrescentada a um arquivo JSONL e a comparação é
+ * reconstruída dele ao iniciar, sobrevivendo a reinícios e deploys
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createConfusionMatrix } from './simulation.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+/**
+ * Classe do Shadow Recorder
+ */
+class ShadowRecorder {
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.maxRecords - Registros recentes mantidos em memória
+   * @param {number} options.bucketMs - Tamanho das janelas da linha do tempo
+   * @param {number} options.maxBuckets - Janelas mantidas na linha do tempo
+   * @param {string} options.filePath - Arquivo JSONL das avaliações (opcional, compartilhável entre tenants)
+   * @param {string} options.tenantId - Tenant gravado em cada linha e lido em load()
+   * @param {string} options.challengerHash - Hash do challenger carregado (avaliações de outro challenger não são recarregadas)
+   */
+  constructor(options = {}) {
+    this.maxRecords = options.maxRecords || 1000;
+    this.bucketMs = options.bucketMs || 60 * 60 * 1000; // 1 hora
+    this.maxBuckets = options.maxBuckets || 168; // 1 semana em buckets de 1 hora
+    this.filePath = options.filePath || null;
+    this.tenantId = options.tenantId || DEFAULT_TENANT_ID;
+    this.challengerHash = options.challengerHash || null;
+    this._clear(new Date().toISOString());
+  }
+
+  /**
+   * Reconstrói a comparação a partir do arquivo, desde o último reset do tenant
+   * ou a última troca de challenger
+   * @returns {number} Avaliações carregadas
+   */
+  async load() {
+    if (!this.filePath) {
+      return 0;
+    }
+
+    const lines = readline.createInterface({
+      input: createReadStream(this.filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // Linha truncada (ex.: processo interrompido durante a gravação): ignora
+          continue;
+        }
+
+        if ((entry.tenant || DEFAULT_TENANT_ID) !== this.tenantId) {
+          continue;
+        }
+
+        if (entry.reset) {
+          this._clear(entry.timestamp);
+        } else if ((entry.challenger?.hash || null) !== this.challengerHash) {
+          // Avaliação de outro challenger: a comparação recomeça
+          this._clear(entry.timestamp);
+        } else {
+          const record = { ...entry };
+          delete record.tenant;
+          this._apply(record);
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    return this.total;
+  }
+
+  /**
+   * Registra uma avaliação champion/challenger
+   * @param {Object} entry - Avaliação
+   * @param {string} entry.sessionId - ID da sessão
+   * @param {Object} entry.champion - { decision, score, version }
+   * @param {Object} entry.challenger - { decision, score, version, hash }
+   * @returns {Object} Registro armazenado
+   */
+  async record(entry) {
+    const record = {
+      sessionId: entry.sessionId,
+      timestamp: new Date().toISOString(),
+      champion: entry.champion,
+      challenger: entry.challenger,
+      agreed: entry.champion.decision === entry.challenger.decision
+    };
+
+    // Outro challenger: a comparação anterior deixa de valer
+    const challengerHash = entry.challenger.hash || null;
+    if (challengerHash !== this.challengerHash) {
+      this._clear(record.timestamp);
+      this.challengerHash = challengerHash;
+    }
+
+    this._apply(record);
+    await this._append({ tenant: this.tenantId, ...record });
+
+    return record;
+  }
+
+  /**
+   * Obtém resumo da comparação
+   * @param {Object} options - Opções
+   * @param {number} options.limit - Máximo de divergências recentes
+   * @returns {Object} Resumo
+   */
+  getSummary(options = {}) {
+    const limit = options.limit || 50;
+
+    return {
+      since: this.since,
+      total: this.total,
+      agreed: this.agreed,
+      agreement: this.total > 0 ? this.agreed / this.total : null,
+      confusionMatrix: this.confusionMatrix,
+      timeline: this.buckets.map(bucket => ({
+        start: new Date(bucket.start).toISOString(),
+        total: bucket.total,
+        agreement: bucket.agreed / bucket.total
+      })),
+      recentDisagreements: this.records.filter(r => !r.agreed).slice(-limit)
+    };
+  }
+
+  /**
+   * Limpa todos os registros (no arquivo, as avaliações anteriores deixam de ser carregadas)
+   */
+  async reset() {
+    const timestamp = new Date().toISOString();
+    this._clear(timestamp);
+    await this._append({ tenant: this.tenantId, reset: true, timestamp });
+  }
+
+  /**
+   * Soma uma avaliação à comparação
+   * @private
+   * @param {Object} record - Registro ({ sessionId, timestamp, champion, challenger, agreed })
+   */
+  _apply(record) {
+    const { agreed } = record;
+
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) {
+      this.records.shift();
+    }
+
+    this.total++;
+    if (agreed) {
+      this.agreed++;
+    }
+    const row = this.confusionMatrix[record.champion.decision];
+    if (row && row[record.challenger.decision] !== undefined) {
+      row[record.challenger.decision]++;
+    }
+
+    // Concordância por janela de tempo
+    const bucketStart = Math.floor(Date.parse(record.timestamp) / this.bucketMs) * this.bucketMs;
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== bucketStart) {
+      bucket = { start: bucketStart, total: 0, agreed: 0 };
+      this.buckets.push(bucket);
+      if (this.buckets.length > this.maxBuckets) {
+        this.buckets.shift();
+      }
+    }
+    bucket.total++;
+    if (agreed) {
+      bucket.agreed++;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} since - Início da nova comparação
+   */
+  _clear(since) {
+    this.records = [];
+    this.buckets = [];
+    this.total = 0;
+    this.agreed = 0;
+    this.confusionMatrix = createConfusionMatrix();
+    this.since = since;
+  }
+
+  /**
+   * @private
+   * @param {Object} line - Linha do arquivo
+   */
+  async _append(line) {
+    if (!this.filePath) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(line)}\n`, { flag: 'a' });
+  }
+}
+
+export { ShadowRecorder };
@@ -0,0 +1,270 @@
+/**
+ * Simulação (backtesting) de regras para NextTrust SDK
+ * Compara o conjunto de regras atual com um candidato sobre payloads gravados
+ */
+
+import { createReadStream, promises as fs } from 'fs';
+import readline from 'readline';
+import { RuleEngine } from './rule-engine.js';
+import { ScoringService } from './scoring.js';
+import { VelocityTracker } from './velocity.js';
+import { mergeStreamedBehavior } from './event-stream.js';
+import { DECISION_TYPES } from '../../shared/constants/index.js';
+
+const DECISIONS = Object.values(DECISION_TYPES);
+
+/**
+ * Lê payloads de verificação de um arquivo JSONL
+ * Cada linha é um payload no formato aceito por /api/identity/verify,
+ * opcionalmente com os campos requestInfo, tenant e derived gravados no momento da verificação
+ * (derived: sessão, dispositivo e usuário calculados no servidor, repassados ao payload, os
+ * lotes de eventos da sessão, que completam behavioral como na verificação, e o resumo da
+ * imagem facial, acrescentado a facial)
+ * @param {string} filePath - Caminho do arquivo JSONL
+ * @param {Object} options - Opções
+ * @param {Object} options.schema - Schema Joi para validar cada payload
+ * @yields {Object} { line, payload, tenant } ou { line, error }
+ */
+async function* readPayloads(filePath, options = {}) {
+  const lines = readline.createInterface({
+    input: createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+
+  for await (const rawLine of lines) {
+    lineNumber++;
+
+    const text = rawLine.trim();
+    if (!text) {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      yield { line: lineNumber, error: `Invalid JSON: ${error.message}` };
+      continue;
+    }
+
+    const { requestInfo, tenant = null, derived = {}, ...payload } = record;
+    const { stream = null, facial = null, ...context } = derived;
+    const restore = data => ({
+      ...data,
+      ...context,
+      behavioral: mergeStreamedBehavior(data.behavioral, stream),
+      // Resumo da imagem facial removida do log
+      facial: data.facial && facial ? { ...data.facial, ...facial } : data.facial,
+      requestInfo: requestInfo || {}
+    });
+
+    if (options.schema) {
+      const { error, value } = options.schema.validate(payload);
+      if (error) {
+        yield { line: lineNumber, error: error.details.map(d => d.message).join(', ') };
+        continue;
+      }
+      yield { line: lineNumber, payload: restore(value), tenant };
+    } else {
+      yield { line: lineNumber, payload: restore(payload), tenant };
+    }
+  }
+}
+
+/**
+ * Cria uma matriz de confusão vazia (linhas: atual, colunas: candidato)
+ * @returns {Object} Matriz de confusão
+ */
+function createConfusionMatrix() {
+  const matrix = {};
+  for (const row of DECISIONS) {
+    matrix[row] = {};
+    for (const column of DECISIONS) {
+      matrix[row][column] = 0;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Classe do Simulador de Regras
+ */
+class RuleSimulator {
+  constructor(currentEngine, candidateEngine) {
+    this.current = {
+      ruleEngine: currentEngine,
+      scoringService: new ScoringService(currentEngine)
+    };
+    this.candidate = {
+      ruleEngine: candidateEngine,
+      scoringService: new ScoringService(candidateEngine)
+    };
+  }
+
+  /**
+   * Cria um simulador a partir de dois arquivos de regras
+   * @param {string} currentPath - Arquivo de regras atual
+   * @param {string} candidatePath - Arquivo de regras candidato
+   * @returns {RuleSimulator} Simulador
+   */
+  static async fromFiles(currentPath, candidatePath) {
+    const engines = [];
+
+    for (const rulesPath of [currentPath, candidatePath]) {
+      // Cada lado reconstrói seus contadores de velocidade a partir dos payloads, em ordem
+      const engine = new RuleEngine(rulesPath, { velocity: new VelocityTracker() });
+      const rulesData = await fs.readFile(rulesPath, 'utf8');
+      await engine.loadRulesFromSource(rulesData);
+      engines.push(engine);
+    }
+
+    return new RuleSimulator(engines[0], engines[1]);
+  }
+
+  /**
+   * Avalia um payload com um dos conjuntos de regras
+   * @param {Object} side - Conjunto ({ ruleEngine, scoringService })
+   * @param {Object} payload - Dados de verificação
+   * @param {Object} profile - Perfil de scoring (padrão: o do contexto gravado no payload)
+   * @returns {Object} { score, decision, ruleResults }
+   */
+  async evaluate(side, payload, profile = side.scoringService.getProfile(payload.context)) {
+    if (side.ruleEngine.usesVelocity()) {
+      await side.ruleEngine.velocity.record(payload);
+    }
+
+    const ruleResults = await side.ruleEngine.evaluateRules(payload);
+    const scoreResult = await side.scoringService.calculateScore(payload, ruleResults, { profile });
+
+    return {
+      score: scoreResult.score,
+      decision: side.scoringService.getDecision(scoreResult.score, ruleResults, profile),
+      ruleResults
+    };
+  }
+
+  /**
+   * Executa a simulação sobre uma sequência de registros
+   * @param {AsyncIterable|Iterable} records - Registros { line, payload } ou { line, error }
+   * @returns {Object} Relatório da simulação
+   */
+  async run(records) {
+    const matrix = createConfusionMatrix();
+    const ruleHits = { current: new Map(), candidate: new Map() };
+    const decisions = {
+      current: Object.fromEntries(DECISIONS.map(d => [d, 0])),
+      candidate: Object.fromEntries(DECISIONS.map(d => [d, 0]))
+    };
+    const flipped = [];
+    const skipped = [];
+    let evaluated = 0;
+
+    for await (const record of records) {
+      if (record.error) {
+        skipped.push({ line: record.line, error: record.error });
+        continue;
+      }
+
+      // Cada lado usa o seu perfil de scoring para o contexto gravado no payload
+      let profiles;
+      try {
+        profiles = [this.current, this.candidate].map(side => side.scoringService.getProfile(record.payload.context));
+      } catch (error) {
+        skipped.push({ line: record.line, error: error.message });
+        continue;
+      }
+
+      const current = await this.evaluate(this.current, record.payload, profiles[0]);
+      const candidate = await this.evaluate(this.candidate, record.payload, profiles[1]);
+
+      evaluated++;
+      matrix[current.decision][candidate.decision]++;
+      decisions.current[current.decision]++;
+      decisions.candidate[candidate.decision]++;
+      this._countHits(ruleHits.current, current.ruleResults);
+      this._countHits(ruleHits.candidate, candidate.ruleResults);
+
+      if (current.decision !== candidate.decision) {
+        flipped.push({
+          line: record.line,
+          sessionId: record.payload.sessionId,
+          current: { decision: current.decision, score: current.score },
+          candidate: { decision: candidate.decision, score: candidate.score }
+        });
+      }
+    }
+
+    const agreed = DECISIONS.reduce((sum, decision) => sum + matrix[decision][decision], 0);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      evaluated,
+      skipped,
+      current: {
+        rulesPath: this.current.ruleEngine.rulesPath,
+        decisions: decisions.current
+      },
+      candidate: {
+        rulesPath: this.candidate.ruleEngine.rulesPath,
+        decisions: decisions.candidate
+      },
+      confusionMatrix: matrix,
+      agreement: evaluated > 0 ? agreed / evaluated : null,
+      ruleHitRates: this._hitRates(ruleHits, evaluated),
+      flipped
+    };
+  }
+
+  /**
+   * Acumula disparos e erros por regra
+   * @private
+   * @param {Map} hits - Acumulador por ID de regra
+   * @param {Array} ruleResults - Resultados das regras
+   */
+  _countHits(hits, ruleResults) {
+    for (const result of ruleResults) {
+      const entry = hits.get(result.id) || { id: result.id, name: result.name, hits: 0, errors: 0 };
+      if (result.error) {
+        entry.errors++;
+      } else if (result.passed) {
+        entry.hits++;
+      }
+      hits.set(result.id, entry);
+    }
+  }
+
+  /**
+   * Combina as taxas de disparo dos dois conjuntos por ID de regra
+   * @private
+   * @param {Object} ruleHits - Acumuladores { current, candidate }
+   * @param {number} evaluated - Total de payloads avaliados
+   * @returns {Array} Taxas por regra
+   */
+  _hitRates(ruleHits, evaluated) {
+    const ids = new Set([...ruleHits.current.keys(), ...ruleHits.candidate.keys()]);
+    const rate = (entry) => (entry && evaluated > 0 ? entry.hits / evaluated : null);
+
+    return [...ids].map((id) => {
+      const current = ruleHits.current.get(id);
+      const candidate = ruleHits.candidate.get(id);
+      const currentRate = rate(current);
+      const candidateRate = rate(candidate);
+
+      return {
+        id,
+        name: (candidate || current).name,
+        current: current ? { hits: current.hits, errors: current.errors, hitRate: currentRate } : null,
+        candidate: candidate ? { hits: candidate.hits, errors: candidate.errors, hitRate: candidateRate } : null,
+        delta: currentRate !== null && candidateRate !== null ? candidateRate - currentRate : null
+      };
+    });
+  }
+}
+
+export {
+  RuleSimulator,
+  readPayloads,
+  createConfusionMatrix
+};
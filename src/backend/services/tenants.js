@@ -0,0 +1,143 @@
+/**
+ * Registro de tenants para NextTrust SDK
+ * Mapeia cada API key a um tenant (produto) com regras, thresholds,
+ * features e rate limit próprios, e guarda os serviços de cada tenant
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Tenant } from '../models/index.js';
+
+/**
+ * ID do tenant usado quando não há arquivo de tenants (modo de tenant único)
+ */
+const DEFAULT_TENANT_ID = 'default';
+
+/**
+ * Classe do Registro de Tenants
+ */
+class TenantRegistry {
+  /**
+   * @param {Array} tenants - Tenants (instâncias de Tenant)
+   * @throws {Error} Se houver IDs ou API keys repetidos
+   */
+  constructor(tenants = []) {
+    if (tenants.length === 0) {
+      throw new Error('At least one tenant is required');
+    }
+
+    this.tenants = new Map();
+    this.apiKeys = new Map();
+    this.services = new Map();
+
+    for (const tenant of tenants) {
+      if (this.tenants.has(tenant.id)) {
+        throw new Error(`Duplicate tenant ID: ${tenant.id}`);
+      }
+      this.tenants.set(tenant.id, tenant);
+
+      for (const apiKey of tenant.apiKeys) {
+        if (this.apiKeys.has(apiKey)) {
+          throw new Error(`API key of tenant ${tenant.id} is already assigned to tenant ${this.apiKeys.get(apiKey).id}`);
+        }
+        this.apiKeys.set(apiKey, tenant);
+      }
+    }
+  }
+
+  /**
+   * Carrega os tenants de um arquivo JSON ({ tenants: [...] })
+   * Caminhos de regras relativos são resolvidos a partir do diretório do arquivo
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {TenantRegistry} Registro carregado
+   * @throws {Error} Se o arquivo não puder ser lido ou algum tenant for inválido
+   */
+  static async load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load tenants from ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(data.tenants)) {
+      throw new Error(`Invalid tenants file ${filePath}: expected a "tenants" array`);
+    }
+
+    return TenantRegistry.fromDefinitions(data.tenants, path.dirname(filePath));
+  }
+
+  /**
+   * Cria o registro a partir de definições
+   * @param {Array} definitions - Definições de tenant
+   * @param {string} baseDir - Diretório base para caminhos relativos (opcional)
+   * @returns {TenantRegistry} Registro
+   */
+  static fromDefinitions(definitions, baseDir = null) {
+    const resolve = (filePath) => (filePath && baseDir ? path.resolve(baseDir, filePath) : filePath);
+
+    return new TenantRegistry(definitions.map(definition => new Tenant({
+      ...definition,
+      rulesPath: resolve(definition.rulesPath),
+      challengerRulesPath: resolve(definition.challengerRulesPath),
+      modelPath: resolve(definition.modelPath)
+    })));
+  }
+
+  /**
+   * Obtém o tenant dono de uma API key
+   * @param {string} apiKey - API key da requisição
+   * @returns {Tenant|null} Tenant
+   */
+  resolveApiKey(apiKey) {
+    return this.apiKeys.get(apiKey) || null;
+  }
+
+  /**
+   * Obtém um tenant pelo ID
+   * @param {string} tenantId - ID do tenant
+   * @returns {Tenant|null} Tenant
+   */
+  get(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  /**
+   * Lista os tenants
+   * @returns {Array} Tenants
+   */
+  list() {
+    return [...this.tenants.values()];
+  }
+
+  /**
+   * Tenant padrão: o de ID 'default' ou, na falta dele, o primeiro do arquivo
+   * @returns {Tenant} Tenant padrão
+   */
+  getDefault() {
+    return this.get(DEFAULT_TENANT_ID) || this.list()[0];
+  }
+
+  /**
+   * Associa os serviços (rule engine, scoring...) a um tenant
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} services - Serviços do tenant
+   */
+  setServices(tenantId, services) {
+    if (!this.tenants.has(tenantId)) {
+      throw new Error(`Unknown tenant: ${tenantId}`);
+    }
+    this.services.set(tenantId, services);
+  }
+
+  /**
+   * Obtém os serviços de um tenant
+   * @param {string} tenantId - ID do tenant
+   * @returns {Object|null} Serviços do tenant
+   */
+  getServices(tenantId) {
+    return this.services.get(tenantId) || null;
+  }
+}
+
+export { TenantRegistry, DEFAULT_TENANT_ID };
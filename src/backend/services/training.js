@@ -0,0 +1,256 @@
+/**
+ * Treino offline de modelos para NextTrust SDK
+ * Junta rótulos de feedback com payloads gravados, ajusta uma regressão logística
+ * e avalia o modelo nos thresholds de decisão do scoring
+ */
+
+import crypto from 'crypto';
+import { FEATURE_NAMES, extractFeatures, toFeatureVector } from './features.js';
+import { MODEL_TYPES, createModel } from './model.js';
+import { LABEL_VALUES } from './labels.js';
+
+/**
+ * Monta o dataset de treino: um exemplo por payload gravado de sessão rotulada
+ * @param {Array} payloads - Payloads de verificação ({ sessionId, fingerprint, ..., requestInfo })
+ * @param {Map} labels - sessionId -> rótulo (LabelStore.latestBySession)
+ * @returns {Object} { rows: [{ sessionId, label, features }], unlabeled, missingPayloads }
+ */
+function buildDataset(payloads, labels) {
+  const rows = [];
+  const seen = new Set();
+  let unlabeled = 0;
+
+  for (const payload of payloads) {
+    const label = labels.get(payload.sessionId);
+    if (!label) {
+      unlabeled++;
+      continue;
+    }
+
+    seen.add(payload.sessionId);
+    rows.push({
+      sessionId: payload.sessionId,
+      label: label.label === LABEL_VALUES.FRAUD ? 1 : 0,
+      features: extractFeatures(payload)
+    });
+  }
+
+  return {
+    rows,
+    unlabeled,
+    missingPayloads: [...labels.keys()].filter(sessionId => !seen.has(sessionId)).length
+  };
+}
+
+/**
+ * Separa treino e teste de forma determinística pelo hash do sessionId,
+ * mantendo todos os payloads de uma sessão do mesmo lado
+ * @param {Array} rows - Exemplos
+ * @param {number} testRatio - Fração de sessões no teste (0 a 1)
+ * @returns {Object} { train, test }
+ */
+function splitDataset(rows, testRatio = 0.2) {
+  const train = [];
+  const test = [];
+
+  for (const row of rows) {
+    const bucket = crypto.createHash('sha256').update(String(row.sessionId)).digest().readUInt32BE(0) / 0x100000000;
+    (bucket < testRatio ? test : train).push(row);
+  }
+
+  return { train, test };
+}
+
+/**
+ * Ajusta uma regressão logística com gradiente descendente em lote sobre features normalizadas
+ * @param {Array} rows - Exemplos de treino
+ * @param {Object} options - Opções
+ * @param {Array} options.features - Features usadas (padrão: todas)
+ * @param {number} options.epochs - Iterações (padrão: 500)
+ * @param {number} options.learningRate - Taxa de aprendizado (padrão: 0.1)
+ * @param {number} options.l2 - Regularização L2 (padrão: 0.001)
+ * @returns {Object} Definição do modelo, no formato de createModel()
+ * @throws {Error} Se não houver exemplos das duas classes
+ */
+function trainLogisticRegression(rows, options = {}) {
+  const features = options.features || FEATURE_NAMES;
+  const epochs = options.epochs || 500;
+  const learningRate = options.learningRate || 0.1;
+  const l2 = options.l2 === undefined ? 0.001 : options.l2;
+
+  const fraud = rows.filter(row => row.label === 1).length;
+  if (fraud === 0 || fraud === rows.length) {
+    throw new Error('Training data must contain both fraud and legit labels');
+  }
+
+  const vectors = rows.map(row => toFeatureVector(row.features, features));
+  const labels = rows.map(row => row.label);
+  const size = features.length;
+
+  // Normalização (z-score); features constantes ficam com std 1
+  const mean = new Array(size).fill(0);
+  const std = new Array(size).fill(0);
+  for (const vector of vectors) {
+    vector.forEach((value, i) => { mean[i] += value / vectors.length; });
+  }
+  for (const vector of vectors) {
+    vector.forEach((value, i) => { std[i] += ((value - mean[i]) ** 2) / vectors.length; });
+  }
+  for (let i = 0; i < size; i++) {
+    std[i] = Math.sqrt(std[i]) || 1;
+  }
+  const scaled = vectors.map(vector => vector.map((value, i) => (value - mean[i]) / std[i]));
+
+  let intercept = Math.log(fraud / (rows.length - fraud));
+  const coefficients = new Array(size).fill(0);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    let interceptGradient = 0;
+    const gradient = new Array(size).fill(0);
+
+    for (let n = 0; n < scaled.length; n++) {
+      let logit = intercept;
+      for (let i = 0; i < size; i++) {
+        logit += coefficients[i] * scaled[n][i];
+      }
+
+      const error = 1 / (1 + Math.exp(-logit)) - labels[n];
+      interceptGradient += error;
+      for (let i = 0; i < size; i++) {
+        gradient[i] += error * scaled[n][i];
+      }
+    }
+
+    intercept -= learningRate * interceptGradient / rows.length;
+    for (let i = 0; i < size; i++) {
+      coefficients[i] -= learningRate * (gradient[i] / rows.length + l2 * coefficients[i]);
+    }
+  }
+
+  return {
+    type: MODEL_TYPES.LOGISTIC_REGRESSION,
+    features,
+    intercept,
+    coefficients,
+    scaling: { mean, std }
+  };
+}
+
+/**
+ * Área sob a curva ROC (estatística de Mann-Whitney, empates contam meio)
+ * @param {Array} probabilities - Probabilidades de fraude
+ * @param {Array} labels - Rótulos (1 = fraude)
+ * @returns {number|null} AUC ou null sem exemplos das duas classes
+ */
+function computeAuc(probabilities, labels) {
+  const ranked = probabilities
+    .map((probability, i) => ({ probability, label: labels[i] }))
+    .sort((a, b) => a.probability - b.probability);
+
+  // Posto médio para valores empatados
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].probability === ranked[i].probability) {
+      j++;
+    }
+    const rank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) {
+        rankSum += rank;
+      }
+    }
+    i = j;
+  }
+
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) {
+    return null;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Precisão e recall da classe fraude para um critério de bloqueio
+ * @param {Array} flagged - Se cada exemplo foi barrado
+ * @param {Array} labels - Rótulos (1 = fraude)
+ * @returns {Object} { precision, recall, flagged, truePositives, falsePositives, falseNegatives }
+ */
+function precisionRecall(flagged, labels) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+
+  flagged.forEach((isFlagged, i) => {
+    if (isFlagged && labels[i] === 1) {
+      truePositives++;
+    } else if (isFlagged) {
+      falsePositives++;
+    } else if (labels[i] === 1) {
+      falseNegatives++;
+    }
+  });
+
+  return {
+    precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null,
+    recall: truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : null,
+    flagged: truePositives + falsePositives,
+    truePositives,
+    falsePositives,
+    falseNegatives
+  };
+}
+
+/**
+ * Avalia um modelo com o score que ele gera no scoring ((1 - p) * 100):
+ * em "allow", fraude detectada é tudo que não seria aprovado (score < allow);
+ * em "review", apenas o que seria negado (score < review)
+ * @param {Object} definition - Definição do modelo
+ * @param {Array} rows - Exemplos de avaliação
+ * @param {Object} thresholds - Thresholds de decisão ({ allow, review })
+ * @returns {Object} { samples, fraud, auc, thresholds: { allow, review } }
+ */
+function evaluateModel(definition, rows, thresholds) {
+  const model = createModel(definition);
+  const labels = rows.map(row => row.label);
+  const probabilities = rows.map(row => model.predictVector(toFeatureVector(row.features, model.features)));
+  const scores = probabilities.map(probability => (1 - probability) * 100);
+
+  return {
+    samples: rows.length,
+    fraud: labels.filter(label => label === 1).length,
+    auc: computeAuc(probabilities, labels),
+    thresholds: {
+      allow: { threshold: thresholds.allow, ...precisionRecall(scores.map(score => score < thresholds.allow), labels) },
+      review: { threshold: thresholds.review, ...precisionRecall(scores.map(score => score < thresholds.review), labels) }
+    }
+  };
+}
+
+/**
+ * Serializa o dataset em CSV (sessionId, label, features)
+ * @param {Array} rows - Exemplos
+ * @param {Array} features - Colunas de features (padrão: todas)
+ * @returns {string} CSV
+ */
+function datasetToCsv(rows, features = FEATURE_NAMES) {
+  const escape = (value) => (/[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : value);
+  const lines = [['sessionId', 'label', ...features].join(',')];
+
+  for (const row of rows) {
+    lines.push([escape(row.sessionId), row.label, ...toFeatureVector(row.features, features)].join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export {
+  buildDataset,
+  splitDataset,
+  trainLogisticRegression,
+  computeAuc,
+  evaluateModel,
+  datasetToCsv
+};
@@ -0,0 +1,423 @@
+/**
+ * Contadores de velocidade para NextTrust SDK
+ * Registra verificações por chave (IP, fingerprint, sessão...) e expõe contagens
+ * em janelas de tempo às condições das regras via count() e countDistinct()
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Funções de velocidade disponíveis nas condições
+ */
+const VELOCITY_FUNCTIONS = ['count', 'countDistinct'];
+
+/**
+ * Unidades aceitas nas janelas de tempo
+ */
+const WINDOW_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Converte uma janela de tempo ('30s', '10m', '1h', '1d') em milissegundos
+ * @param {string} window - Janela de tempo
+ * @returns {number} Duração em milissegundos
+ * @throws {Error} Se o formato for inválido
+ */
+function parseWindow(window) {
+  const match = /^(\d+)([smhd])$/.exec(String(window));
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid velocity window '${window}' (expected e.g. '30s', '10m', '1h', '1d')`);
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2]];
+}
+
+/**
+ * Calcula um hash estável do fingerprint do dispositivo
+ * @param {Object} fingerprint - Fingerprint coletado
+ * @returns {string|null} Hash SHA-256 ou null se não houver fingerprint
+ */
+function hashFingerprint(fingerprint) {
+  if (!fingerprint || !fingerprint.userAgent) {
+    return null;
+  }
+
+  const components = [
+    fingerprint.userAgent,
+    fingerprint.platform,
+    fingerprint.screenResolution,
+    fingerprint.timezone,
+    fingerprint.canvasFingerprint,
+    fingerprint.webglFingerprint,
+    fingerprint.audioFingerprint
+  ];
+
+  return crypto.createHash('sha256').update(components.join('|')).digest('hex');
+}
+
+/**
+ * Calcula o hash de um valor enviado pelo cliente, para usá-lo como chave de tamanho fixo
+ * @param {string} value - Valor (ex.: canvas fingerprint)
+ * @returns {string|null} Hash SHA-256 ou null se não houver valor
+ */
+function hashValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Lê um caminho com pontos (ex.: 'fingerprint.userAgent') de um objeto
+ * @param {Object} data - Objeto de origem
+ * @param {string} keyPath - Caminho
+ * @returns {*} Valor ou undefined
+ */
+function readPath(data, keyPath) {
+  return keyPath.split('.').reduce(
+    (value, part) => (value !== null && value !== undefined ? value[part] : undefined),
+    data
+  );
+}
+
+/**
+ * Converte a configuração de chaves personalizadas ("nome:caminho,...")
+ * @param {string} value - Valor da variável de ambiente
+ * @returns {Object} Mapa nome -> caminho nos dados de verificação
+ */
+function parseVelocityKeys(value) {
+  const keys = {};
+
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Chaves padrão extraídas dos dados de verificação
+ */
+const DEFAULT_KEYS = {
+  ip: data => data.requestInfo?.ip,
+  session: data => data.sessionId,
+  fingerprint: data => hashFingerprint(data.fingerprint),
+  canvas: data => hashValue(data.fingerprint?.canvasFingerprint)
+};
+
+/**
+ * Armazenamento de contadores em memória (padrão).
+ * Outros adaptadores (ex.: Redis) devem expor os mesmos métodos assíncronos
+ */
+class InMemoryCounterStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.retentionMs - Por quanto tempo os eventos são guardados (padrão: 1 dia)
+   * @param {number} options.maxEntriesPerKey - Máximo de eventos por chave
+   * @param {number} options.maxKeys - Máximo de chaves; as sem eventos há mais tempo são descartadas
+   */
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || WINDOW_UNITS.d;
+    this.maxEntriesPerKey = options.maxEntriesPerKey || 10000;
+    this.maxKeys = options.maxKeys || 100000;
+    this.entries = new Map();
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Registra um evento para uma chave
+   * @param {string} key - Chave do contador
+   * @param {number} timestamp - Momento do evento
+   * @param {Object} members - Valores das demais chaves no evento (para contagens distintas)
+   */
+  async add(key, timestamp, members = {}) {
+    this._sweepIfDue(timestamp);
+
+    const list = this._prune(key, timestamp);
+    list.push({ timestamp, members });
+
+    if (list.length > this.maxEntriesPerKey) {
+      list.shift();
+    }
+
+    // Reinsere para manter o Map ordenado pelo evento mais recente
+    this.entries.delete(key);
+    this.entries.set(key, list);
+
+    if (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Conta eventos de uma chave desde um instante
+   * @param {string} key - Chave do contador
+   * @param {number} since - Início da janela
+   * @returns {number} Quantidade de eventos
+   */
+  async count(key, since) {
+    return this._since(key, since).length;
+  }
+
+  /**
+   * Conta valores distintos de um campo nos eventos de uma chave desde um instante
+   * @param {string} key - Chave do contador
+   * @param {number} since - Início da janela
+   * @param {string} field - Campo contado
+   * @returns {number} Quantidade de valores distintos
+   */
+  async countDistinct(key, since, field) {
+    const values = new Set();
+    for (const entry of this._since(key, since)) {
+      const value = entry.members[field];
+      if (value !== null && value !== undefined) {
+        values.add(value);
+      }
+    }
+    return values.size;
+  }
+
+  /**
+   * Remove todos os contadores
+   */
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Eventos de uma chave desde um instante
+   * @private
+   * @param {string} key - Chave do contador
+   * @param {number} since - Início da janela
+   * @returns {Array} Eventos
+   */
+  _since(key, since) {
+    return (this.entries.get(key) || []).filter(entry => entry.timestamp >= since);
+  }
+
+  /**
+   * Descarta eventos fora do período de retenção
+   * @private
+   * @param {string} key - Chave do contador
+   * @param {number} now - Instante atual
+   * @returns {Array} Lista de eventos da chave
+   */
+  _prune(key, now) {
+    const cutoff = now - this.retentionMs;
+    const list = (this.entries.get(key) || []).filter(entry => entry.timestamp >= cutoff);
+    this.entries.set(key, list);
+    return list;
+  }
+
+  /**
+   * Descarta as chaves sem eventos no período de retenção, no máximo uma vez por hora.
+   * Chaves (IPs, sessões, fingerprints) que não voltam a aparecer não são podadas em add()
+   * @private
+   * @param {number} now - Instante atual
+   */
+  _sweepIfDue(now) {
+    if (now - this.lastSweep < WINDOW_UNITS.h) {
+      return;
+    }
+
+    this.lastSweep = now;
+    const cutoff = now - this.retentionMs;
+    for (const [key, list] of this.entries) {
+      if (list.length === 0 || list[list.length - 1].timestamp < cutoff) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Classe do Velocity Tracker
+ */
+class VelocityTracker {
+  /**
+   * @param {Object} options - Opções
+   * @param {Object} options.store - Armazenamento de contadores (padrão: em memória)
+   * @param {Object} options.keys - Chaves personalizadas ({ nome: 'caminho.nos.dados' | função })
+   */
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryCounterStore();
+    this.keys = { ...DEFAULT_KEYS };
+
+    for (const [name, extractor] of Object.entries(options.keys || {})) {
+      this.keys[name] = typeof extractor === 'function'
+        ? extractor
+        : data => readPath(data, extractor);
+    }
+  }
+
+  /**
+   * Registra uma verificação em todos os contadores
+   * @param {Object} data - Dados de verificação
+   */
+  async record(data) {
+    const timestamp = this._timeOf(data);
+    const members = this._extractKeys(data);
+
+    for (const [name, value] of Object.entries(members)) {
+      if (value !== null && value !== undefined) {
+        await this.store.add(`${name}:${value}`, timestamp, members);
+      }
+    }
+  }
+
+  /**
+   * Extrai e valida as chamadas de velocidade de uma condição compilada.
+   * Os argumentos precisam ser literais para que as contagens possam ser
+   * carregadas antes da avaliação (síncrona) das condições
+   * @param {Object} compiled - Expressão compilada
+   * @returns {Array} Chamadas ({ name, key, window, field })
+   * @throws {Error} Se alguma chamada for inválida
+   */
+  extractCalls(compiled) {
+    const calls = [];
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      if (node.type === 'Call' && node.callee.type === 'Identifier' && VELOCITY_FUNCTIONS.includes(node.callee.name)) {
+        calls.push(this._parseCall(node));
+      }
+
+      for (const value of Object.values(node)) {
+        if (Array.isArray(value)) {
+          value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+          visit(value);
+        }
+      }
+    };
+
+    visit(compiled.ast);
+    return calls;
+  }
+
+  /**
+   * Carrega as contagens necessárias para uma verificação
+   * @param {Object} data - Dados de verificação
+   * @param {Array} calls - Chamadas de velocidade das regras
+   * @returns {Object} Funções count() e countDistinct() para as condições
+   */
+  async snapshot(data, calls) {
+    const now = this._timeOf(data);
+    const members = this._extractKeys(data);
+    const counts = new Map();
+
+    for (const call of calls) {
+      const signature = this._signature(call);
+      if (counts.has(signature)) {
+        continue;
+      }
+
+      const value = members[call.key];
+      if (value === null || value === undefined) {
+        counts.set(signature, 0);
+        continue;
+      }
+
+      const key = `${call.key}:${value}`;
+      const since = now - parseWindow(call.window);
+      counts.set(signature, call.name === 'countDistinct'
+        ? await this.store.countDistinct(key, since, call.field)
+        : await this.store.count(key, since));
+    }
+
+    const lookup = (name, key, window, field) => {
+      const signature = this._signature({ name, key, window, field });
+      return counts.has(signature) ? counts.get(signature) : 0;
+    };
+
+    return {
+      count: (key, window) => lookup('count', key, window),
+      countDistinct: (key, window, field) => lookup('countDistinct', key, window, field)
+    };
+  }
+
+  /**
+   * Valida uma chamada de velocidade
+   * @private
+   * @param {Object} node - Nó Call da AST
+   * @returns {Object} Chamada ({ name, key, window, field })
+   */
+  _parseCall(node) {
+    const name = node.callee.name;
+    const expected = name === 'countDistinct' ? 3 : 2;
+    const args = node.arguments;
+
+    if (args.length !== expected || args.some(arg => arg.type !== 'Literal' || typeof arg.value !== 'string')) {
+      const usage = name === 'countDistinct' ? 'countDistinct(\'key\', \'1h\', \'field\')' : 'count(\'key\', \'10m\')';
+      throw new Error(`${name}() expects ${expected} string literal arguments, e.g. ${usage}`);
+    }
+
+    const [key, window, field] = args.map(arg => arg.value);
+
+    for (const keyName of [key, field].filter(Boolean)) {
+      if (!Object.prototype.hasOwnProperty.call(this.keys, keyName)) {
+        throw new Error(`Unknown velocity key '${keyName}' (available: ${Object.keys(this.keys).join(', ')})`);
+      }
+    }
+
+    parseWindow(window);
+
+    return { name, key, window, field };
+  }
+
+  /**
+   * Instante de referência de uma verificação: recebimento no servidor
+   * (o timestamp do cliente não é confiável). Permite reprocessar payloads gravados
+   * @private
+   * @param {Object} data - Dados de verificação
+   * @returns {number} Timestamp em milissegundos
+   */
+  _timeOf(data) {
+    const receivedAt = Date.parse(data.requestInfo?.receivedAt);
+    return Number.isNaN(receivedAt) ? Date.now() : receivedAt;
+  }
+
+  /**
+   * Extrai os valores de todas as chaves dos dados
+   * @private
+   * @param {Object} data - Dados de verificação
+   * @returns {Object} Valores por chave
+   */
+  _extractKeys(data) {
+    const members = {};
+    for (const [name, extractor] of Object.entries(this.keys)) {
+      const value = extractor(data);
+      members[name] = value === undefined ? null : value;
+    }
+    return members;
+  }
+
+  /**
+   * Identificador de uma chamada
+   * @private
+   * @param {Object} call - Chamada
+   * @returns {string} Assinatura
+   */
+  _signature(call) {
+    return [call.name, call.key, call.window, call.field || ''].join('|');
+  }
+}
+
+export {
+  VelocityTracker,
+  InMemoryCounterStore,
+  VELOCITY_FUNCTIONS,
+  parseWindow,
+  parseVelocityKeys,
+  hashFingerprint
+};
@@ -0,0 +1,53 @@
+/**
+ * Log de verificações para NextTrust SDK
+ * Grava cada payload recebido em /verify no formato lido por readPayloads(),
+ * para simulação de regras e treino de modelos com os rótulos de feedback
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Classe do Log de Verificações
+ */
+class VerificationLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Acrescenta uma verificação ao log
+   * @param {Object} payload - Payload validado de /verify
+   * @param {Object} requestInfo - Dados da requisição (ip, userAgent, receivedAt...)
+   * @param {string} tenant - Tenant da verificação
+   * @param {Object} derived - Dados calculados no servidor durante a verificação ({ session, device, user, stream }),
+   * que não podem ser recalculados a partir do payload na simulação e no treino (o resumo da imagem facial
+   * é acrescentado em derived.facial)
+   * @returns {Object} Registro gravado
+   */
+  async append(payload, requestInfo, tenant = null, derived = null) {
+    const record = { ...payload, requestInfo, tenant };
+
+    if (derived) {
+      record.derived = derived;
+    }
+
+    // A imagem facial domina o tamanho do registro: fica apenas o resumo, que substitui
+    // imageData no score e nas regras (facial.present) ao ler o log
+    if (payload.facial && payload.facial.imageData) {
+      record.facial = { ...payload.facial };
+      delete record.facial.imageData;
+      record.derived = {
+        ...record.derived,
+        facial: { present: true, imageSize: payload.facial.imageData.length }
+      };
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, { flag: 'a' });
+
+    return record;
+  }
+}
+
+export { VerificationLog };
@@ -3,7 +3,35 @@
  * Coleta eventos de interação do usuário de forma passiva
  */
 
-import { BEHAVIORAL_EVENTS } from '../../shared/constants/index.js';
+import { BEHAVIORAL_EVENTS, MOBILE_BEHAVIORAL_EVENTS, PRIVACY_MODES } from '../../shared/constants/index.js';
+import { MouseDynamicsAnalyzer } from './mouse-dynamics.js';
+import { TouchDynamicsAnalyzer } from './touch-dynamics.js';
+import { SensorDynamicsAnalyzer } from './sensor-dynamics.js';
+import { PrivacyFilter } from './privacy.js';
+import { EventBatcher } from './event-batcher.js';
+
+/**
+ * Limites da dinâmica de digitação: teclas seguradas ou pausas acima deles não
+ * representam o ritmo de digitação e são descartadas
+ */
+const MAX_DWELL_TIME = 2000;
+const MAX_FLIGHT_TIME = 2000;
+
+/**
+ * Quantidade máxima de amostras de dwell/flight mantidas (as mais recentes)
+ */
+const MAX_KEYSTROKE_SAMPLES = 500;
+
+/**
+ * Teclas de correção
+ */
+const CORRECTION_KEYS = ['Backspace', 'Delete'];
+
+/**
+ * Eventos de alta frequência (dezenas por segundo): entram apenas nas métricas
+ * agregadas, sem ocupar a lista de eventos
+ */
+const AGGREGATED_ONLY_EVENTS = ['touchmove', 'devicemotion', 'deviceorientation'];
 
 /**
  * Classe responsável pelo rastreamento comportamental
@@ -13,7 +41,10 @@ export class BehavioralTracker {
     this.config = {
       maxEvents: config.maxEvents || 1000,
       enabled: config.enabled !== false,
-      events: config.events || Object.values(BEHAVIORAL_EVENTS),
+      // Toques e sensores só com mobileSignals
+      events: config.events || Object.values(BEHAVIORAL_EVENTS)
+        .filter(event => config.mobileSignals || !MOBILE_BEHAVIORAL_EVENTS.includes(event)),
+      privacyMode: config.privacyMode || PRIVACY_MODES.BALANCED,
       ...config
     };
     
@@ -21,6 +52,12 @@ export class BehavioralTracker {
     this.sessionId = this._generateSessionId();
     this.startTime = Date.now();
     this.isTracking = false;
+    this.keystrokes = this._createKeystrokeState();
+    this.mouseDynamics = new MouseDynamicsAnalyzer();
+    this.touchDynamics = new TouchDynamicsAnalyzer();
+    this.sensorDynamics = new SensorDynamicsAnalyzer();
+    this.privacy = new PrivacyFilter(this.config.privacyMode);
+    this.batcher = new EventBatcher();
     
     // Bind methods para manter o contexto
     this._handleEvent = this._handleEvent.bind(this);
@@ -106,6 +143,25 @@ export class BehavioralTracker {
     if (this.config.events.includes(BEHAVIORAL_EVENTS.PAGE_UNLOAD)) {
       window.addEventListener('beforeunload', this._handleEvent, true);
     }
+
+    // Toques e sensores (passivos para não atrasar a rolagem)
+    if (this.config.events.includes(BEHAVIORAL_EVENTS.TOUCH)) {
+      ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+        document.addEventListener(type, this._handleEvent, { capture: true, passive: true });
+      });
+    }
+
+    if (this.config.events.includes(BEHAVIORAL_EVENTS.DEVICE_MOTION)) {
+      window.addEventListener('devicemotion', this._handleEvent, { capture: true, passive: true });
+    }
+
+    if (this.config.events.includes(BEHAVIORAL_EVENTS.DEVICE_ORIENTATION)) {
+      window.addEventListener('deviceorientation', this._handleEvent, { capture: true, passive: true });
+    }
+
+    if (this.config.events.includes(BEHAVIORAL_EVENTS.ORIENTATION_CHANGE)) {
+      window.addEventListener('orientationchange', this._handleEvent, true);
+    }
   }
 
   /**
@@ -124,6 +180,12 @@ export class BehavioralTracker {
     document.removeEventListener('submit', this._handleEvent, true);
     window.removeEventListener('load', this._handleEvent, true);
     window.removeEventListener('beforeunload', this._handleEvent, true);
+    ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+      document.removeEventListener(type, this._handleEvent, true);
+    });
+    window.removeEventListener('devicemotion', this._handleEvent, true);
+    window.removeEventListener('deviceorientation', this._handleEvent, true);
+    window.removeEventListener('orientationchange', this._handleEvent, true);
   }
 
   /**
@@ -136,10 +198,18 @@ export class BehavioralTracker {
     }
 
     try {
+      this._recordDynamics(event);
+
+      if (AGGREGATED_ONLY_EVENTS.includes(event.type)) {
+        return;
+      }
+
       const eventData = this._extractEventData(event);
       
       // Adiciona o evento à lista
       this.events.push(eventData);
+      // e ao próximo lote (maxEvents não limita os lotes)
+      this.batcher.add(eventData.type, eventData.timestamp);
       
       // Limita o número de eventos armazenados
       if (this.events.length > this.config.maxEvents) {
@@ -151,6 +221,45 @@ export class BehavioralTracker {
     }
   }
 
+  /**
+   * Alimenta as métricas agregadas (digitação, mouse, toque e sensores)
+   * @private
+   * @param {Event} event - Evento
+   */
+  _recordDynamics(event) {
+    switch (event.type) {
+    case 'keydown':
+    case 'keyup':
+      this._recordKeystroke(event);
+      break;
+    case 'mousemove':
+      this.mouseDynamics.addPoint(event.clientX, event.clientY, this._eventTime(event));
+      break;
+    case 'click':
+      if (this._isPointerClick(event)) {
+        this.mouseDynamics.addClick(event.clientX, event.clientY, this._eventTime(event));
+      }
+      break;
+    case 'touchstart':
+    case 'touchmove':
+    case 'touchend':
+    case 'touchcancel':
+      this.touchDynamics.addEvent(event, this._eventTime(event));
+      break;
+    case 'devicemotion':
+      this.sensorDynamics.addMotion(event);
+      break;
+    case 'deviceorientation':
+      this.sensorDynamics.addOrientation(event);
+      break;
+    case 'orientationchange':
+      this.sensorDynamics.addOrientationChange();
+      break;
+    default:
+      break;
+    }
+  }
+
   /**
    * Extrai dados relevantes do evento
    * @private
@@ -184,8 +293,7 @@ export class BehavioralTracker {
         return {
           ...baseData,
           data: {
-            key: event.key,
-            code: event.code,
+            ...this.privacy.describeKey(event),
             ctrlKey: event.ctrlKey,
             shiftKey: event.shiftKey,
             altKey: event.altKey,
@@ -237,22 +345,144 @@ export class BehavioralTracker {
   }
 
   /**
-   * Obtém informações do elemento alvo
+   * Instante do evento (ms) para medir intervalos: event.timeStamp, com precisão
+   * abaixo de ms nos navegadores, ou Date.now()
    * @private
+   * @param {Event} event - Evento
+   * @returns {number} Instante
    */
-  _getTargetInfo(target) {
-    if (!target) return null;
+  _eventTime(event) {
+    return typeof event.timeStamp === 'number' && event.timeStamp > 0 ? event.timeStamp : Date.now();
+  }
+
+  /**
+   * Cliques de mouse; toques e ativações pelo teclado (Enter/Espaço) não têm
+   * trajetória do cursor. Cliques sintéticos (element.click()) contam
+   * @private
+   * @param {MouseEvent} event - Evento click
+   * @returns {boolean} Se o clique entra na dinâmica do mouse
+   */
+  _isPointerClick(event) {
+    if (event.pointerType && event.pointerType !== 'mouse') {
+      return false;
+    }
+    return !(event.isTrusted === true && event.detail === 0);
+  }
+
+  /**
+   * Estado da dinâmica de digitação: teclas pressionadas e amostras de tempo (ms).
+   * As teclas ficam apenas em memória; só os tempos agregados são enviados
+   * @private
+   * @returns {Object} Estado inicial
+   */
+  _createKeystrokeState() {
+    return {
+      pressed: new Map(),
+      lastKeyupTime: null,
+      dwellTimes: [],
+      flightTimes: [],
+      keyCount: 0,
+      correctionCount: 0
+    };
+  }
+
+  /**
+   * Registra os tempos de um evento de teclado: dwell (keydown até keyup da mesma
+   * tecla) e flight (keyup da tecla anterior até o keydown seguinte)
+   * @private
+   * @param {KeyboardEvent} event - Evento keydown ou keyup
+   */
+  _recordKeystroke(event) {
+    const state = this.keystrokes;
+    const time = this._eventTime(event);
+    const keyId = event.code || event.key;
+
+    if (event.type === 'keydown') {
+      // Repetição automática de tecla segurada não é uma nova digitação
+      if (event.repeat || state.pressed.has(keyId)) {
+        return;
+      }
+
+      state.pressed.set(keyId, time);
+      state.keyCount++;
+      if (CORRECTION_KEYS.includes(event.key)) {
+        state.correctionCount++;
+      }
+
+      // Negativo quando a tecla é pressionada antes de soltar a anterior
+      if (state.lastKeyupTime !== null && time - state.lastKeyupTime <= MAX_FLIGHT_TIME) {
+        this._pushKeystrokeSample(state.flightTimes, time - state.lastKeyupTime);
+      }
+      return;
+    }
+
+    const downTime = state.pressed.get(keyId);
+    state.pressed.delete(keyId);
+    state.lastKeyupTime = time;
+
+    if (downTime !== undefined && time - downTime <= MAX_DWELL_TIME) {
+      this._pushKeystrokeSample(state.dwellTimes, time - downTime);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Array} samples - Amostras
+   * @param {number} value - Nova amostra
+   */
+  _pushKeystrokeSample(samples, value) {
+    samples.push(value);
+    if (samples.length > MAX_KEYSTROKE_SAMPLES) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Resume a dinâmica de digitação
+   * @private
+   * @returns {Object} { keyCount, dwellSamples, dwellMean, dwellVariance, flightSamples, flightMean, flightVariance, correctionRate }
+   */
+  _calculateKeystrokeDynamics() {
+    const { dwellTimes, flightTimes, keyCount, correctionCount } = this.keystrokes;
+    const dwell = this._meanAndVariance(dwellTimes);
+    const flight = this._meanAndVariance(flightTimes);
 
     return {
-      tagName: target.tagName,
-      id: target.id,
-      className: target.className,
-      type: target.type,
-      name: target.name,
-      value: target.value ? target.value.substring(0, 100) : null // Limita o valor
+      keyCount,
+      dwellSamples: dwellTimes.length,
+      dwellMean: dwell.mean,
+      dwellVariance: dwell.variance,
+      flightSamples: flightTimes.length,
+      flightMean: flight.mean,
+      flightVariance: flight.variance,
+      correctionRate: keyCount > 0 ? correctionCount / keyCount : 0
     };
   }
 
+  /**
+   * @private
+   * @param {Array} values - Valores
+   * @returns {Object} { mean, variance } (zeros sem valores)
+   */
+  _meanAndVariance(values) {
+    if (values.length === 0) {
+      return { mean: 0, variance: 0 };
+    }
+
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+    return { mean, variance };
+  }
+
+  /**
+   * Obtém informações do elemento alvo
+   * @private
+   */
+  _getTargetInfo(target) {
+    // Valores e identificadores passam pelo filtro de privacidade (privacyMode)
+    return this.privacy.describeTarget(target);
+  }
+
   /**
    * Obtém informações de posição do evento
    * @private
@@ -314,6 +544,34 @@ export class BehavioralTracker {
    */
   clearEvents() {
     this.events = [];
+    this.keystrokes = this._createKeystrokeState();
+    this.mouseDynamics.reset();
+    this.touchDynamics.reset();
+    this.sensorDynamics.reset();
+    this.batcher.reset();
+  }
+
+  /**
+   * Retira o lote de eventos desde o último envio, ou o lote ainda não confirmado (EventBatcher)
+   * @returns {Object|null} Lote ou null se não houver eventos novos
+   */
+  takeBatch() {
+    return this.batcher.take(this.startTime);
+  }
+
+  /**
+   * Confirma o envio do lote retirado
+   */
+  acknowledgeBatch() {
+    this.batcher.acknowledge();
+  }
+
+  /**
+   * Recomeça a numeração dos lotes após a troca de sessão (EventBatcher.restart)
+   * @returns {Object|null} Lote pendente renumerado
+   */
+  restartBatches() {
+    return this.batcher.restart();
   }
 
   /**
@@ -371,9 +629,18 @@ export class BehavioralTracker {
       keystrokeFrequency: 0,
       averageClickInterval: 0,
       averageScrollInterval: 0,
-      mouseMovementDistance: 0,
+      // Distância percorrida pelo cursor (px)
+      mouseMovementDistance: this.mouseDynamics.totalDistance,
       formInteractionCount: 0,
-      focusBlurCount: 0
+      focusBlurCount: 0,
+      // Ritmo de digitação (sem os valores das teclas)
+      keystrokeDynamics: this._calculateKeystrokeDynamics(),
+      // Trajetórias do cursor: velocidade, aceleração, curvatura, retidão, pausas e cliques
+      mouseDynamics: this.mouseDynamics.getSummary(),
+      // Toques: duração, velocidade dos swipes, pressão e raio de contato
+      touchDynamics: this.touchDynamics.getSummary(),
+      // Sensores: tremor do acelerômetro e da orientação, mudanças de orientação da tela
+      sensorDynamics: this.sensorDynamics.getSummary()
     };
 
     if (this.events.length === 0) {
@@ -410,22 +677,6 @@ export class BehavioralTracker {
       metrics.averageScrollInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
     }
 
-    // Distância de movimento do mouse
-    const mouseEvents = this.getEventsByType('mousemove');
-    let totalDistance = 0;
-    for (let i = 1; i < mouseEvents.length; i++) {
-      const prev = mouseEvents[i-1];
-      const curr = mouseEvents[i];
-      if (prev.data && curr.data && prev.data.movementX && curr.data.movementY) {
-        const distance = Math.sqrt(
-          Math.pow(curr.data.movementX - prev.data.movementX, 2) +
-          Math.pow(curr.data.movementY - prev.data.movementY, 2)
-        );
-        totalDistance += distance;
-      }
-    }
-    metrics.mouseMovementDistance = totalDistance;
-
     return metrics;
   }
 }
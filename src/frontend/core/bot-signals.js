@@ -0,0 +1,152 @@
+/**
+ * Módulo de sinais de automação
+ * Detecta navegadores headless e ferramentas de automação (Puppeteer, Playwright, Selenium)
+ */
+
+/**
+ * Marcadores de navegador headless no user agent
+ */
+const HEADLESS_USER_AGENT_PATTERN = /headlesschrome|headless|phantomjs|slimerjs/i;
+
+/**
+ * Propriedades globais deixadas por ferramentas de automação
+ */
+const AUTOMATION_GLOBALS = [
+  // Playwright
+  '__playwright__binding__', '__pwInitScripts', '_playwrightInstance',
+  // Puppeteer
+  '__puppeteer_evaluation_script__',
+  // Selenium / WebDriver
+  '_Selenium_IDE_Recorder', '_selenium', 'calledSelenium', '__selenium_unwrapped', '__selenium_evaluate',
+  '__webdriver_evaluate', '__webdriver_script_fn', '__webdriver_script_func', '__driver_evaluate',
+  '__driver_unwrapped', '__fxdriver_evaluate', '__fxdriver_unwrapped', 'domAutomation', 'domAutomationController',
+  // PhantomJS / Nightmare
+  '_phantom', 'callPhantom', '__nightmare'
+];
+
+/**
+ * Atributos que o Selenium adiciona ao elemento <html>
+ */
+const AUTOMATION_ATTRIBUTES = ['webdriver', 'selenium', 'driver'];
+
+/**
+ * Chaves do ChromeDriver em window/document (ex.: $cdc_asdjflasutopfhvcZLmcfl_)
+ */
+const CHROMEDRIVER_KEY_PATTERN = /^\$?cdc_|^\$wdc_/;
+
+/**
+ * Classe responsável pela coleta de sinais de automação
+ */
+export class BotSignalsCollector {
+  constructor() {
+    this.signals = null;
+  }
+
+  /**
+   * Coleta os sinais de automação do navegador
+   * @returns {Promise<Object>} Sinais (enviados como botSignals)
+   */
+  async collectSignals() {
+    const userAgent = navigator.userAgent || '';
+    // Chrome no iOS (CriOS, WebKit) e WebViews Android ("; wv)") não têm window.chrome
+    const isChrome = /chrome|chromium/i.test(userAgent) && !/edg\/|crios|; wv\)/i.test(userAgent);
+
+    const signals = {
+      webdriver: navigator.webdriver === true,
+      headlessUserAgent: HEADLESS_USER_AGENT_PATTERN.test(userAgent),
+      chromeObjectMissing: isChrome && !window.chrome,
+      chromeRuntimeMissing: isChrome && !!window.chrome &&
+        !window.chrome.runtime && !window.chrome.app && !window.chrome.csi && !window.chrome.loadTimes,
+      permissionsInconsistent: await this._checkPermissions(),
+      pluginCount: navigator.plugins ? navigator.plugins.length : 0,
+      mimeTypeCount: navigator.mimeTypes ? navigator.mimeTypes.length : 0,
+      automationArtifacts: this._findAutomationArtifacts(),
+      timestamp: Date.now()
+    };
+
+    signals.detected = this._listDetected(signals, userAgent);
+    this.signals = signals;
+
+    return signals;
+  }
+
+  /**
+   * Notification.permission "denied" com a Permissions API respondendo "prompt"
+   * é uma combinação que só o Chrome headless produz
+   * @private
+   * @returns {Promise<boolean|null>} Se é inconsistente, ou null sem as APIs
+   */
+  async _checkPermissions() {
+    try {
+      if (!navigator.permissions || !navigator.permissions.query || typeof Notification === 'undefined') {
+        return null;
+      }
+
+      const status = await navigator.permissions.query({ name: 'notifications' });
+      return Notification.permission === 'denied' && status.state === 'prompt';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Propriedades e atributos deixados por ferramentas de automação
+   * @private
+   * @returns {Array} Nomes encontrados
+   */
+  _findAutomationArtifacts() {
+    const artifacts = AUTOMATION_GLOBALS.filter(name => name in window);
+
+    try {
+      for (const key of Object.keys(window).concat(typeof document !== 'undefined' ? Object.keys(document) : [])) {
+        if (CHROMEDRIVER_KEY_PATTERN.test(key)) {
+          artifacts.push(key);
+        }
+      }
+
+      const root = typeof document !== 'undefined' ? document.documentElement : null;
+      if (root && root.getAttribute) {
+        for (const attribute of AUTOMATION_ATTRIBUTES) {
+          if (root.getAttribute(attribute) !== null) {
+            artifacts.push(`html[${attribute}]`);
+          }
+        }
+      }
+    } catch (error) {
+      // Objetos inacessíveis: mantém o que já foi encontrado
+    }
+
+    return [...new Set(artifacts)];
+  }
+
+  /**
+   * Lista os sinais disparados
+   * @private
+   * @param {Object} signals - Sinais coletados
+   * @param {string} userAgent - User agent
+   * @returns {Array} Nomes dos sinais
+   */
+  _listDetected(signals, userAgent) {
+    const detected = [];
+    const isMobile = /mobile|android|iphone|ipad/i.test(userAgent);
+
+    if (signals.webdriver) detected.push('webdriver');
+    if (signals.headlessUserAgent) detected.push('headless_user_agent');
+    if (signals.chromeObjectMissing) detected.push('chrome_object_missing');
+    if (signals.chromeRuntimeMissing) detected.push('chrome_runtime_missing');
+    if (signals.permissionsInconsistent) detected.push('permissions_inconsistent');
+    // Navegadores móveis não expõem plugins
+    if (!isMobile && signals.pluginCount === 0 && signals.mimeTypeCount === 0) detected.push('no_plugins');
+    if (signals.automationArtifacts.length > 0) detected.push('automation_artifacts');
+
+    return detected;
+  }
+
+  /**
+   * Obtém os últimos sinais coletados
+   * @returns {Object|null} Sinais ou null se não coletados
+   */
+  getCurrentSignals() {
+    return this.signals;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Módulo de lotes de eventos comportamentais
+ * Acumula os eventos desde o último envio em lotes compactos para
+ * /api/identity/events: apenas tipo e instante, sem alvo nem dados do evento.
+ * Um lote retirado fica pendente até ser confirmado e é retirado de novo,
+ * com a mesma sequência, se o envio falhar
+ */
+
+/**
+ * Quantidade máxima de eventos por lote; os excedentes entram só nas contagens
+ */
+const MAX_BATCH_EVENTS = 5000;
+
+/**
+ * Classe responsável pelos lotes de eventos
+ */
+export class EventBatcher {
+  constructor() {
+    // A sequência não volta a zero no reset: o servidor descarta lotes repetidos pela sequência
+    this.sequence = 0;
+    this.reset();
+  }
+
+  /**
+   * Descarta os eventos ainda não enviados
+   */
+  reset() {
+    this.events = [];
+    this.eventCounts = {};
+    this.dropped = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Recomeça a numeração dos lotes (nova sessão)
+   * @returns {Object|null} Lote pendente, renumerado como o primeiro da nova sessão
+   */
+  restart() {
+    this.sequence = 0;
+    if (this.pending) {
+      this.pending = { ...this.pending, sequence: this.sequence++ };
+    }
+    return this.pending;
+  }
+
+  /**
+   * Confirma o envio do lote pendente
+   */
+  acknowledge() {
+    this.pending = null;
+  }
+
+  /**
+   * Registra um evento
+   * @param {string} type - Tipo do evento
+   * @param {number} timestamp - Instante (ms)
+   */
+  add(type, timestamp) {
+    this.eventCounts[type] = (this.eventCounts[type] || 0) + 1;
+
+    if (this.events.length >= MAX_BATCH_EVENTS) {
+      this.dropped++;
+      return;
+    }
+    this.events.push({ type, timestamp });
+  }
+
+  /**
+   * Retira o lote com os eventos desde o último envio, ou o lote pendente ainda não confirmado
+   * (o servidor descarta o reenvio de um lote que já tinha recebido)
+   * @param {number} sessionStart - Início do rastreamento (ms)
+   * @returns {Object|null} Lote ou null se não houver eventos novos
+   */
+  take(sessionStart) {
+    if (this.pending) {
+      return this.pending;
+    }
+
+    if (this.events.length === 0) {
+      return null;
+    }
+
+    // Tipos viram índices de types e instantes viram intervalos desde o evento anterior
+    const types = [];
+    let previous = this.events[0].timestamp;
+    const events = this.events.map(({ type, timestamp }) => {
+      let index = types.indexOf(type);
+      if (index === -1) {
+        index = types.push(type) - 1;
+      }
+      const delta = Math.max(0, timestamp - previous);
+      previous = timestamp;
+      return [index, delta];
+    });
+
+    const batch = {
+      sequence: this.sequence++,
+      sessionStart,
+      start: this.events[0].timestamp,
+      end: Date.now(),
+      eventCounts: this.eventCounts,
+      types,
+      events,
+      dropped: this.dropped
+    };
+
+    this.events = [];
+    this.eventCounts = {};
+    this.dropped = 0;
+    this.pending = batch;
+    return batch;
+  }
+}
@@ -121,9 +121,14 @@ export class DeviceFingerprintCollector {
         return 'webgl_not_supported';
       }
 
+      // Renderer real da GPU (RENDERER costuma vir mascarado), usado na checagem de consistência do backend
+      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+
       const fingerprint = {
         vendor: gl.getParameter(gl.VENDOR),
         renderer: gl.getParameter(gl.RENDERER),
+        unmaskedVendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null,
+        unmaskedRenderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
         version: gl.getParameter(gl.VERSION),
         shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
         extensions: gl.getSupportedExtensions()
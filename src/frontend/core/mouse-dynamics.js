@@ -0,0 +1,212 @@
+/**
+ * Módulo de dinâmica do mouse
+ * Deriva segmentos de trajetória das posições de mousemove e resume velocidade,
+ * aceleração, curvatura, retidão, pausas e a aproximação dos cliques
+ */
+
+import { describeDistribution, pushSample } from '../utils/index.js';
+
+/**
+ * Intervalo sem movimento (ms) que encerra um segmento e conta como pausa
+ */
+const PAUSE_THRESHOLD = 300;
+
+/**
+ * Janela (ms) antes do clique usada para medir a aproximação
+ */
+const APPROACH_WINDOW = 1000;
+
+/**
+ * Distância (px) entre o último movimento e o clique acima da qual o cursor "saltou"
+ */
+const APPROACH_MAX_GAP = 5;
+
+/**
+ * Segmentos curtos demais para medir retidão (px)
+ */
+const MIN_SEGMENT_LENGTH = 20;
+
+/**
+ * Quantidade máxima de amostras mantidas por distribuição (as mais recentes)
+ */
+const MAX_SAMPLES = 1000;
+
+/**
+ * Classe responsável pela análise da dinâmica do mouse
+ */
+export class MouseDynamicsAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Descarta os dados coletados
+   */
+  reset() {
+    this.pointCount = 0;
+    this.totalDistance = 0;
+    this.pauseCount = 0;
+    this.segmentCount = 0;
+    this.speeds = [];
+    this.accelerations = [];
+    this.turningAngles = [];
+    this.straightness = [];
+    this.clickCount = 0;
+    this.clicksWithoutApproach = 0;
+    this.approachDecelerations = [];
+    this.segment = null;
+    // Pontos recentes (posição, instante e velocidade) para a aproximação dos cliques
+    this.recent = [];
+  }
+
+  /**
+   * Registra uma posição do cursor
+   * @param {number} x - Posição horizontal (px)
+   * @param {number} y - Posição vertical (px)
+   * @param {number} time - Instante (ms)
+   */
+  addPoint(x, y, time) {
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(time)) {
+      return;
+    }
+
+    this.pointCount++;
+    const previous = this.segment ? this.segment.last : null;
+
+    if (!previous || time - previous.time > PAUSE_THRESHOLD) {
+      if (previous) {
+        this.pauseCount++;
+      }
+      this._startSegment({ x, y, time });
+      return;
+    }
+
+    const dx = x - previous.x;
+    const dy = y - previous.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const elapsed = time - previous.time;
+
+    // Eventos no mesmo instante ou sem deslocamento não definem velocidade nem direção
+    if (elapsed <= 0 || distance === 0) {
+      return;
+    }
+
+    const speed = distance / elapsed * 1000; // px/s
+    this.totalDistance += distance;
+    this.segment.length += distance;
+    pushSample(this.speeds, speed, MAX_SAMPLES);
+
+    if (previous.speed !== null) {
+      pushSample(this.accelerations, Math.abs(speed - previous.speed) / elapsed * 1000, MAX_SAMPLES); // px/s²
+    }
+
+    const angle = Math.atan2(dy, dx);
+    if (previous.angle !== null) {
+      let turn = Math.abs(angle - previous.angle);
+      if (turn > Math.PI) {
+        turn = 2 * Math.PI - turn;
+      }
+      pushSample(this.turningAngles, turn, MAX_SAMPLES);
+    }
+
+    const point = { x, y, time, speed, angle };
+    this.segment.last = point;
+    this.segment.pointCount++;
+    this._pushRecent(point);
+  }
+
+  /**
+   * Registra um clique e mede como o cursor chegou até ele
+   * @param {number} x - Posição horizontal (px)
+   * @param {number} y - Posição vertical (px)
+   * @param {number} time - Instante (ms)
+   */
+  addClick(x, y, time) {
+    this.clickCount++;
+
+    // Clique sem nenhum movimento antes ou longe da última posição do cursor
+    const last = this.segment ? this.segment.last : null;
+    if (!last || (Number.isFinite(x) && Number.isFinite(y) &&
+      Math.sqrt(Math.pow(x - last.x, 2) + Math.pow(y - last.y, 2)) > APPROACH_MAX_GAP)) {
+      this.clicksWithoutApproach++;
+      return;
+    }
+
+    // Pessoas desaceleram ao chegar no alvo: velocidade final em relação ao pico
+    // (cursor parado há mais que a janela não tem aproximação a medir)
+    const approach = this.recent.filter(point => time - point.time <= APPROACH_WINDOW && point.speed !== null);
+    if (approach.length > 0) {
+      const peak = Math.max(...approach.map(point => point.speed));
+      pushSample(this.approachDecelerations, approach[approach.length - 1].speed / peak, MAX_SAMPLES);
+    }
+  }
+
+  /**
+   * Resume a dinâmica do mouse
+   * @returns {Object} Distribuições e contadores (velocidades em px/s, ângulos em radianos)
+   */
+  getSummary() {
+    const straightness = [...this.straightness];
+    if (this.segment && this.segment.pointCount >= 3 && this.segment.length >= MIN_SEGMENT_LENGTH) {
+      straightness.push(this._straightnessOf(this.segment));
+    }
+
+    const approach = describeDistribution(this.approachDecelerations);
+
+    return {
+      pointCount: this.pointCount,
+      segmentCount: this.segmentCount,
+      totalDistance: this.totalDistance,
+      speed: describeDistribution(this.speeds),
+      acceleration: describeDistribution(this.accelerations),
+      curvature: describeDistribution(this.turningAngles),
+      straightness: describeDistribution(straightness),
+      pauseCount: this.pauseCount,
+      clickCount: this.clickCount,
+      clicksWithoutApproach: this.clicksWithoutApproach,
+      approachCount: this.approachDecelerations.length,
+      approachDeceleration: approach.mean
+    };
+  }
+
+  /**
+   * Encerra o segmento atual e inicia outro
+   * @private
+   * @param {Object} start - Primeiro ponto ({ x, y, time })
+   */
+  _startSegment(start) {
+    if (this.segment && this.segment.pointCount >= 3 && this.segment.length >= MIN_SEGMENT_LENGTH) {
+      pushSample(this.straightness, this._straightnessOf(this.segment), MAX_SAMPLES);
+    }
+
+    const point = { ...start, speed: null, angle: null };
+    this.segment = { first: point, last: point, length: 0, pointCount: 1 };
+    this.segmentCount++;
+    this._pushRecent(point);
+  }
+
+  /**
+   * Distância em linha reta dividida pelo caminho percorrido (1 = reta perfeita)
+   * @private
+   * @param {Object} segment - Segmento
+   * @returns {number} Retidão de 0 a 1
+   */
+  _straightnessOf(segment) {
+    const direct = Math.sqrt(
+      Math.pow(segment.last.x - segment.first.x, 2) +
+      Math.pow(segment.last.y - segment.first.y, 2)
+    );
+    return Math.min(1, direct / segment.length);
+  }
+
+  /**
+   * @private
+   * @param {Object} point - Ponto ({ x, y, time, speed })
+   */
+  _pushRecent(point) {
+    this.recent.push(point);
+    while (this.recent.length > 0 && point.time - this.recent[0].time > APPROACH_WINDOW) {
+      this.recent.shift();
+    }
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Módulo de privacidade da captura comportamental
+ * Decide o que dos elementos e teclas entra nos eventos enviados à API.
+ * Campos de senha, de cartão e marcados com data-nextrust-mask nunca têm
+ * valor nem teclas capturados, em qualquer modo
+ */
+
+import { PRIVACY_MODES, PRIVACY_MASK_ATTRIBUTE } from '../../shared/constants/index.js';
+import { simpleHash } from '../utils/index.js';
+
+/**
+ * Tokens de autocomplete de campos sensíveis (cartão, senhas e códigos)
+ */
+const SENSITIVE_AUTOCOMPLETE = /^(cc-|current-password$|new-password$|one-time-code$)/;
+
+/**
+ * Nomes e ids de campos sensíveis sem type/autocomplete adequados
+ */
+const SENSITIVE_NAME = /passw|senha|card|cartao|cvv|cvc|cpf/i;
+
+/**
+ * Caractere usado para mascarar valores e teclas
+ */
+const MASK_CHAR = '*';
+
+/**
+ * Tamanho máximo dos valores capturados
+ */
+const MAX_VALUE_LENGTH = 100;
+
+/**
+ * Classe responsável por filtrar dados pessoais dos eventos comportamentais
+ */
+export class PrivacyFilter {
+  /**
+   * @param {string} mode - strict (sem valores, teclas nem identificadores legíveis),
+   * balanced (valores e teclas mascarados) ou off (valores e teclas como digitados)
+   */
+  constructor(mode = PRIVACY_MODES.BALANCED) {
+    if (!Object.values(PRIVACY_MODES).includes(mode)) {
+      throw new Error(`Invalid privacy mode: ${mode}`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Verifica se o elemento é um campo sensível
+   * @param {Element} element - Elemento
+   * @returns {boolean} Se valores e teclas do elemento nunca podem ser capturados
+   */
+  isSensitive(element) {
+    if (!element) {
+      return false;
+    }
+
+    if (typeof element.type === 'string' && element.type.toLowerCase() === 'password') {
+      return true;
+    }
+
+    const autocomplete = typeof element.autocomplete === 'string' ? element.autocomplete.toLowerCase() : '';
+    if (autocomplete.split(/\s+/).some(token => SENSITIVE_AUTOCOMPLETE.test(token))) {
+      return true;
+    }
+
+    if ([element.name, element.id].some(value => typeof value === 'string' && SENSITIVE_NAME.test(value))) {
+      return true;
+    }
+
+    // O atributo vale para o próprio campo e para tudo dentro de um container marcado
+    if (typeof element.closest === 'function') {
+      return element.closest(`[${PRIVACY_MASK_ATTRIBUTE}]`) !== null;
+    }
+    return typeof element.hasAttribute === 'function' && element.hasAttribute(PRIVACY_MASK_ATTRIBUTE);
+  }
+
+  /**
+   * Descreve o alvo de um evento conforme o modo
+   * @param {Element} element - Elemento alvo
+   * @returns {Object|null} { tagName, id, className, type, name, value } e masked nos campos sensíveis
+   */
+  describeTarget(element) {
+    if (!element) {
+      return null;
+    }
+
+    const target = {
+      tagName: element.tagName,
+      id: element.id,
+      className: element.className,
+      type: element.type,
+      name: element.name,
+      value: null
+    };
+
+    if (this.isSensitive(element)) {
+      return { ...target, masked: true };
+    }
+
+    const value = typeof element.value === 'string' && element.value.length > 0 ? element.value : null;
+
+    switch (this.mode) {
+    case PRIVACY_MODES.OFF:
+      return { ...target, value: value ? value.substring(0, MAX_VALUE_LENGTH) : null };
+    case PRIVACY_MODES.BALANCED:
+      return { ...target, value: value ? MASK_CHAR.repeat(Math.min(value.length, MAX_VALUE_LENGTH)) : null };
+    default:
+      // strict: identificadores do elemento também podem conter dados (ex.: id="email-joao")
+      return {
+        ...target,
+        id: this._hash(target.id),
+        className: this._hash(target.className),
+        name: this._hash(target.name)
+      };
+    }
+  }
+
+  /**
+   * Descreve a tecla de um evento de teclado conforme o modo
+   * @param {KeyboardEvent} event - keydown ou keyup
+   * @returns {Object} { key, code }
+   */
+  describeKey(event) {
+    if (this.mode === PRIVACY_MODES.STRICT || this.isSensitive(event.target)) {
+      return { key: null, code: null };
+    }
+
+    // Teclas com nome (Enter, Backspace, Tab...) não revelam o que foi digitado
+    const printable = typeof event.key === 'string' && event.key.length === 1;
+    if (this.mode === PRIVACY_MODES.BALANCED && printable) {
+      return { key: MASK_CHAR, code: null };
+    }
+
+    return { key: event.key, code: event.code };
+  }
+
+  /**
+   * @private
+   * @param {*} value - Identificador
+   * @returns {string|*} Hash do identificador (valores vazios ou não textuais são mantidos)
+   */
+  _hash(value) {
+    return typeof value === 'string' && value.length > 0 ? simpleHash(value) : value;
+  }
+}
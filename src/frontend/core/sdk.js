@@ -5,8 +5,9 @@
 
 import { DeviceFingerprintCollector } from './fingerprint.js';
 import { BehavioralTracker } from './behavioral-tracker.js';
+import { BotSignalsCollector } from './bot-signals.js';
 import { FacialCaptureModule } from '../modules/facial-capture.js';
-import { DEFAULT_CONFIG, ERROR_CODES, SDK_VERSION, SDK_NAME } from '../../shared/constants/index.js';
+import { DEFAULT_CONFIG, ERROR_CODES, PRIVACY_MODES, SDK_VERSION, SDK_NAME } from '../../shared/constants/index.js';
 
 /**
  * Classe principal do NextTrust SDK
@@ -18,7 +19,9 @@ export class NextTrustSDK {
     this.sessionId = null;
     this.fingerprintCollector = null;
     this.behavioralTracker = null;
+    this.botSignalsCollector = null;
     this.facialCapture = null;
+    this.eventStreamTimer = null;
     
     // Valida configuração
     this._validateConfig();
@@ -42,8 +45,11 @@ export class NextTrustSDK {
       this.fingerprintCollector = new DeviceFingerprintCollector();
       this.behavioralTracker = new BehavioralTracker({
         enabled: this.config.enableBehavioralTracking,
-        maxEvents: this.config.maxBehavioralEvents
+        maxEvents: this.config.maxBehavioralEvents,
+        mobileSignals: this.config.enableMobileSignals,
+        privacyMode: this.config.privacyMode
       });
+      this.botSignalsCollector = new BotSignalsCollector();
 
       if (this.config.enableFacialCapture) {
         this.facialCapture = new FacialCaptureModule({
@@ -58,6 +64,9 @@ export class NextTrustSDK {
       this.behavioralTracker.startTracking();
 
       this.isInitialized = true;
+
+      // Envia lotes de eventos durante a sessão
+      this._startEventStream();
       
       console.log(`${SDK_NAME} v${SDK_VERSION} initialized successfully`);
       return true;
@@ -79,6 +88,13 @@ export class NextTrustSDK {
     }
 
     try {
+      // Envia os eventos pendentes para que a verificação considere a sessão inteira
+      if (this.eventStreamTimer) {
+        await this.flushEvents().catch(error => {
+          console.warn('NextTrust: Event batch failed:', error.message);
+        });
+      }
+
       // Coleta dados atuais
       const verificationData = await this._collectVerificationData(options);
 
@@ -107,6 +123,11 @@ export class NextTrustSDK {
       facial: null
     };
 
+    // ID do usuário no sistema do cliente (reconhecimento de dispositivos conhecidos)
+    if (options.userId) {
+      data.userId = String(options.userId);
+    }
+
     // Coleta fingerprint (sempre)
     if (this.fingerprintCollector.needsUpdate(this.config.fingerprintInterval)) {
       data.fingerprint = await this.fingerprintCollector.collectFingerprint();
@@ -114,6 +135,13 @@ export class NextTrustSDK {
       data.fingerprint = this.fingerprintCollector.getCurrentFingerprint();
     }
 
+    // Sinais de automação (navegador headless, WebDriver, CDP)
+    try {
+      data.botSignals = await this.botSignalsCollector.collectSignals();
+    } catch (error) {
+      console.warn('NextTrust: Bot signals collection failed:', error.message);
+    }
+
     // Coleta dados comportamentais
     if (this.config.enableBehavioralTracking && this.behavioralTracker) {
       data.behavioral = this.behavioralTracker.getSummaryData();
@@ -149,11 +177,12 @@ export class NextTrustSDK {
       'User-Agent': `${SDK_NAME}/${SDK_VERSION}`
     };
 
-    const response = await fetch(url, {
+    // Sessão expirada no servidor: a verificação é repetida uma vez em uma sessão nova
+    const response = await this._retryOnExpiredSession(() => fetch(url, {
       method: 'POST',
-      headers: headers,
-      body: JSON.stringify(data)
-    });
+      headers: { ...headers, 'X-Session-ID': this.sessionId },
+      body: JSON.stringify({ ...data, sessionId: this.sessionId })
+    }));
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -162,6 +191,150 @@ export class NextTrustSDK {
     return await response.json();
   }
 
+  /**
+   * Envia os eventos desde o último lote para o backend (/identity/events).
+   * O lote só é descartado após ser aceito; se o envio falhar, segue pendente e é
+   * reenviado no próximo envio (exceto se o servidor o recusar com 4xx)
+   * @param {Object} options - Opções
+   * @param {boolean} options.beacon - Envia com navigator.sendBeacon (página sendo descarregada)
+   * @returns {Promise<boolean>} True se um lote foi enviado
+   */
+  async flushEvents(options = {}) {
+    if (!this.isInitialized || !this.behavioralTracker) {
+      return false;
+    }
+
+    const batch = this.behavioralTracker.takeBatch();
+    if (!batch) {
+      return false;
+    }
+
+    const url = `${this.config.apiUrl}/identity/events`;
+
+    if (options.beacon && typeof navigator.sendBeacon === 'function') {
+      const body = JSON.stringify({ sessionId: this.sessionId, timestamp: Date.now(), batch });
+      // sendBeacon não envia cabeçalhos: a API key vai na query string e o corpo
+      // como text/plain, que não exige preflight de CORS
+      const beaconUrl = `${url}?apiKey=${encodeURIComponent(this.config.apiKey)}`;
+      const queued = navigator.sendBeacon(beaconUrl, new Blob([body], { type: 'text/plain' }));
+      if (queued) {
+        this.behavioralTracker.acknowledgeBatch();
+      }
+      return queued;
+    }
+
+    // Sessão expirada no servidor: o lote pendente, renumerado, é reenviado uma vez em uma sessão nova
+    const response = await this._retryOnExpiredSession(async () => {
+      const { body, headers } = await this._compressBody(JSON.stringify({
+        sessionId: this.sessionId,
+        timestamp: Date.now(),
+        batch: this.behavioralTracker.takeBatch()
+      }));
+
+      return fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': this.config.apiKey,
+          'X-Session-ID': this.sessionId,
+          ...headers
+        },
+        body,
+        keepalive: true
+      });
+    });
+
+    // Lotes recusados pela validação não são reenviados; erros do servidor e 429 sim
+    const retryable = response.status >= 500 || response.status === 429;
+    if (response.ok || !retryable) {
+      this.behavioralTracker.acknowledgeBatch();
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Comprime o corpo com gzip quando o navegador suporta CompressionStream
+   * @private
+   * @param {string} text - Corpo em JSON
+   * @returns {Promise<Object>} { body, headers } (Content-Encoding quando comprimido)
+   */
+  async _compressBody(text) {
+    if (typeof CompressionStream !== 'function') {
+      return { body: text, headers: {} };
+    }
+
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return { body: await new Response(stream).arrayBuffer(), headers: { 'Content-Encoding': 'gzip' } };
+  }
+
+  /**
+   * Envia uma requisição e, se o servidor responder 401 SESSION_EXPIRED, troca de sessão e a envia mais uma vez
+   * @private
+   * @param {Function} send - Envia a requisição com o sessionId atual e retorna a Response
+   * @returns {Promise<Response>} Resposta
+   */
+  async _retryOnExpiredSession(send) {
+    const response = await send();
+    if (response.status !== 401) {
+      return response;
+    }
+
+    // 401 também é a resposta para API key inválida: apenas SESSION_EXPIRED troca a sessão
+    const error = await response.clone().json().catch(() => null);
+    if (!error || error.code !== ERROR_CODES.SESSION_EXPIRED) {
+      return response;
+    }
+
+    this.sessionId = this._generateSessionId();
+    if (this.behavioralTracker) {
+      this.behavioralTracker.restartBatches();
+    }
+
+    return send();
+  }
+
+  /**
+   * Inicia o envio periódico dos lotes de eventos e o envio final ao sair da página
+   * @private
+   */
+  _startEventStream() {
+    if (!this.config.enableBehavioralTracking || !this.config.eventBatchInterval) {
+      return;
+    }
+
+    this.eventStreamTimer = setInterval(() => {
+      this.flushEvents().catch(error => {
+        console.warn('NextTrust: Event batch failed:', error.message);
+      });
+    }, this.config.eventBatchInterval);
+
+    // pagehide também dispara em navegadores móveis e no back/forward cache, onde unload não dispara
+    this._handlePageHide = () => {
+      this.flushEvents({ beacon: true }).catch(() => {});
+    };
+    window.addEventListener('pagehide', this._handlePageHide);
+  }
+
+  /**
+   * Para o envio dos lotes de eventos
+   * @private
+   */
+  _stopEventStream() {
+    if (this.eventStreamTimer) {
+      clearInterval(this.eventStreamTimer);
+      this.eventStreamTimer = null;
+    }
+    if (this._handlePageHide) {
+      window.removeEventListener('pagehide', this._handlePageHide);
+      this._handlePageHide = null;
+    }
+  }
+
   /**
    * Middleware para integração com frameworks
    * @param {Object} req - Request object
@@ -222,6 +395,8 @@ export class NextTrustSDK {
    * Para o SDK e limpa recursos
    */
   destroy() {
+    this._stopEventStream();
+
     if (this.behavioralTracker) {
       this.behavioralTracker.stopTracking();
     }
@@ -255,6 +430,14 @@ export class NextTrustSDK {
     if (this.config.sessionTimeout < 60000) {
       throw new Error('Session timeout must be at least 60 seconds');
     }
+
+    if (this.config.eventBatchInterval && this.config.eventBatchInterval < 5000) {
+      throw new Error('Event batch interval must be at least 5 seconds');
+    }
+
+    if (!Object.values(PRIVACY_MODES).includes(this.config.privacyMode)) {
+      throw new Error(`Privacy mode must be one of: ${Object.values(PRIVACY_MODES).join(', ')}`);
+    }
   }
 
   /**
@@ -0,0 +1,116 @@
+/**
+ * Módulo de dinâmica dos sensores de movimento
+ * Resume o tremor (jitter) do acelerômetro e da orientação do aparelho e as
+ * mudanças de orientação da tela. Um aparelho na mão nunca fica perfeitamente parado
+ */
+
+import { describeDistribution, pushSample } from '../utils/index.js';
+
+/**
+ * Quantidade máxima de amostras mantidas por distribuição (as mais recentes)
+ */
+const MAX_SAMPLES = 500;
+
+/**
+ * Leitura com os três eixos numéricos ou null
+ * @param {Object} reading - Leitura do sensor
+ * @param {Array} axes - Nomes dos eixos
+ * @returns {Array|null} Valores dos eixos
+ */
+function readAxes(reading, axes) {
+  if (!reading) {
+    return null;
+  }
+  const values = axes.map(axis => reading[axis]);
+  return values.every(value => typeof value === 'number' && Number.isFinite(value)) ? values : null;
+}
+
+/**
+ * Soma das variações absolutas entre duas leituras
+ * @param {Array} previous - Leitura anterior
+ * @param {Array} current - Leitura atual
+ * @returns {number} Variação
+ */
+function delta(previous, current) {
+  return current.reduce((sum, value, index) => sum + Math.abs(value - previous[index]), 0);
+}
+
+/**
+ * Classe responsável pela análise dos sensores de movimento
+ */
+export class SensorDynamicsAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Descarta os dados coletados
+   */
+  reset() {
+    this.motionSamples = 0;
+    this.orientationSamples = 0;
+    this.orientationChanges = 0;
+    this.motionJitter = [];
+    this.orientationJitter = [];
+    this.gravity = [];
+    this.lastMotion = null;
+    this.lastOrientation = null;
+  }
+
+  /**
+   * Registra uma leitura do acelerômetro
+   * @param {DeviceMotionEvent} event - devicemotion
+   */
+  addMotion(event) {
+    const reading = readAxes(event.accelerationIncludingGravity, ['x', 'y', 'z']);
+    if (!reading) {
+      return;
+    }
+
+    this.motionSamples++;
+    pushSample(this.gravity, Math.sqrt(reading.reduce((sum, value) => sum + value * value, 0)), MAX_SAMPLES);
+    if (this.lastMotion) {
+      pushSample(this.motionJitter, delta(this.lastMotion, reading), MAX_SAMPLES);
+    }
+    this.lastMotion = reading;
+  }
+
+  /**
+   * Registra uma leitura da orientação do aparelho
+   * @param {DeviceOrientationEvent} event - deviceorientation
+   */
+  addOrientation(event) {
+    const reading = readAxes(event, ['alpha', 'beta', 'gamma']);
+    if (!reading) {
+      return;
+    }
+
+    this.orientationSamples++;
+    if (this.lastOrientation) {
+      pushSample(this.orientationJitter, delta(this.lastOrientation, reading), MAX_SAMPLES);
+    }
+    this.lastOrientation = reading;
+  }
+
+  /**
+   * Registra uma mudança de orientação da tela (retrato/paisagem)
+   */
+  addOrientationChange() {
+    this.orientationChanges++;
+  }
+
+  /**
+   * Resume a dinâmica dos sensores
+   * @returns {Object} Contadores e distribuições (aceleração em m/s², ângulos em graus)
+   */
+  getSummary() {
+    return {
+      motionSamples: this.motionSamples,
+      motionJitter: describeDistribution(this.motionJitter),
+      gravity: describeDistribution(this.gravity),
+      orientationSamples: this.orientationSamples,
+      orientationJitter: describeDistribution(this.orientationJitter),
+      orientationChanges: this.orientationChanges
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Módulo de dinâmica de toque
+ * Resume os toques na tela: pressão, raio de contato, duração dos toques e
+ * velocidade dos gestos de deslizar (swipe)
+ */
+
+import { describeDistribution, pushSample } from '../utils/index.js';
+
+/**
+ * Deslocamento mínimo (px) para um toque ser um swipe
+ */
+const SWIPE_MIN_DISTANCE = 10;
+
+/**
+ * Quantidade máxima de amostras mantidas por distribuição (as mais recentes)
+ */
+const MAX_SAMPLES = 500;
+
+/**
+ * Classe responsável pela análise da dinâmica de toque
+ */
+export class TouchDynamicsAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Descarta os dados coletados
+   */
+  reset() {
+    this.touchCount = 0;
+    this.tapCount = 0;
+    this.swipeCount = 0;
+    this.untrustedCount = 0;
+    this.tapDurations = [];
+    this.swipeVelocities = [];
+    this.forces = [];
+    this.radii = [];
+    // Toques em andamento por identifier
+    this.active = new Map();
+  }
+
+  /**
+   * Registra um evento de toque
+   * @param {TouchEvent} event - touchstart, touchmove, touchend ou touchcancel
+   * @param {number} time - Instante (ms)
+   */
+  addEvent(event, time) {
+    // Toques criados por script (dispatchEvent) não são confiáveis
+    if (event.isTrusted === false && event.type === 'touchstart') {
+      this.untrustedCount++;
+    }
+
+    for (const touch of Array.from(event.changedTouches || [])) {
+      this._recordContact(touch);
+
+      if (event.type === 'touchstart') {
+        this.touchCount++;
+        this.active.set(touch.identifier, { x: touch.clientX, y: touch.clientY, time });
+      } else if (event.type === 'touchend' || event.type === 'touchcancel') {
+        this._endTouch(touch, time, event.type === 'touchend');
+      }
+    }
+  }
+
+  /**
+   * Resume a dinâmica de toque
+   * @returns {Object} Distribuições (durações em ms, velocidades em px/s) e contadores
+   */
+  getSummary() {
+    return {
+      touchCount: this.touchCount,
+      tapCount: this.tapCount,
+      swipeCount: this.swipeCount,
+      untrustedCount: this.untrustedCount,
+      tapDuration: describeDistribution(this.tapDurations),
+      swipeVelocity: describeDistribution(this.swipeVelocities),
+      force: describeDistribution(this.forces),
+      radius: describeDistribution(this.radii),
+      // Amostras de pressão e raio: sem elas as distribuições zeradas não dizem nada
+      forceSamples: this.forces.length,
+      radiusSamples: this.radii.length
+    };
+  }
+
+  /**
+   * Pressão e raio de contato do toque (quando o navegador informa)
+   * @private
+   * @param {Touch} touch - Toque
+   */
+  _recordContact(touch) {
+    if (typeof touch.force === 'number') {
+      pushSample(this.forces, touch.force, MAX_SAMPLES);
+    }
+    if (typeof touch.radiusX === 'number' && typeof touch.radiusY === 'number') {
+      pushSample(this.radii, (touch.radiusX + touch.radiusY) / 2, MAX_SAMPLES);
+    }
+  }
+
+  /**
+   * Encerra um toque como tap ou swipe
+   * @private
+   * @param {Touch} touch - Toque
+   * @param {number} time - Instante (ms)
+   * @param {boolean} completed - Se terminou com touchend (touchcancel é descartado)
+   */
+  _endTouch(touch, time, completed) {
+    const start = this.active.get(touch.identifier);
+    this.active.delete(touch.identifier);
+    if (!start || !completed) {
+      return;
+    }
+
+    const duration = time - start.time;
+    const distance = Math.sqrt(Math.pow(touch.clientX - start.x, 2) + Math.pow(touch.clientY - start.y, 2));
+
+    if (Number.isFinite(distance) && distance >= SWIPE_MIN_DISTANCE) {
+      this.swipeCount++;
+      if (duration > 0) {
+        pushSample(this.swipeVelocities, distance / duration * 1000, MAX_SAMPLES);
+      }
+    } else {
+      this.tapCount++;
+      pushSample(this.tapDurations, duration, MAX_SAMPLES);
+    }
+  }
+}
@@ -280,3 +280,31 @@ export function queryStringToObject(queryString) {
   
   return result;
 }
+
+/**
+ * Média, desvio padrão e máximo de uma distribuição
+ * @param {Array} values - Valores
+ * @returns {Object} { mean, stdDev, max } (zeros sem valores)
+ */
+export function describeDistribution(values) {
+  if (values.length === 0) {
+    return { mean: 0, stdDev: 0, max: 0 };
+  }
+
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return { mean, stdDev: Math.sqrt(variance), max: Math.max(...values) };
+}
+
+/**
+ * Adiciona uma amostra mantendo apenas as mais recentes
+ * @param {Array} samples - Amostras
+ * @param {number} value - Nova amostra
+ * @param {number} maxSamples - Quantidade máxima de amostras
+ */
+export function pushSample(samples, value, maxSamples) {
+  samples.push(value);
+  if (samples.length > maxSamples) {
+    samples.shift();
+  }
+}
@@ -13,9 +13,31 @@ export const BEHAVIORAL_EVENTS = {
   RESIZE: 'resize',
   PAGE_LOAD: 'page_load',
   PAGE_UNLOAD: 'page_unload',
-  FORM_SUBMIT: 'form_submit'
+  FORM_SUBMIT: 'form_submit',
+  TOUCH: 'touch',
+  DEVICE_MOTION: 'device_motion',
+  DEVICE_ORIENTATION: 'device_orientation',
+  ORIENTATION_CHANGE: 'orientation_change'
 };
 
+// Eventos de toque e sensores: rastreados apenas com enableMobileSignals
+export const MOBILE_BEHAVIORAL_EVENTS = [
+  BEHAVIORAL_EVENTS.TOUCH,
+  BEHAVIORAL_EVENTS.DEVICE_MOTION,
+  BEHAVIORAL_EVENTS.DEVICE_ORIENTATION,
+  BEHAVIORAL_EVENTS.ORIENTATION_CHANGE
+];
+
+// Modos de privacidade da captura comportamental (campos sensíveis nunca são capturados)
+export const PRIVACY_MODES = {
+  STRICT: 'strict',
+  BALANCED: 'balanced',
+  OFF: 'off'
+};
+
+// Atributo que marca campos (ou containers) cujos valores e teclas nunca são capturados
+export const PRIVACY_MASK_ATTRIBUTE = 'data-nextrust-mask';
+
 // Tipos de decisão
 export const DECISION_TYPES = {
   ALLOW: 'allow',
@@ -30,14 +52,20 @@ export const DEFAULT_THRESHOLDS = {
   DENY: 0
 };
 
+// Trechos de user agent de bots e automação (usados quando não há a lista suspicious_user_agents)
+export const SUSPICIOUS_USER_AGENT_PATTERNS = ['bot', 'crawler', 'spider', 'scraper'];
+
 // Configurações padrão do SDK
 export const DEFAULT_CONFIG = {
   apiUrl: process.env.NEXT_TRUST_API_URL || 'https://api.nextrust.com',
   enableFacialCapture: false,
   enableBehavioralTracking: true,
+  enableMobileSignals: false,
+  privacyMode: PRIVACY_MODES.BALANCED,
   sessionTimeout: 30 * 60 * 1000, // 30 minutos
   maxBehavioralEvents: 1000,
   fingerprintInterval: 5 * 60 * 1000, // 5 minutos
+  eventBatchInterval: 30 * 1000, // 30 segundos (0 desativa os lotes de eventos)
   rules: {
     thresholds: DEFAULT_THRESHOLDS,
     rules: []
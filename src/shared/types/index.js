@@ -9,6 +9,9 @@
  * @property {string} apiKey - Chave da API
  * @property {boolean} enableFacialCapture - Habilitar captura facial
  * @property {boolean} enableBehavioralTracking - Habilitar rastreamento comportamental
+ * @property {boolean} enableMobileSignals - Rastrear toques e sensores de movimento
+ * @property {string} privacyMode - Privacidade da captura: strict, balanced ou off
+ * @property {number} eventBatchInterval - Intervalo dos lotes de eventos em ms (0 desativa)
  * @property {Object} rules - Configurações do rule engine
  * @property {number} sessionTimeout - Timeout da sessão em ms
  */
@@ -52,7 +55,7 @@
  * @typedef {Object} VerificationResult
  * @property {number} score - Score de confiança (0-100)
  * @property {string} decision - Decisão: 'allow', 'review', 'deny'
- * @property {Object} reasons - Razões para a decisão
+ * @property {Array} reasons - Razões para a decisão ({ code, severity, component, contribution, message })
  * @property {string} sessionId - ID da sessão
  * @property {number} timestamp - Timestamp da verificação
  */
@@ -0,0 +1,79 @@
+/**
+ * Testes para as regras de sinais de automação
+ */
+
+import path from 'path';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { extractFeatures } from '../../src/backend/services/features.js';
+
+describe('regras de sinais de automação', () => {
+  const BOT_RULES = [
+    'webdriver_detected',
+    'automation_artifacts',
+    'headless_browser',
+    'bot_environment_anomalies'
+  ];
+  const fingerprint = {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36'
+  };
+  const cleanSignals = {
+    webdriver: false,
+    headlessUserAgent: false,
+    chromeObjectMissing: false,
+    chromeRuntimeMissing: false,
+    permissionsInconsistent: null,
+    pluginCount: 5,
+    mimeTypeCount: 2,
+    automationArtifacts: [],
+    detected: []
+  };
+
+  // Regras de automação disparadas para os sinais
+  const triggered = async (engine, botSignals) => (await engine.evaluateRules({ fingerprint, botSignals }))
+    .filter(rule => BOT_RULES.includes(rule.id) && rule.passed)
+    .map(rule => rule.id);
+
+  describe.each([
+    ['config/rules.json', path.resolve('config/rules.json')],
+    ['regras padrão', path.resolve('config/missing-rules.json')]
+  ])('%s', (name, rulesPath) => {
+    let engine;
+
+    beforeAll(async () => {
+      engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+    });
+
+    test('não deve disparar para um navegador comum ou sem o bloco botSignals', async () => {
+      expect(await triggered(engine, cleanSignals)).toEqual([]);
+      expect(await triggered(engine, undefined)).toEqual([]);
+    });
+
+    test('deve negar WebDriver, artefatos de automação e navegador headless', async () => {
+      const results = await engine.evaluateRules({
+        fingerprint,
+        botSignals: { ...cleanSignals, webdriver: true, automationArtifacts: ['$cdc_asdjflasutopfhvcZLmcfl_'], headlessUserAgent: true }
+      });
+      const fired = results.filter(rule => rule.passed && BOT_RULES.includes(rule.id));
+
+      expect(fired.map(rule => rule.id)).toEqual(['webdriver_detected', 'automation_artifacts', 'headless_browser']);
+      expect(fired.every(rule => rule.action === 'deny')).toBe(true);
+    });
+
+    test('deve enviar para revisão anomalias do ambiente', async () => {
+      expect(await triggered(engine, { ...cleanSignals, cdpRuntime: true })).toEqual([]);
+      expect(await triggered(engine, { ...cleanSignals, permissionsInconsistent: true })).toEqual(['bot_environment_anomalies']);
+      expect(await triggered(engine, { ...cleanSignals, pluginCount: 0, mimeTypeCount: 0, detected: ['no_plugins'] })).toEqual(['bot_environment_anomalies']);
+    });
+
+    test('não deve exigir plugins de celulares e tablets', async () => {
+      // iPad e WebView Android: sem plugins e sem "Mobile" no user agent, o SDK não lista no_plugins
+      expect(await triggered(engine, { ...cleanSignals, pluginCount: 0, mimeTypeCount: 0 })).toEqual([]);
+    });
+  });
+
+  test('deve contar os sinais disparados nas features', () => {
+    expect(extractFeatures({ fingerprint, botSignals: { ...cleanSignals, detected: ['webdriver', 'no_plugins'] } }).bot_signal_count).toBe(2);
+    expect(extractFeatures({ fingerprint }).bot_signal_count).toBe(0);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Testes para a consistência do fingerprint
+ */
+
+import { analyzeConsistency, timezoneOffsetAt } from '../../src/backend/services/consistency.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+
+describe('analyzeConsistency', () => {
+  const windowsChrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const fingerprint = {
+    userAgent: windowsChrome,
+    platform: 'Win32',
+    timezone: 'America/Sao_Paulo',
+    timezoneOffset: 180,
+    timestamp: Date.parse('2024-06-01T12:00:00Z'),
+    webglFingerprint: JSON.stringify({ renderer: 'WebKit WebGL', unmaskedRenderer: 'ANGLE (NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0)' }),
+    fonts: ['Arial', 'Calibri', 'Segoe UI', 'Tahoma', 'Verdana', 'Consolas'],
+    hardwareConcurrency: '8'
+  };
+  const requestInfo = { userAgent: windowsChrome };
+
+  test('deve aceitar um fingerprint coerente', () => {
+    expect(analyzeConsistency(fingerprint, requestInfo)).toEqual({
+      consistent: true,
+      count: 0,
+      ids: [],
+      inconsistencies: [],
+      penalty: 0
+    });
+  });
+
+  test('deve detectar user agent falsificado com os demais atributos intactos', () => {
+    const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+    const result = analyzeConsistency({ ...fingerprint, userAgent: iphone, hardwareConcurrency: '32' }, requestInfo);
+
+    expect(result.ids).toEqual([
+      'platform_os_mismatch',
+      'webgl_os_mismatch',
+      'fonts_platform_mismatch',
+      'hardware_concurrency_implausible',
+      'user_agent_header_mismatch'
+    ]);
+    expect(result.inconsistencies[0]).toMatchObject({ severity: 'high', fields: ['userAgent', 'platform'] });
+    expect(result.penalty).toBe(25 + 25 + 15 + 15 + 25);
+  });
+
+  test('deve aceitar Android e Chrome OS com platform Linux', () => {
+    const android = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/120.0.0.0 Mobile Safari/537.36';
+    const result = analyzeConsistency({
+      userAgent: android,
+      platform: 'Linux armv8l',
+      webglFingerprint: JSON.stringify({ renderer: 'Mali-G715' }),
+      hardwareConcurrency: '8'
+    });
+
+    expect(result.consistent).toBe(true);
+  });
+
+  test('deve detectar timezoneOffset incompatível com o timezone', () => {
+    expect(analyzeConsistency({ ...fingerprint, timezoneOffset: -60 }, requestInfo).inconsistencies).toEqual([{
+      id: 'timezone_offset_mismatch',
+      severity: 'medium',
+      fields: ['timezone', 'timezoneOffset'],
+      detail: 'Timezone America/Sao_Paulo has offset 180 but timezoneOffset is -60'
+    }]);
+
+    // Horário de verão: o offset depende do instante da coleta
+    expect(timezoneOffsetAt('Europe/Berlin', Date.parse('2024-01-15T12:00:00Z'))).toBe(-60);
+    expect(timezoneOffsetAt('Europe/Berlin', Date.parse('2024-07-15T12:00:00Z'))).toBe(-120);
+    expect(timezoneOffsetAt('Invalid/Zone', Date.now())).toBeNull();
+  });
+
+  test('deve detectar renderer por software e número de núcleos inválido', () => {
+    const result = analyzeConsistency({
+      ...fingerprint,
+      webglFingerprint: 'Google SwiftShader',
+      hardwareConcurrency: '0'
+    }, requestInfo);
+
+    expect(result.ids).toEqual(['webgl_software_renderer', 'hardware_concurrency_implausible']);
+  });
+
+  test('deve ignorar atributos ausentes ou desconhecidos', () => {
+    expect(analyzeConsistency({ userAgent: windowsChrome, hardwareConcurrency: 'unknown' }).consistent).toBe(true);
+    expect(analyzeConsistency(null).count).toBe(0);
+  });
+});
+
+describe('consistência em regras e scoring', () => {
+  const fingerprint = {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 Version/17.0 Safari/605.1.15',
+    platform: 'Win32'
+  };
+
+  test('deve expor as inconsistências às regras', async () => {
+    const engine = new RuleEngine('memory');
+    engine.loadRulesFromObject({
+      rules: [{
+        id: 'spoofed_platform',
+        name: 'Platform falsificada',
+        condition: 'consistency.ids.includes(\'platform_os_mismatch\')',
+        weight: -30,
+        action: 'deny',
+        enabled: true
+      }]
+    });
+
+    expect((await engine.evaluateRules({ fingerprint }))[0].passed).toBe(true);
+    expect((await engine.evaluateRules({ fingerprint: { ...fingerprint, platform: 'MacIntel' } }))[0].passed).toBe(false);
+  });
+
+  test('deve penalizar o score de fingerprint', async () => {
+    const scoring = new ScoringService(null);
+    const consistent = await scoring.calculateScore({ timestamp: Date.now(), fingerprint: { ...fingerprint, platform: 'MacIntel' } }, []);
+    const spoofed = await scoring.calculateScore({ timestamp: Date.now(), fingerprint }, []);
+
+    expect(consistent.breakdown.fingerprint - spoofed.breakdown.fingerprint).toBe(25);
+    expect(spoofed.reasons.map(reason => reason.code)).toContain('FP_INCONSISTENT');
+    expect(consistent.reasons.map(reason => reason.code)).not.toContain('FP_INCONSISTENT');
+  });
+});
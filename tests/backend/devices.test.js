@@ -0,0 +1,186 @@
+/**
+ * Testes para o registro de dispositivos
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { DeviceRegistry, FileDeviceStore, computeDeviceId } from '../../src/backend/services/devices.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+
+describe('Devices', () => {
+  const fingerprint = {
+    userAgent: 'Mozilla/5.0 Chrome/120',
+    timezone: 'America/Sao_Paulo',
+    platform: 'Win32',
+    screenResolution: '1920x1080',
+    canvasFingerprint: 'canvas_a',
+    webglFingerprint: 'webgl_a',
+    audioFingerprint: 'audio_a',
+    fonts: ['Arial', 'Verdana']
+  };
+  const start = Date.parse('2024-01-01T12:00:00Z');
+
+  // Outro aparelho: renderização e áudio diferentes
+  const otherDevice = name => ({
+    ...fingerprint,
+    canvasFingerprint: `canvas_${name}`,
+    webglFingerprint: `webgl_${name}`,
+    audioFingerprint: `audio_${name}`
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('computeDeviceId', () => {
+    test('deve ignorar a ordem das fontes e componentes voláteis', () => {
+      const id = computeDeviceId(fingerprint);
+
+      expect(id).toMatch(/^dev_[0-9a-f]{32}$/);
+      expect(computeDeviceId({
+        ...fingerprint,
+        userAgent: 'Mozilla/5.0 Chrome/121',
+        timezone: 'UTC',
+        fonts: ['Verdana', 'Arial', 'Arial']
+      })).toBe(id);
+      expect(computeDeviceId({ ...fingerprint, canvasFingerprint: 'canvas_b' })).not.toBe(id);
+    });
+
+    test('deve retornar null sem componentes do dispositivo', () => {
+      expect(computeDeviceId(null)).toBeNull();
+      expect(computeDeviceId({ userAgent: 'Mozilla/5.0', fonts: [] })).toBeNull();
+    });
+  });
+
+  describe('DeviceRegistry', () => {
+    test('deve classificar o dispositivo como novo, recente ou conhecido', async () => {
+      jest.useFakeTimers().setSystemTime(start);
+      const registry = new DeviceRegistry({ recentWindowMs: 60 * 60 * 1000 });
+
+      const first = await registry.recognize('user_1', fingerprint);
+      expect(first.device).toMatchObject({ status: 'new', isNew: true, lastSeen: null, verificationCount: 1 });
+      expect(first.user).toEqual({ id: 'user_1', deviceCount: 1, verificationCount: 1 });
+
+      jest.setSystemTime(start + 30 * 60 * 1000);
+      const second = await registry.recognize('user_1', fingerprint);
+      expect(second.device).toMatchObject({
+        status: 'recent',
+        isNew: false,
+        isRecent: true,
+        firstSeen: '2024-01-01T12:00:00.000Z',
+        lastSeen: '2024-01-01T12:00:00.000Z',
+        verificationCount: 2
+      });
+
+      jest.setSystemTime(start + 3 * 24 * 60 * 60 * 1000);
+      const third = await registry.recognize('user_1', fingerprint);
+      expect(third.device).toMatchObject({ status: 'known', isRecent: false, lastSeen: '2024-01-01T12:30:00.000Z' });
+      expect(third.device.ageDays).toBe(3);
+
+      // Outro usuário no mesmo aparelho: novo para ele
+      expect((await registry.recognize('user_2', fingerprint)).device.isNew).toBe(true);
+    });
+
+    test('deve contar dispositivos e descartar os vistos há mais tempo', async () => {
+      jest.useFakeTimers().setSystemTime(start);
+      const registry = new DeviceRegistry({ maxDevicesPerUser: 2 });
+
+      for (const name of ['a', 'b', 'c']) {
+        jest.setSystemTime(Date.now() + 1000);
+        await registry.recognize('user_1', otherDevice(name));
+      }
+
+      const devices = await registry.listDevices('user_1');
+      expect(devices.map(device => device.id)).toEqual([
+        computeDeviceId(otherDevice('c')),
+        computeDeviceId(otherDevice('b'))
+      ]);
+      expect((await registry.recognize('user_1', otherDevice('a'))).device.isNew).toBe(true);
+    });
+
+    test('deve ligar um fingerprint parecido ao dispositivo já conhecido', async () => {
+      const registry = new DeviceRegistry();
+      const first = await registry.recognize('user_1', fingerprint);
+
+      // Navegador atualizado: nova versão, fonte nova e área útil da tela diferente mudam o ID exato
+      const updated = {
+        ...fingerprint,
+        userAgent: 'Mozilla/5.0 Chrome/121',
+        screenResolution: '1920x1040',
+        fonts: ['Arial', 'Verdana', 'Roboto']
+      };
+      const { device, user } = await registry.recognize('user_1', updated);
+
+      expect(device).toMatchObject({ id: first.device.id, status: 'recent', match: 'fuzzy', verificationCount: 2 });
+      expect(device.matchConfidence).toBeGreaterThanOrEqual(0.8);
+      expect(device.changedAttributes).toEqual(['fonts', 'userAgent', 'screenResolution']);
+      expect(user.deviceCount).toBe(1);
+
+      // O ID novo fica ligado ao dispositivo e passa a ser reconhecido de forma exata
+      const again = await registry.recognize('user_1', updated);
+      expect(again.device).toMatchObject({ id: first.device.id, match: 'exact', matchConfidence: 1, changedAttributes: [] });
+    });
+
+    test('deve tratar fingerprints abaixo do threshold como dispositivo novo', async () => {
+      const registry = new DeviceRegistry();
+      await registry.recognize('user_1', fingerprint);
+
+      const { device } = await registry.recognize('user_1', otherDevice('b'));
+      expect(device).toMatchObject({ isNew: true, match: null, matchConfidence: null });
+
+      const exactOnly = new DeviceRegistry({ matcher: null });
+      await exactOnly.recognize('user_1', fingerprint);
+      expect((await exactOnly.recognize('user_1', { ...fingerprint, canvasFingerprint: 'canvas_a2' })).device.isNew).toBe(true);
+    });
+
+    test('deve serializar verificações simultâneas do mesmo usuário', async () => {
+      const registry = new DeviceRegistry();
+
+      await Promise.all([1, 2, 3, 4].map(() => registry.recognize('user_1', fingerprint)));
+
+      expect((await registry.listDevices('user_1'))[0].verificationCount).toBe(4);
+    });
+
+    test('deve persistir os dispositivos em arquivos', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-devices-'));
+      try {
+        await new DeviceRegistry({ store: new FileDeviceStore(directory) }).recognize('user/1', fingerprint);
+
+        const registry = new DeviceRegistry({ store: new FileDeviceStore(directory) });
+        const { device } = await registry.recognize('user/1', fingerprint);
+        expect(device.status).toBe('recent');
+        expect(await fs.readdir(directory)).toHaveLength(1);
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  test('deve expor device e user às regras', async () => {
+    const engine = new RuleEngine('memory');
+    engine.loadRulesFromObject({
+      rules: [{
+        id: 'new_device_many_devices',
+        name: 'Dispositivo novo para usuário com vários dispositivos',
+        condition: 'device.isNew && user.deviceCount > 2',
+        weight: -20,
+        action: 'review',
+        enabled: true
+      }]
+    });
+
+    const registry = new DeviceRegistry();
+    await registry.recognize('user_1', otherDevice('a'));
+    await registry.recognize('user_1', otherDevice('b'));
+
+    const known = await registry.recognize('user_1', otherDevice('a'));
+    expect((await engine.evaluateRules({ fingerprint, ...known }))[0].passed).toBe(false);
+
+    const added = await registry.recognize('user_1', otherDevice('c'));
+    expect((await engine.evaluateRules({ fingerprint, ...added }))[0].passed).toBe(true);
+
+    // Sem userId a condição apenas não dispara
+    expect((await engine.evaluateRules({ fingerprint, device: { id: computeDeviceId(fingerprint) } }))[0].passed).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Testes para os lotes de eventos comportamentais
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { accumulateBatch, mergeStreamedBehavior } from '../../src/backend/services/event-stream.js';
+import { SessionService } from '../../src/backend/services/sessions.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+import { verifyIdentityRoute } from '../../src/backend/routes/identity.js';
+import { sdkMiddleware } from '../../src/backend/middleware/sdk.js';
+
+describe('Event stream', () => {
+  const batch = (sequence, start, extra = {}) => ({
+    sequence,
+    sessionStart: 0,
+    start,
+    end: start + 3000,
+    eventCounts: { click: 3, scroll: 1 },
+    types: ['click', 'scroll'],
+    // click 0, click +1000, scroll +500, click +1500
+    events: [[0, 0], [0, 1000], [1, 500], [0, 1500]],
+    dropped: 0,
+    ...extra
+  });
+
+  describe('accumulateBatch', () => {
+    test('deve acumular contagens e intervalos entre lotes', () => {
+      const first = accumulateBatch(null, batch(0, 10000));
+      const second = accumulateBatch(first.state, batch(1, 20000, { dropped: 2 }));
+
+      expect(second.accepted).toBe(true);
+      expect(second.state).toMatchObject({
+        batchCount: 2,
+        lastSequence: 1,
+        sessionStart: 0,
+        lastEventAt: 23000,
+        totalEvents: 8,
+        droppedEvents: 2,
+        eventCounts: { click: 6, scroll: 2 }
+      });
+      // Intervalos de click: 1000, 2000, 7000 (entre lotes), 1000, 2000
+      expect(second.state.intervals.click).toEqual({ count: 5, sum: 13000, last: 23000 });
+      expect(first.state.eventCounts.click).toBe(3);
+    });
+
+    test('deve ignorar lotes repetidos', () => {
+      const { state } = accumulateBatch(null, batch(0, 10000));
+      const repeated = accumulateBatch(state, batch(0, 10000));
+
+      expect(repeated.accepted).toBe(false);
+      expect(repeated.state).toBe(state);
+    });
+
+    test('deve ignorar índices de tipo inexistentes', () => {
+      const { state } = accumulateBatch(null, batch(0, 0, { types: ['click'], events: [[3, 0], [0, 100]] }));
+
+      expect(Object.keys(state.intervals)).toEqual(['click']);
+    });
+  });
+
+  describe('mergeStreamedBehavior', () => {
+    const { state } = accumulateBatch(accumulateBatch(null, batch(0, 10000)).state, batch(1, 20000));
+    const behavioral = {
+      sessionId: 'tracker_1',
+      startTime: 18000,
+      duration: 5000,
+      totalEvents: 2,
+      eventCounts: { click: 2 },
+      metrics: { clickFrequency: 0.4, mouseDynamics: { pointCount: 40 } },
+      sampleEvents: []
+    };
+
+    test('deve usar os eventos da sessão inteira', () => {
+      const merged = mergeStreamedBehavior(behavioral, state);
+
+      expect(merged).toMatchObject({
+        duration: 23000,
+        totalEvents: 8,
+        eventCounts: { click: 6, scroll: 2 },
+        stream: { batchCount: 2, totalEvents: 8, droppedEvents: 0 }
+      });
+      expect(merged.metrics.clickFrequency).toBeCloseTo(6 / 23);
+      expect(merged.metrics.averageClickInterval).toBe(2600);
+      expect(merged.metrics.averageScrollInterval).toBe(10000);
+      expect(merged.metrics.mouseDynamics).toEqual({ pointCount: 40 });
+    });
+
+    test('deve montar os dados comportamentais só com os lotes', () => {
+      expect(mergeStreamedBehavior(undefined, state)).toMatchObject({ startTime: 0, totalEvents: 8, sampleEvents: [] });
+    });
+
+    test('não deve alterar os dados sem lotes', () => {
+      expect(mergeStreamedBehavior(behavioral, undefined)).toBe(behavioral);
+    });
+  });
+
+  describe('SessionService.recordEvents', () => {
+    test('deve persistir os lotes na sessão', async () => {
+      const service = new SessionService();
+
+      const first = await service.recordEvents(await service.open('session_1'), batch(0, 10000));
+      const repeated = await service.recordEvents(await service.open('session_1'), batch(0, 10000));
+
+      expect(first).toEqual({ accepted: true, batchCount: 1, totalEvents: 4 });
+      expect(repeated).toEqual({ accepted: false, batchCount: 1, totalEvents: 4 });
+      expect((await service.get('session_1')).behavioral.eventCounts).toEqual({ click: 3, scroll: 1 });
+    });
+
+    test('deve manter lotes e verificações gravados em paralelo na mesma sessão', async () => {
+      const service = new SessionService();
+      // Verificação aberta antes dos lotes chegarem
+      const verifying = await service.open('session_1');
+
+      await Promise.all([
+        service.recordEvents(await service.open('session_1'), batch(1, 20000)),
+        service.recordEvents(await service.open('session_1'), batch(0, 10000))
+      ]);
+      const recorded = await service.record(verifying, {}, { score: 90, decision: 'allow' });
+
+      const session = await service.get('session_1');
+      expect(recorded.verifications).toHaveLength(1);
+      expect(session.verifications).toHaveLength(1);
+      expect(session.behavioral).toMatchObject({ batchCount: 1, lastSequence: 1 });
+    });
+  });
+
+  describe('POST /api/identity/events', () => {
+    const config = { apiKey: 'sdk-key' };
+    let sessionService;
+    let app;
+
+    const fingerprint = () => ({
+      userAgent: 'Mozilla/5.0 (Test Browser)',
+      language: 'en-US',
+      platform: 'Test Platform',
+      screenResolution: '1920x1080',
+      timezone: 'UTC',
+      canvasFingerprint: 'test_canvas',
+      webglFingerprint: 'test_webgl',
+      audioFingerprint: 'test_audio',
+      fonts: ['Arial'],
+      plugins: [],
+      hardwareConcurrency: '4',
+      deviceMemory: '8',
+      timestamp: Date.now(),
+      sdkVersion: '1.0.0',
+      sdkName: 'NextTrustSDK'
+    });
+
+    beforeEach(() => {
+      const ruleEngine = new RuleEngine('memory');
+      ruleEngine.loadRulesFromObject({ rules: [] });
+      sessionService = new SessionService();
+      app = express();
+      app.use(express.json());
+      app.use('/api', sdkMiddleware(config));
+      app.use('/api/identity', verifyIdentityRoute(ruleEngine, new ScoringService(null), { sessionService }));
+    });
+
+    test('deve aceitar o corpo text/plain do sendBeacon com a API key na query string', async () => {
+      const response = await request(app)
+        .post('/api/identity/events?apiKey=sdk-key')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ sessionId: 'session_1', timestamp: Date.now(), batch: batch(0, 10000) }));
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({ sessionId: 'session_1', accepted: true, batchCount: 1, totalEvents: 4 });
+    });
+
+    test('deve recusar API key inválida na query string e aceitá-la só nos lotes de eventos', async () => {
+      const events = await request(app)
+        .post('/api/identity/events?apiKey=wrong-key')
+        .send({ sessionId: 'session_1', timestamp: Date.now(), batch: batch(0, 10000) });
+      const verify = await request(app)
+        .post('/api/identity/verify?apiKey=sdk-key')
+        .send({ sessionId: 'session_1', timestamp: Date.now(), fingerprint: fingerprint() });
+
+      expect(events.status).toBe(401);
+      expect(verify.status).toBe(401);
+    });
+
+    test('deve responder 200 a um lote com sequence repetida', async () => {
+      const send = () => request(app)
+        .post('/api/identity/events')
+        .set('X-API-Key', 'sdk-key')
+        .send({ sessionId: 'session_1', timestamp: Date.now(), batch: batch(0, 10000) });
+
+      expect((await send()).status).toBe(202);
+      const repeated = await send();
+
+      expect(repeated.status).toBe(200);
+      expect(repeated.body).toMatchObject({ accepted: false, batchCount: 1 });
+    });
+
+    test('deve usar os lotes recebidos na verificação da sessão', async () => {
+      for (const [sequence, start] of [[0, 10000], [1, 20000]]) {
+        await request(app)
+          .post('/api/identity/events')
+          .set('X-API-Key', 'sdk-key')
+          .send({ sessionId: 'session_1', timestamp: Date.now(), batch: batch(sequence, start) })
+          .expect(202);
+      }
+
+      const response = await request(app)
+        .post('/api/identity/verify')
+        .set('X-API-Key', 'sdk-key')
+        .send({ sessionId: 'session_1', timestamp: Date.now(), fingerprint: fingerprint() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.metadata.behavioral).toMatchObject({ collected: true, eventCount: 8, streamedBatches: 2 });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Testes para a linguagem de expressões das regras
+ */
+
+import {
+  compileExpression,
+  formatNode,
+  ExpressionSyntaxError,
+  ExpressionEvaluationError
+} from '../../src/backend/services/expression.js';
+
+describe('compileExpression', () => {
+  const evaluate = (source, scope = {}, functions = {}) => compileExpression(source).evaluate(scope, functions);
+
+  describe('acesso a membros', () => {
+    test('deve resolver caminhos com três ou mais níveis', () => {
+      const scope = { behavioral: { metrics: { clickFrequency: 0.8 } } };
+
+      expect(evaluate('behavioral.metrics.clickFrequency > 0.5', scope)).toBe(true);
+    });
+
+    test('deve ser null-safe em qualquer profundidade', () => {
+      expect(evaluate('behavioral.metrics.clickFrequency', {})).toBeNull();
+      expect(evaluate('a.b.c.d.e === null', { a: { b: null } })).toBe(true);
+    });
+
+    test('deve suportar acesso por índice', () => {
+      expect(evaluate('fingerprint.fonts[1]', { fingerprint: { fonts: ['Arial', 'Verdana'] } })).toBe('Verdana');
+      expect(evaluate('fingerprint[\'userAgent\']', { fingerprint: { userAgent: 'ua' } })).toBe('ua');
+    });
+
+    test('deve bloquear acesso ao protótipo', () => {
+      expect(() => evaluate('fingerprint.constructor', { fingerprint: {} })).toThrow(ExpressionEvaluationError);
+      expect(() => evaluate('fingerprint[\'__proto__\']', { fingerprint: {} })).toThrow(ExpressionEvaluationError);
+    });
+  });
+
+  describe('operadores', () => {
+    test('deve avaliar operadores booleanos e de comparação', () => {
+      const scope = { a: 5, b: 'x' };
+
+      expect(evaluate('a > 3 && a <= 5', scope)).toBe(true);
+      expect(evaluate('a < 3 || b === \'x\'', scope)).toBe(true);
+      expect(evaluate('!(a >= 10) && b !== "y"', scope)).toBe(true);
+    });
+
+    test('comparações relacionais com null devem ser falsas', () => {
+      expect(evaluate('missing < 10', {})).toBe(false);
+      expect(evaluate('missing > 10', {})).toBe(false);
+    });
+
+    test('deve avaliar o operador in', () => {
+      expect(evaluate('platform in [\'Win32\', \'MacIntel\']', { platform: 'Win32' })).toBe(true);
+      expect(evaluate('\'bot\' in userAgent', { userAgent: 'googlebot' })).toBe(true);
+      expect(evaluate('\'key\' in obj', { obj: { key: 1 } })).toBe(true);
+      expect(evaluate('x in missing', { x: 1 })).toBe(false);
+    });
+
+    test('deve avaliar aritmética', () => {
+      expect(evaluate('(a + b) * 2 - 1', { a: 1, b: 2 })).toBe(5);
+    });
+  });
+
+  describe('métodos', () => {
+    test('deve permitir métodos de string e array', () => {
+      expect(evaluate('ua.toLowerCase().includes(\'bot\')', { ua: 'GoogleBot' })).toBe(true);
+      expect(evaluate('fonts.includes(\'Arial\') && fonts.length == 2', { fonts: ['Arial', 'Verdana'] })).toBe(true);
+    });
+
+    test('métodos sobre valores ausentes devem retornar null', () => {
+      expect(evaluate('fingerprint.userAgent.includes(\'bot\')', { fingerprint: {} })).toBeNull();
+    });
+
+    test('deve rejeitar métodos não permitidos', () => {
+      expect(() => evaluate('ua.replace(\'a\', \'b\')', { ua: 'abc' })).toThrow('not allowed');
+    });
+  });
+
+  describe('funções', () => {
+    test('deve chamar funções registradas', () => {
+      const functions = { double: (value) => value * 2 };
+
+      expect(evaluate('double(2) == 4', {}, functions)).toBe(true);
+    });
+
+    test('deve rejeitar funções desconhecidas', () => {
+      expect(() => evaluate('eval(\'1\')', {})).toThrow('Unknown function \'eval\'');
+    });
+
+    test('deve expor funções referenciadas', () => {
+      const compiled = compileExpression('count(\'ip\', \'10m\') > 5 && fingerprint.userAgent');
+
+      expect(compiled.references.functions).toEqual(['count']);
+      expect(compiled.references.identifiers).toEqual(['fingerprint']);
+    });
+  });
+
+  describe('erros de sintaxe', () => {
+    test('deve reportar linha e coluna', () => {
+      let error;
+      try {
+        compileExpression('fingerprint.userAgent &&\n  (behavioral.totalEvents > ');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(ExpressionSyntaxError);
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(29);
+    });
+
+    test('deve rejeitar caracteres e strings inválidos', () => {
+      expect(() => compileExpression('a = 1')).toThrow(ExpressionSyntaxError);
+      expect(() => compileExpression('\'aberta')).toThrow('Unterminated string literal');
+      expect(() => compileExpression('')).toThrow('Empty expression');
+    });
+  });
+
+  describe('explain', () => {
+    test('deve registrar campos lidos e subexpressões avaliadas', () => {
+      const { value, trace } = compileExpression('fingerprint.userAgent && behavioral.totalEvents > 5')
+        .explain({ fingerprint: { userAgent: 'UA' }, behavioral: { totalEvents: 3 } });
+
+      expect(value).toBe(false);
+      expect(trace.fields).toEqual({ 'fingerprint.userAgent': 'UA', 'behavioral.totalEvents': 3 });
+      expect(trace.expressions).toContainEqual({ expression: 'behavioral.totalEvents > 5', value: false });
+    });
+
+    test('deve anexar o trace parcial ao erro de avaliação', () => {
+      let error;
+      try {
+        compileExpression('a > 1 && desconhecida()').explain({ a: 2 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(ExpressionEvaluationError);
+      expect(error.trace.expressions).toEqual([{ expression: 'a > 1', value: true }]);
+    });
+
+    test('deve formatar a AST em forma canônica', () => {
+      const compiled = compileExpression('(a+1)*2>=b   &&  !c.d || inList("x",e)');
+
+      expect(formatNode(compiled.ast)).toBe('(a + 1) * 2 >= b && !c.d || inList(\'x\', e)');
+    });
+  });
+});
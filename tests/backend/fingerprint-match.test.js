@@ -0,0 +1,79 @@
+/**
+ * Testes para a comparação aproximada de fingerprints
+ */
+
+import { FingerprintMatcher, fingerprintSimilarity } from '../../src/backend/services/fingerprint-match.js';
+
+describe('fingerprintSimilarity', () => {
+  const fingerprint = {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.6099.109 Safari/537.36',
+    platform: 'Win32',
+    screenResolution: '1920x1080',
+    timezone: 'America/Sao_Paulo',
+    canvasFingerprint: 'canvas_a',
+    webglFingerprint: 'webgl_a',
+    audioFingerprint: 'audio_a',
+    fonts: ['Arial', 'Verdana', 'Tahoma', 'Georgia']
+  };
+
+  test('deve retornar 1 para fingerprints iguais', () => {
+    expect(fingerprintSimilarity(fingerprint, { ...fingerprint })).toEqual({
+      score: 1,
+      attributes: expect.any(Object),
+      changedAttributes: []
+    });
+  });
+
+  test('deve tolerar mudanças de versão, resolução e fontes', () => {
+    const { attributes, changedAttributes } = fingerprintSimilarity(fingerprint, {
+      ...fingerprint,
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/121.0.6167.85 Safari/537.36',
+      screenResolution: '1080x1920',
+      fonts: ['Arial', 'Verdana', 'Tahoma', 'Georgia', 'Roboto']
+    });
+
+    expect(attributes.userAgent).toBe(0.9);
+    expect(attributes.screenResolution).toBe(1);
+    expect(attributes.fonts).toBe(0.8);
+    expect(changedAttributes).toEqual(['fonts', 'userAgent']);
+
+    expect(fingerprintSimilarity(fingerprint, { ...fingerprint, screenResolution: '1280x720' }).attributes.screenResolution)
+      .toBeCloseTo(921600 / 2073600);
+    expect(fingerprintSimilarity(fingerprint, { ...fingerprint, userAgent: 'Mozilla/5.0 Firefox/121.0' }).attributes.userAgent)
+      .toBe(0);
+  });
+
+  test('deve ignorar atributos ausentes nos dois fingerprints', () => {
+    const a = { platform: 'Win32', canvasFingerprint: 'canvas_a' };
+
+    expect(fingerprintSimilarity(a, { ...a }).score).toBe(1);
+    expect(fingerprintSimilarity(a, { platform: 'Win32' })).toMatchObject({
+      score: 0.1 / 0.25,
+      changedAttributes: ['canvasFingerprint']
+    });
+  });
+});
+
+describe('FingerprintMatcher', () => {
+  const candidates = [
+    { id: 'desktop', fingerprint: { platform: 'Win32', canvasFingerprint: 'a', webglFingerprint: 'a', audioFingerprint: 'a' } },
+    { id: 'phone', fingerprint: { platform: 'iPhone', canvasFingerprint: 'b', webglFingerprint: 'b', audioFingerprint: 'b' } },
+    { id: 'legado' }
+  ];
+
+  test('deve escolher o candidato mais parecido acima do threshold', () => {
+    const matcher = new FingerprintMatcher({ threshold: 0.7 });
+    const match = matcher.match({ platform: 'Win32', canvasFingerprint: 'c', webglFingerprint: 'a', audioFingerprint: 'a' }, candidates);
+
+    expect(match.candidate.id).toBe('desktop');
+    expect(match.confidence).toBeCloseTo(0.35 / 0.5);
+    expect(match.changedAttributes).toEqual(['canvasFingerprint']);
+    expect(new FingerprintMatcher({ threshold: 0.75 }).match({ platform: 'Win32', canvasFingerprint: 'c', webglFingerprint: 'a', audioFingerprint: 'a' }, candidates))
+      .toBeNull();
+  });
+
+  test('deve rejeitar threshold fora de (0, 1]', () => {
+    expect(() => new FingerprintMatcher({ threshold: 0 })).toThrow('between 0 and 1');
+    expect(() => new FingerprintMatcher({ threshold: 1.5 })).toThrow('between 0 and 1');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Testes para a dinâmica de digitação
+ */
+
+import { analyzeKeystrokes, compareTypingProfile, updateTypingProfile } from '../../src/backend/services/keystroke.js';
+import { DeviceRegistry } from '../../src/backend/services/devices.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+
+describe('Keystroke', () => {
+  // Digitação de uma pessoa: dwell ~95 ms e flight ~140 ms, com variação
+  const human = {
+    keyCount: 40,
+    dwellSamples: 40,
+    dwellMean: 95,
+    dwellVariance: 900,
+    flightSamples: 39,
+    flightMean: 140,
+    flightVariance: 4900,
+    correctionRate: 0.05
+  };
+  // Script: teclas instantâneas em intervalos fixos
+  const scripted = {
+    ...human,
+    dwellMean: 2,
+    dwellVariance: 0,
+    flightMean: 8,
+    flightVariance: 1,
+    correctionRate: 0
+  };
+
+  describe('analyzeKeystrokes', () => {
+    test('deve aceitar digitação humana', () => {
+      expect(analyzeKeystrokes(human)).toEqual({
+        analyzed: true,
+        humanLike: true,
+        count: 0,
+        ids: [],
+        anomalies: [],
+        penalty: 0
+      });
+    });
+
+    test('deve detectar digitação instantânea e uniforme', () => {
+      const result = analyzeKeystrokes(scripted);
+
+      expect(result.ids).toEqual(['dwell_too_short', 'dwell_too_uniform', 'flight_too_uniform', 'flight_too_fast']);
+      expect(result.anomalies[0]).toEqual({ id: 'dwell_too_short', severity: 'high', detail: 'Average key hold time is 2 ms' });
+      expect(result.penalty).toBe(25 + 25 + 15 + 15);
+    });
+
+    test('não deve analisar com poucas amostras', () => {
+      expect(analyzeKeystrokes({ ...scripted, dwellSamples: 5 })).toMatchObject({ analyzed: false, humanLike: true });
+      expect(analyzeKeystrokes(undefined).analyzed).toBe(false);
+    });
+  });
+
+  describe('perfil de digitação', () => {
+    test('deve comparar a digitação depois das primeiras verificações', () => {
+      let profile = null;
+      expect(compareTypingProfile(profile, human)).toEqual({ status: 'enrolling', distance: null, profileSamples: 0 });
+
+      profile = updateTypingProfile(profile, human);
+      profile = updateTypingProfile(profile, { ...human, dwellMean: 105, flightMean: 150 });
+      expect(profile.samples).toBe(2);
+      expect(profile.mean.dwellMean).toBe(100);
+
+      const same = compareTypingProfile(profile, { ...human, dwellMean: 98, flightMean: 160 });
+      expect(same.status).toBe('match');
+      expect(same.profileSamples).toBe(2);
+
+      // Outra pessoa: segura as teclas por mais tempo e digita mais devagar
+      const other = compareTypingProfile(profile, { ...human, dwellMean: 180, flightMean: 320, correctionRate: 0.2 });
+      expect(other.status).toBe('mismatch');
+      expect(other.distance).toBeGreaterThan(2.5);
+
+      expect(compareTypingProfile(profile, { dwellSamples: 0 }).status).toBe('no_data');
+    });
+  });
+
+  describe('perfil no registro de dispositivos', () => {
+    const fingerprint = {
+      userAgent: 'Mozilla/5.0 Chrome/120',
+      platform: 'Win32',
+      screenResolution: '1920x1080',
+      canvasFingerprint: 'canvas_a',
+      webglFingerprint: 'webgl_a',
+      audioFingerprint: 'audio_a',
+      fonts: ['Arial']
+    };
+
+    test('deve guardar o perfil por dispositivo sem incorporar digitações suspeitas', async () => {
+      const registry = new DeviceRegistry();
+
+      const first = await registry.recognize('user_1', fingerprint, { keystrokeDynamics: human });
+      expect(first.device.typing.status).toBe('enrolling');
+      await registry.recognize('user_1', fingerprint, { keystrokeDynamics: human });
+
+      const impostor = await registry.recognize('user_1', fingerprint, {
+        keystrokeDynamics: { ...human, dwellMean: 200, flightMean: 400, correctionRate: 0.3 }
+      });
+      expect(impostor.device.typing.status).toBe('mismatch');
+      await registry.recognize('user_1', fingerprint, { keystrokeDynamics: scripted });
+
+      const [device] = await registry.listDevices('user_1');
+      expect(device.typingProfile.samples).toBe(2);
+      expect((await registry.recognize('user_1', fingerprint, { keystrokeDynamics: human })).device.typing.status).toBe('match');
+
+      // Sem dinâmica de digitação o perfil é mantido
+      expect((await registry.recognize('user_1', fingerprint)).device.typing.status).toBe('no_data');
+      expect((await registry.listDevices('user_1'))[0].typingProfile.samples).toBe(3);
+    });
+  });
+
+  describe('scoring', () => {
+    const data = metrics => ({
+      timestamp: Date.now(),
+      behavioral: { duration: 60000, totalEvents: 30, metrics }
+    });
+
+    test('deve penalizar a digitação de script e a diferente do perfil', async () => {
+      const scoring = new ScoringService(null);
+      const normal = await scoring.calculateScore(data({ keystrokeDynamics: human }), []);
+      const bot = await scoring.calculateScore(data({ keystrokeDynamics: scripted }), []);
+      const mismatch = await scoring.calculateScore({
+        ...data({ keystrokeDynamics: human }),
+        device: { typing: { status: 'mismatch', distance: 4, profileSamples: 3 } }
+      }, []);
+
+      expect(normal.breakdown.behavioral).toBe(50);
+      expect(bot.breakdown.behavioral).toBe(0);
+      expect(bot.reasons.map(reason => reason.code)).toContain('BEHAVIOR_KEYSTROKE_ANOMALY');
+      expect(normal.breakdown.behavioral - mismatch.breakdown.behavioral).toBe(20);
+      expect(mismatch.reasons.map(reason => reason.code)).toContain('BEHAVIOR_TYPING_MISMATCH');
+      expect(normal.reasons.map(reason => reason.code)).not.toContain('BEHAVIOR_KEYSTROKE_ANOMALY');
+    });
+  });
+});
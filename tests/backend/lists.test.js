@@ -0,0 +1,201 @@
+/**
+ * Testes para as listas nomeadas
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { NamedList, ListRegistry, LIST_TYPES } from '../../src/backend/services/lists.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+
+describe('Named lists', () => {
+  describe('NamedList', () => {
+    test('deve comparar IPs e faixas CIDR IPv4 e IPv6', () => {
+      const list = new NamedList({
+        name: 'blocked_ips',
+        type: LIST_TYPES.IP,
+        entries: ['198.51.100.7', '203.0.113.0/24', '2001:db8::/32']
+      });
+
+      expect(list.contains('198.51.100.7')).toBe(true);
+      expect(list.contains('198.51.100.8')).toBe(false);
+      expect(list.contains('203.0.113.200')).toBe(true);
+      expect(list.contains('203.0.114.1')).toBe(false);
+      expect(list.contains('::ffff:203.0.113.5')).toBe(true);
+      expect(list.contains('2001:db8:1::1')).toBe(true);
+      expect(list.contains('2001:db9::1')).toBe(false);
+      expect(list.contains('not-an-ip')).toBe(false);
+      expect(list.contains(null)).toBe(false);
+    });
+
+    test('deve rejeitar entradas de IP inválidas', () => {
+      expect(() => new NamedList({ name: 'ips', type: LIST_TYPES.IP, entries: ['10.0.0.0/33'] }))
+        .toThrow('Invalid IP or CIDR \'10.0.0.0/33\' in list ips');
+      expect(() => new NamedList({ name: 'ips', type: LIST_TYPES.IP, entries: ['example.com'] }))
+        .toThrow('Invalid IP or CIDR');
+    });
+
+    test('deve comparar trechos de user agent sem diferenciar maiúsculas', () => {
+      const list = new NamedList({ name: 'ua', type: LIST_TYPES.SUBSTRING, entries: ['bot', 'HeadlessChrome'] });
+
+      expect(list.contains('Mozilla/5.0 (compatible; Googlebot/2.1)')).toBe(true);
+      expect(list.contains('Mozilla/5.0 headlesschrome/120')).toBe(true);
+      expect(list.contains('Mozilla/5.0 (Windows NT 10.0)')).toBe(false);
+    });
+
+    test('deve comparar domínios de e-mail incluindo subdomínios', () => {
+      const list = new NamedList({ name: 'domains', type: LIST_TYPES.DOMAIN, entries: ['mailinator.com', '@tempmail.dev'] });
+
+      expect(list.contains('user@mailinator.com')).toBe(true);
+      expect(list.contains('user@eu.mailinator.com')).toBe(true);
+      expect(list.contains('USER@TEMPMAIL.DEV')).toBe(true);
+      expect(list.contains('user@notmailinator.com')).toBe(false);
+    });
+
+    test('deve criar nova lista com entradas adicionadas e removidas', () => {
+      const list = new NamedList({ name: 'hashes', entries: ['a', 'b'] });
+      const updated = list.withChanges({ add: ['c', 'a'], remove: ['b'] });
+
+      expect(updated.entries).toEqual(['a', 'c']);
+      expect(list.entries).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('RuleEngine', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-lists-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const blockedIpRule = {
+      id: 'blocked_ip',
+      name: 'Blocked IP',
+      condition: 'inList(\'blocked_ips\', requestInfo.ip)',
+      weight: -50,
+      action: 'deny',
+      enabled: true
+    };
+
+    const writeRules = async (lists, rules = [blockedIpRule]) => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({ lists, rules }));
+      return rulesPath;
+    };
+
+    test('deve avaliar inList() com listas carregadas de arquivos relativos a rules.json', async () => {
+      await fs.mkdir(path.join(tempDir, 'lists'));
+      await fs.writeFile(path.join(tempDir, 'lists', 'blocked.txt'), '# comentário\n10.0.0.0/8\n');
+      const rulesPath = await writeRules({ blocked_ips: { type: 'ip', file: './lists/blocked.txt' } });
+
+      const engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+
+      const [blocked] = await engine.evaluateRules({ requestInfo: { ip: '10.20.30.40' } });
+      const [allowed] = await engine.evaluateRules({ requestInfo: { ip: '192.168.0.1' } });
+
+      expect(blocked.passed).toBe(true);
+      expect(allowed.passed).toBe(false);
+    });
+
+    test('deve rejeitar regras que referenciam listas inexistentes', () => {
+      const engine = new RuleEngine('memory');
+
+      expect(() => engine.loadRulesFromObject({ rules: [blockedIpRule] }))
+        .toThrow('blocked_ip: Unknown list \'blocked_ips\'');
+    });
+
+    test('deve recarregar quando apenas o arquivo da lista muda', async () => {
+      const listPath = path.join(tempDir, 'blocked.txt');
+      await fs.writeFile(listPath, '10.0.0.1\n');
+      const rulesPath = await writeRules({ blocked_ips: { type: 'ip', file: 'blocked.txt' } });
+
+      const engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+      const version = engine.version;
+
+      expect(await engine.reloadRules()).toBe(true);
+      expect(engine.version).toBe(version);
+
+      await fs.writeFile(listPath, '10.0.0.1\n10.0.0.2\n');
+      await engine.reloadRules();
+
+      expect(engine.version).toBe(version + 1);
+      expect(engine.lists.contains('blocked_ips', '10.0.0.2')).toBe(true);
+    });
+
+    test('deve manter o conjunto anterior se o arquivo da lista for inválido', async () => {
+      const listPath = path.join(tempDir, 'blocked.txt');
+      await fs.writeFile(listPath, '10.0.0.1\n');
+      const rulesPath = await writeRules({ blocked_ips: { type: 'ip', file: 'blocked.txt' } });
+
+      const engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+
+      await fs.writeFile(listPath, '10.0.0.1/99\n');
+
+      expect(await engine.reloadRules()).toBe(false);
+      expect(engine.lists.contains('blocked_ips', '10.0.0.1')).toBe(true);
+    });
+
+    test('deve persistir alterações de listas em arquivo', async () => {
+      const listPath = path.join(tempDir, 'blocked.txt');
+      await fs.writeFile(listPath, '10.0.0.1\n');
+      const rulesPath = await writeRules({ blocked_ips: { type: 'ip', file: 'blocked.txt' } });
+
+      const engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+
+      const { list, version } = await engine.updateList('blocked_ips', { add: ['172.16.0.0/12'], remove: ['10.0.0.1'] });
+
+      expect(list.entries).toEqual(['172.16.0.0/12']);
+      expect(engine.version).toBe(version);
+      expect(await fs.readFile(listPath, 'utf8')).toBe('172.16.0.0/12\n');
+      expect(engine.lists.contains('blocked_ips', '172.20.1.1')).toBe(true);
+
+      // Conteúdo gravado pelo próprio engine não gera nova versão
+      await engine.reloadRules();
+      expect(engine.version).toBe(version);
+    });
+
+    test('deve manter os comentários do arquivo ao alterar a lista', async () => {
+      const listPath = path.join(tempDir, 'blocked.txt');
+      await fs.writeFile(listPath, '# IPs bloqueados\n# 203.0.113.0/24\n\n10.0.0.1 # ataque de 2024\n10.0.0.2\n');
+      const rulesPath = await writeRules({ blocked_ips: { type: 'ip', file: 'blocked.txt' } });
+
+      const engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+      const before = engine.getList('blocked_ips');
+
+      const { version } = await engine.updateList('blocked_ips', { add: ['10.0.0.3'], remove: ['10.0.0.2'] });
+      expect(await fs.readFile(listPath, 'utf8')).toBe('# IPs bloqueados\n# 203.0.113.0/24\n\n10.0.0.1 # ataque de 2024\n10.0.0.3\n');
+
+      await engine.reloadRules();
+      expect(engine.version).toBe(version);
+
+      await engine.restoreList(before);
+      expect(await fs.readFile(listPath, 'utf8')).toBe('# IPs bloqueados\n# 203.0.113.0/24\n\n10.0.0.1 # ataque de 2024\n10.0.0.2\n');
+    });
+
+    test('deve persistir listas inline em rules.json', async () => {
+      const rulesPath = await writeRules({ blocked_ips: { type: 'ip', entries: ['10.0.0.1'] } });
+
+      const engine = new RuleEngine(rulesPath);
+      await engine.loadRules();
+      await engine.updateList('blocked_ips', { add: ['10.0.0.2'] });
+
+      const saved = JSON.parse(await fs.readFile(rulesPath, 'utf8'));
+      expect(saved.lists.blocked_ips).toEqual({ type: 'ip', entries: ['10.0.0.1', '10.0.0.2'] });
+      expect(saved.rules).toHaveLength(1);
+    });
+  });
+
+  test('ListRegistry.fromDefinitions deve recusar listas em arquivo', () => {
+    expect(() => ListRegistry.fromDefinitions({ ips: { type: 'ip', file: 'ips.txt' } }))
+      .toThrow('List ips references a file');
+  });
+});
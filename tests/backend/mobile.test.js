@@ -0,0 +1,156 @@
+/**
+ * Testes para os sinais de toque e sensores
+ */
+
+import path from 'path';
+import { analyzeMobileSignals } from '../../src/backend/services/mobile.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+
+describe('Mobile', () => {
+  // Aparelho na mão de uma pessoa: toques variados e sensores tremendo
+  const human = {
+    touchDynamics: {
+      touchCount: 14,
+      tapCount: 10,
+      swipeCount: 4,
+      untrustedCount: 0,
+      tapDuration: { mean: 95, stdDev: 28, max: 160 },
+      swipeVelocity: { mean: 1200, stdDev: 400, max: 1900 },
+      force: { mean: 0.42, stdDev: 0.08, max: 0.6 },
+      radius: { mean: 11, stdDev: 2.1, max: 15 },
+      forceSamples: 40,
+      radiusSamples: 40
+    },
+    sensorDynamics: {
+      motionSamples: 300,
+      motionJitter: { mean: 0.12, stdDev: 0.09, max: 0.8 },
+      gravity: { mean: 9.79, stdDev: 0.1, max: 10.2 },
+      orientationSamples: 300,
+      orientationJitter: { mean: 0.4, stdDev: 0.3, max: 3.1 },
+      orientationChanges: 0
+    }
+  };
+  // Emulador: toques idênticos e sensores congelados
+  const emulated = {
+    touchDynamics: {
+      ...human.touchDynamics,
+      tapDuration: { mean: 100, stdDev: 0, max: 100 },
+      force: { mean: 1, stdDev: 0, max: 1 },
+      radius: { mean: 1, stdDev: 0, max: 1 }
+    },
+    sensorDynamics: {
+      ...human.sensorDynamics,
+      motionJitter: { mean: 0, stdDev: 0, max: 0 },
+      gravity: { mean: 0, stdDev: 0, max: 0 },
+      orientationJitter: { mean: 0, stdDev: 0, max: 0 }
+    }
+  };
+
+  describe('analyzeMobileSignals', () => {
+    test('deve aceitar toques e sensores de uma pessoa', () => {
+      expect(analyzeMobileSignals(human)).toEqual({
+        analyzed: true,
+        humanLike: true,
+        count: 0,
+        ids: [],
+        anomalies: [],
+        penalty: 0
+      });
+    });
+
+    test('deve detectar toques uniformes e sensores parados', () => {
+      const result = analyzeMobileSignals(emulated);
+
+      expect(result.ids).toEqual([
+        'constant_touch_contact',
+        'uniform_tap_duration',
+        'motion_sensor_still',
+        'orientation_sensor_still',
+        'no_gravity'
+      ]);
+      expect(result.anomalies[2]).toEqual({
+        id: 'motion_sensor_still',
+        severity: 'high',
+        detail: 'Accelerometer did not change across 300 readings'
+      });
+      expect(result.penalty).toBe(15 + 15 + 25 + 25 + 15);
+    });
+
+    test('não deve confundir pressão e raio ausentes com contato constante', () => {
+      // iPhone sem 3D Touch: force sempre 0 e nenhum radiusX
+      const iphone = {
+        ...human.touchDynamics,
+        force: { mean: 0, stdDev: 0, max: 0 },
+        radius: { mean: 0, stdDev: 0, max: 0 },
+        forceSamples: 40,
+        radiusSamples: 0
+      };
+      // SDK antigo, sem contagem de amostras
+      const legacy = { ...emulated.touchDynamics, forceSamples: undefined, radiusSamples: undefined };
+
+      expect(analyzeMobileSignals({ touchDynamics: iphone }).ids).toEqual([]);
+      expect(analyzeMobileSignals({ touchDynamics: { ...iphone, radiusSamples: 40 } }).ids).toEqual([]);
+      expect(analyzeMobileSignals({ touchDynamics: legacy }).ids).not.toContain('constant_touch_contact');
+    });
+
+    test('deve detectar toques sintéticos', () => {
+      const result = analyzeMobileSignals({ touchDynamics: { touchCount: 1, untrustedCount: 1 } });
+
+      expect(result).toMatchObject({ analyzed: true, ids: ['synthetic_touches'], penalty: 25 });
+    });
+
+    test('não deve analisar sem toques nem leituras suficientes', () => {
+      expect(analyzeMobileSignals({
+        touchDynamics: { touchCount: 0 },
+        sensorDynamics: { ...emulated.sensorDynamics, motionSamples: 5, orientationSamples: 5 }
+      })).toMatchObject({ analyzed: false, humanLike: true });
+      expect(analyzeMobileSignals(undefined).analyzed).toBe(false);
+    });
+  });
+
+  describe('regras e scoring', () => {
+    const data = metrics => ({
+      timestamp: Date.now(),
+      fingerprint: { userAgent: 'Mozilla/5.0' },
+      behavioral: { duration: 60000, totalEvents: 30, metrics: { mouseMovementDistance: 500, ...metrics } }
+    });
+
+    test('deve expor a análise às regras', async () => {
+      const engine = new RuleEngine('memory');
+      engine.loadRulesFromObject({
+        rules: [{
+          id: 'still_sensors',
+          name: 'Sensores parados',
+          condition: 'mobile.ids.includes(\'motion_sensor_still\')',
+          weight: -30,
+          action: 'review',
+          enabled: true
+        }]
+      });
+
+      expect((await engine.evaluateRules(data(emulated)))[0].passed).toBe(true);
+      expect((await engine.evaluateRules(data(human)))[0].passed).toBe(false);
+    });
+
+    test('não deve revisar a falta de mouse em aparelhos com toque (config/rules.json)', async () => {
+      const engine = new RuleEngine(path.resolve('config/rules.json'));
+      await engine.loadRules();
+      const mouseCheck = async metrics => (await engine.evaluateRules(data(metrics)))
+        .find(rule => rule.id === 'mouse_movement_check').passed;
+
+      expect(await mouseCheck({ mouseMovementDistance: 0 })).toBe(true);
+      expect(await mouseCheck({ ...human, mouseMovementDistance: 0 })).toBe(false);
+    });
+
+    test('deve penalizar o score comportamental', async () => {
+      const scoring = new ScoringService(null);
+      const normal = await scoring.calculateScore(data(human), []);
+      const bot = await scoring.calculateScore(data({ touchDynamics: { touchCount: 1, untrustedCount: 1 } }), []);
+
+      expect(normal.breakdown.behavioral - bot.breakdown.behavioral).toBe(25);
+      expect(bot.reasons.map(reason => reason.code)).toContain('BEHAVIOR_MOBILE_ANOMALY');
+      expect(normal.reasons.map(reason => reason.code)).not.toContain('BEHAVIOR_MOBILE_ANOMALY');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Testes para a extração de features e os modelos de scoring
+ */
+
+import { FEATURE_NAMES, extractFeatures, toFeatureVector } from '../../src/backend/services/features.js';
+import { createModel } from '../../src/backend/services/model.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+
+describe('extractFeatures', () => {
+  test('deve extrair features numéricas de fingerprint, comportamento e requisição', () => {
+    const features = extractFeatures({
+      timestamp: Date.parse('2024-01-01T00:00:00Z'),
+      fingerprint: {
+        userAgent: 'Googlebot/2.1',
+        language: 'pt-BR',
+        platform: 'Linux',
+        screenResolution: '1920x1080',
+        fonts: ['Arial', 'Verdana'],
+        hardwareConcurrency: '8'
+      },
+      behavioral: { duration: 10000, totalEvents: 50, metrics: { clickFrequency: 0.5 } },
+      requestInfo: { userAgent: 'curl/8.0', receivedAt: '2024-01-01T00:00:30Z' }
+    });
+
+    expect(Object.keys(features)).toEqual(FEATURE_NAMES);
+    expect(features.fingerprint_completeness).toBe(0.5);
+    expect(features.suspicious_user_agent).toBe(1);
+    expect(features.font_count).toBe(2);
+    expect(features.hardware_concurrency).toBe(8);
+    expect(features.events_per_second).toBe(5);
+    expect(features.user_agent_mismatch).toBe(1);
+    expect(features.data_age).toBe(30);
+  });
+
+  test('deve tolerar dados ausentes', () => {
+    const features = extractFeatures({});
+
+    expect(Object.values(features).every(Number.isFinite)).toBe(true);
+    expect(features.has_fingerprint).toBe(0);
+    expect(toFeatureVector(features, ['has_behavioral', 'total_events'])).toEqual([0, 0]);
+  });
+});
+
+describe('createModel', () => {
+  const data = { fingerprint: { userAgent: 'Googlebot/2.1' }, behavioral: { duration: 1000, totalEvents: 2 } };
+
+  test('deve calcular a regressão logística com normalização', () => {
+    const model = createModel({
+      type: 'logistic_regression',
+      features: ['suspicious_user_agent', 'total_events'],
+      intercept: 0,
+      coefficients: [2, 1],
+      scaling: { mean: [0, 2], std: [1, 1] }
+    });
+
+    expect(model.predictVector([0, 2])).toBeCloseTo(0.5);
+    expect(model.predict(data)).toBeCloseTo(1 / (1 + Math.exp(-2)));
+  });
+
+  test('deve somar as folhas das árvores com gradient boosting', () => {
+    const model = createModel({
+      type: 'gradient_boosted_trees',
+      features: ['suspicious_user_agent', 'session_duration'],
+      baseScore: -1,
+      trees: [
+        { feature: 'suspicious_user_agent', threshold: 0.5, left: { value: -0.5 }, right: { value: 2 } },
+        { feature: 'session_duration', threshold: 5, left: { value: 0.5 }, right: { value: -0.5 } }
+      ]
+    });
+
+    expect(model.predict(data)).toBeCloseTo(1 / (1 + Math.exp(-1.5)));
+    expect(model.predictVector([0, 10])).toBeCloseTo(1 / (1 + Math.exp(2)));
+  });
+
+  test('deve rejeitar definições inválidas', () => {
+    expect(() => createModel({ type: 'svm', features: ['total_events'] })).toThrow('Unsupported model type');
+    expect(() => createModel({ type: 'logistic_regression', features: ['idade'], intercept: 0, coefficients: [1] }))
+      .toThrow('Unknown model features: idade');
+    expect(() => createModel({ type: 'logistic_regression', features: ['total_events'], intercept: 0, coefficients: [] }))
+      .toThrow('1 coefficients');
+    expect(() => createModel({
+      type: 'gradient_boosted_trees',
+      features: ['total_events'],
+      trees: [{ feature: 'font_count', threshold: 1, left: { value: 0 }, right: { value: 1 } }]
+    })).toThrow('tree 0');
+  });
+});
+
+describe('ScoringService com modelo', () => {
+  const data = { timestamp: Date.now(), fingerprint: { userAgent: 'Mozilla/5.0' } };
+
+  test('deve combinar o score do modelo com o peso configurado', async () => {
+    const model = { predict: jest.fn(() => 0.9), getInfo: () => ({ type: 'mock' }) };
+    const withoutModel = await new ScoringService(null).calculateScore(data, []);
+    const withModel = await new ScoringService(null, { model }).calculateScore(data, []);
+
+    expect(withoutModel.breakdown.model).toBeNull();
+    expect(withModel.breakdown.model).toBeCloseTo(10);
+    expect(withModel.score).toBeLessThan(withoutModel.score);
+    expect(withModel.reasons.map(reason => reason.code)).toContain('MODEL_HIGH_RISK');
+  });
+
+  test('deve ignorar o modelo quando o peso do perfil é zero', () => {
+    const service = new ScoringService(null);
+    const scores = { rule: 80, model: 0 };
+
+    expect(service._combineScores(scores, { rule: 1, model: 0 })).toBe(80);
+  });
+});
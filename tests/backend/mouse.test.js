@@ -0,0 +1,107 @@
+/**
+ * Testes para a dinâmica do mouse
+ */
+
+import { analyzeMouseDynamics } from '../../src/backend/services/mouse.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+
+describe('Mouse', () => {
+  // Trajetórias de uma pessoa: curvas, velocidade variável e freada antes dos cliques
+  const human = {
+    pointCount: 240,
+    segmentCount: 12,
+    totalDistance: 5400,
+    speed: { mean: 620, stdDev: 410, max: 2100 },
+    acceleration: { mean: 9000, stdDev: 7000, max: 40000 },
+    curvature: { mean: 0.18, stdDev: 0.22, max: 2.4 },
+    straightness: { mean: 0.86, stdDev: 0.09, max: 0.97 },
+    pauseCount: 11,
+    clickCount: 5,
+    clicksWithoutApproach: 0,
+    approachCount: 5,
+    approachDeceleration: 0.22
+  };
+  // Script: linhas retas em velocidade constante, clicando em saltos
+  const scripted = {
+    ...human,
+    speed: { mean: 800, stdDev: 10, max: 820 },
+    acceleration: { mean: 0, stdDev: 0, max: 0 },
+    curvature: { mean: 0, stdDev: 0, max: 0 },
+    straightness: { mean: 1, stdDev: 0, max: 1 },
+    clicksWithoutApproach: 4,
+    approachCount: 1,
+    approachDeceleration: 1
+  };
+
+  describe('analyzeMouseDynamics', () => {
+    test('deve aceitar trajetórias humanas', () => {
+      expect(analyzeMouseDynamics(human)).toEqual({
+        analyzed: true,
+        humanLike: true,
+        count: 0,
+        ids: [],
+        anomalies: [],
+        penalty: 0
+      });
+    });
+
+    test('deve detectar trajetórias de script', () => {
+      const result = analyzeMouseDynamics(scripted);
+
+      expect(result.ids).toEqual(['linear_trajectories', 'constant_speed', 'clicks_without_approach']);
+      expect(result.anomalies[2]).toEqual({
+        id: 'clicks_without_approach',
+        severity: 'medium',
+        detail: '4 of 5 clicks happened away from the cursor'
+      });
+      expect(result.penalty).toBe(25 + 25 + 15);
+    });
+
+    test('deve detectar cliques sem nenhum movimento do cursor', () => {
+      const result = analyzeMouseDynamics({ pointCount: 0, clickCount: 4, clicksWithoutApproach: 4 });
+
+      expect(result).toMatchObject({ analyzed: true, ids: ['clicks_without_approach'] });
+    });
+
+    test('não deve analisar com poucos movimentos e cliques', () => {
+      expect(analyzeMouseDynamics({ ...scripted, pointCount: 5, clickCount: 1 })).toMatchObject({ analyzed: false, humanLike: true });
+      expect(analyzeMouseDynamics(undefined).analyzed).toBe(false);
+    });
+  });
+
+  describe('regras e scoring', () => {
+    const data = mouseDynamics => ({
+      timestamp: Date.now(),
+      fingerprint: { userAgent: 'Mozilla/5.0' },
+      behavioral: { duration: 60000, totalEvents: 30, metrics: { mouseMovementDistance: 5400, mouseDynamics } }
+    });
+
+    test('deve expor a análise às regras', async () => {
+      const engine = new RuleEngine('memory');
+      engine.loadRulesFromObject({
+        rules: [{
+          id: 'linear_mouse',
+          name: 'Mouse em linha reta',
+          condition: 'mouse.ids.includes(\'linear_trajectories\')',
+          weight: -30,
+          action: 'review',
+          enabled: true
+        }]
+      });
+
+      expect((await engine.evaluateRules(data(scripted)))[0].passed).toBe(true);
+      expect((await engine.evaluateRules(data(human)))[0].passed).toBe(false);
+    });
+
+    test('deve penalizar o score comportamental', async () => {
+      const scoring = new ScoringService(null);
+      const normal = await scoring.calculateScore(data(human), []);
+      const bot = await scoring.calculateScore(data(scripted), []);
+
+      expect(normal.breakdown.behavioral - bot.breakdown.behavioral).toBe(65);
+      expect(bot.reasons.map(reason => reason.code)).toContain('BEHAVIOR_MOUSE_ANOMALY');
+      expect(normal.reasons.map(reason => reason.code)).not.toContain('BEHAVIOR_MOUSE_ANOMALY');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Testes para a guarda de privacidade
+ */
+
+import { findRawValues, detectPii } from '../../src/backend/services/privacy.js';
+
+describe('Privacy', () => {
+  describe('detectPii', () => {
+    test('deve detectar números de cartão válidos', () => {
+      expect(detectPii('4111 1111 1111 1111')).toBe('card_number');
+      expect(detectPii('pedido 5555-5555-5555-4444')).toBe('card_number');
+      expect(detectPii('4111 1111 1111 1112')).toBeNull();
+    });
+
+    test('deve detectar CPFs válidos', () => {
+      expect(detectPii('529.982.247-25')).toBe('cpf');
+      expect(detectPii('52998224725')).toBe('cpf');
+      expect(detectPii('111.111.111-11')).toBeNull();
+      expect(detectPii('123.456.789-00')).toBeNull();
+    });
+
+    test('deve ignorar valores mascarados e não textuais', () => {
+      expect(detectPii('*'.repeat(16))).toBeNull();
+      expect(detectPii(4111111111111111)).toBeNull();
+      expect(detectPii(null)).toBeNull();
+    });
+  });
+
+  describe('findRawValues', () => {
+    test('deve aceitar eventos filtrados pelo SDK', () => {
+      expect(findRawValues([
+        { type: 'click', target: { tagName: 'BUTTON', id: 'enviar' }, data: { button: 0 } },
+        { type: 'keydown', target: { tagName: 'INPUT', type: 'email', value: '*****' }, data: { key: '*', code: null } },
+        { type: 'keydown', target: { tagName: 'INPUT', type: 'password', value: null, masked: true }, data: { key: null, code: null } }
+      ])).toEqual([]);
+    });
+
+    test('deve apontar valores e teclas de campos sensíveis', () => {
+      expect(findRawValues([
+        { type: 'keydown', target: { type: 'password', value: 'segredo' }, data: { key: 'o', code: 'KeyO' } },
+        { type: 'focus', target: { type: 'text', masked: true, value: '*' } }
+      ])).toEqual([
+        { index: 0, field: 'target.value', reason: 'sensitive_field' },
+        { index: 0, field: 'data.key', reason: 'sensitive_field' },
+        { index: 0, field: 'data.code', reason: 'sensitive_field' },
+        { index: 1, field: 'target.value', reason: 'sensitive_field' }
+      ]);
+    });
+
+    test('deve apontar cartões e CPFs em campos comuns', () => {
+      expect(findRawValues([
+        { type: 'blur', target: { type: 'text', value: '4111111111111111' } },
+        { type: 'submit', target: { tagName: 'FORM' }, data: { formAction: '/cadastro?cpf=52998224725' } }
+      ])).toEqual([
+        { index: 0, field: 'target.value', reason: 'card_number' },
+        { index: 1, field: 'data.formAction', reason: 'cpf' }
+      ]);
+    });
+
+    test('deve tolerar eventos malformados', () => {
+      expect(findRawValues([null, 'click', { target: 'x', data: 3 }])).toEqual([]);
+      expect(findRawValues(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Testes para o catálogo de códigos de razão
+ */
+
+import {
+  REASON_CATALOG,
+  SUPPORTED_LOCALES,
+  createReason,
+  getReasonMessage,
+  localizeReasons
+} from '../../src/backend/services/reasons.js';
+
+describe('Códigos de razão', () => {
+  test('deve ter mensagens em todos os idiomas suportados', () => {
+    for (const [code, entry] of Object.entries(REASON_CATALOG)) {
+      for (const locale of SUPPORTED_LOCALES) {
+        expect([code, locale, typeof entry.messages[locale]]).toEqual([code, locale, 'string']);
+      }
+    }
+  });
+
+  test('deve criar códigos parametrizados pela regra', () => {
+    const reason = createReason('RULE_DENY_TRIGGERED', { rule: { id: 'bot_ua', name: 'Bot UA' }, contribution: -4.5 });
+
+    expect(reason).toEqual({
+      code: 'RULE_DENY_TRIGGERED:bot_ua',
+      severity: 'high',
+      component: 'rule',
+      contribution: -4.5,
+      params: { rule: 'Bot UA' }
+    });
+    expect(getReasonMessage(reason, 'pt-BR')).toBe('Regra de bloqueio disparada: Bot UA');
+  });
+
+  test('deve rejeitar códigos fora do catálogo', () => {
+    expect(() => createReason('NAO_EXISTE')).toThrow('Unknown reason code: NAO_EXISTE');
+  });
+
+  test('deve localizar as mensagens com inglês como padrão', () => {
+    const reasons = [createReason('FP_INCOMPLETE', { contribution: -3 })];
+
+    expect(localizeReasons(reasons, 'es')[0].message).toBe('Huella del dispositivo incompleta o sospechosa');
+    expect(localizeReasons(reasons, 'fr')[0].message).toBe('Incomplete or suspicious device fingerprint');
+    expect(localizeReasons(reasons)[0]).toMatchObject({ code: 'FP_INCOMPLETE', contribution: -3 });
+  });
+});
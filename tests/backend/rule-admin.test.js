@@ -0,0 +1,352 @@
+/**
+ * Testes para a administração persistente de regras
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { RuleAdminService } from '../../src/backend/services/rule-admin.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { diffObjects } from '../../src/backend/services/audit-log.js';
+import { adminRoute } from '../../src/backend/routes/admin.js';
+import { adminMiddleware } from '../../src/backend/middleware/sdk.js';
+import { errorHandler } from '../../src/backend/middleware/error.js';
+
+describe('RuleAdminService', () => {
+  let storage;
+  let auditLog;
+  let engine;
+  let admin;
+
+  const baseRule = {
+    id: 'bot_user_agent',
+    name: 'Bot User Agent',
+    condition: 'fingerprint.userAgent.includes(\'bot\')',
+    weight: -30,
+    action: 'deny',
+    enabled: true
+  };
+
+  beforeEach(() => {
+    storage = {
+      content: null,
+      read: jest.fn(async () => storage.content),
+      write: jest.fn(async (content) => { storage.content = content; })
+    };
+
+    auditLog = {
+      entries: [],
+      append: jest.fn(async (entry) => {
+        const record = { ...entry, diff: diffObjects(entry.before, entry.after) };
+        auditLog.entries.push(record);
+        return record;
+      }),
+      list: jest.fn(async () => [...auditLog.entries].reverse())
+    };
+
+    engine = new RuleEngine('memory', { storage });
+    engine.loadRulesFromObject({ rules: [baseRule] });
+    admin = new RuleAdminService(engine, auditLog);
+  });
+
+  test('deve criar regra, persistir o conjunto e auditar a alteração', async () => {
+    const rule = await admin.create({
+      id: 'no_user_agent',
+      name: 'No User Agent',
+      condition: '!fingerprint.userAgent',
+      weight: -20,
+      action: 'review'
+    }, 'alice');
+
+    expect(rule.enabled).toBe(true);
+    expect(engine.rules.map(r => r.id)).toEqual(['bot_user_agent', 'no_user_agent']);
+    expect(JSON.parse(storage.content).rules).toHaveLength(2);
+    expect(auditLog.entries[0]).toMatchObject({
+      actor: 'alice',
+      action: 'create',
+      resource: 'rule',
+      resourceId: 'no_user_agent',
+      rulesetVersion: engine.version,
+      before: null
+    });
+  });
+
+  test('deve rejeitar condição inválida sem alterar o conjunto ativo', async () => {
+    const version = engine.version;
+
+    await expect(admin.update('bot_user_agent', { condition: 'fingerprint. &&' }, 'alice'))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(engine.version).toBe(version);
+    expect(engine.rules[0].condition).toBe(baseRule.condition);
+    expect(storage.write).not.toHaveBeenCalled();
+    expect(auditLog.append).not.toHaveBeenCalled();
+  });
+
+  test('deve desfazer a alteração quando a auditoria falhar', async () => {
+    auditLog.append.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+    await expect(admin.update('bot_user_agent', { weight: -40 }, 'alice')).rejects.toThrow('ENOSPC');
+
+    expect(engine.rules[0].weight).toBe(-30);
+    expect(JSON.parse(storage.content).rules[0].weight).toBe(-30);
+    expect(auditLog.entries).toEqual([]);
+  });
+
+  test('deve desfazer a alteração de lista quando a auditoria falhar', async () => {
+    engine.loadRulesFromObject({ rules: [baseRule], lists: { blocked_ips: { type: 'ip', entries: ['10.0.0.1'] } } });
+    auditLog.append.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+    await expect(admin.updateList('blocked_ips', { add: ['10.0.0.2'] }, 'alice')).rejects.toThrow('ENOSPC');
+
+    expect(engine.getList('blocked_ips').entries).toEqual(['10.0.0.1']);
+    expect(JSON.parse(storage.content).lists.blocked_ips.entries).toEqual(['10.0.0.1']);
+    expect(auditLog.entries).toEqual([]);
+  });
+
+  describe('challenger', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-admin-'));
+      const challengerPath = path.join(tempDir, 'rules.challenger.json');
+      await fs.writeFile(challengerPath, JSON.stringify({ rules: [{ ...baseRule, weight: -50 }] }));
+      await engine.loadChallenger(challengerPath);
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('deve promover o challenger e auditar a promoção', async () => {
+      const previousVersion = engine.version;
+      const result = await admin.promoteChallenger('alice');
+
+      expect(engine.rules[0].weight).toBe(-50);
+      expect(JSON.parse(storage.content).rules[0].weight).toBe(-50);
+      expect(engine.hasChallenger()).toBe(false);
+      expect(auditLog.entries[0]).toMatchObject({
+        actor: 'alice',
+        action: 'promote',
+        resource: 'ruleset',
+        rulesetVersion: result.version,
+        before: { version: previousVersion }
+      });
+    });
+
+    test('deve restaurar champion e challenger quando a auditoria da promoção falhar', async () => {
+      const state = engine.getState();
+      auditLog.append.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+      await expect(admin.promoteChallenger('alice')).rejects.toThrow('ENOSPC');
+
+      expect(engine.rules[0].weight).toBe(-30);
+      expect(JSON.parse(storage.content).rules[0].weight).toBe(-30);
+      expect(engine.challenger).toBe(state.challenger);
+      expect(auditLog.entries).toEqual([]);
+    });
+
+    test('deve auditar o encerramento e restaurar o challenger quando a auditoria falhar', async () => {
+      auditLog.append.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+      await expect(admin.clearChallenger('alice')).rejects.toThrow('ENOSPC');
+      expect(engine.hasChallenger()).toBe(true);
+      expect(storage.write).not.toHaveBeenCalled();
+
+      await admin.clearChallenger('bob');
+      expect(engine.hasChallenger()).toBe(false);
+      expect(auditLog.entries[0]).toMatchObject({ actor: 'bob', action: 'clear-challenger', resource: 'ruleset', after: null });
+      await expect(admin.promoteChallenger('bob')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('deve serializar a promoção com alterações de regras', async () => {
+      await Promise.all([
+        admin.update('bot_user_agent', { weight: -10 }, 'alice'),
+        admin.promoteChallenger('bob')
+      ]);
+
+      expect(JSON.parse(storage.content).rules[0].weight).toBe(-50);
+      expect(engine.rules[0].weight).toBe(-50);
+      expect(auditLog.entries.map(entry => entry.action)).toEqual(['update', 'promote']);
+    });
+  });
+
+  test('deve retornar 409 para ID duplicado e 404 para regra inexistente', async () => {
+    await expect(admin.create(baseRule, 'alice')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(admin.remove('missing', 'alice')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('deve registrar o diff de campos ao atualizar e desabilitar', async () => {
+    await admin.update('bot_user_agent', { weight: -40 }, 'alice');
+    await admin.setEnabled('bot_user_agent', false, 'bob');
+
+    const [disable, update] = await admin.getAuditTrail();
+
+    expect(update.diff.map(change => change.field)).toContain('weight');
+    expect(update.diff.find(change => change.field === 'weight')).toMatchObject({ before: -30, after: -40 });
+    expect(disable).toMatchObject({ actor: 'bob', action: 'disable' });
+    expect(engine.rules[0].enabled).toBe(false);
+  });
+
+  test('deve manter regras temporárias fora do arquivo persistido', async () => {
+    engine.addTemporaryRule({ ...baseRule, id: 'temp_rule' });
+
+    await admin.remove('bot_user_agent', 'alice');
+
+    expect(JSON.parse(storage.content).rules).toEqual([]);
+    expect(admin.list()).toEqual([]);
+  });
+
+  test('deve serializar alterações concorrentes', async () => {
+    await Promise.all([
+      admin.update('bot_user_agent', { weight: -10 }, 'alice'),
+      admin.create({ ...baseRule, id: 'second_rule' }, 'bob')
+    ]);
+
+    const persisted = JSON.parse(storage.content).rules;
+    expect(persisted.map(r => r.id)).toEqual(['bot_user_agent', 'second_rule']);
+    expect(persisted[0].weight).toBe(-10);
+  });
+
+  describe('rotas /api/admin', () => {
+    let app;
+    let shadowRecorder;
+
+    const api = (method, url) => request(app)[method](`/api/admin${url}`).set('X-Admin-Key', 'admin-key');
+
+    beforeEach(() => {
+      engine.loadRulesFromObject({ rules: [baseRule], lists: { blocked_ips: { type: 'ip', entries: ['10.0.0.1'] } } });
+      shadowRecorder = { getSummary: jest.fn(() => ({ total: 10, agreement: 0.9 })), reset: jest.fn(async () => {}) };
+      app = express();
+      app.use(express.json());
+      app.use('/api/admin', adminMiddleware({ adminApiKeys: { 'admin-key': 'alice' } }), adminRoute(engine, {
+        shadowRecorder,
+        ruleAdmin: admin
+      }));
+      app.use(errorHandler);
+    });
+
+    test('deve exigir a chave administrativa', async () => {
+      const response = await request(app).post('/api/admin/rules/bot_user_agent/disable');
+
+      expect(response.status).toBe(401);
+      expect(engine.rules[0].enabled).toBe(true);
+    });
+
+    test('deve criar, atualizar, remover e listar regras auditando o operador', async () => {
+      const created = await api('post', '/rules').send({ ...baseRule, id: 'second_rule', action: 'review' });
+      const updated = await api('put', '/rules/second_rule').send({ weight: -10 });
+      const listed = await api('get', '/rules');
+      const deleted = await api('delete', '/rules/second_rule');
+
+      expect(created.status).toBe(201);
+      expect(updated.body.rule.weight).toBe(-10);
+      expect(listed.body).toMatchObject({ count: 2, version: updated.body.version });
+      expect(deleted.body.deleted.id).toBe('second_rule');
+      expect(JSON.parse(storage.content).rules.map(rule => rule.id)).toEqual(['bot_user_agent']);
+      expect(auditLog.entries.map(entry => [entry.actor, entry.action])).toEqual([
+        ['alice', 'create'],
+        ['alice', 'update'],
+        ['alice', 'delete']
+      ]);
+      expect((await api('get', '/rules/second_rule')).status).toBe(404);
+    });
+
+    test('deve rejeitar condição inválida com 400', async () => {
+      const response = await api('put', '/rules/bot_user_agent').send({ condition: 'fingerprint. &&' });
+
+      expect(response.status).toBe(400);
+      expect(engine.rules[0].condition).toBe(baseRule.condition);
+      expect(auditLog.entries).toEqual([]);
+    });
+
+    test('deve habilitar e desabilitar regras e expor a trilha de auditoria', async () => {
+      await api('post', '/rules/bot_user_agent/disable').expect(200);
+      expect(engine.rules[0].enabled).toBe(false);
+      await api('post', '/rules/bot_user_agent/enable').expect(200);
+      expect(engine.rules[0].enabled).toBe(true);
+
+      const response = await api('get', '/rules/audit?ruleId=bot_user_agent');
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.entries.map(entry => entry.action)).toEqual(['enable', 'disable']);
+    });
+
+    test('deve alterar listas e auditar a alteração', async () => {
+      await api('post', '/lists/blocked_ips/entries').send({ entries: ['10.0.0.2'] }).expect(200);
+      await api('delete', '/lists/blocked_ips/entries').send({ entries: ['10.0.0.1'] }).expect(200);
+
+      expect((await api('get', '/lists/blocked_ips')).body.list.entries).toEqual(['10.0.0.2']);
+      expect((await api('get', '/lists')).body.count).toBe(1);
+      expect((await api('get', '/lists/audit?list=blocked_ips')).body.count).toBe(2);
+      expect((await api('get', '/lists/missing')).status).toBe(404);
+    });
+
+    test('deve desfazer a alteração e responder 500 quando a auditoria falhar', async () => {
+      auditLog.append.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+      const response = await api('put', '/rules/bot_user_agent').send({ weight: -40 });
+
+      expect(response.status).toBe(500);
+      expect(engine.rules[0].weight).toBe(-30);
+      expect(JSON.parse(storage.content).rules[0].weight).toBe(-30);
+    });
+
+    describe('challenger', () => {
+      let tempDir;
+
+      beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-admin-routes-'));
+        const challengerPath = path.join(tempDir, 'rules.challenger.json');
+        await fs.writeFile(challengerPath, JSON.stringify({ rules: [{ ...baseRule, weight: -50 }] }));
+        await engine.loadChallenger(challengerPath);
+      });
+
+      afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      });
+
+      test('deve expor o challenger e a comparação com o champion', async () => {
+        const response = await api('get', '/challenger');
+
+        expect(response.body).toMatchObject({
+          champion: { version: engine.version, ruleCount: 1 },
+          challenger: { ruleCount: 1 },
+          comparison: { total: 10, agreement: 0.9 }
+        });
+      });
+
+      test('deve promover o challenger e reiniciar a comparação', async () => {
+        const response = await api('post', '/challenger/promote');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ promotedBy: 'alice', comparison: { total: 10, agreement: 0.9 } });
+        expect(engine.rules[0].weight).toBe(-50);
+        expect(shadowRecorder.reset).toHaveBeenCalled();
+        expect(auditLog.entries[0]).toMatchObject({ actor: 'alice', action: 'promote' });
+        expect((await api('post', '/challenger/promote')).status).toBe(409);
+      });
+
+      test('deve manter o champion quando a auditoria da promoção falhar', async () => {
+        auditLog.append.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+        const response = await api('post', '/challenger/promote');
+
+        expect(response.status).toBe(500);
+        expect(engine.rules[0].weight).toBe(-30);
+        expect(engine.hasChallenger()).toBe(true);
+        expect(shadowRecorder.reset).not.toHaveBeenCalled();
+      });
+
+      test('deve encerrar o challenger', async () => {
+        const response = await api('delete', '/challenger');
+
+        expect(response.status).toBe(200);
+        expect(engine.hasChallenger()).toBe(false);
+        expect(auditLog.entries[0]).toMatchObject({ actor: 'alice', action: 'clear-challenger' });
+      });
+    });
+  });
+});
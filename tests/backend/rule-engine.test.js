@@ -2,14 +2,18 @@
  * Testes para o Rule Engine
  */
 
-import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { RuleEngine, RULE_ENGINE_EVENTS } from '../../src/backend/services/rule-engine.js';
+import { FileRuleStorage } from '../../src/backend/services/rule-storage.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 
 // Mock do fs
 jest.mock('fs', () => ({
   promises: {
-    readFile: jest.fn()
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn()
   }
 }));
 
@@ -35,6 +39,7 @@ describe('RuleEngine', () => {
         deny: 0
       });
       expect(ruleEngine.lastLoaded).toBeNull();
+      expect(ruleEngine.version).toBe(0);
     });
   });
 
@@ -96,6 +101,218 @@ describe('RuleEngine', () => {
 
       await expect(ruleEngine.loadRules()).rejects.toThrow('Invalid rule');
     });
+
+    test('deve reportar erros de sintaxe com linha e coluna', async () => {
+      const invalidRulesData = {
+        rules: [
+          {
+            id: 'broken_rule',
+            name: 'Broken Rule',
+            condition: 'behavioral.totalEvents >',
+            weight: 10,
+            action: 'allow',
+            enabled: true
+          }
+        ]
+      };
+
+      fs.readFile.mockResolvedValue(JSON.stringify(invalidRulesData));
+
+      await expect(ruleEngine.loadRules()).rejects.toThrow('broken_rule: Unexpected end of expression (line 1, column 25)');
+      expect(ruleEngine.rules).toEqual([]);
+    });
+  });
+
+  describe('reloadRules', () => {
+    const validRulesData = {
+      rules: [
+        { id: 'rule_v1', name: 'Rule V1', condition: 'true', weight: 10, action: 'allow', enabled: true }
+      ],
+      thresholds: { allow: 80, review: 50, deny: 0 }
+    };
+
+    beforeEach(async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(validRulesData));
+      await ruleEngine.loadRules();
+    });
+
+    test('deve ativar novo conjunto válido e incrementar versão', async () => {
+      const listener = jest.fn();
+      ruleEngine.on(RULE_ENGINE_EVENTS.RELOADED, listener);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        rules: [{ id: 'rule_v2', name: 'Rule V2', condition: 'false', weight: 5, action: 'allow' }]
+      }));
+
+      const reloaded = await ruleEngine.reloadRules();
+
+      expect(reloaded).toBe(true);
+      expect(ruleEngine.rules[0].id).toBe('rule_v2');
+      expect(ruleEngine.version).toBe(2);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ version: 2, ruleCount: 1 }));
+    });
+
+    test('deve manter conjunto anterior se alguma regra for inválida', async () => {
+      const listener = jest.fn();
+      ruleEngine.on(RULE_ENGINE_EVENTS.RELOAD_FAILED, listener);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        rules: [
+          { id: 'rule_ok', name: 'Rule OK', condition: 'true', weight: 5, action: 'allow' },
+          { id: 'rule_bad', name: 'Rule Bad', condition: 'fingerprint. &&', weight: 5, action: 'allow' }
+        ]
+      }));
+
+      const reloaded = await ruleEngine.reloadRules();
+
+      expect(reloaded).toBe(false);
+      expect(ruleEngine.rules.map(r => r.id)).toEqual(['rule_v1']);
+      expect(ruleEngine.version).toBe(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        rulesPath: mockRulesPath,
+        activeVersion: 1,
+        error: expect.stringContaining('rule_bad')
+      }));
+    });
+
+    test('não deve usar regras padrão se o arquivo estiver ilegível', async () => {
+      const listener = jest.fn();
+      ruleEngine.on(RULE_ENGINE_EVENTS.RELOAD_FAILED, listener);
+      fs.readFile.mockResolvedValue('{ invalid json');
+
+      await ruleEngine.reloadRules();
+
+      expect(ruleEngine.rules.map(r => r.id)).toEqual(['rule_v1']);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.stringContaining('Invalid JSON')
+      }));
+    });
+  });
+
+  describe('challenger', () => {
+    const championRules = {
+      rules: [
+        { id: 'champion_rule', name: 'Champion Rule', condition: 'behavioral.totalEvents > 5', weight: 10, action: 'allow', enabled: true }
+      ]
+    };
+    const challengerRules = {
+      rules: [
+        { id: 'challenger_rule', name: 'Challenger Rule', condition: 'behavioral.totalEvents > 50', weight: 10, action: 'allow', enabled: true }
+      ]
+    };
+
+    beforeEach(async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(championRules));
+      await ruleEngine.loadRules();
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(challengerRules));
+      await ruleEngine.loadChallenger('./config/rules.challenger.json');
+    });
+
+    test('deve avaliar challenger sem alterar o conjunto ativo', async () => {
+      const data = { behavioral: { totalEvents: 10 } };
+
+      const champion = await ruleEngine.evaluateRules(data);
+      const challenger = await ruleEngine.evaluateChallengerRules(data);
+
+      expect(champion.map(r => [r.id, r.passed])).toEqual([['champion_rule', true]]);
+      expect(challenger.map(r => [r.id, r.passed])).toEqual([['challenger_rule', false]]);
+      expect(ruleEngine.getChallengerInfo()).toEqual(expect.objectContaining({
+        rulesPath: './config/rules.challenger.json',
+        version: 1,
+        ruleCount: 1
+      }));
+    });
+
+    test('deve promover challenger e persistir no arquivo de regras', async () => {
+      const result = await ruleEngine.promoteChallenger();
+
+      expect(result.version).toBe(2);
+      expect(ruleEngine.rules[0].id).toBe('challenger_rule');
+      expect(ruleEngine.hasChallenger()).toBe(false);
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('.tmp'), JSON.stringify(challengerRules));
+      expect(fs.rename).toHaveBeenCalledWith(expect.stringContaining('.tmp'), mockRulesPath);
+    });
+
+    test('deve reescrever os arquivos de listas relativos ao promover', async () => {
+      const withList = {
+        lists: { blocked: { type: 'exact', file: 'lists/blocked.txt' }, absolute: { file: path.resolve('blocked.txt') } },
+        rules: [
+          { id: 'blocked_ip', name: 'Blocked IP', condition: 'inList(\'blocked\', requestInfo.ip) || inList(\'absolute\', requestInfo.ip)', weight: -50, action: 'deny', enabled: true }
+        ]
+      };
+      fs.readFile
+        .mockResolvedValueOnce(JSON.stringify(withList))
+        .mockResolvedValueOnce('10.0.0.1\n')
+        .mockResolvedValueOnce('10.0.0.2\n');
+      await ruleEngine.loadChallenger('./config/challengers/rules.json');
+
+      await ruleEngine.promoteChallenger();
+
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(written.lists.blocked).toEqual({ type: 'exact', file: 'challengers/lists/blocked.txt' });
+      expect(written.lists.absolute.file).toBe(path.resolve('blocked.txt'));
+      expect(ruleEngine.config.lists.blocked.file).toBe('challengers/lists/blocked.txt');
+      expect(await ruleEngine.lists.contains('blocked', '10.0.0.1')).toBe(true);
+    });
+
+    test('não deve recarregar conteúdo idêntico ao conjunto ativo', async () => {
+      await ruleEngine.promoteChallenger();
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(challengerRules));
+
+      await ruleEngine.reloadRules();
+
+      expect(ruleEngine.version).toBe(2);
+    });
+
+    test('deve rejeitar promoção sem challenger', async () => {
+      ruleEngine.clearChallenger();
+
+      await expect(ruleEngine.promoteChallenger()).rejects.toThrow('No challenger ruleset loaded');
+      expect(await ruleEngine.evaluateChallengerRules({})).toBeNull();
+    });
+  });
+
+  describe('prioridade e regras terminais', () => {
+    const rule = (id, overrides = {}) => ({
+      id,
+      name: id,
+      condition: 'fingerprint.userAgent',
+      weight: 10,
+      action: 'allow',
+      enabled: true,
+      ...overrides
+    });
+
+    test('deve avaliar regras por prioridade e parar na primeira regra terminal disparada', async () => {
+      ruleEngine.loadRulesFromObject({
+        rules: [
+          rule('low'),
+          rule('blocker', { action: 'deny', weight: -50, priority: 10, terminal: true }),
+          rule('high', { priority: 20 })
+        ]
+      });
+
+      const results = await ruleEngine.evaluateRules({ fingerprint: { userAgent: 'Mozilla' } });
+
+      expect(results.map(r => r.id)).toEqual(['high', 'blocker']);
+      expect(results[1].terminal).toBe(true);
+    });
+
+    test('deve continuar a avaliação quando a regra terminal não dispara', async () => {
+      ruleEngine.loadRulesFromObject({
+        rules: [
+          rule('blocker', { condition: '!fingerprint.userAgent', action: 'deny', weight: -50, priority: 10, terminal: true }),
+          rule('low')
+        ]
+      });
+
+      const results = await ruleEngine.evaluateRules({ fingerprint: { userAgent: 'Mozilla' } });
+
+      expect(results.map(r => r.id)).toEqual(['blocker', 'low']);
+    });
+
+    test('deve rejeitar regra terminal com ação review', () => {
+      expect(() => ruleEngine.validateRules([rule('bad', { action: 'review', terminal: true })]))
+        .toThrow('Terminal rule bad must have action allow or deny');
+    });
   });
 
   describe('evaluateRules', () => {
@@ -160,6 +377,55 @@ describe('RuleEngine', () => {
       expect(errorResult.score).toBe(0);
     });
 
+    test('deve montar o contexto das condições uma vez por avaliação', async () => {
+      const createContext = jest.spyOn(ruleEngine, '_createSafeContext');
+
+      const results = await ruleEngine.evaluateRules({ fingerprint: { userAgent: 'test' }, sessionId: 'test_session' });
+
+      expect(results.length).toBeGreaterThan(1);
+      expect(createContext).toHaveBeenCalledTimes(1);
+    });
+
+    test('deve medir o tempo de execução de cada regra', async () => {
+      const results = await ruleEngine.evaluateRules({ fingerprint: { userAgent: 'test' }, sessionId: 'test_session' });
+
+      for (const result of results) {
+        expect(typeof result.executionTime).toBe('number');
+        expect(result).not.toHaveProperty('trace');
+      }
+    });
+
+    test('deve incluir o trace da condição no modo explain', async () => {
+      const results = await ruleEngine.evaluateRules(
+        { fingerprint: { userAgent: 'Googlebot/2.1' }, sessionId: 'test_session' },
+        null,
+        { explain: true }
+      );
+
+      const suspicious = results.find(r => r.id === 'suspicious_user_agent');
+      expect(suspicious.passed).toBe(true);
+      expect(suspicious.trace.fields['fingerprint.userAgent']).toBe('Googlebot/2.1');
+      expect(suspicious.trace.expressions.length).toBeGreaterThan(0);
+    });
+
+    test('deve incluir o trace parcial quando a regra falha no modo explain', async () => {
+      ruleEngine.rules.push({
+        id: 'error_rule',
+        name: 'Error Rule',
+        condition: 'fingerprint.userAgent && fingerprint.userAgent.naoExiste()',
+        weight: 10,
+        action: 'review',
+        enabled: true
+      });
+
+      const results = await ruleEngine.evaluateRules({ fingerprint: { userAgent: 'test' } }, null, { explain: true });
+      const errorResult = results.find(r => r.id === 'error_rule');
+
+      expect(errorResult.error).toContain('naoExiste');
+      expect(errorResult.action).toBe('review');
+      expect(errorResult.trace.fields['fingerprint.userAgent']).toBe('test');
+    });
+
     test('deve ignorar regras desabilitadas', async () => {
       // Desabilita uma regra
       ruleEngine.rules[0].enabled = false;
@@ -314,6 +580,15 @@ describe('RuleEngine', () => {
       expect(result).toBe(true);
     });
 
+    test('deve avaliar caminhos com três níveis', () => {
+      const context = { behavioral: { metrics: { clickFrequency: 0.8 } } };
+      const condition = 'behavioral && behavioral.metrics.clickFrequency > 0.5';
+
+      const result = ruleEngine._evaluateCondition(condition, context);
+
+      expect(result).toBe(true);
+    });
+
     test('deve retornar false para condição inválida', () => {
       const context = { fingerprint: { userAgent: 'test' } };
       const condition = 'invalid.syntax.here';
@@ -323,4 +598,27 @@ describe('RuleEngine', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('FileRuleStorage', () => {
+    test('deve usar um temporário distinto em cada gravação', async () => {
+      const storage = new FileRuleStorage(mockRulesPath);
+
+      await Promise.all([storage.write('{"rules":[]}'), storage.write('{"rules":[]}')]);
+
+      const [first, second] = fs.writeFile.mock.calls.map(([tempPath]) => tempPath);
+      expect(first).not.toBe(second);
+      expect(fs.rename).toHaveBeenCalledWith(first, mockRulesPath);
+      expect(fs.rename).toHaveBeenCalledWith(second, mockRulesPath);
+    });
+
+    test('deve remover o temporário quando a gravação falhar', async () => {
+      fs.writeFile.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+      fs.unlink.mockResolvedValueOnce();
+
+      await expect(new FileRuleStorage(mockRulesPath).write('{}')).rejects.toThrow('ENOSPC');
+
+      expect(fs.unlink).toHaveBeenCalledWith(fs.writeFile.mock.calls[0][0]);
+      expect(fs.rename).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -34,6 +34,18 @@ describe('ScoringService', () => {
   });
 
   describe('calculateScore', () => {
+    test('deve interromper o scoring quando uma regra terminal dispara', async () => {
+      const ruleResults = [
+        { id: 'trusted_device', name: 'Trusted Device', passed: true, weight: 10, score: 10, action: 'allow', terminal: true }
+      ];
+
+      const result = await scoringService.calculateScore({ timestamp: Date.now() }, ruleResults);
+
+      expect(result.score).toBe(100);
+      expect(result.forcedBy.id).toBe('trusted_device');
+      expect(result.breakdown).toBeNull();
+    });
+
     test('deve calcular score completo com todos os dados', async () => {
       const testData = {
         fingerprint: {
@@ -323,6 +335,58 @@ describe('ScoringService', () => {
 
       expect(decision).toBe(DECISION_TYPES.DENY);
     });
+
+    test('deve forçar a decisão da regra terminal disparada', () => {
+      const ruleResults = [
+        { id: 'missing_fingerprint', name: 'Missing Fingerprint', passed: true, weight: -50, score: -50, action: 'deny', terminal: true }
+      ];
+
+      const result = scoringService.resolveDecision(95, ruleResults);
+
+      expect(result.decision).toBe(DECISION_TYPES.DENY);
+      expect(result.forcedBy).toEqual({
+        id: 'missing_fingerprint',
+        name: 'Missing Fingerprint',
+        action: 'deny',
+        terminal: true
+      });
+    });
+
+    test('deve impedir allow quando uma regra deny com blocksAllow foi disparada', () => {
+      scoringService.updateThresholds({ allow: 80, review: 50 });
+      const ruleResults = [
+        { id: 'good', name: 'Good', passed: true, weight: 20, score: 20, action: 'allow' },
+        { id: 'bot', name: 'Bot', passed: true, weight: -30, score: -30, action: 'deny', blocksAllow: true }
+      ];
+
+      const result = scoringService.resolveDecision(90, ruleResults);
+
+      expect(result.decision).toBe(DECISION_TYPES.REVIEW);
+      expect(result.forcedBy.id).toBe('bot');
+      expect(scoringService.resolveDecision(90, [ruleResults[0]])).toEqual({
+        decision: DECISION_TYPES.ALLOW,
+        forcedBy: null
+      });
+    });
+    test('deve manter allow em sessão forte quando uma regra review fraca dispara', async () => {
+      const engine = new RuleEngine('memory');
+      engine.loadRulesFromObject({
+        rules: [{
+          id: 'mouse_movement_check',
+          name: 'Mouse Movement Check',
+          condition: 'behavioral.metrics.mouseMovementDistance < 100',
+          weight: -10,
+          action: 'review',
+          enabled: true
+        }]
+      });
+      const service = new ScoringService(engine);
+      const data = { timestamp: Date.now(), behavioral: { metrics: { mouseMovementDistance: 0 } } };
+      const ruleResults = await engine.evaluateRules(data);
+
+      expect(ruleResults[0].passed).toBe(true);
+      expect(service.resolveDecision(85, ruleResults)).toEqual({ decision: DECISION_TYPES.ALLOW, forcedBy: null });
+    });
   });
 
   describe('updateThresholds', () => {
@@ -350,6 +414,161 @@ describe('ScoringService', () => {
     });
   });
 
+  describe('perfis de scoring', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new RuleEngine('./rules.json');
+      engine.loadRulesFromObject({
+        thresholds: { allow: 70, review: 40 },
+        weights: { facial: 0 },
+        profiles: {
+          payment: { thresholds: { allow: 90, review: 60 }, weights: { rule: 1 } }
+        },
+        rules: []
+      });
+      scoringService = new ScoringService(engine);
+    });
+
+    test('deve usar os thresholds de rules.json', () => {
+      expect(scoringService.getDecision(75)).toBe(DECISION_TYPES.ALLOW);
+      expect(scoringService.getDecision(45)).toBe(DECISION_TYPES.REVIEW);
+    });
+
+    test('deve aplicar os thresholds e pesos do perfil do contexto', () => {
+      const profile = scoringService.getProfile('payment');
+
+      expect(profile.thresholds).toMatchObject({ allow: 90, review: 60 });
+      expect(profile.weights).toMatchObject({ rule: 1, facial: 0, behavioral: 0.25 });
+      expect(scoringService.getDecision(75, [], profile)).toBe(DECISION_TYPES.REVIEW);
+      expect(scoringService._combineScores({ rule: 100, facial: 0 }, profile.weights)).toBe(100);
+    });
+
+    test('deve informar o perfil usado no resultado', async () => {
+      const result = await scoringService.calculateScore({ timestamp: Date.now(), context: 'payment' }, []);
+
+      expect(result.profile).toBe('payment');
+    });
+
+    test('deve rejeitar contextos sem perfil', () => {
+      expect(() => scoringService.getProfile('unknown')).toThrow('Unknown scoring context \'unknown\'');
+    });
+
+    test('deve rejeitar nomes herdados do protótipo como perfil', () => {
+      expect(() => scoringService.getProfile('constructor')).toThrow('Unknown scoring context \'constructor\'');
+      expect(() => scoringService.getProfile('__proto__')).toThrow('Unknown scoring context');
+    });
+
+    test('deve dar precedência aos thresholds do perfil sobre os do tenant', () => {
+      scoringService.updateThresholds({ allow: 95 });
+
+      expect(scoringService.getThresholds().allow).toBe(95);
+      expect(scoringService.getThresholds('payment').allow).toBe(90);
+    });
+
+    test('deve rejeitar perfis inválidos ao carregar as regras', () => {
+      expect(() => engine.loadRulesFromObject({ profiles: { payment: { weights: { speed: 1 } } }, rules: [] }))
+        .toThrow('Unknown score component \'speed\'');
+      expect(() => engine.loadRulesFromObject({ profiles: { payment: { thresholds: { allow: 30 } } }, rules: [] }))
+        .toThrow('expected allow >= review >= deny');
+      expect(scoringService.getProfile('payment').thresholds.allow).toBe(90);
+    });
+  });
+
+  describe('códigos de razão', () => {
+    const botData = {
+      timestamp: Date.now(),
+      fingerprint: { userAgent: 'Googlebot/2.1', timestamp: Date.now() }
+    };
+
+    test('deve gerar códigos com severidade, componente e contribuição', async () => {
+      const ruleResults = [
+        { id: 'bot_ua', name: 'Bot UA', passed: true, weight: -30, score: -30, action: 'deny' },
+        { id: 'new_device', name: 'New Device', passed: true, weight: -10, score: -10, action: 'review' },
+        { id: 'vpn', name: 'VPN', passed: false, weight: -20, score: 0, action: 'review' }
+      ];
+
+      const result = await scoringService.calculateScore(botData, ruleResults);
+      const byCode = Object.fromEntries(result.reasons.map(reason => [reason.code, reason]));
+
+      expect(byCode['RULE_DENY_TRIGGERED:bot_ua']).toMatchObject({ severity: 'high', component: 'rule', params: { rule: 'Bot UA' } });
+      expect(byCode['RULE_REVIEW_TRIGGERED:new_device'].severity).toBe('medium');
+      expect(byCode['RULE_REVIEW_TRIGGERED:vpn']).toBeUndefined();
+      expect(byCode.FP_SUSPICIOUS_UA.component).toBe('fingerprint');
+      expect(byCode.BEHAVIOR_MISSING.contribution).toBeLessThan(0);
+
+      // A parcela de cada regra disparada soma a contribuição do componente de regras
+      expect(byCode['RULE_DENY_TRIGGERED:bot_ua'].contribution + byCode['RULE_REVIEW_TRIGGERED:new_device'].contribution)
+        .toBeCloseTo(byCode.RULES_FAILED.contribution);
+    });
+
+
+    test('deve usar a severidade da ação da regra terminal', async () => {
+      const ruleResults = [
+        { id: 'trusted_device', name: 'Trusted Device', passed: true, weight: 10, score: 10, action: 'allow', terminal: true }
+      ];
+
+      const result = await scoringService.calculateScore({ timestamp: Date.now() }, ruleResults);
+
+      expect(result.reasons).toEqual([
+        { code: 'RULE_TERMINAL:trusted_device', severity: 'info', component: 'rule', contribution: null, params: { rule: 'Trusted Device' } }
+      ]);
+    });
+  });
+
+  describe('contribuições', () => {
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+    test('deve fechar o score final a partir do score neutro', async () => {
+      const data = {
+        timestamp: Date.now(),
+        fingerprint: { userAgent: 'Mozilla/5.0', language: 'pt-BR', platform: 'Win32', timestamp: Date.now() },
+        behavioral: { duration: 5000, totalEvents: 3, metrics: {} }
+      };
+      const ruleResults = [
+        { id: 'bot_ua', name: 'Bot UA', passed: true, weight: -30, score: -30, action: 'deny' },
+        { id: 'known_device', name: 'Known Device', passed: true, weight: 15, score: 15, action: 'allow' },
+        { id: 'vpn', name: 'VPN', passed: false, weight: -20, score: 0, action: 'review' }
+      ];
+
+      const { score, contributions } = await scoringService.calculateScore(data, ruleResults);
+      const components = Object.values(contributions.components).filter(Boolean);
+
+      expect(contributions.baseline).toBe(50);
+      expect(contributions.components.model).toBeNull();
+      expect(sum(components.map(component => component.weight))).toBeCloseTo(1, 12);
+      expect(contributions.baseline + sum(components.map(component => component.contribution))).toBeCloseTo(score, 10);
+      expect(contributions.rules.map(rule => rule.id)).toEqual(['bot_ua', 'known_device']);
+      expect(sum(contributions.rules.map(rule => rule.contribution))).toBeCloseTo(contributions.components.rule.contribution, 10);
+      expect(contributions.rules[0].contribution).toBeLessThan(0);
+      expect(contributions.rules[1].contribution).toBeGreaterThan(0);
+    });
+
+    test('deve manter a parcela de cada regra quando o score das regras é limitado ou se anula', () => {
+      const weights = scoringService.getProfile().weights;
+      const clamped = scoringService._calculateContributions({ rule: 100 }, weights, [
+        { id: 'a', passed: true, weight: 10, score: 30 },
+        { id: 'b', passed: true, weight: 10, score: 10 }
+      ]);
+      const cancelled = scoringService._calculateContributions({ rule: 50 }, weights, [
+        { id: 'a', passed: true, weight: 10, score: 10 },
+        { id: 'b', passed: true, weight: -10, score: -10 }
+      ]);
+
+      expect(sum(clamped.rules.map(rule => rule.contribution))).toBeCloseTo(clamped.components.rule.contribution, 10);
+      expect(clamped.rules[0].contribution).toBeCloseTo(3 * clamped.rules[1].contribution, 10);
+      expect(cancelled.rules.map(rule => rule.contribution)).toEqual([25, -25]);
+    });
+
+    test('não deve calcular contribuições quando uma regra terminal decide', async () => {
+      const result = await scoringService.calculateScore({ timestamp: Date.now() }, [
+        { id: 'blocked', name: 'Blocked', passed: true, weight: -10, score: -10, action: 'deny', terminal: true }
+      ]);
+
+      expect(result.contributions).toBeNull();
+    });
+  });
+
   describe('getStats', () => {
     test('deve retornar estatísticas do serviço', () => {
       const stats = scoringService.getStats();
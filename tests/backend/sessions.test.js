@@ -0,0 +1,180 @@
+/**
+ * Testes para as sessões de verificação
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionService, InMemorySessionStore, FileSessionStore } from '../../src/backend/services/sessions.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+
+describe('Sessions', () => {
+  const fingerprint = { userAgent: 'Mozilla/5.0', platform: 'Win32', canvasFingerprint: 'canvas_a' };
+
+  const verify = async (service, sessionId, data, score) => {
+    const session = await service.open(sessionId);
+    const summary = service.summarize(session, data);
+    await service.record(session, data, {
+      score,
+      decision: score >= 80 ? 'allow' : 'review',
+      reasons: [{ code: 'SCORE_HIGH' }],
+      ruleResults: [{ id: 'bot_detection', action: 'deny', passed: true }, { id: 'other', passed: false }]
+    });
+    return summary;
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('SessionService', () => {
+    test('deve resumir as verificações anteriores da sessão', async () => {
+      const service = new SessionService();
+
+      const first = await verify(service, 'session_1', { fingerprint }, 90);
+      await verify(service, 'session_1', { fingerprint }, 70);
+      const third = await verify(service, 'session_1', { fingerprint: { ...fingerprint, platform: 'Linux' } }, 60);
+
+      expect(first.isNew).toBe(true);
+      expect(first.fingerprintChanged).toBe(false);
+      expect(third).toMatchObject({
+        isNew: false,
+        verificationCount: 2,
+        previousScore: 70,
+        previousDecision: 'review',
+        averageScore: 80,
+        scoreTrend: -20,
+        fingerprintChanged: true,
+        fingerprintChanges: ['platform'],
+        distinctFingerprints: 2
+      });
+
+      const session = await service.get('session_1');
+      expect(session.verifications).toHaveLength(3);
+      expect(session.verifications[0].reasons).toEqual(['SCORE_HIGH']);
+      expect(session.verifications[0].ruleResults).toEqual([{ id: 'bot_detection', action: 'deny' }]);
+      expect(session.fingerprint.platform).toBe('Linux');
+    });
+
+    test('deve guardar apenas as verificações mais recentes da sessão', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-sessions-'));
+      try {
+        const service = new SessionService({ store: new FileSessionStore(directory), maxVerifications: 3 });
+        for (const score of [90, 85, 80, 75, 70]) {
+          await verify(service, 'session_1', { fingerprint }, score);
+        }
+        const summary = await verify(service, 'session_1', { fingerprint }, 65);
+
+        const session = await service.get('session_1');
+        expect(session.verifications.map(verification => verification.score)).toEqual([75, 70, 65]);
+        expect(session.verificationCount).toBe(6);
+        expect(summary).toMatchObject({ isNew: false, verificationCount: 5, scores: [80, 75, 70], scoreTrend: -10 });
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('deve lançar SESSION_EXPIRED após o timeout de inatividade', async () => {
+      jest.useFakeTimers().setSystemTime(Date.parse('2024-01-01T12:00:00Z'));
+      const service = new SessionService({ sessionTimeout: 60000 });
+      await verify(service, 'session_1', { fingerprint }, 90);
+
+      jest.setSystemTime(Date.parse('2024-01-01T12:00:59Z'));
+      await verify(service, 'session_1', { fingerprint }, 90);
+
+      jest.setSystemTime(Date.parse('2024-01-01T12:02:00Z'));
+      await expect(service.open('session_1')).rejects.toMatchObject({ code: 'SESSION_EXPIRED', statusCode: 401 });
+      await expect(service.open('session_2')).resolves.toMatchObject({ id: 'session_2', verifications: [] });
+    });
+  });
+
+  describe('stores', () => {
+    test('deve descartar as sessões menos recentes acima do limite em memória', async () => {
+      const store = new InMemorySessionStore({ maxSessions: 2 });
+      const service = new SessionService({ store });
+
+      await verify(service, 'a', { fingerprint }, 90);
+      await verify(service, 'b', { fingerprint }, 90);
+      await verify(service, 'a', { fingerprint }, 90);
+      await verify(service, 'c', { fingerprint }, 90);
+
+      expect(await store.get('b')).toBeNull();
+      expect((await store.get('a')).verifications).toHaveLength(2);
+    });
+
+    test('deve persistir e expurgar sessões em arquivos', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-sessions-'));
+      try {
+        await verify(new SessionService({ store: new FileSessionStore(directory) }), '../session_1', { fingerprint }, 90);
+
+        // Outra instância (ex.: após reiniciar o servidor) enxerga o histórico
+        const service = new SessionService({ store: new FileSessionStore(directory) });
+        const summary = await verify(service, '../session_1', { fingerprint }, 70);
+        expect(summary.verificationCount).toBe(1);
+        expect(await fs.readdir(directory)).toHaveLength(1);
+
+        expect(await service.store.purge(Date.now() + 1000)).toBe(1);
+        expect(await service.get('../session_1')).toBeNull();
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('deve gravar em ordem as gravações simultâneas da mesma sessão', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-sessions-'));
+      try {
+        const store = new FileSessionStore(directory);
+        await Promise.all([1, 2, 3, 4, 5].map(count =>
+          store.save({ id: 'session_1', lastActivity: new Date().toISOString(), metadata: { count } })));
+
+        expect((await store.get('session_1')).metadata.count).toBe(5);
+        expect(await fs.readdir(directory)).toHaveLength(1);
+        expect(store.writes.size).toBe(0);
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('regras e scoring', () => {
+    test('deve expor o histórico da sessão às regras', async () => {
+      const engine = new RuleEngine('memory');
+      engine.loadRulesFromObject({
+        rules: [{
+          id: 'session_score_drop',
+          name: 'Queda de score na sessão',
+          condition: 'session.verificationCount >= 2 && session.scoreTrend < -10',
+          weight: -20,
+          action: 'review',
+          enabled: true
+        }]
+      });
+
+      const service = new SessionService();
+      await verify(service, 'session_1', { fingerprint }, 90);
+      const session = await service.open('session_1');
+      const data = { fingerprint, session: service.summarize(session, { fingerprint }) };
+      expect((await engine.evaluateRules(data))[0].passed).toBe(false);
+
+      await verify(service, 'session_1', { fingerprint }, 70);
+      const next = await service.open('session_1');
+      const [result] = await engine.evaluateRules({ fingerprint, session: service.summarize(next, { fingerprint }) });
+      expect(result.passed).toBe(true);
+
+      // Sem store de sessões a condição apenas não dispara
+      expect((await engine.evaluateRules({ fingerprint }))[0].passed).toBe(false);
+    });
+
+    test('deve penalizar a troca de fingerprint na sessão', async () => {
+      const scoring = new ScoringService(null);
+      const data = { timestamp: Date.now(), fingerprint };
+      const stable = await scoring.calculateScore({ ...data, session: { fingerprintChanged: false } }, []);
+      const changed = await scoring.calculateScore({ ...data, session: { fingerprintChanged: true } }, []);
+
+      expect(changed.breakdown.dataQuality).toBeLessThan(stable.breakdown.dataQuality);
+      expect(changed.reasons.map(reason => reason.code)).toContain('SESSION_FINGERPRINT_CHANGED');
+      expect(stable.reasons.map(reason => reason.code)).not.toContain('SESSION_FINGERPRINT_CHANGED');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Testes para o Shadow Recorder (champion/challenger)
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ShadowRecorder } from '../../src/backend/services/shadow-recorder.js';
+
+describe('ShadowRecorder', () => {
+  let recorder;
+
+  const entry = (sessionId, championDecision, challengerDecision) => ({
+    sessionId,
+    champion: { decision: championDecision, score: 50, version: 3 },
+    challenger: { decision: challengerDecision, score: 50, version: 1 }
+  });
+
+  beforeEach(() => {
+    recorder = new ShadowRecorder({ maxRecords: 2 });
+  });
+
+  test('deve calcular concordância e matriz de confusão', () => {
+    recorder.record(entry('s1', 'allow', 'allow'));
+    recorder.record(entry('s2', 'allow', 'deny'));
+    recorder.record(entry('s3', 'review', 'review'));
+
+    const summary = recorder.getSummary();
+
+    expect(summary.total).toBe(3);
+    expect(summary.agreed).toBe(2);
+    expect(summary.agreement).toBeCloseTo(2 / 3);
+    expect(summary.confusionMatrix.allow.deny).toBe(1);
+    expect(summary.confusionMatrix.review.review).toBe(1);
+    expect(summary.timeline).toHaveLength(1);
+    expect(summary.timeline[0].total).toBe(3);
+  });
+
+  test('deve listar divergências recentes respeitando o limite de registros', () => {
+    recorder.record(entry('s1', 'allow', 'deny'));
+    recorder.record(entry('s2', 'allow', 'allow'));
+    recorder.record(entry('s3', 'deny', 'review'));
+
+    const summary = recorder.getSummary();
+
+    expect(summary.recentDisagreements.map(r => r.sessionId)).toEqual(['s3']);
+    expect(summary.total).toBe(3);
+  });
+
+  test('deve limpar registros no reset', () => {
+    recorder.record(entry('s1', 'allow', 'deny'));
+
+    recorder.reset();
+
+    expect(recorder.getSummary().total).toBe(0);
+    expect(recorder.getSummary().agreement).toBeNull();
+  });
+
+  test('deve recarregar do arquivo as avaliações do tenant desde o último reset', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-shadow-'));
+    const filePath = path.join(directory, 'shadow.jsonl');
+    try {
+      const checkout = new ShadowRecorder({ filePath, tenantId: 'checkout' });
+      const other = new ShadowRecorder({ filePath, tenantId: 'other' });
+      await checkout.record(entry('s1', 'allow', 'deny'));
+      await checkout.reset();
+      await checkout.record(entry('s2', 'allow', 'allow'));
+      await checkout.record(entry('s3', 'review', 'deny'));
+      await other.record(entry('s4', 'allow', 'allow'));
+
+      // Outra instância (ex.: após reiniciar o servidor)
+      const restarted = new ShadowRecorder({ filePath, tenantId: 'checkout' });
+      expect(await restarted.load()).toBe(2);
+
+      const summary = restarted.getSummary();
+      expect(summary).toMatchObject({ total: 2, agreed: 1, agreement: 0.5 });
+      expect(summary.confusionMatrix.review.deny).toBe(1);
+      expect(summary.recentDisagreements.map(r => r.sessionId)).toEqual(['s3']);
+      expect(summary.recentDisagreements[0].tenant).toBeUndefined();
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('deve recomeçar a comparação quando o challenger muda', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-shadow-'));
+    const filePath = path.join(directory, 'shadow.jsonl');
+    const withHash = (sessionId, hash) => {
+      const base = entry(sessionId, 'allow', 'deny');
+      return { ...base, challenger: { ...base.challenger, hash } };
+    };
+    try {
+      const first = new ShadowRecorder({ filePath, challengerHash: 'a' });
+      await first.record(withHash('s1', 'a'));
+      await first.record(withHash('s2', 'a'));
+
+      // CHALLENGER_RULES_PATH aponta para outro challenger (a versão recomeça em 1)
+      const replaced = new ShadowRecorder({ filePath, challengerHash: 'b' });
+      expect(await replaced.load()).toBe(0);
+      await replaced.record(withHash('s3', 'b'));
+
+      const restarted = new ShadowRecorder({ filePath, challengerHash: 'b' });
+      expect(await restarted.load()).toBe(1);
+      expect(restarted.getSummary().recentDisagreements.map(r => r.sessionId)).toEqual(['s3']);
+
+      await restarted.record(withHash('s4', 'c'));
+      expect(restarted.getSummary().total).toBe(1);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('deve tolerar arquivo inexistente', async () => {
+    const recorder = new ShadowRecorder({ filePath: path.join(os.tmpdir(), 'nexttrust-missing', 'shadow.jsonl') });
+    expect(await recorder.load()).toBe(0);
+  });
+});
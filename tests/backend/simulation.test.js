@@ -0,0 +1,194 @@
+/**
+ * Testes para o Simulador de Regras
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { RuleSimulator, readPayloads } from '../../src/backend/services/simulation.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+import { VerificationLog } from '../../src/backend/services/verification-log.js';
+import { extractFeatures } from '../../src/backend/services/features.js';
+import { accumulateBatch } from '../../src/backend/services/event-stream.js';
+import { DECISION_TYPES } from '../../src/shared/constants/index.js';
+
+describe('RuleSimulator', () => {
+  const botRule = {
+    id: 'bot_user_agent',
+    name: 'Bot User Agent',
+    condition: 'fingerprint.userAgent.includes(\'bot\')',
+    weight: -30,
+    action: 'deny',
+    enabled: true
+  };
+
+  const createEngine = (rules) => {
+    const engine = new RuleEngine('memory');
+    engine.loadRulesFromObject({ rules });
+    return engine;
+  };
+
+  const payload = (sessionId, userAgent) => ({
+    sessionId,
+    timestamp: Date.now(),
+    fingerprint: { userAgent },
+    requestInfo: {}
+  });
+
+  let simulator;
+
+  beforeEach(() => {
+    simulator = new RuleSimulator(
+      createEngine([botRule]),
+      createEngine([{ ...botRule, condition: 'fingerprint.userAgent.includes(\'crawler\')' }])
+    );
+
+    // Decisão determinística baseada apenas no score das regras
+    for (const side of [simulator.current, simulator.candidate]) {
+      side.scoringService.calculateScore = jest.fn(async (data, ruleResults) => ({
+        score: ruleResults.some(r => r.passed) ? 10 : 90
+      }));
+      side.scoringService.getDecision = jest.fn(score => (score >= 80 ? DECISION_TYPES.ALLOW : DECISION_TYPES.DENY));
+    }
+  });
+
+  test('deve montar matriz de confusão e listar decisões alteradas', async () => {
+    const report = await simulator.run([
+      { line: 1, payload: payload('s1', 'googlebot') },
+      { line: 2, payload: payload('s2', 'crawler') },
+      { line: 3, payload: payload('s3', 'Mozilla/5.0') }
+    ]);
+
+    expect(report.evaluated).toBe(3);
+    expect(report.confusionMatrix.deny.allow).toBe(1);
+    expect(report.confusionMatrix.allow.deny).toBe(1);
+    expect(report.confusionMatrix.allow.allow).toBe(1);
+    expect(report.agreement).toBeCloseTo(1 / 3);
+    expect(report.flipped.map(f => f.sessionId)).toEqual(['s1', 's2']);
+    expect(report.flipped[0]).toEqual({
+      line: 1,
+      sessionId: 's1',
+      current: { decision: 'deny', score: 10 },
+      candidate: { decision: 'allow', score: 90 }
+    });
+  });
+
+  test('deve calcular taxa de disparo por regra', async () => {
+    const report = await simulator.run([
+      { line: 1, payload: payload('s1', 'googlebot') },
+      { line: 2, payload: payload('s2', 'Mozilla/5.0') }
+    ]);
+
+    const rule = report.ruleHitRates.find(r => r.id === 'bot_user_agent');
+    expect(rule.current.hitRate).toBe(0.5);
+    expect(rule.candidate.hitRate).toBe(0);
+    expect(rule.delta).toBe(-0.5);
+  });
+
+  test('deve registrar linhas ignoradas', async () => {
+    const report = await simulator.run([
+      { line: 1, error: 'Invalid JSON' },
+      { line: 2, payload: payload('s2', 'Mozilla/5.0') }
+    ]);
+
+    expect(report.evaluated).toBe(1);
+    expect(report.skipped).toEqual([{ line: 1, error: 'Invalid JSON' }]);
+  });
+
+  test('deve repassar aos payloads lidos a sessão, o dispositivo e os lotes gravados na verificação', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-verifications-'));
+    try {
+      const log = new VerificationLog(path.join(directory, 'verifications.jsonl'));
+      await log.append(payload('s1', 'Mozilla/5.0'), { ip: '10.0.0.1' }, 'loja', {
+        session: { verificationCount: 2, fingerprintChanged: true },
+        device: { id: 'device_1', isNew: true, typing: { status: 'mismatch' } },
+        user: { deviceCount: 3 },
+        stream: accumulateBatch(null, {
+          sequence: 0, sessionStart: 0, start: 1000, end: 61000,
+          eventCounts: { click: 2 }, types: ['click'], events: [[0, 0], [0, 2000]], dropped: 0
+        }).state
+      });
+
+      const records = [];
+      for await (const record of readPayloads(log.filePath)) {
+        records.push(record);
+      }
+
+      expect(records).toHaveLength(1);
+      expect(records[0].tenant).toBe('loja');
+      expect(records[0].payload.derived).toBeUndefined();
+      expect(records[0].payload.behavioral).toMatchObject({ duration: 61000, totalEvents: 2, stream: { batchCount: 1 } });
+      expect(extractFeatures(records[0].payload)).toMatchObject({
+        session_verification_count: 2,
+        session_fingerprint_changed: 1,
+        device_is_new: 1,
+        user_device_count: 3,
+        typing_profile_mismatch: 1
+      });
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('deve pontuar a captura facial lida do log como na verificação, sem a imagem', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-verifications-'));
+    try {
+      const log = new VerificationLog(path.join(directory, 'verifications.jsonl'));
+      const verified = { ...payload('s1', 'Mozilla/5.0'), facial: { imageData: 'data:image/jpeg;base64,AAAA', timestamp: 1 } };
+      await log.append(verified, {}, null);
+
+      const records = [];
+      for await (const record of readPayloads(log.filePath)) {
+        records.push(record);
+      }
+      const [record] = records;
+
+      expect(record.payload.facial).toEqual({ timestamp: 1, present: true, imageSize: 27 });
+
+      const engine = createEngine([{ id: 'facial', name: 'Facial', condition: 'facial.present && !facial.error', weight: 10, action: 'allow', enabled: true }]);
+      const scoring = new ScoringService(engine);
+      for (const data of [verified, record.payload]) {
+        const [rule] = await engine.evaluateRules(data);
+        const { breakdown } = await scoring.calculateScore(data, [rule]);
+
+        expect(rule.passed).toBe(true);
+        expect(breakdown.facial).toBe(80);
+      }
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('deve reproduzir a decisão ao vivo de um payload gravado há horas', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-verifications-'));
+    try {
+      const engine = createEngine([botRule]);
+      const scoring = new ScoringService(engine);
+      const receivedAt = new Date().toISOString();
+      const live = { ...payload('s1', 'Mozilla/5.0'), timestamp: Date.parse(receivedAt) - 10000 };
+      const data = { ...live, requestInfo: { receivedAt } };
+      const liveRules = await engine.evaluateRules(data);
+      const liveScore = await scoring.calculateScore(data, liveRules);
+      const liveDecision = scoring.getDecision(liveScore.score, liveRules, scoring.getProfile());
+
+      const log = new VerificationLog(path.join(directory, 'verifications.jsonl'));
+      await log.append(live, { receivedAt }, null);
+
+      // Simulação executada 6 horas depois
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse(receivedAt) + 6 * 60 * 60 * 1000);
+
+      const records = [];
+      for await (const record of readPayloads(log.filePath)) {
+        records.push(record);
+      }
+      const replay = new RuleSimulator(createEngine([botRule]), createEngine([botRule]));
+      const simulated = await replay.evaluate(replay.current, records[0].payload);
+
+      expect(simulated.score).toBe(liveScore.score);
+      expect(simulated.decision).toBe(liveDecision);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
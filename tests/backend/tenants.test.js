@@ -0,0 +1,206 @@
+/**
+ * Testes para o registro de tenants
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { TenantRegistry, DEFAULT_TENANT_ID } from '../../src/backend/services/tenants.js';
+import { Tenant, TENANT_FEATURES } from '../../src/backend/models/index.js';
+import { sdkMiddleware, redactApiKey } from '../../src/backend/middleware/sdk.js';
+import { AuditLog } from '../../src/backend/services/audit-log.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+import { ScoringService } from '../../src/backend/services/scoring.js';
+import { verifyIdentityRoute } from '../../src/backend/routes/identity.js';
+
+describe('TenantRegistry', () => {
+  const definitions = [
+    { id: 'login', apiKeys: ['key-login'], rulesPath: './rules.json' },
+    {
+      id: 'checkout',
+      name: 'Checkout',
+      apiKeys: ['key-checkout-1', 'key-checkout-2'],
+      rulesPath: './checkout.json',
+      thresholds: { allow: 90, review: 60 },
+      features: { explain: false },
+      rateLimit: { windowMs: 60000, maxRequests: 600 }
+    }
+  ];
+
+  test('deve resolver o tenant pela API key', () => {
+    const registry = TenantRegistry.fromDefinitions(definitions);
+
+    expect(registry.resolveApiKey('key-checkout-2').id).toBe('checkout');
+    expect(registry.resolveApiKey('key-login').id).toBe('login');
+    expect(registry.resolveApiKey('desconhecida')).toBeNull();
+  });
+
+  test('deve usar o tenant default ou o primeiro como padrão', () => {
+    expect(TenantRegistry.fromDefinitions(definitions).getDefault().id).toBe('login');
+
+    const withDefault = TenantRegistry.fromDefinitions([
+      ...definitions,
+      { id: DEFAULT_TENANT_ID, apiKeys: ['key-default'], rulesPath: './rules.json' }
+    ]);
+    expect(withDefault.getDefault().id).toBe(DEFAULT_TENANT_ID);
+  });
+
+  test('deve rejeitar IDs e API keys repetidos', () => {
+    expect(() => TenantRegistry.fromDefinitions([definitions[0], { ...definitions[0], apiKeys: ['outra'] }]))
+      .toThrow('Duplicate tenant ID: login');
+    expect(() => TenantRegistry.fromDefinitions([definitions[0], { ...definitions[1], apiKeys: ['key-login'] }]))
+      .toThrow('already assigned to tenant login');
+  });
+
+  test('deve carregar o arquivo resolvendo caminhos relativos ao seu diretório', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tenants-'));
+    const file = path.join(dir, 'tenants.json');
+    await fs.writeFile(file, JSON.stringify({ tenants: definitions }));
+
+    const registry = await TenantRegistry.load(file);
+
+    expect(registry.get('checkout').rulesPath).toBe(path.join(dir, 'checkout.json'));
+    await expect(TenantRegistry.load(path.join(dir, 'ausente.json'))).rejects.toThrow('Failed to load tenants');
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Tenant', () => {
+  const base = { id: 'checkout', apiKeys: ['key'], rulesPath: './rules.json' };
+
+  test('deve validar a configuração', () => {
+    expect(() => new Tenant({ ...base, id: 'Check Out' })).toThrow('Tenant ID');
+    expect(() => new Tenant({ ...base, apiKeys: [] })).toThrow('at least one API key');
+    expect(() => new Tenant({ ...base, thresholds: { allow: 40, review: 60 } })).toThrow('Invalid threshold');
+    expect(() => new Tenant({ ...base, rateLimit: { windowMs: 0, maxRequests: 10 } })).toThrow('Invalid rate limit');
+    expect(() => new Tenant({ ...base, features: { explain: 'sim' } })).toThrow('features must be booleans');
+    expect(() => new Tenant({ ...base, features: { facial: false, biometria: false } })).toThrow('unknown features: biometria');
+  });
+
+  test('deve usar o valor padrão para features não configuradas e ocultar as API keys', () => {
+    const tenant = new Tenant({ ...base, features: { explain: false, behavioral: false } });
+
+    expect(tenant.isFeatureEnabled(TENANT_FEATURES.EXPLAIN, true)).toBe(false);
+    expect(tenant.isFeatureEnabled(TENANT_FEATURES.BEHAVIORAL, true)).toBe(false);
+    expect(tenant.isFeatureEnabled(TENANT_FEATURES.FACIAL, true)).toBe(true);
+    expect(tenant.isFeatureEnabled('outra', true)).toBe(true);
+    expect(tenant.toJSON()).not.toHaveProperty('apiKeys');
+  });
+});
+
+describe('sdkMiddleware com tenants', () => {
+  const registry = TenantRegistry.fromDefinitions([
+    { id: 'login', apiKeys: ['key-login'], rulesPath: './rules.json' }
+  ]);
+
+  const run = (apiKey) => {
+    const req = { headers: { 'x-api-key': apiKey }, ip: '127.0.0.1', method: 'POST', path: '/verify' };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    sdkMiddleware({ apiKey: 'ignorada' }, registry)(req, res, next);
+    return { req, res, next };
+  };
+
+  test('deve anexar o tenant da API key em req.sdk', () => {
+    const { req, next } = run('key-login');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sdk.tenant.id).toBe('login');
+  });
+
+  test('deve rejeitar API keys sem tenant', () => {
+    const { res, next } = run('ignorada');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('deve ocultar a API key da query string nos logs', () => {
+    expect(redactApiKey('/api/identity/events?apiKey=key-login&v=2')).toBe('/api/identity/events?apiKey=[REDACTED]&v=2');
+    expect(redactApiKey('/api/identity/events?v=2&apiKey=key-login')).toBe('/api/identity/events?v=2&apiKey=[REDACTED]');
+    expect(redactApiKey('/api/identity/verify')).toBe('/api/identity/verify');
+  });
+});
+
+describe('AuditLog por tenant', () => {
+  test('deve filtrar entradas por tenant tratando entradas antigas como do tenant padrão', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    const auditLog = new AuditLog(path.join(dir, 'audit.jsonl'));
+
+    await auditLog.append({ action: 'create', resource: 'rule', resourceId: 'a' });
+    await auditLog.append({ tenant: 'checkout', action: 'create', resource: 'rule', resourceId: 'b' });
+
+    expect((await auditLog.list({ tenant: DEFAULT_TENANT_ID })).map(e => e.resourceId)).toEqual(['a']);
+    expect((await auditLog.list({ tenant: 'checkout' })).map(e => e.resourceId)).toEqual(['b']);
+    expect(await auditLog.list()).toHaveLength(2);
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
+
+describe('POST /api/identity/verify com explain', () => {
+  // checkout desliga o explain; login usa a configuração do servidor
+  const registry = TenantRegistry.fromDefinitions([
+    { id: 'login', apiKeys: ['key-login'], rulesPath: './rules.json' },
+    { id: 'checkout', apiKeys: ['key-checkout'], rulesPath: './checkout.json', features: { explain: false } }
+  ]);
+  const body = () => ({
+    sessionId: 'session_1',
+    timestamp: Date.now(),
+    fingerprint: {
+      userAgent: 'Mozilla/5.0 (Test Browser)',
+      language: 'en-US',
+      platform: 'Test Platform',
+      screenResolution: '1920x1080',
+      timezone: 'UTC',
+      canvasFingerprint: 'test_canvas',
+      webglFingerprint: 'test_webgl',
+      audioFingerprint: 'test_audio',
+      fonts: ['Arial'],
+      plugins: [],
+      hardwareConcurrency: '4',
+      deviceMemory: '8',
+      timestamp: Date.now(),
+      sdkVersion: '1.0.0',
+      sdkName: 'NextTrustSDK'
+    }
+  });
+
+  const createApp = (enableExplain) => {
+    const ruleEngine = new RuleEngine('memory');
+    ruleEngine.loadRulesFromObject({
+      rules: [{ id: 'test_browser', name: 'Test Browser', condition: 'fingerprint.userAgent.includes(\'Test\')', weight: -5, action: 'review', enabled: true }]
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/api', sdkMiddleware({}, registry));
+    app.use('/api/identity', verifyIdentityRoute(ruleEngine, new ScoringService(null), { enableExplain, tenants: registry }));
+    return app;
+  };
+
+  // Regras da resposta que trazem o trace
+  const traced = async (app, apiKey, { header, query = '' } = {}) => {
+    const req = request(app).post(`/api/identity/verify${query}`).set('X-API-Key', apiKey);
+    const response = await (header ? req.set('X-Explain', header) : req).send(body());
+    expect(response.status).toBe(200);
+    return response.body.ruleResults.filter(rule => 'trace' in rule).length;
+  };
+
+  test('deve incluir o trace só quando pedido pelo header ou pela query string', async () => {
+    const app = createApp(true);
+
+    expect(await traced(app, 'key-login')).toBe(0);
+    expect(await traced(app, 'key-login', { header: 'true' })).toBe(1);
+    expect(await traced(app, 'key-login', { query: '?explain=true' })).toBe(1);
+    expect(await traced(app, 'key-login', { query: '?explain=false' })).toBe(0);
+  });
+
+  test('deve ignorar o pedido com enableExplain desligado ou com o explain desligado no tenant', async () => {
+    expect(await traced(createApp(false), 'key-login', { header: 'true' })).toBe(0);
+    expect(await traced(createApp(true), 'key-checkout', { header: 'true' })).toBe(0);
+    expect(await traced(createApp(true), 'key-checkout', { query: '?explain=true' })).toBe(0);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Testes para os rótulos de feedback e o treino offline de modelos
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { LabelStore } from '../../src/backend/services/labels.js';
+import {
+  buildDataset,
+  splitDataset,
+  trainLogisticRegression,
+  computeAuc,
+  evaluateModel,
+  datasetToCsv
+} from '../../src/backend/services/training.js';
+import { createModel } from '../../src/backend/services/model.js';
+import { verifyIdentityRoute } from '../../src/backend/routes/identity.js';
+import { sdkMiddleware, adminMiddleware } from '../../src/backend/middleware/sdk.js';
+
+describe('LabelStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-labels-'));
+    store = new LabelStore(path.join(tempDir, 'labels.jsonl'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('deve manter o rótulo de desfecho mais recente de cada sessão', async () => {
+    await store.append({ sessionId: 's1', label: 'legit', source: 'manual_review', timestamp: '2024-01-02T00:00:00Z' });
+    await store.append({ sessionId: 's1', label: 'fraud', source: 'chargeback', timestamp: '2024-02-01T00:00:00Z' });
+    await store.append({ sessionId: 's2', label: 'fraud', source: 'chargeback', tenant: 'loja' });
+
+    const latest = await store.latestBySession();
+    expect(latest.get('s1').label).toBe('fraud');
+    expect(latest.get('s1').source).toBe('chargeback');
+    expect((await store.latestBySession({ tenant: 'default' })).has('s2')).toBe(false);
+    expect(await store.list({ sessionId: 's1' })).toHaveLength(2);
+  });
+
+  test('deve rejeitar rótulos desconhecidos e tolerar arquivo inexistente', async () => {
+    await expect(store.append({ sessionId: 's1', label: 'talvez', source: 'manual_review' })).rejects.toThrow('Invalid label');
+    expect(await store.list()).toEqual([]);
+  });
+});
+
+describe('POST /api/identity/feedback', () => {
+  const config = { apiKey: 'sdk-key', adminApiKeys: { 'admin-key': 'ana' } };
+  const body = { sessionId: 's1', label: 'fraud', source: 'chargeback' };
+  let tempDir;
+  let store;
+  let app;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexttrust-feedback-'));
+    store = new LabelStore(path.join(tempDir, 'labels.jsonl'));
+    app = express();
+    app.use(express.json());
+    app.use('/api', sdkMiddleware(config));
+    app.use('/api/identity', verifyIdentityRoute(null, null, {
+      labelStore: store,
+      requireAdmin: adminMiddleware(config)
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('deve rejeitar rótulos enviados só com a API key do SDK', async () => {
+    const response = await request(app)
+      .post('/api/identity/feedback')
+      .set('X-API-Key', 'sdk-key')
+      .send(body);
+
+    expect(response.status).toBe(401);
+    expect(await store.list()).toEqual([]);
+  });
+
+  test('deve gravar o rótulo com a chave administrativa', async () => {
+    const response = await request(app)
+      .post('/api/identity/feedback')
+      .set('X-API-Key', 'sdk-key')
+      .set('X-Admin-Key', 'admin-key')
+      .send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.label.actor).toBe('ana');
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  test('deve ficar desabilitado sem autenticação administrativa configurada', async () => {
+    const unprotected = express();
+    unprotected.use(express.json());
+    unprotected.use('/api/identity', verifyIdentityRoute(null, null, { labelStore: store }));
+
+    const response = await request(unprotected).post('/api/identity/feedback').send(body);
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Treino de modelos', () => {
+  const payload = (sessionId, bot) => ({
+    sessionId,
+    timestamp: Date.now(),
+    fingerprint: { userAgent: bot ? 'Googlebot/2.1' : 'Mozilla/5.0', language: 'pt-BR' },
+    requestInfo: {}
+  });
+
+  const rows = Array.from({ length: 40 }, (_, i) => ({
+    sessionId: `s${i}`,
+    label: i % 4 === 0 ? 1 : 0,
+    features: { suspicious_user_agent: i % 4 === 0 ? 1 : 0, font_count: i % 3 }
+  }));
+
+  test('deve juntar payloads com rótulos', () => {
+    const labels = new Map([
+      ['s1', { label: 'fraud' }],
+      ['s2', { label: 'legit' }],
+      ['s9', { label: 'fraud' }]
+    ]);
+    const dataset = buildDataset([payload('s1', true), payload('s2', false), payload('s3', false)], labels);
+
+    expect(dataset.rows.map(row => [row.sessionId, row.label])).toEqual([['s1', 1], ['s2', 0]]);
+    expect(dataset.rows[0].features.suspicious_user_agent).toBe(1);
+    expect(dataset.unlabeled).toBe(1);
+    expect(dataset.missingPayloads).toBe(1);
+  });
+
+  test('deve separar treino e teste de forma determinística por sessão', () => {
+    const first = splitDataset(rows, 0.25);
+    const second = splitDataset([...rows].reverse(), 0.25);
+
+    expect(first.train.length + first.test.length).toBe(rows.length);
+    expect(first.test.length).toBeGreaterThan(0);
+    expect(second.test.map(row => row.sessionId).sort()).toEqual(first.test.map(row => row.sessionId).sort());
+    expect(splitDataset(rows, 0).test).toHaveLength(0);
+  });
+
+  test('deve treinar uma regressão logística carregável pelo scoring', () => {
+    const definition = trainLogisticRegression(rows, { features: ['suspicious_user_agent', 'font_count'] });
+    const model = createModel(definition);
+
+    expect(definition.coefficients[0]).toBeGreaterThan(0);
+    expect(model.predictVector([1, 0])).toBeGreaterThan(0.5);
+    expect(model.predictVector([0, 0])).toBeLessThan(0.5);
+  });
+
+  test('deve exigir exemplos das duas classes', () => {
+    expect(() => trainLogisticRegression(rows.filter(row => row.label === 0))).toThrow('both fraud and legit');
+  });
+
+  test('deve calcular AUC considerando empates', () => {
+    expect(computeAuc([0.9, 0.8, 0.2, 0.1], [1, 1, 0, 0])).toBe(1);
+    expect(computeAuc([0.1, 0.9], [1, 0])).toBe(0);
+    expect(computeAuc([0.5, 0.5], [1, 0])).toBe(0.5);
+    expect(computeAuc([0.5, 0.5], [0, 0])).toBeNull();
+  });
+
+  test('deve medir precisão e recall nos thresholds de allow e review', () => {
+    // p = sigmoid(logit): fraude com score 10, legítimas com scores 60 e 90
+    const logit = p => Math.log(p / (1 - p));
+    const definition = {
+      type: 'logistic_regression',
+      features: ['font_count'],
+      intercept: 0,
+      coefficients: [1]
+    };
+    const evaluation = [
+      { label: 1, features: { font_count: logit(0.9) } },
+      { label: 0, features: { font_count: logit(0.4) } },
+      { label: 0, features: { font_count: logit(0.1) } }
+    ];
+
+    const metrics = evaluateModel(definition, evaluation, { allow: 80, review: 50 });
+
+    expect(metrics.auc).toBe(1);
+    expect(metrics.thresholds.allow).toMatchObject({ threshold: 80, precision: 0.5, recall: 1, flagged: 2 });
+    expect(metrics.thresholds.review).toMatchObject({ threshold: 50, precision: 1, recall: 1, flagged: 1 });
+  });
+
+  test('deve exportar o dataset em CSV', () => {
+    const csv = datasetToCsv([{ sessionId: 'a,b', label: 1, features: { font_count: 3 } }], ['font_count', 'plugin_count']);
+
+    expect(csv).toBe('sessionId,label,font_count,plugin_count\n"a,b",1,3,0\n');
+  });
+});
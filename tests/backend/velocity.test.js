@@ -0,0 +1,142 @@
+/**
+ * Testes para os contadores de velocidade
+ */
+
+import { VelocityTracker, InMemoryCounterStore, parseWindow, parseVelocityKeys } from '../../src/backend/services/velocity.js';
+import { RuleEngine } from '../../src/backend/services/rule-engine.js';
+
+describe('Velocity', () => {
+  const start = Date.parse('2024-01-01T12:00:00.000Z');
+
+  const payload = (overrides = {}, offsetMs = 0) => ({
+    sessionId: 'session_1',
+    fingerprint: { userAgent: 'Mozilla/5.0', canvasFingerprint: 'canvas_a' },
+    ...overrides,
+    requestInfo: {
+      ip: '10.0.0.1',
+      receivedAt: new Date(start + offsetMs).toISOString(),
+      ...overrides.requestInfo
+    }
+  });
+
+  const createEngine = (rules, tracker = new VelocityTracker()) => {
+    const engine = new RuleEngine('memory', { velocity: tracker });
+    engine.loadRulesFromObject({
+      rules: rules.map(rule => ({ name: rule.id, weight: -20, action: 'review', enabled: true, ...rule }))
+    });
+    return engine;
+  };
+
+  const verify = async (engine, data) => {
+    await engine.velocity.record(data);
+    const [result] = await engine.evaluateRules(data);
+    return result;
+  };
+
+  describe('parseWindow', () => {
+    test('deve converter janelas de tempo em milissegundos', () => {
+      expect(parseWindow('30s')).toBe(30000);
+      expect(parseWindow('10m')).toBe(600000);
+      expect(parseWindow('1h')).toBe(3600000);
+      expect(parseWindow('1d')).toBe(86400000);
+    });
+
+    test('deve rejeitar janelas inválidas', () => {
+      expect(() => parseWindow('10 minutes')).toThrow('Invalid velocity window');
+      expect(() => parseWindow('0m')).toThrow('Invalid velocity window');
+    });
+  });
+
+  test('deve contar verificações do mesmo IP dentro da janela', async () => {
+    const engine = createEngine([{ id: 'ip_velocity', condition: 'count(\'ip\', \'10m\') > 2' }]);
+
+    expect((await verify(engine, payload({}, 0))).passed).toBe(false);
+    expect((await verify(engine, payload({}, 60000))).passed).toBe(false);
+    expect((await verify(engine, payload({}, 120000))).passed).toBe(true);
+
+    // Outro IP tem seu próprio contador
+    expect((await verify(engine, payload({ requestInfo: { ip: '10.0.0.2' } }, 130000))).passed).toBe(false);
+
+    // Fora da janela, eventos antigos deixam de contar
+    expect((await verify(engine, payload({}, 13 * 60000))).passed).toBe(false);
+  });
+
+  test('deve contar sessões distintas por canvas fingerprint', async () => {
+    const engine = createEngine([{ id: 'canvas_sessions', condition: 'countDistinct(\'canvas\', \'1h\', \'session\') > 2' }]);
+
+    await verify(engine, payload({ sessionId: 's1' }));
+    await verify(engine, payload({ sessionId: 's1' }, 1000));
+    expect((await verify(engine, payload({ sessionId: 's2' }, 2000))).passed).toBe(false);
+    expect((await verify(engine, payload({ sessionId: 's3' }, 3000))).passed).toBe(true);
+  });
+
+  test('deve usar o hash do canvas fingerprint como chave do contador', async () => {
+    const tracker = new VelocityTracker();
+    const engine = createEngine([{ id: 'canvas_velocity', condition: 'count(\'canvas\', \'1h\') > 1' }], tracker);
+    const canvasFingerprint = `data:image/png;base64,${'A'.repeat(100000)}`;
+
+    await verify(engine, payload({ fingerprint: { userAgent: 'Mozilla/5.0', canvasFingerprint } }));
+    expect((await verify(engine, payload({ fingerprint: { userAgent: 'Mozilla/5.0', canvasFingerprint } }, 1000))).passed).toBe(true);
+
+    const keys = [...tracker.store.entries.keys()].filter(key => key.startsWith('canvas:'));
+    expect(keys).toEqual([expect.stringMatching(/^canvas:[0-9a-f]{64}$/)]);
+  });
+
+  test('deve suportar chaves personalizadas', async () => {
+    const tracker = new VelocityTracker({ keys: parseVelocityKeys('platform:fingerprint.platform') });
+    const engine = createEngine([{ id: 'platform_velocity', condition: 'count(\'platform\', \'1m\') > 1' }], tracker);
+
+    await verify(engine, payload({ fingerprint: { platform: 'Linux' } }));
+    expect((await verify(engine, payload({ fingerprint: { platform: 'Linux' } }, 1000))).passed).toBe(true);
+    expect((await verify(engine, payload({ fingerprint: {} }, 2000))).passed).toBe(false);
+  });
+
+  test('deve registrar verificações apenas se alguma regra habilitada usar velocidade', () => {
+    expect(createEngine([{ id: 'plain', condition: 'sessionId != null' }]).usesVelocity()).toBe(false);
+    expect(createEngine([{ id: 'off', condition: 'count(\'ip\', \'10m\') > 2', enabled: false }]).usesVelocity()).toBe(false);
+    expect(createEngine([{ id: 'ip_velocity', condition: 'count(\'ip\', \'10m\') > 2' }]).usesVelocity()).toBe(true);
+    expect(new RuleEngine('memory').usesVelocity()).toBe(false);
+  });
+
+  describe('InMemoryCounterStore', () => {
+    test('deve descartar chaves sem eventos no período de retenção', async () => {
+      const store = new InMemoryCounterStore({ retentionMs: 60 * 60000 });
+
+      await store.add('ip:10.0.0.1', start);
+      await store.add('ip:10.0.0.2', start + 2 * 60 * 60000);
+
+      expect(store.entries.has('ip:10.0.0.1')).toBe(false);
+      expect(store.entries.has('ip:10.0.0.2')).toBe(true);
+    });
+
+    test('deve descartar a chave sem eventos há mais tempo ao exceder maxKeys', async () => {
+      const store = new InMemoryCounterStore({ maxKeys: 2 });
+
+      await store.add('ip:a', start);
+      await store.add('ip:b', start + 1000);
+      await store.add('ip:a', start + 2000);
+      await store.add('ip:c', start + 3000);
+
+      expect([...store.entries.keys()]).toEqual(['ip:a', 'ip:c']);
+      expect(await store.count('ip:a', start + 3000 - 60000)).toBe(2);
+    });
+  });
+
+  test('deve rejeitar chamadas inválidas ao carregar regras', () => {
+    const engine = createEngine([]);
+
+    expect(() => engine.validateRules([{ id: 'a', name: 'a', condition: 'count(\'email\', \'10m\') > 1', weight: 1, action: 'review' }]))
+      .toThrow('Unknown velocity key \'email\'');
+    expect(() => engine.validateRules([{ id: 'b', name: 'b', condition: 'count(sessionId, \'10m\') > 1', weight: 1, action: 'review' }]))
+      .toThrow('count() expects 2 string literal arguments');
+    expect(() => engine.validateRules([{ id: 'c', name: 'c', condition: 'count(\'ip\', \'soon\') > 1', weight: 1, action: 'review' }]))
+      .toThrow('Invalid velocity window');
+  });
+
+  test('deve rejeitar count() quando não há velocity tracker', () => {
+    const engine = new RuleEngine('memory');
+
+    expect(() => engine.validateRules([{ id: 'a', name: 'a', condition: 'count(\'ip\', \'10m\') > 1', weight: 1, action: 'review' }]))
+      .toThrow('Unknown function \'count\'');
+  });
+});
@@ -223,6 +223,144 @@ describe('BehavioralTracker', () => {
     });
   });
 
+  describe('dinâmica de digitação', () => {
+    // Digita as teclas com [keydown, keyup] em ms
+    const type = keys => {
+      tracker.startTracking();
+      for (const [key, down, up] of keys) {
+        tracker._handleEvent({ type: 'keydown', key, code: key, timeStamp: down, target: null });
+        tracker._handleEvent({ type: 'keyup', key, code: key, timeStamp: up, target: null });
+      }
+    };
+
+    test('deve calcular dwell, flight e taxa de correção', () => {
+      type([['a', 1000, 1080], ['b', 1200, 1300], ['Backspace', 1420, 1480], ['c', 1540, 1640]]);
+
+      expect(tracker._calculateBehavioralMetrics().keystrokeDynamics).toEqual({
+        keyCount: 4,
+        dwellSamples: 4,
+        dwellMean: 85,
+        dwellVariance: 275,
+        flightSamples: 3,
+        flightMean: 100,
+        flightVariance: 800,
+        correctionRate: 0.25
+      });
+    });
+
+    test('deve ignorar repetição automática e pausas longas', () => {
+      tracker.startTracking();
+      tracker._handleEvent({ type: 'keydown', key: 'a', code: 'KeyA', timeStamp: 1000, target: null });
+      tracker._handleEvent({ type: 'keydown', key: 'a', code: 'KeyA', timeStamp: 1500, repeat: true, target: null });
+      tracker._handleEvent({ type: 'keyup', key: 'a', code: 'KeyA', timeStamp: 1600, target: null });
+      tracker._handleEvent({ type: 'keydown', key: 'b', code: 'KeyB', timeStamp: 9000, target: null });
+      tracker._handleEvent({ type: 'keyup', key: 'b', code: 'KeyB', timeStamp: 9100, target: null });
+
+      const dynamics = tracker._calculateBehavioralMetrics().keystrokeDynamics;
+      expect(dynamics).toMatchObject({ keyCount: 2, dwellSamples: 2, dwellMean: 350, flightSamples: 0 });
+    });
+
+    test('não deve enviar as teclas digitadas', () => {
+      type([['s', 1000, 1090], ['e', 1150, 1230]]);
+
+      const { keystrokeDynamics } = tracker.getSummaryData().metrics;
+      expect(JSON.stringify(keystrokeDynamics)).not.toMatch(/"[se]"/);
+
+      tracker.clearEvents();
+      expect(tracker._calculateBehavioralMetrics().keystrokeDynamics.keyCount).toBe(0);
+    });
+  });
+
+  describe('dinâmica do mouse', () => {
+    test('deve medir a distância percorrida e resumir as trajetórias', () => {
+      tracker.startTracking();
+      [[0, 0], [30, 40], [60, 80]].forEach(([x, y], i) => {
+        tracker._handleEvent({ type: 'mousemove', clientX: x, clientY: y, timeStamp: 1000 + i * 20, target: null });
+      });
+      tracker._handleEvent({ type: 'click', clientX: 60, clientY: 80, timeStamp: 1100, button: 0, target: null });
+      // Toque e ativação pelo teclado não entram na dinâmica do mouse
+      tracker._handleEvent({ type: 'click', pointerType: 'touch', clientX: 500, clientY: 500, timeStamp: 1200, target: null });
+      tracker._handleEvent({ type: 'click', isTrusted: true, detail: 0, clientX: 0, clientY: 0, timeStamp: 1300, target: null });
+
+      const metrics = tracker._calculateBehavioralMetrics();
+      expect(metrics.mouseMovementDistance).toBe(100);
+      expect(metrics.mouseDynamics).toMatchObject({
+        pointCount: 3,
+        totalDistance: 100,
+        speed: { mean: 2500, stdDev: 0 },
+        clickCount: 1,
+        clicksWithoutApproach: 0
+      });
+    });
+  });
+
+  describe('lotes de eventos', () => {
+    test('deve enviar nos lotes os eventos descartados por maxEvents', () => {
+      const small = new BehavioralTracker({ maxEvents: 2 });
+      small.startTracking();
+      for (let i = 0; i < 5; i++) {
+        small._handleEvent({ type: 'click', clientX: i, clientY: i, target: null });
+      }
+      small._handleEvent({ type: 'devicemotion', accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, target: null });
+
+      expect(small.getEvents()).toHaveLength(2);
+      const batch = small.takeBatch();
+      expect(batch).toMatchObject({ sequence: 0, sessionStart: small.startTime, eventCounts: { click: 5 }, types: ['click'] });
+      expect(batch.events).toHaveLength(5);
+      expect(small.takeBatch()).toBe(batch);
+      small.acknowledgeBatch();
+      expect(small.takeBatch()).toBeNull();
+      small.stopTracking();
+    });
+  });
+
+  describe('toques e sensores', () => {
+    const touchEvent = (type, identifier, x, y, timeStamp) => ({
+      type,
+      timeStamp,
+      target: null,
+      changedTouches: [{ identifier, clientX: x, clientY: y, force: 0.4 + identifier / 10, radiusX: 10, radiusY: 12 }]
+    });
+
+    test('deve rastrear toques e sensores apenas com mobileSignals', () => {
+      expect(new BehavioralTracker().config.events).not.toContain(BEHAVIORAL_EVENTS.TOUCH);
+      expect(new BehavioralTracker({ mobileSignals: true }).config.events).toEqual(
+        expect.arrayContaining([BEHAVIORAL_EVENTS.TOUCH, BEHAVIORAL_EVENTS.DEVICE_MOTION, BEHAVIORAL_EVENTS.ORIENTATION_CHANGE])
+      );
+    });
+
+    test('deve resumir toques e sensores sem guardar eventos de alta frequência', () => {
+      tracker.startTracking();
+      tracker._handleEvent(touchEvent('touchstart', 1, 100, 100, 1000));
+      tracker._handleEvent(touchEvent('touchend', 1, 101, 100, 1090));
+      tracker._handleEvent(touchEvent('touchstart', 2, 100, 400, 2000));
+      tracker._handleEvent(touchEvent('touchmove', 2, 100, 250, 2100));
+      tracker._handleEvent(touchEvent('touchend', 2, 100, 100, 2200));
+      [9.78, 9.81, 9.8].forEach(z => {
+        tracker._handleEvent({ type: 'devicemotion', accelerationIncludingGravity: { x: 0, y: 0, z }, target: null });
+      });
+      tracker._handleEvent({ type: 'deviceorientation', alpha: 10, beta: 45, gamma: 0, target: null });
+      tracker._handleEvent({ type: 'orientationchange', target: null });
+
+      expect(tracker.events.map(event => event.type)).toEqual(['touchstart', 'touchend', 'touchstart', 'touchend', 'orientationchange']);
+
+      const metrics = tracker._calculateBehavioralMetrics();
+      expect(metrics.touchDynamics).toMatchObject({
+        touchCount: 2,
+        tapCount: 1,
+        swipeCount: 1,
+        tapDuration: { mean: 90 },
+        swipeVelocity: { mean: 1500 }
+      });
+      expect(metrics.sensorDynamics).toMatchObject({ motionSamples: 3, orientationSamples: 1, orientationChanges: 1 });
+      expect(metrics.sensorDynamics.motionJitter.mean).toBeCloseTo(0.02);
+
+      tracker.clearEvents();
+      expect(tracker._calculateBehavioralMetrics().touchDynamics.touchCount).toBe(0);
+      expect(tracker._calculateBehavioralMetrics().sensorDynamics.motionSamples).toBe(0);
+    });
+  });
+
   describe('_extractEventData', () => {
     test('deve extrair dados de evento de clique', () => {
       const mockEvent = {
@@ -262,10 +400,21 @@ describe('BehavioralTracker', () => {
       const eventData = tracker._extractEventData(mockEvent);
       
       expect(eventData.type).toBe('keydown');
-      expect(eventData.data.key).toBe('a');
-      expect(eventData.data.code).toBe('KeyA');
+      // privacyMode balanced (padrão): teclas mascaradas
+      expect(eventData.data.key).toBe('*');
+      expect(eventData.data.code).toBeNull();
       expect(eventData.data.ctrlKey).toBe(true);
       expect(eventData.data.repeat).toBe(false);
     });
+
+    test('deve aplicar o modo de privacidade aos eventos', () => {
+      const offTracker = new BehavioralTracker({ privacyMode: 'off' });
+      const keydown = { type: 'keydown', target: { tagName: 'INPUT', type: 'text', value: 'ana' }, key: 'a', code: 'KeyA' };
+
+      expect(offTracker._extractEventData(keydown)).toMatchObject({ target: { value: 'ana' }, data: { key: 'a', code: 'KeyA' } });
+      expect(tracker._extractEventData(keydown)).toMatchObject({ target: { value: '***' }, data: { key: '*' } });
+      expect(offTracker._extractEventData({ ...keydown, target: { tagName: 'INPUT', type: 'password', value: 'segredo' } }))
+        .toMatchObject({ target: { value: null, masked: true }, data: { key: null, code: null } });
+    });
   });
 });
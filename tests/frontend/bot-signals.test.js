@@ -0,0 +1,132 @@
+/**
+ * Testes para o módulo de sinais de automação
+ */
+
+import { BotSignalsCollector } from '../../src/frontend/core/bot-signals.js';
+
+describe('BotSignalsCollector', () => {
+  const chromeUserAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const original = {
+    navigator: global.navigator,
+    window: global.window,
+    document: global.document,
+    Notification: global.Notification
+  };
+  let collector;
+
+  // Navegador Chrome comum; overrides trocam partes do ambiente
+  const setEnvironment = ({ navigator = {}, window = {}, document = {} } = {}) => {
+    global.navigator = {
+      userAgent: chromeUserAgent,
+      webdriver: false,
+      plugins: [{ name: 'PDF Viewer' }],
+      mimeTypes: [{ type: 'application/pdf' }],
+      ...navigator
+    };
+    global.window = { chrome: { runtime: {}, app: {} }, ...window };
+    global.document = { documentElement: { getAttribute: () => null }, ...document };
+  };
+
+  beforeEach(() => {
+    collector = new BotSignalsCollector();
+    setEnvironment();
+  });
+
+  afterEach(() => {
+    Object.assign(global, original);
+    if (original.Notification === undefined) {
+      delete global.Notification;
+    }
+  });
+
+  test('deve coletar sinais de um navegador comum sem detecções', async () => {
+    const signals = await collector.collectSignals();
+
+    expect(signals).toMatchObject({
+      webdriver: false,
+      headlessUserAgent: false,
+      chromeObjectMissing: false,
+      chromeRuntimeMissing: false,
+      permissionsInconsistent: null,
+      pluginCount: 1,
+      mimeTypeCount: 1,
+      automationArtifacts: [],
+      detected: []
+    });
+    expect(signals.timestamp).toBeDefined();
+    expect(collector.getCurrentSignals()).toBe(signals);
+  });
+
+  test('deve detectar WebDriver e Chrome headless', async () => {
+    setEnvironment({
+      navigator: {
+        userAgent: chromeUserAgent.replace('Chrome/', 'HeadlessChrome/'),
+        webdriver: true,
+        plugins: [],
+        mimeTypes: []
+      },
+      window: { chrome: undefined }
+    });
+
+    const signals = await collector.collectSignals();
+
+    expect(signals.detected).toEqual(['webdriver', 'headless_user_agent', 'chrome_object_missing', 'no_plugins']);
+  });
+
+  test('deve detectar chrome.runtime ausente e permissões inconsistentes', async () => {
+    global.Notification = { permission: 'denied' };
+    setEnvironment({
+      navigator: { permissions: { query: jest.fn(() => Promise.resolve({ state: 'prompt' })) } },
+      window: { chrome: {} }
+    });
+
+    const signals = await collector.collectSignals();
+
+    expect(global.navigator.permissions.query).toHaveBeenCalledWith({ name: 'notifications' });
+    expect(signals.permissionsInconsistent).toBe(true);
+    expect(signals.detected).toEqual(['chrome_runtime_missing', 'permissions_inconsistent']);
+  });
+
+  test('deve encontrar artefatos de ferramentas de automação', async () => {
+    setEnvironment({
+      window: { __playwright__binding__: {}, callPhantom: () => {} },
+      document: {
+        $cdc_asdjflasutopfhvcZLmcfl_: {},
+        documentElement: { getAttribute: name => (name === 'webdriver' ? 'true' : null) }
+      }
+    });
+
+    const signals = await collector.collectSignals();
+
+    expect(signals.automationArtifacts).toEqual([
+      '__playwright__binding__',
+      'callPhantom',
+      '$cdc_asdjflasutopfhvcZLmcfl_',
+      'html[webdriver]'
+    ]);
+    expect(signals.detected).toEqual(['automation_artifacts']);
+  });
+
+  test('não deve exigir plugins em navegadores móveis', async () => {
+    setEnvironment({
+      navigator: {
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/120.0.0.0 Mobile Safari/537.36',
+        plugins: [],
+        mimeTypes: []
+      }
+    });
+
+    expect((await collector.collectSignals()).detected).toEqual([]);
+  });
+
+  test.each([
+    ['Chrome no iOS', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1'],
+    ['WebView Android', 'Mozilla/5.0 (Linux; Android 14; Pixel 8 Build/UD1A.230803.041; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/120.0.0.0 Mobile Safari/537.36']
+  ])('não deve exigir window.chrome do %s', async (name, userAgent) => {
+    setEnvironment({ navigator: { userAgent, plugins: [], mimeTypes: [] }, window: { chrome: undefined } });
+
+    const signals = await collector.collectSignals();
+
+    expect(signals).toMatchObject({ chromeObjectMissing: false, chromeRuntimeMissing: false, detected: [] });
+  });
+});
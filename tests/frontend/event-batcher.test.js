@@ -0,0 +1,86 @@
+/**
+ * Testes para o módulo de lotes de eventos comportamentais
+ */
+
+import { EventBatcher } from '../../src/frontend/core/event-batcher.js';
+
+describe('EventBatcher', () => {
+  let batcher;
+
+  beforeEach(() => {
+    batcher = new EventBatcher();
+  });
+
+  test('deve codificar tipos como índices e instantes como intervalos', () => {
+    batcher.add('click', 1000);
+    batcher.add('scroll', 1250);
+    batcher.add('click', 1900);
+
+    expect(batcher.take(500)).toMatchObject({
+      sequence: 0,
+      sessionStart: 500,
+      start: 1000,
+      eventCounts: { click: 2, scroll: 1 },
+      types: ['click', 'scroll'],
+      events: [[0, 0], [1, 250], [0, 650]],
+      dropped: 0
+    });
+  });
+
+  test('deve retornar null sem eventos novos e numerar os lotes', () => {
+    expect(batcher.take(0)).toBeNull();
+
+    batcher.add('click', 1000);
+    expect(batcher.take(0).sequence).toBe(0);
+    batcher.acknowledge();
+    expect(batcher.take(0)).toBeNull();
+
+    batcher.add('click', 2000);
+    expect(batcher.take(0)).toMatchObject({ sequence: 1, start: 2000, events: [[0, 0]] });
+  });
+
+  test('deve contar os eventos acima do limite sem guardá-los', () => {
+    for (let i = 0; i < 5002; i++) {
+      batcher.add('mousemove', i);
+    }
+
+    const batch = batcher.take(0);
+    expect(batch.events).toHaveLength(5000);
+    expect(batch).toMatchObject({ eventCounts: { mousemove: 5002 }, dropped: 2 });
+  });
+
+  test('deve manter a sequência no reset', () => {
+    batcher.add('click', 1000);
+    batcher.take(0);
+    batcher.add('click', 2000);
+    batcher.reset();
+    batcher.add('click', 3000);
+
+    expect(batcher.take(0)).toMatchObject({ sequence: 1, eventCounts: { click: 1 } });
+  });
+
+  test('deve retirar de novo o lote não confirmado', () => {
+    batcher.add('click', 1000);
+    const batch = batcher.take(0);
+    batcher.add('scroll', 2000);
+
+    // Envio falhou: o mesmo lote (mesma sequência) é reenviado antes dos eventos novos
+    expect(batcher.take(0)).toBe(batch);
+    batcher.acknowledge();
+    expect(batcher.take(0)).toMatchObject({ sequence: 1, eventCounts: { scroll: 1 } });
+  });
+
+  test('deve renumerar o lote pendente como o primeiro da nova sessão', () => {
+    batcher.add('click', 1000);
+    batcher.take(0);
+    batcher.acknowledge();
+    batcher.add('click', 2000);
+    batcher.take(0);
+
+    expect(batcher.restart()).toMatchObject({ sequence: 0, eventCounts: { click: 1 } });
+    expect(batcher.take(0).sequence).toBe(0);
+    batcher.acknowledge();
+    batcher.add('click', 3000);
+    expect(batcher.take(0).sequence).toBe(1);
+  });
+});
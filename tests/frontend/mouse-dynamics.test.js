@@ -0,0 +1,78 @@
+/**
+ * Testes para o módulo de dinâmica do mouse
+ */
+
+import { MouseDynamicsAnalyzer } from '../../src/frontend/core/mouse-dynamics.js';
+
+describe('MouseDynamicsAnalyzer', () => {
+  let analyzer;
+
+  // Movimento de uma pessoa: arco, acelerando e freando perto do alvo
+  const moveHuman = (start = 0) => {
+    for (let i = 0; i <= 30; i++) {
+      const progress = i / 30;
+      const eased = progress * progress * (3 - 2 * progress);
+      analyzer.addPoint(100 + 300 * eased, 100 + 60 * Math.sin(Math.PI * eased), start + i * 16);
+    }
+  };
+
+  // Movimento de script: reta, passos iguais em intervalos iguais
+  const moveLinear = (start = 0) => {
+    for (let i = 0; i <= 30; i++) {
+      analyzer.addPoint(100 + i * 10, 100 + i * 5, start + i * 16);
+    }
+  };
+
+  beforeEach(() => {
+    analyzer = new MouseDynamicsAnalyzer();
+  });
+
+  test('deve resumir trajetórias humanas com curvas e variação de velocidade', () => {
+    moveHuman();
+    const summary = analyzer.getSummary();
+
+    expect(summary.pointCount).toBe(31);
+    expect(summary.segmentCount).toBe(1);
+    expect(summary.straightness.mean).toBeLessThan(0.99);
+    expect(summary.curvature.mean).toBeGreaterThan(0.02);
+    expect(summary.speed.stdDev / summary.speed.mean).toBeGreaterThan(0.3);
+    expect(summary.acceleration.max).toBeGreaterThan(0);
+  });
+
+  test('deve detectar trajetórias retas com velocidade constante', () => {
+    moveLinear();
+    const summary = analyzer.getSummary();
+
+    expect(summary.totalDistance).toBeCloseTo(30 * Math.sqrt(125));
+    expect(summary.straightness.mean).toBeCloseTo(1);
+    expect(summary.curvature.mean).toBeCloseTo(0);
+    expect(summary.speed.stdDev).toBeCloseTo(0);
+    expect(summary.acceleration.max).toBeCloseTo(0);
+  });
+
+  test('deve separar segmentos nas pausas', () => {
+    moveLinear(0);
+    moveLinear(2000);
+
+    expect(analyzer.getSummary()).toMatchObject({ segmentCount: 2, pauseCount: 1 });
+  });
+
+  test('deve medir a aproximação dos cliques', () => {
+    moveHuman();
+    analyzer.addClick(400, 100, 500);
+    // Clique longe do cursor (salto até o alvo)
+    analyzer.addClick(900, 700, 600);
+
+    const summary = analyzer.getSummary();
+    expect(summary).toMatchObject({ clickCount: 2, clicksWithoutApproach: 1, approachCount: 1 });
+    expect(summary.approachDeceleration).toBeLessThan(0.5);
+  });
+
+  test('deve descartar os dados no reset', () => {
+    moveHuman();
+    analyzer.addClick(400, 100, 500);
+    analyzer.reset();
+
+    expect(analyzer.getSummary()).toMatchObject({ pointCount: 0, totalDistance: 0, clickCount: 0, speed: { mean: 0 } });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Testes para o módulo de privacidade da captura comportamental
+ */
+
+import { PrivacyFilter } from '../../src/frontend/core/privacy.js';
+import { PRIVACY_MODES } from '../../src/shared/constants/index.js';
+
+describe('PrivacyFilter', () => {
+  const email = { tagName: 'INPUT', id: 'email', className: 'field', type: 'email', name: 'email', value: 'ana@example.com' };
+  const password = { tagName: 'INPUT', id: 'pwd', type: 'password', name: 'pwd', value: 'segredo123' };
+  const card = { tagName: 'INPUT', id: 'num', type: 'text', name: 'num', autocomplete: 'billing cc-number', value: '4111111111111111' };
+  const cpf = { tagName: 'INPUT', id: 'documento-cpf', type: 'text', value: '529.982.247-25' };
+  const marked = {
+    tagName: 'INPUT',
+    id: 'notes',
+    type: 'text',
+    value: 'anotação pessoal',
+    closest: selector => (selector === '[data-nextrust-mask]' ? {} : null)
+  };
+
+  test('deve rejeitar modos desconhecidos', () => {
+    expect(() => new PrivacyFilter('paranoid')).toThrow('Invalid privacy mode: paranoid');
+  });
+
+  test('deve identificar campos de senha, cartão e marcados', () => {
+    const filter = new PrivacyFilter();
+
+    expect([password, card, cpf, marked].map(element => filter.isSensitive(element))).toEqual([true, true, true, true]);
+    expect(filter.isSensitive(email)).toBe(false);
+    expect(filter.isSensitive(null)).toBe(false);
+  });
+
+  test.each(Object.values(PRIVACY_MODES))('nunca deve capturar valores nem teclas de campos sensíveis (%s)', mode => {
+    const filter = new PrivacyFilter(mode);
+
+    for (const element of [password, card, cpf, marked]) {
+      expect(filter.describeTarget(element)).toMatchObject({ value: null, masked: true });
+      expect(filter.describeKey({ key: '4', code: 'Digit4', target: element })).toEqual({ key: null, code: null });
+    }
+  });
+
+  test('deve mascarar valores e teclas no modo balanced', () => {
+    const filter = new PrivacyFilter(PRIVACY_MODES.BALANCED);
+
+    expect(filter.describeTarget(email)).toEqual({ ...email, value: '*'.repeat(15) });
+    expect(filter.describeKey({ key: 'a', code: 'KeyA', target: email })).toEqual({ key: '*', code: null });
+    expect(filter.describeKey({ key: 'Backspace', code: 'Backspace', target: email })).toEqual({ key: 'Backspace', code: 'Backspace' });
+  });
+
+  test('não deve capturar valores, teclas nem identificadores legíveis no modo strict', () => {
+    const filter = new PrivacyFilter(PRIVACY_MODES.STRICT);
+    const target = filter.describeTarget(email);
+
+    expect(target).toMatchObject({ tagName: 'INPUT', type: 'email', value: null });
+    expect([target.id, target.className, target.name]).not.toContain('email');
+    expect(target.id).toBe(filter.describeTarget({ ...email }).id);
+    expect(filter.describeKey({ key: 'Enter', code: 'Enter', target: email })).toEqual({ key: null, code: null });
+  });
+
+  test('deve manter valores e teclas de campos comuns no modo off', () => {
+    const filter = new PrivacyFilter(PRIVACY_MODES.OFF);
+
+    expect(filter.describeTarget({ ...email, value: 'x'.repeat(150) }).value).toHaveLength(100);
+    expect(filter.describeKey({ key: 'a', code: 'KeyA', target: email })).toEqual({ key: 'a', code: 'KeyA' });
+  });
+});
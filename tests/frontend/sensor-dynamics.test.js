@@ -0,0 +1,55 @@
+/**
+ * Testes para o módulo de dinâmica dos sensores de movimento
+ */
+
+import { SensorDynamicsAnalyzer } from '../../src/frontend/core/sensor-dynamics.js';
+
+describe('SensorDynamicsAnalyzer', () => {
+  let analyzer;
+
+  const motion = (x, y, z) => ({ accelerationIncludingGravity: { x, y, z } });
+
+  beforeEach(() => {
+    analyzer = new SensorDynamicsAnalyzer();
+  });
+
+  test('deve medir o tremor e a gravidade do acelerômetro', () => {
+    analyzer.addMotion(motion(0.1, 0, 9.8));
+    analyzer.addMotion(motion(0, 0.2, 9.7));
+    analyzer.addMotion(motion(0, 0.2, 9.7));
+
+    const summary = analyzer.getSummary();
+    expect(summary.motionSamples).toBe(3);
+    expect(summary.motionJitter.mean).toBeCloseTo(0.2);
+    expect(summary.motionJitter.max).toBeCloseTo(0.4);
+    expect(summary.gravity.mean).toBeCloseTo(9.73, 1);
+  });
+
+  test('deve medir o tremor da orientação e contar as mudanças de tela', () => {
+    analyzer.addOrientation({ alpha: 10, beta: 45, gamma: -2 });
+    analyzer.addOrientation({ alpha: 10.5, beta: 44, gamma: -2 });
+    analyzer.addOrientationChange();
+
+    expect(analyzer.getSummary()).toMatchObject({
+      orientationSamples: 2,
+      orientationJitter: { mean: 1.5, max: 1.5 },
+      orientationChanges: 1
+    });
+  });
+
+  test('deve ignorar leituras sem sensor', () => {
+    analyzer.addMotion({ accelerationIncludingGravity: { x: null, y: null, z: null } });
+    analyzer.addMotion({});
+    analyzer.addOrientation({ alpha: null, beta: null, gamma: null });
+
+    expect(analyzer.getSummary()).toMatchObject({ motionSamples: 0, orientationSamples: 0 });
+  });
+
+  test('deve descartar os dados no reset', () => {
+    analyzer.addMotion(motion(0, 0, 9.8));
+    analyzer.addOrientationChange();
+    analyzer.reset();
+
+    expect(analyzer.getSummary()).toMatchObject({ motionSamples: 0, orientationChanges: 0, gravity: { mean: 0 } });
+  });
+});
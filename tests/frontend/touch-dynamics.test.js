@@ -0,0 +1,70 @@
+/**
+ * Testes para o módulo de dinâmica de toque
+ */
+
+import { TouchDynamicsAnalyzer } from '../../src/frontend/core/touch-dynamics.js';
+
+describe('TouchDynamicsAnalyzer', () => {
+  let analyzer;
+
+  const touch = (identifier, x, y, extra = {}) => ({ identifier, clientX: x, clientY: y, ...extra });
+
+  const tap = (identifier, start, duration, extra = {}) => {
+    analyzer.addEvent({ type: 'touchstart', isTrusted: true, changedTouches: [touch(identifier, 50, 50, extra)] }, start);
+    analyzer.addEvent({ type: 'touchend', isTrusted: true, changedTouches: [touch(identifier, 52, 51, extra)] }, start + duration);
+  };
+
+  beforeEach(() => {
+    analyzer = new TouchDynamicsAnalyzer();
+  });
+
+  test('deve separar taps e swipes', () => {
+    tap(1, 0, 80);
+    tap(2, 1000, 120);
+    analyzer.addEvent({ type: 'touchstart', changedTouches: [touch(3, 200, 600)] }, 2000);
+    analyzer.addEvent({ type: 'touchmove', changedTouches: [touch(3, 200, 400)] }, 2100);
+    analyzer.addEvent({ type: 'touchend', changedTouches: [touch(3, 200, 300)] }, 2200);
+
+    const summary = analyzer.getSummary();
+    expect(summary).toMatchObject({ touchCount: 3, tapCount: 2, swipeCount: 1, untrustedCount: 0 });
+    expect(summary.tapDuration).toEqual({ mean: 100, stdDev: 20, max: 120 });
+    expect(summary.swipeVelocity.mean).toBe(1500);
+  });
+
+  test('deve resumir pressão e raio de contato', () => {
+    tap(1, 0, 90, { force: 0.3, radiusX: 10, radiusY: 14 });
+    tap(2, 500, 90, { force: 0.5, radiusX: 12, radiusY: 16 });
+
+    const summary = analyzer.getSummary();
+    expect(summary.force.mean).toBeCloseTo(0.4);
+    expect(summary.force.stdDev).toBeCloseTo(0.1);
+    expect(summary.radius).toEqual({ mean: 13, stdDev: 1, max: 14 });
+    expect(summary).toMatchObject({ forceSamples: 4, radiusSamples: 4 });
+  });
+
+  test('deve contar zero amostras quando o navegador não informa pressão nem raio', () => {
+    tap(1, 0, 90);
+    tap(2, 500, 90);
+
+    expect(analyzer.getSummary()).toMatchObject({
+      force: { mean: 0, stdDev: 0, max: 0 },
+      forceSamples: 0,
+      radiusSamples: 0
+    });
+  });
+
+  test('deve contar toques disparados por script', () => {
+    analyzer.addEvent({ type: 'touchstart', isTrusted: false, changedTouches: [touch(1, 10, 10)] }, 0);
+
+    expect(analyzer.getSummary().untrustedCount).toBe(1);
+  });
+
+  test('deve descartar toques cancelados e os dados no reset', () => {
+    analyzer.addEvent({ type: 'touchstart', changedTouches: [touch(1, 10, 10)] }, 0);
+    analyzer.addEvent({ type: 'touchcancel', changedTouches: [touch(1, 10, 10)] }, 50);
+    expect(analyzer.getSummary()).toMatchObject({ touchCount: 1, tapCount: 0, swipeCount: 0 });
+
+    analyzer.reset();
+    expect(analyzer.getSummary()).toMatchObject({ touchCount: 0, tapDuration: { mean: 0 } });
+  });
+});